@@ -425,5 +425,36 @@ export default {
     "format": "gltf",
     "scale": 0.3,
     "preserveMaterials": true
+  },
+  "bus-depot-1": {
+    "type": "zone",
+    "filename": "building-policestation-garage.glb"
+  },
+  "school-1": {
+    "type": "zone",
+    "filename": "building-office.glb"
+  },
+  "vocational-center-1": {
+    "type": "zone",
+    "filename": "building-office-big.glb"
+  },
+  "repair-cafe-1": {
+    "type": "zone",
+    "filename": "building-cafe.glb"
+  },
+  "landfill-1": {
+    "type": "zone",
+    "filename": "construction-small.glb",
+    "scale": 3
+  },
+  "bus-stop": {
+    "type": "transit",
+    "filename": "bus-stop.glb",
+    "castShadow": false
+  },
+  "bus": {
+    "type": "transit",
+    "filename": "bus-passenger.glb",
+    "rotation": 90
   }
 }
\ No newline at end of file
@@ -23,6 +23,7 @@ export class CityPolicies {
     // Auto-save enabled
     this.autoSave = true;
     this.autoSaveInterval = 30; // seconds
+    this.autoSaveHistory = 3; // Number of autosaves kept
     
     // 1️⃣ ÜRETİM ÖNCELİK POLİTİKASI (Level 6+)
     this.productionMode = 'balanced'; // 'balanced', 'economy', 'environment'
@@ -144,6 +145,7 @@ export class CityPolicies {
     this.energyCrisisPriority = ['recycling', 'factories', 'residential', 'commercial'];
     this.autoSave = true;
     this.autoSaveInterval = 30;
+    this.autoSaveHistory = 3;
     this.productionMode = 'balanced';
     this.salesPolicy = 'auto';
     this.taxPolicy = 'medium';
@@ -156,6 +158,8 @@ export class CityPolicies {
   }
 }
 
-// Global instance
-window.cityPolicies = new CityPolicies();
+// Global instance (browser only)
+if (typeof window !== 'undefined') {
+  window.cityPolicies = new CityPolicies();
+}
 
@@ -1,4 +1,8 @@
 export default {
+  simulation: {
+    // Real time between simulation steps in milliseconds
+    tickDuration: 2500,
+  },
   modules: {
     development: {
       // Number of simulation cycles the road must fail the abandonment
@@ -35,8 +39,207 @@ export default {
     minWorkingAge: 16,       
      // Age when citizens retire
     retirementAge: 65,       
-    // Max Manhattan distance a citizen will search for a job
-    maxJobSearchDistance: 4   
+    // Longest trip to work by car a citizen accepts, in ticks of road
+    // travel time (including traffic)
+    maxCommuteTime: 2,
+    // Workers are fully productive with commutes up to this long
+    comfortableCommuteTime: 1,
+    // Productivity of a worker with the longest accepted commute
+    minCommuteProductivity: 0.6,
+    // Number of simulation ticks in a year. Citizens age by a year every
+    // 'ticksPerYear' ticks.
+    ticksPerYear: 24,
+    // Chance of dying in a year, before and from 'elderlyAge'
+    mortality: 0.002,
+    elderlyAge: 65,
+    // Added to the chance of dying for each year past 'elderlyAge'
+    mortalityPerYear: 0.008,
+  },
+  // Products that are used and thrown away. Each is in use for 'lifetime'
+  // years and then comes back as 'wasteAmount' of 'waste'.
+  products: {
+    'clothing': { lifetime: 2, waste: 'textile-waste', wasteAmount: 1 },
+    'sports-gear': { lifetime: 4, waste: 'plastic-waste', wasteAmount: 1 },
+    'smartphone': { lifetime: 3, waste: 'e-waste', wasteAmount: 1 },
+    'laptop': { lifetime: 5, waste: 'e-waste', wasteAmount: 2 },
+    'steel-beam': { lifetime: 20, waste: 'scrap-metal', wasteAmount: 2 },
+    'steel-structure': { lifetime: 25, waste: 'scrap-metal', wasteAmount: 4 },
+    'electric-bike': { lifetime: 6, waste: 'scrap-metal', wasteAmount: 2 },
+    'electric-car': { lifetime: 10, waste: 'scrap-metal', wasteAmount: 5 },
+  },
+  consumption: {
+    // Products households use, with the number bought per resident per
+    // year. Lifetimes and waste come from 'products'.
+    demand: {
+      'clothing': 2,
+      'sports-gear': 0.3,
+      'smartphone': 0.3,
+      'laptop': 0.15,
+    },
+    // Discarded products a home holds before a garbage truck is sent for them
+    pickupThreshold: 5,
+    // Most discarded products of each waste type a home holds. Anything
+    // more is dumped and pollutes the city.
+    maxDiscarded: 20,
+  },
+  productLifecycle: {
+    // Share of end-of-life products that reach the city's waste stock
+    // without any take-back program. The rest is dumped.
+    baseRecovery: 0.3,
+    // Extra share brought back by each eco shop running a take-back program
+    takeBackRecovery: 0.15,
+    // Highest share that can be recovered
+    maxRecovery: 0.9,
+    // Most returned products of each waste type an eco shop holds
+    maxReturned: 30,
+    // Money a take-back program costs an eco shop each tick
+    takeBackCost: 5,
+  },
+  repair: {
+    // Manhattan distance from a repair café within which households bring
+    // it their broken products and buy refurbished ones
+    coverageRadius: 6,
+    // Products a repair café fixes, with the chance that a repair succeeds.
+    // A product that cannot be repaired is recycled as its waste.
+    products: {
+      'clothing': 0.9,
+      'sports-gear': 0.8,
+      'smartphone': 0.7,
+      'laptop': 0.7,
+      'electric-bike': 0.8,
+    },
+    // Share of end-of-life market products still worth repairing
+    repairableShare: 0.5,
+    // Refurbished goods sell for this share of the market price
+    priceFactor: 0.6,
+    // Share of its original lifetime a refurbished product lasts
+    lifetimeFactor: 0.6,
+    // Waste left over from a successful repair, as a share of the waste of
+    // the whole product
+    repairWaste: 0.1,
+  },
+  secondHand: {
+    // Share of the products a household is done with that are still good
+    // enough to sell on
+    usableShare: 0.5,
+    // Most used products an eco shop's second-hand section holds
+    capacity: 10,
+    // Used products sold to walk-in customers per tick
+    salesRate: 0.1,
+    // Share of its original lifetime a second-hand product lasts
+    lifetimeFactor: 0.5,
+  },
+  landfill: {
+    // Waste a landfill holds before it is full
+    capacity: 500,
+    // Soil and water contamination leaking each tick for each unit of waste
+    // in a landfill that has not been capped. A full landfill leaks faster
+    // than the soil and water recover.
+    leachateRate: 0.0004,
+    // Price of capping and closing a landfill
+    capCost: 4000,
+  },
+  education: {
+    // Age from which children go to school
+    schoolStartAge: 6,
+    // Years of school it takes to get a basic education
+    schoolYears: 6,
+    // Years of vocational training it takes a resident with a basic
+    // education to become a skilled worker
+    trainingYears: 2,
+    // Efficiency of a factory that has none of the skilled workers it
+    // needs. It rises to full efficiency with every skilled worker.
+    unskilledEfficiency: 0.5,
+    // Chance of each education level for adults moving into the city
+    immigrantEducation: {
+      none: 0.3,
+      basic: 0.65,
+      skilled: 0.05,
+    },
+  },
+  demographics: {
+    // Ages at which residents start and stop having children
+    minParentAge: 18,
+    maxParentAge: 45,
+    // Chance each year for each resident of parenting age to have a child
+    birthRate: 0.1,
+    // Share of the city's attractiveness from its residents' happiness.
+    // The rest comes from the jobs open to newcomers.
+    happinessWeight: 0.6,
+    // Chance each year for a resident to move away from a city with no
+    // attractiveness at all, less for more attractive cities
+    emigrationRate: 0.1,
+  },
+  happiness: {
+    // How much each need counts towards a citizen's happiness
+    weights: {
+      housing: 0.2,
+      jobs: 0.25,
+      shopping: 0.15,
+      pollution: 0.25,
+      energy: 0.15,
+    },
+    // Share of the gap to its needs a citizen's happiness closes each tick
+    smoothing: 0.1,
+    // Max Manhattan distance to an eco shop for a home to have shopping access
+    shopDistance: 4,
+    // Max Manhattan distance at which factories pollute a home
+    industryDistance: 2,
+    // Happiness (0-100) below which a resident may move out
+    moveOutThreshold: 40,
+    // Chance each tick for an unhappy resident to move out
+    moveOutChance: 0.05,
+    // Average happiness of a home's residents below which it may be abandoned
+    abandonThreshold: 30,
+  },
+  logistics: {
+    // Road tiles a shipment travels per tick
+    speed: 4,
+    // Ticks for a shipment to reach or leave the city warehouse
+    warehouseTransitTime: 2,
+    // Number of production batches a factory keeps in its input buffer
+    inputBatches: 2,
+  },
+  wasteCollection: {
+    // Waste a building must hold before a garbage truck is sent for it
+    pickupThreshold: 20,
+    // Coverage radius (Manhattan distance) of a new recycling center
+    defaultCoverageRadius: 5,
+    // Smallest coverage radius a recycling center can be set to
+    minCoverageRadius: 2,
+    // Price of an additional garbage truck
+    truckCost: 2500,
+  },
+  traffic: {
+    // Vehicles a street tile carries before it is congested
+    streetCapacity: 4,
+    // Vehicles an avenue tile carries before it is congested
+    avenueCapacity: 10,
+    // Price of upgrading a street to an avenue
+    avenueUpgradeCost: 400,
+    // Load a working citizen adds to each road tile on their way to work
+    commuterLoad: 0.25,
+    // Travel time is multiplied by 1 + slowdown * (load / capacity) ^ slowdownPower
+    slowdown: 0.5,
+    slowdownPower: 4,
+    // Slowest share of the free-flow speed on a jammed road
+    minSpeedFactor: 0.2,
+  },
+  transit: {
+    // Price of a bus stop on a road tile
+    stopCost: 150,
+    // Price of an additional bus for a depot
+    busCost: 3000,
+    // Buses a depot comes with and the most it can own
+    startingBuses: 2,
+    maxBusesPerDepot: 8,
+    // Max Manhattan distance a citizen walks to or from a bus stop
+    walkDistance: 2,
+    // Tiles a citizen walks per tick on the way to or from a bus stop
+    walkSpeed: 1,
+    // Longest trip to work by bus a citizen accepts, in ticks. Riders put
+    // up with longer trips than drivers.
+    maxCommuteTime: 5,
   },
   vehicle: {
     // The distance travelled per millisecond
@@ -7,6 +7,8 @@ import { SimObject } from './sim/simObject.js';
 import { GameState } from './gameState.js';
 import { ResourceManager } from './resources.js';
 import { VisualEffectsManager } from './visualEffects.js';
+import { Simulation } from './sim/simulation.js';
+import config from './config.js';
 
 /** 
  * Manager for the Three.js scene. Handles rendering of a `City` object
@@ -31,16 +33,30 @@ export class Game {
    * @type {SimObject | null}
    */
   selectedObject = null;
-  
   /**
-   * Current simulation tick counter
-   * @type {number}
+   * Simulation context wrapping the global game services
+   * @type {Simulation}
    */
-  currentTick = 0;
+  simulation;
 
   constructor(city, cityName = 'My City') {
     this.cityName = cityName;
+
+    this.simulation = new Simulation({
+      gameState: window.gameState,
+      resourceManager: window.resourceManager,
+      cityPolicies: window.cityPolicies,
+      levelUnlocks: window.levelUnlocks,
+      market: window.market,
+      globalPollution: window.globalPollution,
+      missionSystem: window.missionSystem,
+      tutorialState: window.tutorialState,
+      ui: window.ui
+    });
+
     if (city) {
+      city.simulation = this.simulation;
+      this.simulation.city = city;
       this.city = city;
     }
 
@@ -72,12 +88,14 @@ export class Game {
       if (!window.visualEffects) {
         window.visualEffects = new VisualEffectsManager(this.scene);
       }
+      this.simulation.visualEffects = window.visualEffects;
+      this.simulation.assetManager = window.assetManager;
       
       window.ui.hideLoadingText();
 
-      // Check if there's a saved game
+      // Check if there's a saved game to continue
       let saveData = null;
-      if (window.saveSystem && window.saveSystem.hasSaveData()) {
+      if (window.saveSystem && window.saveSystem.getActiveSlot()) {
         // Load saved game data
         saveData = window.saveSystem.loadGame();
       }
@@ -105,7 +123,7 @@ export class Game {
       // Create city if not already created
       if (!this.city) {
         const cityName = saveData && saveData.city ? saveData.city.name : (this.cityName || 'My City');
-        this.city = new City(16, cityName);
+        this.city = this.simulation.createCity(16, cityName);
         this.cityName = cityName;
       }
       this.initialize(this.city);
@@ -161,6 +179,11 @@ export class Game {
       
       this.start();
 
+      // Detect if this session ends without the page being closed
+      if (window.saveSystem) {
+        window.saveSystem.beginSession();
+      }
+
       // Update UI with initial game state
       window.ui.updateGameState(window.gameState);
       window.ui.updateResources(window.resourceManager);
@@ -173,14 +196,14 @@ export class Game {
       }, 2000); // Update every 2 seconds
 
       // Simulation runs every 2.5 seconds (slower pace)
-      setInterval(this.simulate.bind(this), 2500);
+      setInterval(this.simulate.bind(this), config.simulation.tickDuration);
       
       // Auto-save mechanism
       if (window.cityPolicies && window.cityPolicies.autoSave) {
         const autoSaveInterval = (window.cityPolicies.autoSaveInterval || 30) * 1000; // Convert to milliseconds
         setInterval(() => {
           if (window.cityPolicies && window.cityPolicies.autoSave && window.saveSystem) {
-            window.saveSystem.saveGame();
+            window.saveSystem.autoSave();
             console.log('Auto-save completed');
           }
         }, autoSaveInterval);
@@ -254,6 +277,28 @@ export class Game {
     this.renderer.setAnimationLoop(null);
   }
 
+  /**
+   * Renders the scene into a small image used as a save slot thumbnail
+   * @param {number} width
+   * @param {number} height
+   * @returns {string | null} JPEG data URL
+   */
+  captureThumbnail(width = 160, height = 90) {
+    try {
+      // The drawing buffer is cleared after each frame, so render right
+      // before copying it
+      this.renderer.render(this.scene, this.cameraManager.camera);
+      const canvas = document.createElement('canvas');
+      canvas.width = width;
+      canvas.height = height;
+      canvas.getContext('2d').drawImage(this.renderer.domElement, 0, 0, width, height);
+      return canvas.toDataURL('image/jpeg', 0.7);
+    } catch (error) {
+      console.warn('Could not capture thumbnail:', error);
+      return null;
+    }
+  }
+
   /**
    * Render the contents of the scene
    */
@@ -273,64 +318,22 @@ export class Game {
     this.renderer.render(this.scene, this.cameraManager.camera);
   }
 
+  /**
+   * Current simulation tick counter
+   * @type {number}
+   */
+  get currentTick() {
+    return this.simulation.currentTick;
+  }
+
   /**
    * Moves the simulation forward by one step
    */
   simulate() {
     if (window.ui.isPaused) return;
 
-    // Increment tick counter
-    this.currentTick++;
-    
-    // Update market prices
-    if (window.market) {
-      window.market.updatePrices(this.currentTick);
-    }
-    
-    // Update global pollution
-    if (window.globalPollution) {
-      window.globalPollution.decay();
-      window.globalPollution.applyPenalties(this.currentTick);
-    }
-    
-    // Apply production mode effects to Circular Score (Level 6+)
-    if (window.cityPolicies && window.gameState && window.levelUnlocks &&
-        window.levelUnlocks.isUnlocked('hq-policy-panel', window.gameState.level)) {
-      const modeEffects = window.cityPolicies.getProductionModeEffects();
-      if (modeEffects.circularScore !== 0) {
-        // Apply Circular Score change (positive or negative)
-        const change = modeEffects.circularScore * 10; // Scale to meaningful values
-        window.gameState.updateCircularScore(change);
-      }
-    }
-    
-    // Check tutorial step completion
-    if (window.tutorialState && window.tutorialState.isActive) {
-      window.tutorialState.checkStepCompletion();
-    }
-    
     // Update the city data model first, then update the scene
-    this.city.simulate(1, this.currentTick);
-    
-    // Auto-sell products and auto-buy materials (if unlocked)
-    if (window.market && window.resourceManager && window.gameState) {
-      // Auto-sell products (always enabled from Level 1)
-      if (window.market.autoSellEnabled) {
-        const earned = window.market.autoSellProducts(window.resourceManager, window.gameState);
-        // Silent auto-sell, no notification spam
-      }
-      
-      // Auto-buy materials (Level 2+)
-      if (window.gameState.level >= 2 && window.levelUnlocks && 
-          window.levelUnlocks.isUnlocked('auto-buy', window.gameState.level)) {
-        window.market.autoBuyMaterials(window.resourceManager, window.gameState);
-      }
-    }
-
-    // Calculate circular score every tick (comprehensive calculation)
-    if (window.gameState && window.gameState.level >= 3) {
-      window.gameState.calculateCircularScore();
-    }
+    this.simulation.step();
     
     window.ui.updateTitleBar(this);
     window.ui.updateInfoPanel(this.selectedObject);
@@ -369,6 +372,20 @@ export class Game {
           this.city.bulldoze(x, y);
         }
         break;
+      case 'bus-stop':
+        if (this.focusedObject) {
+          const { x, y } = this.focusedObject;
+          this.city.placeBusStop(x, y);
+        }
+        break;
+      case 'bus-route':
+        if (this.focusedObject) {
+          const { x, y } = this.focusedObject;
+          if (this.city.transit.addStop(this.city, window.ui.editingRouteId, x, y)) {
+            window.ui.updateInfoPanel(this.selectedObject);
+          }
+        }
+        break;
       default:
         if (this.focusedObject && activeToolId) {
           const { x, y } = this.focusedObject;
@@ -388,7 +405,7 @@ export class Game {
   }
 
   /**
-   * Upgrade a factory or recycling center at the given coordinates
+   * Upgrade a factory, recycling center or road at the given coordinates
    * @param {number} x 
    * @param {number} y 
    */
@@ -411,7 +428,7 @@ export class Game {
       
       if (tile.building.upgrade()) {
         // Refresh view
-        tile.building.refreshView();
+        tile.building.refreshView(this.city);
         // Update UI
         if (this.selectedObject === tile.building) {
           window.ui.updateInfoPanel(this.selectedObject);
@@ -454,6 +471,183 @@ export class Game {
     }
   }
 
+  /**
+   * Start or stop the take-back program of an eco shop
+   * @param {number} x
+   * @param {number} y
+   */
+  toggleTakeBack(x, y) {
+    const building = this.city.getTile(x, y)?.building;
+    if (!building?.takeBack) {
+      console.warn("Eco Shop bulunamadı!");
+      return;
+    }
+
+    building.takeBack.enabled = !building.takeBack.enabled;
+    if (this.selectedObject === building) {
+      window.ui.updateInfoPanel(this.selectedObject);
+    }
+  }
+
+  /**
+   * Cap and close a landfill
+   * @param {number} x
+   * @param {number} y
+   */
+  capLandfill(x, y) {
+    const building = this.city.getTile(x, y)?.building;
+    if (typeof building?.cap !== 'function') {
+      console.warn("Çöp sahası bulunamadı!");
+      return;
+    }
+
+    if (building.cap()) {
+      if (this.selectedObject === building) {
+        window.ui.updateInfoPanel(this.selectedObject);
+      }
+      window.ui.updateGameState(window.gameState);
+    }
+  }
+
+  /**
+   * Buy an additional garbage truck for a recycling center
+   * @param {number} x
+   * @param {number} y
+   */
+  buyGarbageTruck(x, y) {
+    const building = this.city.getTile(x, y)?.building;
+    if (typeof building?.buyGarbageTruck !== 'function') {
+      console.warn("Geri dönüşüm merkezi bulunamadı!");
+      return;
+    }
+
+    if (building.buyGarbageTruck()) {
+      if (this.selectedObject === building) {
+        window.ui.updateInfoPanel(this.selectedObject);
+      }
+      window.ui.updateGameState(window.gameState);
+    }
+  }
+
+  /**
+   * Grow or shrink the area served by a recycling center's garbage trucks
+   * @param {number} x
+   * @param {number} y
+   * @param {number} delta Change in tiles
+   */
+  changeCoverageRadius(x, y, delta) {
+    const building = this.city.getTile(x, y)?.building;
+    if (typeof building?.setCoverageRadius !== 'function') {
+      console.warn("Geri dönüşüm merkezi bulunamadı!");
+      return;
+    }
+
+    building.setCoverageRadius(building.coverageRadius + delta);
+    if (this.selectedObject === building) {
+      window.ui.updateInfoPanel(this.selectedObject);
+    }
+  }
+
+  /**
+   * Buy an additional bus for a bus depot
+   * @param {number} x
+   * @param {number} y
+   */
+  buyBus(x, y) {
+    const building = this.city.getTile(x, y)?.building;
+    if (typeof building?.buyBus !== 'function') {
+      console.warn("Otobüs garajı bulunamadı!");
+      return;
+    }
+
+    if (building.buyBus()) {
+      if (this.selectedObject === building) {
+        window.ui.updateInfoPanel(this.selectedObject);
+      }
+      window.ui.updateGameState(window.gameState);
+    }
+  }
+
+  /**
+   * Remove the bus stop from a road
+   * @param {number} x
+   * @param {number} y
+   */
+  removeBusStop(x, y) {
+    this.city.removeBusStop(x, y);
+    window.ui.updateInfoPanel(this.selectedObject);
+  }
+
+  /**
+   * Create a new bus route for a depot and start adding stops to it
+   * @param {number} x
+   * @param {number} y
+   */
+  createBusRoute(x, y) {
+    const building = this.city.getTile(x, y)?.building;
+    if (building?.type !== 'bus-depot') {
+      console.warn("Otobüs garajı bulunamadı!");
+      return;
+    }
+
+    const route = this.city.transit.createRoute(building);
+    this.editBusRoute(route.id);
+  }
+
+  /**
+   * Start adding stops to a bus route. Bus stops clicked on the map are
+   * appended to the route until `finishBusRoute()` is called or another
+   * tool is selected.
+   * @param {number} routeId
+   */
+  editBusRoute(routeId) {
+    window.ui.editingRouteId = routeId;
+    window.ui.setActiveTool('bus-route');
+    window.ui.updateInfoPanel(this.selectedObject);
+  }
+
+  /**
+   * Stop adding stops to the bus route being edited
+   */
+  finishBusRoute() {
+    window.ui.editingRouteId = null;
+    window.ui.setActiveTool('select');
+    window.ui.updateInfoPanel(this.selectedObject);
+  }
+
+  /**
+   * Remove the last stop of a bus route
+   * @param {number} routeId
+   */
+  removeLastBusStop(routeId) {
+    this.city.transit.removeLastStop(routeId);
+    window.ui.updateInfoPanel(this.selectedObject);
+  }
+
+  /**
+   * Delete a bus route, returning its buses to the depot
+   * @param {number} routeId
+   */
+  deleteBusRoute(routeId) {
+    if (window.ui.editingRouteId === routeId) {
+      this.finishBusRoute();
+    }
+    this.city.transit.deleteRoute(routeId);
+    window.ui.updateInfoPanel(this.selectedObject);
+  }
+
+  /**
+   * Assign more or fewer of the depot's buses to a route
+   * @param {number} routeId
+   * @param {number} delta Change in buses
+   */
+  changeRouteBuses(routeId, delta) {
+    const route = this.city.transit.getRoute(routeId);
+    if (route && this.city.transit.setRouteBuses(this.city, routeId, route.buses + delta)) {
+      window.ui.updateInfoPanel(this.selectedObject);
+    }
+  }
+
   /**
    * Sets the object that is currently highlighted
    */
@@ -509,6 +703,11 @@ function initWelcomeScreen() {
   function startGame() {
     const cityName = cityNameInput.value.trim() || 'My City';
     
+    // A new city gets its own save slot the first time it is saved
+    if (window.saveSystem) {
+      window.saveSystem.setActiveSlot(null);
+    }
+
     // Hide welcome screen
     welcomeScreen.style.display = 'none';
     
@@ -527,6 +726,20 @@ function initWelcomeScreen() {
 
   // Check for saved game after a short delay (to ensure saveSystem is loaded)
   setTimeout(() => {
+    // Offer the latest autosave if the previous session crashed
+    if (window.saveSystem && window.saveSystem.hadUncleanShutdown()) {
+      window.saveSystem.endSession();
+      const latest = window.saveSystem.listAutosaves()[0];
+      if (latest && confirm(`Önceki oyun beklenmedik şekilde kapandı. "${latest.cityName}" şehrinin son otomatik kaydı (${new Date(latest.timestamp).toLocaleString()}) geri yüklensin mi?`)) {
+        if (window.saveSystem.restoreAutosave(latest.id)) {
+          welcomeScreen.style.display = 'none';
+          rootWindow.style.display = 'block';
+          window.game = new Game(null, latest.cityName);
+          return;
+        }
+      }
+    }
+
     if (window.saveSystem && window.saveSystem.hasSaveData()) {
       // Add load game button
       const welcomeForm = document.querySelector('.welcome-form');
@@ -539,6 +752,10 @@ function initWelcomeScreen() {
         loadButton.style.background = 'linear-gradient(135deg, #4a90e2 0%, #357abd 100%)';
         loadButton.onclick = () => {
           if (confirm('Kayıtlı oyunu yüklemek istediğinize emin misiniz?')) {
+            // Continue the most recent save unless a slot was picked in the save panel
+            if (!window.saveSystem.getActiveSlot()) {
+              window.saveSystem.setActiveSlot(window.saveSystem.listSlots()[0].id);
+            }
             welcomeScreen.style.display = 'none';
             rootWindow.style.display = 'block';
             window.game = new Game(null, 'My City'); // City name will be loaded from save
@@ -3,6 +3,12 @@
  * Manages money, energy, level, XP, and Circular Score
  */
 export class GameState {
+  /**
+   * Simulation this state belongs to (set by the Simulation)
+   * @type {Simulation | null}
+   */
+  simulation = null;
+
   constructor() {
     // Starting values
     this.money = 500000; // 💰
@@ -32,9 +38,9 @@ export class GameState {
    */
   addMoney(amount) {
     // Apply tax policy multiplier (Level 4+)
-    if (window.cityPolicies && window.levelUnlocks &&
-        window.levelUnlocks.isUnlocked('hq-policy-panel', this.level)) {
-      const taxEffects = window.cityPolicies.getTaxPolicyEffects();
+    const simulation = this.simulation;
+    if (simulation && simulation.cityPolicies && simulation.isUnlocked('hq-policy-panel')) {
+      const taxEffects = simulation.cityPolicies.getTaxPolicyEffects();
       amount = amount * taxEffects.money;
     }
     
@@ -106,13 +112,14 @@ export class GameState {
         console.log(`Level up! Now level ${this.level}`);
         
         // Initialize market based on new level
-        if (window.market) {
-          window.market.initialize(this.level);
+        if (this.simulation?.market) {
+          this.simulation.market.initialize(this.level);
         }
         
         // Notify UI to update unlocked features
-        if (window.ui && window.ui.onLevelUp) {
-          window.ui.onLevelUp(this.level, previousLevel);
+        const ui = this.simulation?.ui;
+        if (ui && ui.onLevelUp) {
+          ui.onLevelUp(this.level, previousLevel);
         }
       }
     }
@@ -138,9 +145,13 @@ export class GameState {
    * 3. Renewable Energy (20% weight)
    * 4. Product Lifecycle Management (10% weight)
    * 5. Circular Material Usage (5% weight)
+   * Reusing products earns a bonus on top, worth more per product than
+   * recycling.
    */
   calculateCircularScore() {
-    if (!window.resourceManager || !window.game || !window.game.city) {
+    const resourceManager = this.simulation?.resourceManager;
+    const city = this.simulation?.city;
+    if (!resourceManager || !city) {
       return 0;
     }
     
@@ -148,7 +159,7 @@ export class GameState {
     const maxScore = 100;
     
     // === 1. WASTE REDUCTION & RECYCLING (40 points max) ===
-    const totalWaste = window.resourceManager.getTotalWaste();
+    const totalWaste = resourceManager.getTotalWaste();
     const maxWasteCapacity = 500; // 5 waste types × 100 each
     const wastePercentage = (totalWaste / maxWasteCapacity) * 100;
     
@@ -159,16 +170,16 @@ export class GameState {
     
     // Recycling efficiency (0-20 points)
     const recycledMaterials = 
-      window.resourceManager.getResource('recycled-fabric') +
-      window.resourceManager.getResource('recycled-metal') +
-      window.resourceManager.getResource('recycled-plastic') +
-      window.resourceManager.getResource('recycled-electronics');
+      resourceManager.getResource('recycled-fabric') +
+      resourceManager.getResource('recycled-metal') +
+      resourceManager.getResource('recycled-plastic') +
+      resourceManager.getResource('recycled-electronics');
     
     // Recycling centers count
     let recyclingCenters = 0;
-    for (let x = 0; x < window.game.city.size; x++) {
-      for (let y = 0; y < window.game.city.size; y++) {
-        const tile = window.game.city.getTile(x, y);
+    for (let x = 0; x < city.size; x++) {
+      for (let y = 0; y < city.size; y++) {
+        const tile = city.getTile(x, y);
         if (tile && tile.building && tile.building.type === 'recycling-center') {
           recyclingCenters++;
         }
@@ -179,16 +190,35 @@ export class GameState {
     const recyclingScore = Math.min(20, (recycledMaterials * 0.5) + (recyclingCenters * 5));
     score += recyclingScore;
     
+    // === REUSE BONUS (15 points max) ===
+    // Repairing or reselling a product keeps it in use, which beats
+    // recycling it, so each reused product counts twice as much as a
+    // recycled material. Only products actually reused count.
+    let reusedProducts = 0;
+    for (let x = 0; x < city.size; x++) {
+      for (let y = 0; y < city.size; y++) {
+        const tile = city.getTile(x, y);
+        if (tile && tile.building && tile.building.type === 'repair-cafe') {
+          reusedProducts += tile.building.totalRepaired;
+        }
+        if (tile && tile.building && tile.building.secondHand) {
+          reusedProducts += tile.building.secondHand.totalBought;
+        }
+      }
+    }
+    const reuseScore = Math.min(15, reusedProducts);
+    score += reuseScore;
+    
     // === 2. RESOURCE EFFICIENCY (25 points max) ===
     // Check if using recycled materials in production
     const totalProducts = Object.values({
-      'clothing': window.resourceManager.getResource('clothing'),
-      'smartphone': window.resourceManager.getResource('smartphone'),
-      'laptop': window.resourceManager.getResource('laptop'),
-      'steel-beam': window.resourceManager.getResource('steel-beam'),
-      'steel-structure': window.resourceManager.getResource('steel-structure'),
-      'electric-car': window.resourceManager.getResource('electric-car'),
-      'electric-bike': window.resourceManager.getResource('electric-bike')
+      'clothing': resourceManager.getResource('clothing'),
+      'smartphone': resourceManager.getResource('smartphone'),
+      'laptop': resourceManager.getResource('laptop'),
+      'steel-beam': resourceManager.getResource('steel-beam'),
+      'steel-structure': resourceManager.getResource('steel-structure'),
+      'electric-car': resourceManager.getResource('electric-car'),
+      'electric-bike': resourceManager.getResource('electric-bike')
     }).reduce((sum, val) => sum + val, 0);
     
     // Resource efficiency: more products with less waste = better
@@ -199,9 +229,9 @@ export class GameState {
     let renewableEnergySources = 0;
     let totalEnergyProduction = 0;
     
-    for (let x = 0; x < window.game.city.size; x++) {
-      for (let y = 0; y < window.game.city.size; y++) {
-        const tile = window.game.city.getTile(x, y);
+    for (let x = 0; x < city.size; x++) {
+      for (let y = 0; y < city.size; y++) {
+        const tile = city.getTile(x, y);
         if (tile && tile.building) {
           const building = tile.building;
           if (building.type === 'solar-panel' || 
@@ -227,9 +257,9 @@ export class GameState {
     // === 4. PRODUCT LIFECYCLE MANAGEMENT (10 points max) ===
     // Eco shops selling products (circular economy)
     let ecoShops = 0;
-    for (let x = 0; x < window.game.city.size; x++) {
-      for (let y = 0; y < window.game.city.size; y++) {
-        const tile = window.game.city.getTile(x, y);
+    for (let x = 0; x < city.size; x++) {
+      for (let y = 0; y < city.size; y++) {
+        const tile = city.getTile(x, y);
         if (tile && tile.building && tile.building.type === 'commercial') {
           if (tile.building.development && tile.building.development.state === 'developed') {
             ecoShops++;
@@ -238,8 +268,10 @@ export class GameState {
       }
     }
     
-    // Product lifecycle score: eco shops extend product lifecycle
-    const lifecycleScore = Math.min(10, ecoShops * 2);
+    // Product lifecycle score: eco shops extend product lifecycle and
+    // take-back programs bring end-of-life products back
+    const takeBackRatio = city.productLifecycle?.takeBackRatio ?? 0;
+    const lifecycleScore = Math.min(10, Math.min(5, ecoShops * 2) + takeBackRatio * 10);
     score += lifecycleScore;
     
     // === 5. CIRCULAR MATERIAL USAGE (5 points max) ===
@@ -259,6 +291,16 @@ export class GameState {
       score -= 10;
     }
     
+    // Landfill penalty: burying waste loses it for good, the worst way to
+    // dispose of it
+    const landfilledWaste = city.landfills?.totalLandfilled ?? 0;
+    score -= Math.min(20, landfilledWaste * 0.05);
+    
+    // Dumping penalty: dumped waste is lost too and pollutes the city on top
+    // of it
+    const dumpedWaste = city.landfills?.totalDumped ?? 0;
+    score -= Math.min(20, dumpedWaste * 0.1);
+    
     // === FINAL SCORE ===
     this.circularScore = Math.max(0, Math.min(maxScore, Math.round(score)));
     this.updateUI();
@@ -269,8 +311,9 @@ export class GameState {
    * Update UI elements
    */
   updateUI() {
-    if (window.ui && window.ui.updateGameState) {
-      window.ui.updateGameState(this);
+    const ui = this.simulation?.ui;
+    if (ui && ui.updateGameState) {
+      ui.updateGameState(this);
     }
   }
 
@@ -325,6 +368,8 @@ export class GameState {
   }
 }
 
-// Global game state instance
-window.gameState = new GameState();
+// Global game state instance (browser only)
+if (typeof window !== 'undefined') {
+  window.gameState = new GameState();
+}
 
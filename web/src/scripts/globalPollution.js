@@ -3,6 +3,12 @@
  * Local waste leaks to global pollution, which affects city-wide penalties
  */
 export class GlobalPollution {
+  /**
+   * Simulation this pollution model belongs to (set by the Simulation)
+   * @type {Simulation | null}
+   */
+  simulation = null;
+
   constructor() {
     // Pollution levels (0-100%)
     this.pollution = {
@@ -12,6 +18,9 @@ export class GlobalPollution {
       'organic-waste': 0
     };
     
+    // Soil and water contamination from landfill leachate (0-100%)
+    this.soilWater = 0;
+    
     // Total pollution percentage (0-100)
     this.totalPollution = 0;
     
@@ -48,6 +57,15 @@ export class GlobalPollution {
     }
   }
   
+  /**
+   * Add leachate from a landfill, which seeps into the soil and water
+   * @param {number} amount 
+   */
+  addLeachate(amount) {
+    this.soilWater = Math.min(100, this.soilWater + amount);
+    this.updateTotalPollution();
+  }
+  
   /**
    * Remove waste from global pollution (via recycling)
    * @param {string} wasteType 
@@ -64,7 +82,9 @@ export class GlobalPollution {
    * Update total pollution percentage
    */
   updateTotalPollution() {
-    const total = Object.values(this.pollution).reduce((sum, val) => sum + val, 0);
+    // Soil and water contamination counts as much as one kind of waste
+    // but does not dilute the others
+    const total = Object.values(this.pollution).reduce((sum, val) => sum + val, 0) + this.soilWater;
     this.totalPollution = Math.min(100, total / Object.keys(this.pollution).length);
   }
   
@@ -91,6 +111,7 @@ export class GlobalPollution {
     this.lastPenaltyTick = currentTick;
     
     const level = this.getLevel();
+    const gameState = this.simulation?.gameState;
     
     // Reset penalties
     this.activePenalties = {
@@ -104,17 +125,17 @@ export class GlobalPollution {
     if (this.totalPollution >= 50) {
       // Circular Score penalty
       this.activePenalties.circularScore = true;
-      if (window.gameState) {
+      if (gameState) {
         // Reduce circular score growth rate
-        window.gameState.circularScoreMultiplier = Math.max(0.5, 1 - (this.totalPollution / 100));
+        gameState.circularScoreMultiplier = Math.max(0.5, 1 - (this.totalPollution / 100));
       }
     }
     
     if (this.totalPollution >= 75) {
       // XP reduction
       this.activePenalties.xpReduction = true;
-      if (window.gameState) {
-        window.gameState.xpMultiplier = 0.75; // -25% XP
+      if (gameState) {
+        gameState.xpMultiplier = 0.75; // -25% XP
       }
     }
     
@@ -131,9 +152,9 @@ export class GlobalPollution {
     }
     
     // Apply bonuses for low pollution
-    if (this.totalPollution < 20 && window.gameState) {
+    if (this.totalPollution < 20 && gameState) {
       // Bonus XP for clean city
-      window.gameState.xpMultiplier = 1.1; // +10% XP
+      gameState.xpMultiplier = 1.1; // +10% XP
     }
   }
   
@@ -141,8 +162,9 @@ export class GlobalPollution {
    * Trigger pollution event
    */
   triggerPollutionEvent() {
-    if (window.ui) {
-      window.ui.showNotification(
+    const ui = this.simulation?.ui;
+    if (ui) {
+      ui.showNotification(
         '⚠️ Kirlilik Uyarısı!',
         'Şehir kirliliği maksimum seviyeye ulaştı! Acil önlem alın.',
         'error'
@@ -158,6 +180,8 @@ export class GlobalPollution {
     Object.keys(this.pollution).forEach(wasteType => {
       this.pollution[wasteType] = Math.max(0, this.pollution[wasteType] - 0.1);
     });
+    // Contaminated soil and water take much longer to recover
+    this.soilWater = Math.max(0, this.soilWater - 0.02);
     this.updateTotalPollution();
   }
   
@@ -168,6 +192,7 @@ export class GlobalPollution {
     Object.keys(this.pollution).forEach(wasteType => {
       this.pollution[wasteType] = 0;
     });
+    this.soilWater = 0;
     this.totalPollution = 0;
     this.activePenalties = {
       circularScore: false,
@@ -176,8 +201,35 @@ export class GlobalPollution {
       eventTriggered: false
     };
   }
+
+  /**
+   * Returns the pollution levels and active penalties as plain data for saving
+   * @returns {object}
+   */
+  serialize() {
+    return {
+      pollution: { ...this.pollution },
+      soilWater: this.soilWater,
+      lastPenaltyTick: this.lastPenaltyTick,
+      activePenalties: { ...this.activePenalties }
+    };
+  }
+
+  /**
+   * Restores pollution from the output of `serialize()`
+   * @param {object} data
+   */
+  deserialize(data) {
+    Object.assign(this.pollution, data.pollution);
+    this.soilWater = data.soilWater ?? 0;
+    this.lastPenaltyTick = data.lastPenaltyTick ?? 0;
+    Object.assign(this.activePenalties, data.activePenalties);
+    this.updateTotalPollution();
+  }
 }
 
-// Global instance
-window.globalPollution = new GlobalPollution();
+// Global instance (browser only)
+if (typeof window !== 'undefined') {
+  window.globalPollution = new GlobalPollution();
+}
 
@@ -58,6 +58,8 @@ export class LevelUnlocks {
     'recycling-center': 3, // Moved from Level 4 - atıklarla birlikte tanışma
     'recycled-material': 3, // Moved from Level 4
     'circular-score': 3, // Moved from Level 4
+    'household-consumption': 3, // Haneler ürün tüketir ve atık çıkarır
+    'landfill': 3, // Taşan atıklar için çöp sahası
     
     // Level 4 - Advanced Production & City Management
     'textile-grade-2': 4,
@@ -73,12 +75,18 @@ export class LevelUnlocks {
     'product-sales': 5,
     'wind-turbine': 5,
     'waste-to-energy': 5, // Atıktan Enerji Tesisi
+    'education': 5, // Okul
+    'take-back': 5, // Eco Shop geri alım programları
     
     // Level 6 - City Scale
     'technology-factory': 6,
     'global-pollution': 6,
     'recycling-auto': 6,
     'residential-level-3': 6,
+    'public-transport': 6, // Otobüs garajı, duraklar ve hatlar
+    'vocational-training': 6, // Mesleki eğitim merkezi ve kalifiye işçiler
+    'repair-cafe': 6, // Tamir kafe ve yenilenmiş ürünler
+    'second-hand': 6, // Eco Shop ikinci el bölümü
     
     // Level 7 - Advanced Management
     'farming-area': 7,
@@ -177,14 +185,18 @@ export class LevelUnlocks {
           'Atık Barı',
           'Recycling Center',
           'Recycled Material',
-          'Circular Score'
+          'Circular Score',
+          'Hane Tüketimi',
+          'Çöp Sahası'
         ],
         tips: [
           'Binaların atık seviyesini kontrol edin',
           'Yüksek atık seviyesi üretimi yavaşlatır',
           'Atık seviyesi 100\'e ulaşırsa bina durur',
           'Recycling Center kurarak atıkları geri dönüştürün',
-          'Circular Score\'u artırarak bonuslar kazanın'
+          'Circular Score\'u artırarak bonuslar kazanın',
+          'Haneler ürünleri kullanır, ömrü bitince tekstil, plastik ve e-atık olarak atar',
+          'Sığmayan atıklar çöp sahasına gömülür; dolunca kapatın, açık saha toprağa ve suya sızar'
         ]
       },
       4: {
@@ -213,13 +225,17 @@ export class LevelUnlocks {
           'Eco Shop',
           'Ürün Bazlı Satış',
           'Wind Turbine',
-          'Atıktan Enerji Tesisi'
+          'Atıktan Enerji Tesisi',
+          'Okul',
+          'Geri Alım Programı'
         ],
         tips: [
           'Eco Shop kurarak ürünlerinizi satın',
           'Wind Turbine ile daha fazla enerji üretin',
           'Atıktan Enerji Tesisi ile atıkları enerjiye çevirin (pahalı ama etkili)',
-          'Ürün satışından para kazanın'
+          'Ürün satışından para kazanın',
+          'Okullar çocuklara temel eğitim verir',
+          'Eco Shop geri alım programları ömrünü tamamlayan ürünleri toplar'
         ]
       },
       6: {
@@ -229,12 +245,20 @@ export class LevelUnlocks {
           'Technology Factory',
           'Global Pollution',
           'Otomatik Geri Dönüşüm',
-          'Konut Level 3'
+          'Konut Level 3',
+          'Otobüs Garajı ve Durakları',
+          'Mesleki Eğitim Merkezi',
+          'Tamir Kafe',
+          'İkinci El Bölümü'
         ],
         tips: [
           'Technology Factory ile teknoloji ürünleri üretin',
           'Global pollution\'u kontrol altında tutun',
-          'Otomatik geri dönüşüm verimliliği artırır'
+          'Otomatik geri dönüşüm verimliliği artırır',
+          'Otobüs hatları vatandaşları uzaktaki işlere taşır ve trafiği azaltır',
+          'Technology ve Automotive fabrikaları tam verim için kalifiye işçi ister',
+          'Tamir Kafe bozulan ürünleri onarıp indirimli satar, geri dönüşümden daha az atık çıkarır',
+          'Eco Shop\'lar hanelerden kullanılmış ürünleri alıp ikinci el olarak satar'
         ]
       },
       7: {
@@ -304,6 +328,8 @@ export class LevelUnlocks {
   }
 }
 
-// Global instance
-window.levelUnlocks = LevelUnlocks;
+// Global instance (browser only)
+if (typeof window !== 'undefined') {
+  window.levelUnlocks = LevelUnlocks;
+}
 
@@ -4,6 +4,12 @@
  */
 
 export class Market {
+  /**
+   * Simulation this market belongs to (set by the Simulation)
+   * @type {Simulation | null}
+   */
+  simulation = null;
+
   constructor() {
     /**
      * Base prices for products (can fluctuate)
@@ -22,6 +28,9 @@ export class Market {
       'steel-beam': 650,    // Market price (Eco Shop: 800)
       'steel-structure': 900, // Market price (Eco Shop: 1100)
       
+      // Technology intermediates
+      'electronic-components': 300,
+      
       // Automotive products (Grade 1)
       'electric-bike': 1200, // Market price (Eco Shop: 1400)
       'electric-car': 1700,  // Market price (Eco Shop: 2000)
@@ -32,7 +41,9 @@ export class Market {
     };
     
     /**
-     * Eco Shop prices (15-20% premium over market)
+     * Eco Shop prices (15-20% premium over market), and under `secondHand`
+     * what the shop's second-hand section pays a household for a used
+     * product and what it resells it for
      * @type {Object}
      */
     this.ecoShopPrices = {
@@ -43,7 +54,13 @@ export class Market {
       'steel-beam': 800,    // +23% premium
       'steel-structure': 1100, // +22% premium
       'electric-bike': 1400, // +17% premium
-      'electric-car': 2000   // +18% premium
+      'electric-car': 2000,  // +18% premium
+      secondHand: {
+        'clothing': { buy: 80, sell: 220 },
+        'sports-gear': { buy: 120, sell: 300 },
+        'smartphone': { buy: 150, sell: 400 },
+        'laptop': { buy: 300, sell: 800 }
+      }
     };
     
     /**
@@ -131,18 +148,19 @@ export class Market {
     }
     
     this.lastPriceUpdate = currentTick;
+    const random = this.simulation.random;
     
     // Fluctuate product prices
     Object.keys(this.productPrices).forEach(product => {
       const basePrice = this.productPrices[product];
-      const fluctuation = (Math.random() - 0.5) * 2 * this.priceVolatility; // -10% to +10%
+      const fluctuation = (random.next() - 0.5) * 2 * this.priceVolatility; // -10% to +10%
       this.productPrices[product] = Math.max(basePrice * 0.5, basePrice * (1 + fluctuation));
     });
     
     // Fluctuate raw material prices
     Object.keys(this.rawMaterialPrices).forEach(material => {
       const basePrice = this.rawMaterialPrices[material];
-      const fluctuation = (Math.random() - 0.5) * 2 * this.priceVolatility;
+      const fluctuation = (random.next() - 0.5) * 2 * this.priceVolatility;
       this.rawMaterialPrices[material] = Math.max(basePrice * 0.5, basePrice * (1 + fluctuation));
     });
   }
@@ -159,7 +177,7 @@ export class Market {
     }
     
     // Check sales policy
-    const salesPolicy = window.cityPolicies?.salesPolicy || 'auto';
+    const salesPolicy = this.simulation?.cityPolicies?.salesPolicy || 'auto';
     
     // If policy is 'store', don't sell anything
     if (salesPolicy === 'store') {
@@ -192,16 +210,23 @@ export class Market {
     
     // Check if there are Eco Shops (for premium pricing)
     let hasEcoShop = false;
-    if (window.game && window.game.city) {
-      window.game.city.traverse((obj) => {
+    const city = this.simulation?.city;
+    if (city) {
+      city.traverse((obj) => {
         if (obj.building && obj.building.type === 'commercial') {
           hasEcoShop = true;
         }
       });
     }
     
+    // Intermediate goods are kept for the factories that consume them
+    const reserved = this.getReservedIntermediates(resourceManager);
+    
     // Sell products based on auto-sell rate
     products.forEach(product => {
+      if (reserved.has(product)) {
+        return;
+      }
       const currentAmount = resourceManager.getResource(product);
       if (currentAmount > 0) {
         const toSell = Math.min(this.autoSellRate, currentAmount);
@@ -220,6 +245,9 @@ export class Market {
           // Add money
           gameState.addMoney(earnings);
           
+          // Sold products come back as waste at the end of their lifetime
+          city?.productLifecycle?.recordSale(product, toSell);
+          
           totalEarned += earnings;
         }
       }
@@ -228,6 +256,38 @@ export class Market {
     return totalEarned;
   }
   
+  /**
+   * Get the intermediate goods that a factory in the city can use right now
+   * @param {ResourceManager} resourceManager 
+   * @returns {Set<string>}
+   */
+  getReservedIntermediates(resourceManager) {
+    const reserved = new Set();
+    const city = this.simulation?.city;
+    if (!city) {
+      return reserved;
+    }
+
+    city.traverse((obj) => {
+      const building = obj.building;
+      if (!building || !building.recipes || !building.canProduce) {
+        return;
+      }
+      building.recipes.forEach(recipe => {
+        if (!building.canProduce(recipe)) {
+          return;
+        }
+        Object.keys(recipe.inputs).forEach(input => {
+          if (resourceManager.getCategory(input) === 'intermediate') {
+            reserved.add(input);
+          }
+        });
+      });
+    });
+
+    return reserved;
+  }
+
   /**
    * Get product price (market or eco shop)
    * @param {string} product 
@@ -241,6 +301,17 @@ export class Market {
     return this.productPrices[product] || 0;
   }
   
+  /**
+   * Get second-hand price at Eco Shops
+   * @param {string} product 
+   * @param {'buy' | 'sell'} side 'buy' for the price paid to households,
+   * 'sell' for the resale price
+   * @returns {number}
+   */
+  getSecondHandPrice(product, side) {
+    return this.ecoShopPrices.secondHand[product]?.[side] || 0;
+  }
+  
   /**
    * Auto-buy raw materials when needed
    * @param {ResourceManager} resourceManager 
@@ -360,8 +431,45 @@ export class Market {
   getMaterialPrice(material) {
     return this.rawMaterialPrices[material] || 0;
   }
+
+  /**
+   * Returns the current prices and timers as plain data for saving
+   * @returns {object}
+   */
+  serialize() {
+    return {
+      productPrices: { ...this.productPrices },
+      ecoShopPrices: {
+        ...this.ecoShopPrices,
+        secondHand: Object.fromEntries(
+          Object.entries(this.ecoShopPrices.secondHand).map(([product, prices]) => [product, { ...prices }]))
+      },
+      rawMaterialPrices: { ...this.rawMaterialPrices },
+      lastPriceUpdate: this.lastPriceUpdate,
+      autoSellEnabled: this.autoSellEnabled,
+      autoBuyEnabled: this.autoBuyEnabled
+    };
+  }
+
+  /**
+   * Restores the market from the output of `serialize()`. Saved prices are
+   * merged over the defaults so products added since the save keep a price.
+   * @param {object} data
+   */
+  deserialize(data) {
+    Object.assign(this.productPrices, data.productPrices);
+    const { secondHand, ...ecoShopPrices } = data.ecoShopPrices ?? {};
+    Object.assign(this.ecoShopPrices, ecoShopPrices);
+    Object.assign(this.ecoShopPrices.secondHand, secondHand);
+    Object.assign(this.rawMaterialPrices, data.rawMaterialPrices);
+    this.lastPriceUpdate = data.lastPriceUpdate ?? 0;
+    this.autoSellEnabled = data.autoSellEnabled ?? true;
+    this.autoBuyEnabled = data.autoBuyEnabled ?? false;
+  }
 }
 
-// Global instance
-window.market = new Market();
+// Global instance (browser only)
+if (typeof window !== 'undefined') {
+  window.market = new Market();
+}
 
@@ -1,8 +1,16 @@
+import config from './config.js';
+
 /**
  * Mission & Event System
  * Handles story missions, crises, and random events
  */
 export class MissionSystem {
+  /**
+   * Simulation this mission system belongs to (set by the Simulation)
+   * @type {Simulation | null}
+   */
+  simulation = null;
+
   constructor() {
     this.activeMissions = [];
     this.completedMissions = [];
@@ -15,6 +23,11 @@ export class MissionSystem {
    * Update mission system (called every tick)
    */
   update() {
+    // End events whose time is up
+    this.activeEvents
+      .filter(event => event.remainingTicks !== null && --event.remainingTicks <= 0)
+      .forEach(event => this.endEvent(event));
+
     // Check for new events
     this.eventCooldown++;
     if (this.eventCooldown >= this.eventInterval) {
@@ -45,7 +58,7 @@ export class MissionSystem {
    */
   checkRandomEvent() {
     // 20% chance of random event
-    if (Math.random() < 0.2) {
+    if (this.simulation.random.chance(0.2)) {
       this.triggerRandomEvent();
     }
   }
@@ -54,17 +67,32 @@ export class MissionSystem {
    * Trigger a random event
    */
   triggerRandomEvent() {
-    const events = [
+    const event = this.simulation.random.pick(this.getEventDefinitions());
+    this.activateEvent(event);
+  }
+
+  /**
+   * Get random event definitions. Events are looked up here by id when a
+   * saved game is restored, so running events get their effects back.
+   *
+   * Effects that modify buildings set `restoreEffect`, since buildings are
+   * rebuilt from their base values on load and the effect has to be applied
+   * again. Effects on city policies are saved with the policies themselves.
+   */
+  getEventDefinitions() {
+    return [
       {
         id: 'energy-shortage',
         type: 'crisis',
         title: '⚡ Enerji Kıtlığı',
         description: 'Bölgede enerji kıtlığı yaşanıyor! Enerji tüketimi %20 artacak.',
         duration: 30, // 30 seconds
+        restoreEffect: true,
         effect: () => {
           // Increase energy consumption by 20%
-          if (window.game && window.game.city) {
-            window.game.city.traverse((obj) => {
+          const city = this.simulation?.city;
+          if (city) {
+            city.traverse((obj) => {
               if (obj.building && obj.building.energyConsumption) {
                 obj.building.energyConsumption *= 1.2;
               }
@@ -73,8 +101,9 @@ export class MissionSystem {
         },
         endEffect: () => {
           // Restore normal energy consumption
-          if (window.game && window.game.city) {
-            window.game.city.traverse((obj) => {
+          const city = this.simulation?.city;
+          if (city) {
+            city.traverse((obj) => {
               if (obj.building && obj.building.energyConsumption) {
                 obj.building.energyConsumption /= 1.2;
               }
@@ -89,8 +118,9 @@ export class MissionSystem {
         description: 'Yeni yönetmelik gereği geri dönüşüm verimliliği %15 artacak!',
         duration: 0, // Permanent until next event
         effect: () => {
-          if (window.cityPolicies) {
-            window.cityPolicies.recyclingPriority = Math.min(100, window.cityPolicies.recyclingPriority + 15);
+          const cityPolicies = this.simulation?.cityPolicies;
+          if (cityPolicies) {
+            cityPolicies.recyclingPriority = Math.min(100, cityPolicies.recyclingPriority + 15);
           }
         }
       },
@@ -111,9 +141,11 @@ export class MissionSystem {
         title: '🗑️ Atık Krizi',
         description: 'Atık seviyesi kritik! Atık üretimi %30 artacak.',
         duration: 40,
+        restoreEffect: true,
         effect: () => {
-          if (window.game && window.game.city) {
-            window.game.city.traverse((obj) => {
+          const city = this.simulation?.city;
+          if (city) {
+            city.traverse((obj) => {
               if (obj.building && obj.building.baseWasteProduction) {
                 obj.building.baseWasteProduction *= 1.3;
               }
@@ -121,8 +153,9 @@ export class MissionSystem {
           }
         },
         endEffect: () => {
-          if (window.game && window.game.city) {
-            window.game.city.traverse((obj) => {
+          const city = this.simulation?.city;
+          if (city) {
+            city.traverse((obj) => {
               if (obj.building && obj.building.baseWasteProduction) {
                 obj.building.baseWasteProduction /= 1.3;
               }
@@ -136,10 +169,12 @@ export class MissionSystem {
         title: '🌱 Yeşil Girişim',
         description: 'Yenilenebilir enerji teşviki! Enerji üretimi %20 artacak.',
         duration: 50,
+        restoreEffect: true,
         effect: () => {
           // Increase energy production
-          if (window.game && window.game.city) {
-            window.game.city.traverse((obj) => {
+          const city = this.simulation?.city;
+          if (city) {
+            city.traverse((obj) => {
               if (obj.building && (obj.building.type === 'solar-panel' || 
                   obj.building.type === 'wind-turbine' || 
                   obj.building.type === 'hydro-plant')) {
@@ -149,8 +184,9 @@ export class MissionSystem {
           }
         },
         endEffect: () => {
-          if (window.game && window.game.city) {
-            window.game.city.traverse((obj) => {
+          const city = this.simulation?.city;
+          if (city) {
+            city.traverse((obj) => {
               if (obj.building && (obj.building.type === 'solar-panel' || 
                   obj.building.type === 'wind-turbine' || 
                   obj.building.type === 'hydro-plant')) {
@@ -161,9 +197,6 @@ export class MissionSystem {
         }
       }
     ];
-
-    const event = events[Math.floor(Math.random() * events.length)];
-    this.activateEvent(event);
   }
 
   /**
@@ -172,8 +205,7 @@ export class MissionSystem {
   activateEvent(event) {
     const activeEvent = {
       ...event,
-      startTime: Date.now(),
-      endTime: event.duration > 0 ? Date.now() + (event.duration * 1000) : null,
+      remainingTicks: event.duration > 0 ? this.#toTicks(event.duration * 1000) : null,
       active: true
     };
 
@@ -185,16 +217,20 @@ export class MissionSystem {
     }
 
     // Show notification
-    if (window.ui) {
-      window.ui.showEventNotification(activeEvent);
+    const ui = this.simulation?.ui;
+    if (ui) {
+      ui.showEventNotification(activeEvent);
     }
+  }
 
-    // Set timeout for event end if it has duration
-    if (activeEvent.endTime) {
-      setTimeout(() => {
-        this.endEvent(activeEvent);
-      }, activeEvent.duration * 1000);
-    }
+  /**
+   * Converts a real-time duration to simulation ticks, so events run on
+   * the game clock and stand still while the game is paused
+   * @param {number} ms Duration in milliseconds
+   * @returns {number}
+   */
+  #toTicks(ms) {
+    return Math.max(1, Math.ceil(ms / config.simulation.tickDuration));
   }
 
   /**
@@ -207,8 +243,9 @@ export class MissionSystem {
     }
     this.activeEvents = this.activeEvents.filter(e => e.id !== event.id);
     
-    if (window.ui) {
-      window.ui.showEventEndNotification(event);
+    const ui = this.simulation?.ui;
+    if (ui) {
+      ui.showEventEndNotification(event);
     }
   }
 
@@ -220,8 +257,9 @@ export class MissionSystem {
     mission.progress = 0;
     this.activeMissions.push(mission);
     
-    if (window.ui) {
-      window.ui.showMissionNotification(mission);
+    const ui = this.simulation?.ui;
+    if (ui) {
+      ui.showMissionNotification(mission);
     }
   }
 
@@ -229,23 +267,26 @@ export class MissionSystem {
    * Complete a mission
    */
   completeMission(mission) {
+    const { gameState, resourceManager } = this.simulation ?? {};
+
     // Give rewards
     if (mission.rewards) {
-      if (mission.rewards.money && window.gameState) {
-        window.gameState.addMoney(mission.rewards.money);
+      if (mission.rewards.money && gameState) {
+        gameState.addMoney(mission.rewards.money);
       }
-      if (mission.rewards.xp && window.gameState) {
-        window.gameState.addXP(mission.rewards.xp);
+      if (mission.rewards.xp && gameState) {
+        gameState.addXP(mission.rewards.xp);
       }
-      if (mission.rewards.resources && window.resourceManager) {
+      if (mission.rewards.resources && resourceManager) {
         Object.entries(mission.rewards.resources).forEach(([resource, amount]) => {
-          window.resourceManager.addResource(resource, amount);
+          resourceManager.addResource(resource, amount);
         });
       }
     }
 
-    if (window.ui) {
-      window.ui.showMissionCompleteNotification(mission);
+    const ui = this.simulation?.ui;
+    if (ui) {
+      ui.showMissionCompleteNotification(mission);
     }
   }
 
@@ -260,9 +301,10 @@ export class MissionSystem {
         description: 'Bir tekstil fabrikası kurarak üretime başlayın.',
         type: 'tutorial',
         checkProgress: () => {
-          if (window.game && window.game.city) {
+          const city = this.simulation?.city;
+          if (city) {
             let hasFactory = false;
-            window.game.city.traverse((obj) => {
+            city.traverse((obj) => {
               if (obj.building && obj.building.type === 'textile-factory') {
                 hasFactory = true;
               }
@@ -283,17 +325,19 @@ export class MissionSystem {
         description: 'Bir geri dönüşüm merkezi kurun ve atıkları geri dönüştürün.',
         type: 'tutorial',
         checkProgress: () => {
-          if (window.game && window.game.city) {
+          const city = this.simulation?.city;
+          if (city) {
             let hasRecycling = false;
-            window.game.city.traverse((obj) => {
+            city.traverse((obj) => {
               if (obj.building && obj.building.type === 'recycling-center') {
                 hasRecycling = true;
               }
             });
-            if (hasRecycling && window.resourceManager) {
-              const recycled = window.resourceManager.getResource('recycled-fabric') + 
-                               window.resourceManager.getResource('recycled-metal') + 
-                               window.resourceManager.getResource('recycled-plastic');
+            const resourceManager = this.simulation?.resourceManager;
+            if (hasRecycling && resourceManager) {
+              const recycled = resourceManager.getResource('recycled-fabric') + 
+                               resourceManager.getResource('recycled-metal') + 
+                               resourceManager.getResource('recycled-plastic');
               if (recycled > 0) {
                 this.activeMissions.find(m => m.id === 'first-recycling').completed = true;
               }
@@ -311,9 +355,10 @@ export class MissionSystem {
         description: 'En az 3 enerji üreten bina kurun (Solar, Rüzgar veya Hidro).',
         type: 'goal',
         checkProgress: () => {
-          if (window.game && window.game.city) {
+          const city = this.simulation?.city;
+          if (city) {
             let energyCount = 0;
-            window.game.city.traverse((obj) => {
+            city.traverse((obj) => {
               if (obj.building && (obj.building.type === 'solar-panel' || 
                   obj.building.type === 'wind-turbine' || 
                   obj.building.type === 'hydro-plant')) {
@@ -342,8 +387,94 @@ export class MissionSystem {
       this.startMission(mission);
     });
   }
+
+  /**
+   * Returns missions and running events as plain data for saving. Missions
+   * and events are stored by id and rebuilt from their definitions on load.
+   * @returns {object}
+   */
+  serialize() {
+    return {
+      activeMissions: this.activeMissions.map(mission => ({
+        id: mission.id,
+        progress: mission.progress,
+        completed: mission.completed
+      })),
+      completedMissions: this.completedMissions.map(mission => mission.id),
+      activeEvents: this.activeEvents.map(event => ({
+        id: event.id,
+        remainingTicks: event.remainingTicks
+      })),
+      eventCooldown: this.eventCooldown
+    };
+  }
+
+  /**
+   * Restores missions and running events from the output of `serialize()`.
+   * Event effects are not applied here since the city is not rebuilt yet;
+   * call `restoreEventEffects()` once the buildings have been restored.
+   * @param {object} data
+   */
+  deserialize(data) {
+    const missions = this.getInitialMissions();
+    const findMission = (id) => missions.find(mission => mission.id === id);
+
+    this.activeMissions = [];
+    for (const saved of data.activeMissions ?? []) {
+      const mission = findMission(saved.id);
+      if (!mission) {
+        console.warn(`Unknown mission in save: ${saved.id}`);
+        continue;
+      }
+      mission.progress = saved.progress ?? 0;
+      mission.completed = saved.completed ?? false;
+      this.activeMissions.push(mission);
+    }
+
+    this.completedMissions = (data.completedMissions ?? [])
+      .map(id => findMission(id))
+      .filter(mission => mission);
+    this.completedMissions.forEach(mission => {
+      mission.completed = true;
+    });
+
+    const events = this.getEventDefinitions();
+    this.activeEvents = [];
+    for (const saved of data.activeEvents ?? []) {
+      const event = events.find(e => e.id === saved.id);
+      if (!event) {
+        console.warn(`Unknown event in save: ${saved.id}`);
+        continue;
+      }
+      // Older saves store the time left in milliseconds
+      let remainingTicks = saved.remainingTicks ?? null;
+      if (saved.remainingTicks === undefined && typeof saved.remaining === 'number') {
+        remainingTicks = this.#toTicks(saved.remaining);
+      }
+      this.activeEvents.push({
+        ...event,
+        remainingTicks,
+        active: true
+      });
+    }
+
+    this.eventCooldown = data.eventCooldown ?? 0;
+  }
+
+  /**
+   * Applies the effects of restored events to the rebuilt city
+   */
+  restoreEventEffects() {
+    this.activeEvents.forEach(event => {
+      if (event.restoreEffect && event.effect) {
+        event.effect();
+      }
+    });
+  }
 }
 
-// Global instance
-window.missionSystem = new MissionSystem();
+// Global instance (browser only)
+if (typeof window !== 'undefined') {
+  window.missionSystem = new MissionSystem();
+}
 
@@ -1,8 +1,48 @@
 /**
  * Resource Management System
- * Manages all game resources: raw materials, products, waste, and recycled materials
+ * Manages all game resources: raw materials, intermediate goods, products,
+ * waste, and recycled materials
  */
 export class ResourceManager {
+  /**
+   * Category of every resource. Intermediate goods are made by one factory
+   * and consumed by another (e.g. steel beams by automotive factories).
+   * @type {Object<string, 'raw' | 'intermediate' | 'product' | 'waste' | 'recycled'>}
+   */
+  static categories = {
+    'raw-fabric': 'raw',
+    'raw-plastic': 'raw',
+    'raw-metal': 'raw',
+    'raw-electronics': 'raw',
+    'raw-glass': 'raw',
+    'steel-beam': 'intermediate',
+    'steel-structure': 'intermediate',
+    'electronic-components': 'intermediate',
+    'clothing': 'product',
+    'sports-gear': 'product',
+    'smartphone': 'product',
+    'laptop': 'product',
+    'electric-car': 'product',
+    'electric-bike': 'product',
+    'fertilizer': 'product',
+    'compost': 'product',
+    'textile-waste': 'waste',
+    'e-waste': 'waste',
+    'scrap-metal': 'waste',
+    'plastic-waste': 'waste',
+    'organic-waste': 'waste',
+    'recycled-fabric': 'recycled',
+    'recycled-metal': 'recycled',
+    'recycled-plastic': 'recycled',
+    'recycled-electronics': 'recycled'
+  };
+
+  /**
+   * Simulation these resources belong to (set by the Simulation)
+   * @type {Simulation | null}
+   */
+  simulation = null;
+
   constructor() {
     // Starting resources
     this.resources = {
@@ -13,13 +53,16 @@ export class ResourceManager {
       'raw-electronics': 30, // Increased from 15
       'raw-glass': 20,    // Increased from 10
       
+      // Intermediate goods
+      'steel-beam': 0,
+      'steel-structure': 0,
+      'electronic-components': 0,
+      
       // Products
       'clothing': 0,
       'sports-gear': 0,
       'smartphone': 0,
       'laptop': 0,
-      'steel-beam': 0,
-      'steel-structure': 0,
       'electric-car': 0,
       'electric-bike': 0,
       'fertilizer': 0,
@@ -65,8 +108,12 @@ export class ResourceManager {
     const current = this.resources[resourceType];
     
     if (limit > 0 && current + amount > limit) {
-      // Limit reached
+      // Limit reached, waste that does not fit goes to a landfill
       this.resources[resourceType] = limit;
+      const city = this.simulation?.city;
+      if (this.getCategory(resourceType) === 'waste' && city) {
+        city.landfills.dump(city, resourceType, current + amount - limit);
+      }
       this.updateUI();
       return false;
     }
@@ -163,6 +210,24 @@ export class ResourceManager {
     return (totalWaste / totalCapacity) * 100;
   }
 
+  /**
+   * Get the category of a resource
+   * @param {string} resourceType 
+   * @returns {string | null}
+   */
+  getCategory(resourceType) {
+    return ResourceManager.categories[resourceType] || null;
+  }
+
+  /**
+   * Get all resource types in a category
+   * @param {'raw' | 'intermediate' | 'product' | 'waste' | 'recycled'} category 
+   * @returns {string[]}
+   */
+  getResourcesByCategory(category) {
+    return Object.keys(ResourceManager.categories).filter(type => ResourceManager.categories[type] === category);
+  }
+
   /**
    * Get all resources as object
    * @returns {Object}
@@ -175,8 +240,9 @@ export class ResourceManager {
    * Update UI
    */
   updateUI() {
-    if (window.ui && window.ui.updateResources) {
-      window.ui.updateResources(this);
+    const ui = this.simulation?.ui;
+    if (ui && ui.updateResources) {
+      ui.updateResources(this);
     }
   }
 
@@ -190,12 +256,13 @@ export class ResourceManager {
       'raw-metal': 20,
       'raw-electronics': 15,
       'raw-glass': 10,
+      'steel-beam': 0,
+      'steel-structure': 0,
+      'electronic-components': 0,
       'clothing': 0,
       'sports-gear': 0,
       'smartphone': 0,
       'laptop': 0,
-      'steel-beam': 0,
-      'steel-structure': 0,
       'electric-car': 0,
       'electric-bike': 0,
       'fertilizer': 0,
@@ -214,6 +281,8 @@ export class ResourceManager {
   }
 }
 
-// Global resource manager instance
-window.resourceManager = new ResourceManager();
+// Global resource manager instance (browser only)
+if (typeof window !== 'undefined') {
+  window.resourceManager = new ResourceManager();
+}
 
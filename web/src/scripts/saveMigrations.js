@@ -0,0 +1,132 @@
+/**
+ * Save Migrations - Upgrades save data written by older versions of the game
+ *
+ * Every change to the save format bumps SAVE_VERSION and registers a
+ * migration from the previous version. Loading runs the migrations one
+ * after another until the data reaches the current version.
+ */
+
+/**
+ * Version written into new saves
+ * @type {string}
+ */
+export const SAVE_VERSION = '1.3';
+
+/**
+ * Thrown when save data cannot be brought up to the current version
+ */
+export class SaveVersionError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} version Version of the rejected save
+   */
+  constructor(message, version) {
+    super(message);
+    this.name = 'SaveVersionError';
+    this.version = version;
+  }
+}
+
+/**
+ * Registered migrations, keyed by the version they upgrade from
+ * @type {Map<string, { to: string, migrate: (saveData: object) => void }>}
+ */
+const migrations = new Map();
+
+/**
+ * Registers a migration that upgrades save data in place from one version
+ * to the next
+ * @param {string} from
+ * @param {string} to
+ * @param {(saveData: object) => void} migrate
+ */
+export function registerMigration(from, to, migrate) {
+  migrations.set(from, { to, migrate });
+}
+
+/**
+ * Compares two "major.minor" version strings
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} Negative if a is older than b, positive if newer, 0 if equal
+ */
+export function compareVersions(a, b) {
+  const partsA = String(a).split('.').map(Number);
+  const partsB = String(b).split('.').map(Number);
+  for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+    const diff = (partsA[i] || 0) - (partsB[i] || 0);
+    if (diff !== 0) {
+      return diff;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Upgrades save data to SAVE_VERSION
+ * @param {object} saveData Parsed save data. Migrated in place
+ * @returns {object} The migrated save data
+ * @throws {SaveVersionError} If the save is from a newer version or no migration path exists
+ */
+export function migrateSave(saveData) {
+  // Saves from before versioning was introduced are treated as 1.0
+  let version = saveData.version || '1.0';
+
+  if (compareVersions(version, SAVE_VERSION) > 0) {
+    throw new SaveVersionError(
+      `Bu kayıt oyunun daha yeni bir sürümüyle oluşturulmuş (v${version}). Yüklemek için oyunu güncelleyin.`,
+      version
+    );
+  }
+
+  while (compareVersions(version, SAVE_VERSION) < 0) {
+    const migration = migrations.get(version);
+    if (!migration) {
+      throw new SaveVersionError(`Kayıt sürümü v${version} yükseltilemiyor.`, version);
+    }
+    migration.migrate(saveData);
+    version = migration.to;
+    saveData.version = version;
+  }
+
+  return saveData;
+}
+
+// 1.0 -> 1.1: buildings serialize their own state. Older saves stored the
+// development state of zones as flat fields.
+registerMigration('1.0', '1.1', (saveData) => {
+  for (const buildingData of saveData.city?.buildings ?? []) {
+    if (buildingData.developmentState && !buildingData.development) {
+      buildingData.development = {
+        state: buildingData.developmentState,
+        level: buildingData.developmentLevel || 1
+      };
+      delete buildingData.developmentState;
+      delete buildingData.developmentLevel;
+    }
+  }
+});
+
+// 1.1 -> 1.2: intermediate goods. Electronic components were added to the
+// resources.
+registerMigration('1.1', '1.2', (saveData) => {
+  if (saveData.resources) {
+    saveData.resources['electronic-components'] ??= 0;
+  }
+});
+
+// 1.2 -> 1.3: buildings keep goods in local storage. Eco shops stored
+// their inventory and purchase progress as flat fields.
+registerMigration('1.2', '1.3', (saveData) => {
+  for (const buildingData of saveData.city?.buildings ?? []) {
+    if (buildingData.type === 'commercial' && buildingData.inventory && !buildingData.storage) {
+      buildingData.storage = {
+        input: buildingData.inventory,
+        output: {},
+        inflowCredit: buildingData.purchaseProgress ?? 0
+      };
+      delete buildingData.inventory;
+      delete buildingData.purchaseProgress;
+    }
+  }
+});
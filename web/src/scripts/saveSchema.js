@@ -0,0 +1,254 @@
+/**
+ * Save Schema - Describes the shape of save data and validates it before it
+ * is applied, so a broken or hand-edited file cannot half-load a city
+ */
+
+const number = { type: 'number' };
+const string = { type: 'string' };
+const optionalObject = { type: ['object', 'null'] };
+
+/**
+ * Schema of the save payload. Supports `type` (single or list), `required`,
+ * `properties`, `additionalProperties` and `items`.
+ * @type {object}
+ */
+export const SAVE_SCHEMA = {
+  type: 'object',
+  required: ['gameState', 'resources', 'city'],
+  properties: {
+    version: string,
+    timestamp: number,
+    gameState: {
+      type: 'object',
+      required: ['money', 'level'],
+      properties: {
+        money: number,
+        energy: number,
+        level: number,
+        xp: number,
+        circularScore: number
+      }
+    },
+    resources: {
+      type: 'object',
+      additionalProperties: number
+    },
+    city: {
+      type: 'object',
+      required: ['size', 'buildings'],
+      properties: {
+        name: string,
+        size: number,
+        buildings: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['x', 'y', 'type'],
+            properties: {
+              x: number,
+              y: number,
+              type: string,
+              name: string
+            }
+          }
+        },
+        logistics: {
+          type: ['object', 'null'],
+          properties: {
+            shipments: {
+              type: 'array',
+              items: {
+                type: 'object',
+                required: ['resource', 'amount', 'remaining'],
+                properties: {
+                  resource: string,
+                  amount: number,
+                  remaining: number,
+                  from: optionalObject,
+                  to: optionalObject
+                }
+              }
+            },
+            trucks: {
+              type: 'array',
+              items: {
+                type: 'object',
+                required: ['origin', 'destination', 'manifest'],
+                properties: {
+                  origin: { type: 'object' },
+                  destination: { type: 'object' },
+                  manifest: { type: 'object', additionalProperties: number },
+                  distance: number,
+                  routeStart: optionalObject,
+                  routeEnd: optionalObject
+                }
+              }
+            }
+          }
+        },
+        wasteCollection: {
+          type: ['object', 'null'],
+          properties: {
+            trucks: {
+              type: 'array',
+              items: {
+                type: 'object',
+                required: ['origin', 'destination', 'manifest', 'capacity'],
+                properties: {
+                  origin: { type: 'object' },
+                  destination: { type: 'object' },
+                  manifest: { type: 'object', additionalProperties: number },
+                  capacity: number,
+                  distance: number,
+                  routeStart: optionalObject,
+                  routeEnd: optionalObject
+                }
+              }
+            }
+          }
+        },
+        transit: {
+          type: ['object', 'null'],
+          properties: {
+            nextRouteId: number,
+            routes: {
+              type: 'array',
+              items: {
+                type: 'object',
+                required: ['id', 'depot', 'stops', 'buses'],
+                properties: {
+                  id: number,
+                  depot: { type: 'object' },
+                  stops: { type: 'array', items: { type: 'object' } },
+                  buses: number
+                }
+              }
+            }
+          }
+        },
+        traffic: {
+          type: ['object', 'null'],
+          properties: {
+            load: { type: 'object', additionalProperties: number }
+          }
+        },
+        demographics: {
+          type: ['object', 'null'],
+          properties: {
+            attractiveness: number,
+            thisYear: { type: 'object', additionalProperties: number },
+            lastYear: { type: 'object', additionalProperties: number },
+            yearProgress: number
+          }
+        },
+        productLifecycle: {
+          type: ['object', 'null'],
+          properties: {
+            cohorts: {
+              type: 'array',
+              items: {
+                type: 'object',
+                required: ['product', 'amount', 'remaining'],
+                properties: {
+                  product: string,
+                  amount: number,
+                  remaining: number
+                }
+              }
+            },
+            totals: { type: 'object', additionalProperties: number }
+          }
+        },
+        landfills: {
+          type: ['object', 'null'],
+          properties: {
+            totalLandfilled: number,
+            totalDumped: number
+          }
+        }
+      }
+    },
+    cityPolicies: optionalObject,
+    tutorialState: optionalObject,
+    market: optionalObject,
+    globalPollution: optionalObject,
+    missionSystem: optionalObject,
+    currentTick: number,
+    random: {
+      type: ['object', 'null'],
+      properties: {
+        seed: number,
+        state: number
+      }
+    }
+  }
+};
+
+/**
+ * Returns the schema type name of a value
+ * @param {any} value
+ * @returns {string}
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && !Number.isFinite(value)) return 'non-finite number';
+  return typeof value;
+}
+
+/**
+ * Checks a value against a schema node, collecting errors
+ * @param {any} value
+ * @param {object} schema
+ * @param {string} path
+ * @param {string[]} errors
+ */
+function check(value, schema, path, errors) {
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+  const actual = typeOf(value);
+  if (!types.includes(actual)) {
+    errors.push(`${path}: expected ${types.join(' or ')}, got ${actual}`);
+    return;
+  }
+
+  if (actual === 'object') {
+    for (const key of schema.required ?? []) {
+      if (!(key in value)) {
+        errors.push(`${path}.${key}: missing`);
+      }
+    }
+    for (const [key, child] of Object.entries(value)) {
+      const childSchema = schema.properties?.[key] ?? schema.additionalProperties;
+      if (childSchema && child !== undefined) {
+        check(child, childSchema, `${path}.${key}`, errors);
+      }
+    }
+  }
+
+  if (actual === 'array' && schema.items) {
+    value.forEach((item, i) => check(item, schema.items, `${path}[${i}]`, errors));
+  }
+}
+
+/**
+ * Validates save data against SAVE_SCHEMA
+ * @param {any} saveData
+ * @returns {string[]} Validation errors. Empty if the data is valid
+ */
+export function validateSaveData(saveData) {
+  const errors = [];
+  check(saveData, SAVE_SCHEMA, 'save', errors);
+
+  // Buildings must lie on the map
+  if (errors.length === 0) {
+    const size = saveData.city.size;
+    saveData.city.buildings.forEach((building, i) => {
+      if (!Number.isInteger(building.x) || !Number.isInteger(building.y) ||
+          building.x < 0 || building.y < 0 || building.x >= size || building.y >= size) {
+        errors.push(`save.city.buildings[${i}]: position (${building.x}, ${building.y}) is outside the city`);
+      }
+    });
+  }
+
+  return errors;
+}
@@ -4,113 +4,270 @@
 
 // Import createBuilding for reconstruction
 import { createBuilding } from './sim/buildings/buildingFactory.js';
+import { SAVE_VERSION, SaveVersionError, migrateSave } from './saveMigrations.js';
+import { validateSaveData } from './saveSchema.js';
 
-const SAVE_KEY = 'circularWorld_save';
+// Single save written by versions before save slots existed
+const LEGACY_SAVE_KEY = 'circularWorld_save';
+
+// Metadata of all save slots
+const SLOT_INDEX_KEY = 'circularWorld_slots';
+
+// Slot that is loaded on start and written by auto-save
+const ACTIVE_SLOT_KEY = 'circularWorld_activeSlot';
+
+// Prefix of the keys holding the save data of each slot
+const SLOT_KEY_PREFIX = 'circularWorld_slot_';
+
+// File extension of exported saves
+const EXPORT_EXTENSION = '.circularworld.json';
+
+// Metadata of the rotating autosave history, most recent last
+const AUTOSAVE_INDEX_KEY = 'circularWorld_autosaves';
+
+// Prefix of the keys holding the save data of each autosave
+const AUTOSAVE_KEY_PREFIX = 'circularWorld_autosave_';
+
+// Present while a game is running. Still being there on startup means the
+// previous session did not shut down cleanly
+const SESSION_KEY = 'circularWorld_session';
 
 /**
- * Serialize game state to JSON
+ * Reads the slot index, moving a legacy single save into a slot first
+ * @returns {object[]}
  */
-export function saveGame() {
+function readSlotIndex() {
+  let slots = [];
   try {
-    if (!window.gameState || !window.resourceManager || !window.game || !window.game.city) {
-      console.error('Cannot save: Game not initialized');
-      return false;
+    slots = JSON.parse(localStorage.getItem(SLOT_INDEX_KEY)) || [];
+  } catch (error) {
+    console.error('Invalid save slot index:', error);
+  }
+
+  const legacySave = localStorage.getItem(LEGACY_SAVE_KEY);
+  if (legacySave) {
+    try {
+      const saveData = JSON.parse(legacySave);
+      const id = createSlotId();
+      localStorage.setItem(SLOT_KEY_PREFIX + id, legacySave);
+      slots.push({
+        ...getSlotMetadata(saveData),
+        id,
+        name: saveData.city?.name || 'Kayıt',
+        thumbnail: null
+      });
+      writeSlotIndex(slots);
+      if (!localStorage.getItem(ACTIVE_SLOT_KEY)) {
+        localStorage.setItem(ACTIVE_SLOT_KEY, id);
+      }
+      localStorage.removeItem(LEGACY_SAVE_KEY);
+    } catch (error) {
+      console.error('Error importing legacy save:', error);
     }
+  }
 
-    const saveData = {
-      version: '1.0',
-      timestamp: Date.now(),
-      
-      // Game State
-      gameState: {
-        money: window.gameState.money,
-        energy: window.gameState.energy,
-        level: window.gameState.level,
-        xp: window.gameState.xp,
-        circularScore: window.gameState.circularScore
-      },
-      
-      // Resources
-      resources: { ...window.resourceManager.resources },
-      
-      // City
-      city: {
-        name: window.game.city.cityName || window.game.city.name || 'My City',
-        size: window.game.city.size,
-        simTime: window.game.city.simTime,
-        buildings: []
-      },
-      
-      // City Policies
-      cityPolicies: window.cityPolicies ? {
-        recyclingPriority: window.cityPolicies.recyclingPriority,
-        energyPolicy: window.cityPolicies.energyPolicy,
-        productionEnvironmentBalance: window.cityPolicies.productionEnvironmentBalance,
-        productionMode: window.cityPolicies.productionMode,
-        salesPolicy: window.cityPolicies.salesPolicy,
-        taxPolicy: window.cityPolicies.taxPolicy,
-        workforceDistribution: { ...window.cityPolicies.workforceDistribution },
-        energyTradeMode: window.cityPolicies.energyTradeMode,
-        autoSave: window.cityPolicies.autoSave,
-        autoSaveInterval: window.cityPolicies.autoSaveInterval
-      } : null,
-      
-      // Tutorial State
-      tutorialState: window.tutorialState ? {
-        isActive: window.tutorialState.isActive,
-        currentStep: window.tutorialState.currentStep,
-        completedSteps: Array.from(window.tutorialState.completedSteps || [])
-      } : null
-    };
+  return slots;
+}
 
-    // Serialize all buildings
-    for (let x = 0; x < window.game.city.size; x++) {
-      for (let y = 0; y < window.game.city.size; y++) {
-        const tile = window.game.city.getTile(x, y);
-        if (tile && tile.building) {
-          const building = tile.building;
-          
-          // Get building data
-          const buildingData = {
-            x: x,
-            y: y,
-            type: building.type,
-            level: building.level || 1,
-            name: building.name || null
-          };
-          
-          // Add building-specific data
-          if (building.type === 'factory' || building.type === 'textile-factory' || 
-              building.type === 'technology-factory' || building.type === 'steel-factory' || 
-              building.type === 'automotive-factory') {
-            // Factory specific
-            buildingData.style = building.style;
-          } else if (building.type === 'residential' || building.type === 'commercial' || 
-                     building.type === 'industrial') {
-            // Zone specific
-            buildingData.style = building.style;
-            buildingData.developmentState = building.development ? building.development.state : null;
-            buildingData.developmentLevel = building.development ? building.development.level : 1;
-            buildingData.isPlayerHouse = building.isPlayerHouse || false;
-            
-            // Commercial zone inventory
-            if (building.type === 'commercial' && building.inventory) {
-              buildingData.inventory = { ...building.inventory };
-            }
-          } else if (building.type === 'farming') {
-            // Farming area
-            buildingData.developmentState = building.development ? building.development.state : null;
-            buildingData.developmentLevel = building.development ? building.development.level : 1;
-          }
-          
-          saveData.city.buildings.push(buildingData);
-        }
+/**
+ * @param {object[]} slots
+ */
+function writeSlotIndex(slots) {
+  localStorage.setItem(SLOT_INDEX_KEY, JSON.stringify(slots));
+}
+
+/**
+ * @returns {string}
+ */
+function createSlotId() {
+  return `${Date.now().toString(36)}-${Math.floor(Math.random() * 0x10000).toString(36)}`;
+}
+
+/**
+ * Extracts the metadata shown in the slot list from save data
+ * @param {object} saveData
+ * @returns {object}
+ */
+function getSlotMetadata(saveData) {
+  return {
+    timestamp: saveData.timestamp || Date.now(),
+    cityName: saveData.city?.name || 'My City',
+    level: saveData.gameState?.level || 1,
+    circularScore: saveData.gameState?.circularScore || 0
+  };
+}
+
+/**
+ * Returns the metadata of all save slots, most recent first
+ * @returns {{ id: string, name: string, timestamp: number, cityName: string, level: number, circularScore: number, thumbnail: string | null }[]}
+ */
+export function listSlots() {
+  return readSlotIndex().sort((a, b) => b.timestamp - a.timestamp);
+}
+
+/**
+ * Returns the id of the slot loaded on start and written by auto-save
+ * @returns {string | null}
+ */
+export function getActiveSlot() {
+  readSlotIndex();
+  return localStorage.getItem(ACTIVE_SLOT_KEY);
+}
+
+/**
+ * Sets the slot loaded on start and written by auto-save. Passing null
+ * starts a new game, which gets its own slot the first time it is saved.
+ * @param {string | null} slotId
+ */
+export function setActiveSlot(slotId) {
+  if (slotId) {
+    localStorage.setItem(ACTIVE_SLOT_KEY, slotId);
+  } else {
+    localStorage.removeItem(ACTIVE_SLOT_KEY);
+  }
+}
+
+/**
+ * Renames a save slot
+ * @param {string} slotId
+ * @param {string} name
+ * @returns {boolean}
+ */
+export function renameSlot(slotId, name) {
+  const slots = readSlotIndex();
+  const slot = slots.find(s => s.id === slotId);
+  if (!slot || !name) {
+    return false;
+  }
+  slot.name = name;
+  writeSlotIndex(slots);
+  return true;
+}
+
+/**
+ * Serializes the running game into a save payload
+ * @returns {object | null} The save data, or null if the game is not initialized
+ */
+export function createSaveData() {
+  if (!window.gameState || !window.resourceManager || !window.game || !window.game.city) {
+    console.error('Cannot save: Game not initialized');
+    return null;
+  }
+
+  const saveData = {
+    version: SAVE_VERSION,
+    timestamp: Date.now(),
+    
+    // Game State
+    gameState: {
+      money: window.gameState.money,
+      energy: window.gameState.energy,
+      level: window.gameState.level,
+      xp: window.gameState.xp,
+      circularScore: window.gameState.circularScore
+    },
+    
+    // Resources
+    resources: { ...window.resourceManager.resources },
+    
+    // City
+    city: {
+      name: window.game.city.cityName || window.game.city.name || 'My City',
+      size: window.game.city.size,
+      simTime: window.game.city.simTime,
+      buildings: [],
+      logistics: window.game.city.logistics.serialize(),
+      wasteCollection: window.game.city.wasteCollection.serialize(),
+      transit: window.game.city.transit.serialize(),
+      traffic: window.game.city.traffic.serialize(),
+      demographics: window.game.city.demographics.serialize(),
+      productLifecycle: window.game.city.productLifecycle.serialize(),
+      landfills: window.game.city.landfills.serialize()
+    },
+    
+    // City Policies
+    cityPolicies: window.cityPolicies ? {
+      recyclingPriority: window.cityPolicies.recyclingPriority,
+      energyPolicy: window.cityPolicies.energyPolicy,
+      productionEnvironmentBalance: window.cityPolicies.productionEnvironmentBalance,
+      productionMode: window.cityPolicies.productionMode,
+      salesPolicy: window.cityPolicies.salesPolicy,
+      taxPolicy: window.cityPolicies.taxPolicy,
+      workforceDistribution: { ...window.cityPolicies.workforceDistribution },
+      energyTradeMode: window.cityPolicies.energyTradeMode,
+      autoSave: window.cityPolicies.autoSave,
+      autoSaveInterval: window.cityPolicies.autoSaveInterval,
+      autoSaveHistory: window.cityPolicies.autoSaveHistory
+    } : null,
+    
+    // Tutorial State
+    tutorialState: window.tutorialState ? {
+      isActive: window.tutorialState.isActive,
+      currentStep: window.tutorialState.currentStep,
+      completedSteps: Array.from(window.tutorialState.completedSteps || [])
+    } : null,
+    
+    // Market prices and timers
+    market: window.market ? window.market.serialize() : null,
+
+    // Global pollution levels and penalties
+    globalPollution: window.globalPollution ? window.globalPollution.serialize() : null,
+
+    // Missions and running events
+    missionSystem: window.missionSystem ? window.missionSystem.serialize() : null,
+
+    // Simulation tick (market and pollution timers are relative to it)
+    currentTick: window.game.simulation ? window.game.simulation.currentTick : 0,
+
+    // Random generator (so the same seed and actions replay identically)
+    random: window.game.simulation ? {
+      seed: window.game.simulation.random.seed,
+      state: window.game.simulation.random.state
+    } : null
+  };
+
+  // Serialize all buildings
+  for (let x = 0; x < window.game.city.size; x++) {
+    for (let y = 0; y < window.game.city.size; y++) {
+      const tile = window.game.city.getTile(x, y);
+      if (tile && tile.building) {
+        saveData.city.buildings.push(tile.building.serialize());
       }
     }
+  }
+
+  return saveData;
+}
+
+/**
+ * Serialize game state to JSON and write it to a save slot
+ * @param {string | null} slotId Slot to overwrite. Defaults to the active slot; a new slot is created if there is none
+ * @param {string} [name] Name of the slot. Defaults to the existing name or the city name
+ * @returns {boolean}
+ */
+export function saveGame(slotId = getActiveSlot(), name) {
+  try {
+    const saveData = createSaveData();
+    if (!saveData) {
+      return false;
+    }
 
     // Save to localStorage
-    localStorage.setItem(SAVE_KEY, JSON.stringify(saveData));
-    console.log('Game saved successfully');
+    const slots = readSlotIndex();
+    let slot = slots.find(s => s.id === slotId);
+    if (!slot) {
+      slot = { id: createSlotId(), name: saveData.city.name };
+      slots.push(slot);
+    }
+    Object.assign(slot, getSlotMetadata(saveData), {
+      name: name || slot.name,
+      thumbnail: window.game.captureThumbnail ? window.game.captureThumbnail() : null
+    });
+
+    localStorage.setItem(SLOT_KEY_PREFIX + slot.id, JSON.stringify(saveData));
+    writeSlotIndex(slots);
+    setActiveSlot(slot.id);
+    console.log(`Game saved to slot "${slot.name}"`);
     return true;
   } catch (error) {
     console.error('Error saving game:', error);
@@ -120,19 +277,27 @@ export function saveGame() {
 
 /**
  * Load game state from JSON
+ * @param {string | null} slotId Slot to load. Defaults to the active slot
  */
-export function loadGame() {
+export function loadGame(slotId = getActiveSlot()) {
   try {
-    const saveDataStr = localStorage.getItem(SAVE_KEY);
+    const saveDataStr = slotId ? localStorage.getItem(SLOT_KEY_PREFIX + slotId) : null;
     if (!saveDataStr) {
       console.log('No save data found');
       return false;
     }
 
     const saveData = JSON.parse(saveDataStr);
-    
-    if (!saveData || !saveData.gameState || !saveData.resources || !saveData.city) {
-      console.error('Invalid save data');
+
+    // Bring older saves up to the current format before checking them
+    // against it. Saves from newer versions are rejected here.
+    if (saveData && typeof saveData === 'object') {
+      migrateSave(saveData);
+    }
+
+    const errors = validateSaveData(saveData);
+    if (errors.length > 0) {
+      console.error('Invalid save data:', errors);
       return false;
     }
 
@@ -168,6 +333,22 @@ export function loadGame() {
       window.cityPolicies.energyTradeMode = saveData.cityPolicies.energyTradeMode || 'none';
       window.cityPolicies.autoSave = saveData.cityPolicies.autoSave !== undefined ? saveData.cityPolicies.autoSave : true;
       window.cityPolicies.autoSaveInterval = saveData.cityPolicies.autoSaveInterval || 30;
+      window.cityPolicies.autoSaveHistory = saveData.cityPolicies.autoSaveHistory || 3;
+    }
+
+    // Restore Market
+    if (window.market && saveData.market) {
+      window.market.deserialize(saveData.market);
+    }
+
+    // Restore Global Pollution
+    if (window.globalPollution && saveData.globalPollution) {
+      window.globalPollution.deserialize(saveData.globalPollution);
+    }
+
+    // Restore Missions and Events (effects are re-applied in reconstructCity)
+    if (window.missionSystem && saveData.missionSystem) {
+      window.missionSystem.deserialize(saveData.missionSystem);
     }
 
     // Restore Tutorial State
@@ -224,9 +405,19 @@ export function loadGame() {
       }
     }
 
+    // Later saves (including auto-save) go to the loaded slot
+    setActiveSlot(slotId);
+
     // Return save data for city reconstruction
     return saveData;
   } catch (error) {
+    if (error instanceof SaveVersionError) {
+      console.error(`Cannot load save version ${error.version}:`, error.message);
+      if (window.ui) {
+        window.ui.showNotification('❌ Kayıt Yüklenemedi', error.message, 'error');
+      }
+      return false;
+    }
     console.error('Error loading game:', error);
     return false;
   }
@@ -234,19 +425,198 @@ export function loadGame() {
 
 /**
  * Check if save data exists
+ * @param {string} [slotId] Slot to check. Checks for any slot if omitted
  */
-export function hasSaveData() {
-  return localStorage.getItem(SAVE_KEY) !== null;
+export function hasSaveData(slotId) {
+  const slots = readSlotIndex();
+  return slotId ? slots.some(s => s.id === slotId) : slots.length > 0;
 }
 
 /**
  * Delete save data
+ * @param {string} slotId Slot to delete
  */
-export function deleteSave() {
-  localStorage.removeItem(SAVE_KEY);
+export function deleteSave(slotId) {
+  writeSlotIndex(readSlotIndex().filter(s => s.id !== slotId));
+  localStorage.removeItem(SLOT_KEY_PREFIX + slotId);
+  if (localStorage.getItem(ACTIVE_SLOT_KEY) === slotId) {
+    setActiveSlot(null);
+  }
   console.log('Save data deleted');
 }
 
+/**
+ * Returns the metadata of the rotating autosaves, most recent first
+ * @returns {{ id: string, slotId: string | null, timestamp: number, cityName: string, level: number, circularScore: number }[]}
+ */
+export function listAutosaves() {
+  try {
+    const autosaves = JSON.parse(localStorage.getItem(AUTOSAVE_INDEX_KEY)) || [];
+    return autosaves.sort((a, b) => b.timestamp - a.timestamp);
+  } catch (error) {
+    console.error('Invalid autosave index:', error);
+    return [];
+  }
+}
+
+/**
+ * Saves the running game as a new autosave and to the active slot. Only the
+ * most recent `cityPolicies.autoSaveHistory` autosaves are kept, so a save
+ * that gets corrupted can be replaced by an earlier one.
+ * @returns {boolean}
+ */
+export function autoSave() {
+  const saveData = createSaveData();
+  if (!saveData) {
+    return false;
+  }
+
+  const slotId = getActiveSlot();
+  const autosave = { ...getSlotMetadata(saveData), id: createSlotId(), slotId };
+  const keep = Math.max(1, window.cityPolicies?.autoSaveHistory || 3);
+  const autosaves = [autosave, ...listAutosaves()];
+
+  try {
+    localStorage.setItem(AUTOSAVE_KEY_PREFIX + autosave.id, JSON.stringify(saveData));
+  } catch (error) {
+    console.error('Error writing autosave:', error);
+    autosaves.shift();
+  }
+
+  // Drop the oldest autosaves beyond the history size
+  for (const old of autosaves.splice(keep)) {
+    localStorage.removeItem(AUTOSAVE_KEY_PREFIX + old.id);
+  }
+  localStorage.setItem(AUTOSAVE_INDEX_KEY, JSON.stringify(autosaves));
+
+  return saveGame(slotId);
+}
+
+/**
+ * Copies an autosave back into the slot it was made from (or a new slot if
+ * that slot was deleted) and makes it the active slot, so it is loaded when
+ * the game starts
+ * @param {string} autosaveId
+ * @returns {string | null} Id of the slot holding the restored save
+ */
+export function restoreAutosave(autosaveId) {
+  const autosave = listAutosaves().find(a => a.id === autosaveId);
+  const saveDataStr = localStorage.getItem(AUTOSAVE_KEY_PREFIX + autosaveId);
+  if (!autosave || !saveDataStr) {
+    console.error(`Autosave not found: ${autosaveId}`);
+    return null;
+  }
+
+  try {
+    const slots = readSlotIndex();
+    let slot = slots.find(s => s.id === autosave.slotId);
+    if (!slot) {
+      slot = { id: createSlotId(), name: autosave.cityName, thumbnail: null };
+      slots.push(slot);
+    }
+    Object.assign(slot, getSlotMetadata(JSON.parse(saveDataStr)));
+
+    localStorage.setItem(SLOT_KEY_PREFIX + slot.id, saveDataStr);
+    writeSlotIndex(slots);
+    setActiveSlot(slot.id);
+    console.log(`Autosave restored to slot "${slot.name}"`);
+    return slot.id;
+  } catch (error) {
+    console.error('Error restoring autosave:', error);
+    return null;
+  }
+}
+
+/**
+ * Marks a game as running until the page is closed
+ */
+export function beginSession() {
+  localStorage.setItem(SESSION_KEY, JSON.stringify({ startedAt: Date.now() }));
+  window.addEventListener('pagehide', endSession);
+}
+
+/**
+ * Marks the running game as shut down cleanly
+ */
+export function endSession() {
+  localStorage.removeItem(SESSION_KEY);
+}
+
+/**
+ * Returns true if the previous game was not shut down cleanly (e.g. the
+ * browser crashed or was killed)
+ * @returns {boolean}
+ */
+export function hadUncleanShutdown() {
+  return localStorage.getItem(SESSION_KEY) !== null;
+}
+
+/**
+ * Returns a save as the contents of a downloadable `.circularworld.json` file
+ * @param {string} [slotId] Slot to export. Exports the running game if omitted
+ * @returns {{ fileName: string, json: string } | null}
+ */
+export function exportSave(slotId) {
+  try {
+    const saveData = slotId
+      ? JSON.parse(localStorage.getItem(SLOT_KEY_PREFIX + slotId))
+      : createSaveData();
+    if (!saveData) {
+      return null;
+    }
+
+    const cityName = (saveData.city?.name || 'city').replace(/[^\p{L}\p{N}_-]+/gu, '-');
+    const date = new Date(saveData.timestamp || Date.now()).toISOString().slice(0, 10);
+    return {
+      fileName: `${cityName}-${date}${EXPORT_EXTENSION}`,
+      json: JSON.stringify(saveData, null, 2)
+    };
+  } catch (error) {
+    console.error('Error exporting save:', error);
+    return null;
+  }
+}
+
+/**
+ * Validates the contents of an exported save file and stores it in a new slot
+ * @param {string} json Contents of the file
+ * @returns {string} Id of the new slot
+ * @throws {Error} If the file is not a valid save. The message is shown to the player
+ */
+export function importSave(json) {
+  let saveData;
+  try {
+    saveData = JSON.parse(json);
+  } catch (error) {
+    throw new Error('Dosya okunamadı: geçerli bir JSON değil.');
+  }
+
+  // Rejects files from newer versions with a SaveVersionError and brings
+  // older ones up to the current format before checking them against it
+  if (saveData && typeof saveData === 'object') {
+    migrateSave(saveData);
+  }
+
+  const errors = validateSaveData(saveData);
+  if (errors.length > 0) {
+    console.error('Invalid save file:', errors);
+    throw new Error(`Geçersiz kayıt dosyası (${errors[0]}).`);
+  }
+
+  const slots = readSlotIndex();
+  const slot = {
+    ...getSlotMetadata(saveData),
+    id: createSlotId(),
+    name: saveData.city.name || 'İçe Aktarılan',
+    thumbnail: null
+  };
+  localStorage.setItem(SLOT_KEY_PREFIX + slot.id, JSON.stringify(saveData));
+  slots.push(slot);
+  writeSlotIndex(slots);
+  console.log(`Save imported to slot "${slot.name}"`);
+  return slot.id;
+}
+
 /**
  * Reconstruct city from save data
  * This should be called after creating a new City object
@@ -260,9 +630,6 @@ export function reconstructCity(saveData, city) {
     // Restore city name
     if (saveData.city.name) {
       city.name = saveData.city.name;
-      if (window.game) {
-        window.game.cityName = saveData.city.name;
-      }
     }
 
     // Restore simulation time
@@ -270,53 +637,83 @@ export function reconstructCity(saveData, city) {
       city.simTime = saveData.city.simTime;
     }
 
-    // Reconstruct buildings
+    // Reconstruct buildings. All buildings are placed first so that
+    // references between buildings (e.g. worker assignments) can be
+    // resolved when their state is restored.
     if (saveData.city.buildings && Array.isArray(saveData.city.buildings)) {
+      const restored = [];
       for (const buildingData of saveData.city.buildings) {
         try {
           const tile = city.getTile(buildingData.x, buildingData.y);
           if (!tile) continue;
 
           // Create building
-          const building = createBuilding(buildingData.x, buildingData.y, buildingData.type);
+          const building = createBuilding(buildingData.x, buildingData.y, buildingData.type, city.simulation?.random);
           
           if (!building) {
             console.warn(`Failed to create building: ${buildingData.type} at (${buildingData.x}, ${buildingData.y})`);
             continue;
           }
 
-          // Set building properties
-          if (buildingData.level) {
-            building.level = buildingData.level;
-          }
-
-          if (buildingData.name) {
-            building.name = buildingData.name;
-          }
-
-          // Zone-specific properties
-          if (building.development && buildingData.developmentState) {
-            building.development.state = buildingData.developmentState;
-            building.development.level = buildingData.developmentLevel || 1;
-          }
-
-          if (buildingData.isPlayerHouse) {
-            building.isPlayerHouse = true;
-          }
-
-          // Commercial zone inventory
-          if (building.type === 'commercial' && buildingData.inventory && building.inventory) {
-            building.inventory = { ...buildingData.inventory };
-          }
-
           // Place building on tile
           tile.setBuilding(building);
-          tile.refreshView(city);
-          building.refreshView();
+          restored.push({ tile, building, buildingData });
         } catch (error) {
           console.error(`Error reconstructing building at (${buildingData.x}, ${buildingData.y}):`, error);
         }
       }
+
+      for (const { tile, building, buildingData } of restored) {
+        try {
+          building.deserialize(buildingData, city);
+          tile.refreshView(city);
+        } catch (error) {
+          console.error(`Error restoring building at (${buildingData.x}, ${buildingData.y}):`, error);
+        }
+      }
+    }
+
+    // Restore goods and garbage trucks on the road, the bus routes, the
+    // traffic load, the yearly population counts, the products in use and the landfilled
+    // waste
+    if (saveData.city.logistics) {
+      city.logistics.deserialize(saveData.city.logistics, city);
+    }
+    if (saveData.city.wasteCollection) {
+      city.wasteCollection.deserialize(saveData.city.wasteCollection, city);
+    }
+    if (saveData.city.transit) {
+      city.transit.deserialize(saveData.city.transit, city);
+    }
+    if (saveData.city.traffic) {
+      city.traffic.deserialize(saveData.city.traffic, city);
+    }
+    if (saveData.city.demographics) {
+      city.demographics.deserialize(saveData.city.demographics);
+    }
+    if (saveData.city.productLifecycle) {
+      city.productLifecycle.deserialize(saveData.city.productLifecycle);
+    }
+    if (saveData.city.landfills) {
+      city.landfills.deserialize(saveData.city.landfills);
+    }
+
+    // Running events modify buildings, which were just rebuilt from their
+    // base values
+    if (saveData.missionSystem && city.simulation?.missionSystem) {
+      city.simulation.missionSystem.restoreEventEffects();
+    }
+
+    // Restore the simulation tick
+    if (saveData.currentTick && city.simulation) {
+      city.simulation.currentTick = saveData.currentTick;
+    }
+
+    // Restore the random generator last, since creating the buildings above
+    // draws from it
+    if (saveData.random && city.simulation) {
+      city.simulation.random.seed = saveData.random.seed;
+      city.simulation.random.state = saveData.random.state;
     }
 
     return true;
@@ -326,12 +723,26 @@ export function reconstructCity(saveData, city) {
   }
 }
 
-// Export functions to window for global access
-window.saveSystem = {
-  saveGame,
-  loadGame,
-  hasSaveData,
-  deleteSave,
-  reconstructCity
-};
+// Export functions to window for global access (browser only)
+if (typeof window !== 'undefined') {
+  window.saveSystem = {
+    saveGame,
+    loadGame,
+    hasSaveData,
+    deleteSave,
+    listSlots,
+    getActiveSlot,
+    setActiveSlot,
+    renameSlot,
+    exportSave,
+    importSave,
+    listAutosaves,
+    autoSave,
+    restoreAutosave,
+    beginSession,
+    endSession,
+    hadUncleanShutdown,
+    reconstructCity
+  };
+}
 
@@ -1,8 +1,8 @@
 import * as THREE from 'three';
-import { SimObject } from '../simObject';
-import { BuildingStatus } from './buildingStatus';
-import { PowerModule } from './modules/power';
-import { RoadAccessModule } from './modules/roadAccess';
+import { SimObject } from '../simObject.js';
+import { BuildingStatus } from './buildingStatus.js';
+import { PowerModule } from './modules/power.js';
+import { RoadAccessModule } from './modules/roadAccess.js';
 
 export class Building extends SimObject {
   /**
@@ -50,30 +50,38 @@ export class Building extends SimObject {
   setStatus(status) {
     if (status !== this.status) {
       this.status = status;
+
+      // Status icons are only available when rendering
+      const assetManager = this.simulation?.assetManager;
+      if (!assetManager) {
+        this.#statusIcon.visible = false;
+        return;
+      }
+
       switch(status) {
         case BuildingStatus.NoPower:
           this.#statusIcon.visible = true;
-          this.#statusIcon.material.map = window.assetManager.statusIcons[BuildingStatus.NoPower];
+          this.#statusIcon.material.map = assetManager.statusIcons[BuildingStatus.NoPower];
           this.#statusIcon.position.set(0, 0, 0); // Normal position
           break;
         case BuildingStatus.NoRoadAccess:
           this.#statusIcon.visible = true;
-          this.#statusIcon.material.map = window.assetManager.statusIcons[BuildingStatus.NoRoadAccess];
+          this.#statusIcon.material.map = assetManager.statusIcons[BuildingStatus.NoRoadAccess];
           this.#statusIcon.position.set(0, 0, 0); // Normal position
           break;
         case BuildingStatus.CriticalWaste:
           this.#statusIcon.visible = true;
-          this.#statusIcon.material.map = window.assetManager.statusIcons[BuildingStatus.CriticalWaste];
+          this.#statusIcon.material.map = assetManager.statusIcons[BuildingStatus.CriticalWaste];
           this.#statusIcon.position.set(0, 1, 0); // Position above building for waste warning
           break;
         case BuildingStatus.MissingResources:
           this.#statusIcon.visible = true;
           // Use warning icon (yellow exclamation) - create if doesn't exist
-          if (window.assetManager.statusIcons && window.assetManager.statusIcons[BuildingStatus.MissingResources]) {
-            this.#statusIcon.material.map = window.assetManager.statusIcons[BuildingStatus.MissingResources];
+          if (assetManager.statusIcons && assetManager.statusIcons[BuildingStatus.MissingResources]) {
+            this.#statusIcon.material.map = assetManager.statusIcons[BuildingStatus.MissingResources];
           } else {
             // Fallback: use NoPower icon or create a simple warning
-            this.#statusIcon.material.map = window.assetManager.statusIcons?.[BuildingStatus.NoPower] || null;
+            this.#statusIcon.material.map = assetManager.statusIcons?.[BuildingStatus.NoPower] || null;
           }
           this.#statusIcon.position.set(0, 1.2, 0); // Position above building for resource warning
           break;
@@ -83,22 +91,31 @@ export class Building extends SimObject {
     }
   }
 
+  /**
+   * Makes the random choices for a newly created building (style, name,
+   * orientation). Called once by `createBuilding`.
+   * @param {Random} random
+   */
+  randomize(random) {
+    // Override in subclass
+  }
+
   simulate(city) {
     super.simulate(city);
+    const gameState = this.simulation?.gameState;
     
     // Power consumption from energy pool
-    if (this.power.required > 0 && window.gameState) {
+    if (this.power.required > 0 && gameState) {
       // Try to consume energy from pool
-      if (window.gameState.energy >= this.power.required) {
-        window.gameState.consumeEnergy(this.power.required);
+      if (gameState.energy >= this.power.required) {
+        gameState.consumeEnergy(this.power.required);
       }
     }
     
     this.roadAccess.simulate(city);
 
     // Check waste status first (highest priority) - only if waste system is unlocked
-    if (this.waste && window.gameState && window.levelUnlocks &&
-        window.levelUnlocks.isUnlocked('local-waste', window.gameState.level) &&
+    if (this.waste && this.simulation?.isUnlocked('local-waste') &&
         this.waste.amount >= 95) {
       this.setStatus(BuildingStatus.CriticalWaste);
       return; // Don't check other statuses if waste is critical
@@ -120,6 +137,40 @@ export class Building extends SimObject {
     super.dispose();
   }
   
+  /**
+   * Returns the state of this building as a plain object for saving.
+   * Subclasses extend the returned object with their own state.
+   * @returns {object}
+   */
+  serialize() {
+    const data = {
+      x: this.x,
+      y: this.y,
+      type: this.type,
+      name: this.name
+    };
+    if (this.waste) {
+      data.waste = this.waste.serialize();
+    }
+    return data;
+  }
+
+  /**
+   * Restores the state of this building from the output of `serialize()`.
+   * Called after every building in the city has been placed so references
+   * to other buildings can be resolved.
+   * @param {object} data 
+   * @param {City} city 
+   */
+  deserialize(data, city) {
+    if (data.name) {
+      this.name = data.name;
+    }
+    if (this.waste && data.waste) {
+      this.waste.deserialize(data.waste, city);
+    }
+  }
+
   /**
    * Returns an HTML representation of this object
    * @returns {string}
@@ -10,19 +10,39 @@ import { TechnologyFactory } from './factories/technologyFactory.js';
 import { SteelFactory } from './factories/steelFactory.js';
 import { AutomotiveFactory } from './factories/automotiveFactory.js';
 import { RecyclingCenter } from './recyclingCenter.js';
+import { RepairCafe } from './repairCafe.js';
+import { Landfill } from './landfill.js';
+import { BusDepot } from './transportation/busDepot.js';
+import { School } from './education/school.js';
+import { VocationalCenter } from './education/vocationalCenter.js';
 import { SolarPanel } from './energy/solarPanel.js';
 import { WindTurbine } from './energy/windTurbine.js';
 import { HydroPlant } from './energy/hydroPlant.js';
 import { WasteToEnergyPlant } from './energy/wasteToEnergy.js';
+import { Random } from '../random.js';
 
 /**
  * Creates a new building object
  * @param {number} x The x-coordinate of the building
  * @param {number} y The y-coordinate of the building
  * @param {string} type The building type
+ * @param {Random} random Generator used for the building's random choices
  * @returns {Building} A new building object
  */
-export function createBuilding(x, y, type) {
+export function createBuilding(x, y, type, random = new Random()) {
+  const building = instantiateBuilding(x, y, type);
+  building?.randomize(random);
+  return building;
+}
+
+/**
+ * Constructs the building object for the given type
+ * @param {number} x The x-coordinate of the building
+ * @param {number} y The y-coordinate of the building
+ * @param {string} type The building type
+ * @returns {Building} A new building object
+ */
+function instantiateBuilding(x, y, type) {
   // Normalize type to string for comparison
   const typeStr = String(type);
   
@@ -57,6 +77,21 @@ export function createBuilding(x, y, type) {
     case BuildingType.recyclingCenter:
     case 'recycling-center':
       return new RecyclingCenter(x, y);
+    case BuildingType.repairCafe:
+    case 'repair-cafe':
+      return new RepairCafe(x, y);
+    case BuildingType.landfill:
+    case 'landfill':
+      return new Landfill(x, y);
+    case BuildingType.busDepot:
+    case 'bus-depot':
+      return new BusDepot(x, y);
+    case BuildingType.school:
+    case 'school':
+      return new School(x, y);
+    case BuildingType.vocationalCenter:
+    case 'vocational-center':
+      return new VocationalCenter(x, y);
     case BuildingType.solarPanel:
     case 'solar-panel':
       return new SolarPanel(x, y);
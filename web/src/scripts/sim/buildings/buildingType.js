@@ -11,6 +11,12 @@ export const BuildingType = {
   automotiveFactory: 'automotive-factory',
   // CircularWorld Utilities
   recyclingCenter: 'recycling-center',
+  repairCafe: 'repair-cafe',
+  landfill: 'landfill',
+  busDepot: 'bus-depot',
+  // CircularWorld Education
+  school: 'school',
+  vocationalCenter: 'vocational-center',
   // CircularWorld Energy Production
   solarPanel: 'solar-panel',
   windTurbine: 'wind-turbine',
@@ -0,0 +1,127 @@
+import { Building } from '../building.js';
+import { Citizen } from '../../citizen.js';
+
+/**
+ * Base class for buildings that educate the citizens living nearby
+ *
+ * The education service enrolls residents within the coverage radius up
+ * to the building's capacity and moves them up an education level once
+ * they have studied long enough. A building without power or road access
+ * does not teach.
+ */
+export class EducationBuilding extends Building {
+  /**
+   * Maximum number of students
+   * @type {number}
+   */
+  capacity = 0;
+
+  /**
+   * Manhattan distance from the building within which residents can study
+   * here
+   * @type {number}
+   */
+  coverageRadius = 0;
+
+  /**
+   * Education level that students study for
+   * @type {'basic' | 'skilled'}
+   */
+  teaches = 'basic';
+
+  /**
+   * Citizens studying here, kept up to date by the education service
+   * @type {Citizen[]}
+   */
+  students = [];
+
+  /**
+   * Energy consumption per tick
+   * @type {number}
+   */
+  energyConsumption = 0;
+
+  /**
+   * Years of study it takes to complete the education
+   * @type {number}
+   */
+  get studyYears() {
+    return 0;
+  }
+
+  /**
+   * True if the building has power and road access and can teach
+   * @type {boolean}
+   */
+  get isOperating() {
+    return this.power.isFullyPowered && this.roadAccess.value;
+  }
+
+  /**
+   * @param {Citizen} citizen
+   * @returns {boolean} True if the citizen can study here
+   */
+  canEnroll(citizen) {
+    return false;
+  }
+
+  /**
+   * @param {number} x
+   * @param {number} y
+   * @returns {boolean} True if the tile is within the building's coverage
+   */
+  isInCoverage(x, y) {
+    return Math.abs(x - this.x) + Math.abs(y - this.y) <= this.coverageRadius;
+  }
+
+  /**
+   * Refresh view with the building's model
+   */
+  refreshView() {
+    const assetManager = this.simulation?.assetManager;
+    if (!assetManager) {
+      return; // Nothing to render when running headless
+    }
+    this.setMesh(assetManager.getModel(`${this.type}-1`, this));
+  }
+
+  /**
+   * Returns HTML representation with the students
+   * @param {string} heading
+   * @returns {string}
+   */
+  toHTML(heading = '') {
+    let html = super.toHTML();
+    html += `
+      <div class="info-heading">${heading}</div>
+      <span class="info-label">Öğrenci </span>
+      <span class="info-value">${this.students.length}/${this.capacity}</span>
+      <br>
+      <span class="info-label">Kapsama Alanı </span>
+      <span class="info-value">${this.coverageRadius} kare</span>
+      <br>
+      <span class="info-label">Eğitim Süresi </span>
+      <span class="info-value">${this.studyYears} yıl</span>
+      <br>
+    `;
+
+    if (!this.isOperating) {
+      html += `<div style="padding: 4px 8px; color: #f44336; font-size: 0.9em;">⚠️ Elektrik ve yol bağlantısı olmadan eğitim verilemez</div>`;
+    }
+
+    if (this.students.length > 0) {
+      html += '<ul class="info-citizen-list">';
+      for (const student of this.students) {
+        const progress = Math.min(100, student.educationProgress / this.studyYears * 100);
+        html += `
+          <li class="info-citizen">
+            <span class="info-citizen-name">${student.name}</span>
+            <span class="info-citizen-details">${student.age} yaş · %${progress.toFixed(0)}</span>
+          </li>
+        `;
+      }
+      html += '</ul>';
+    }
+    return html;
+  }
+}
@@ -0,0 +1,51 @@
+import { EducationBuilding } from './educationBuilding.js';
+import { BuildingType } from '../buildingType.js';
+import { Citizen } from '../../citizen.js';
+import config from '../../../config.js';
+
+/**
+ * School - Gives the children living nearby a basic education
+ *
+ * Children who finish school before they reach working age can go on to
+ * vocational training. Those who never went to school, or did not finish,
+ * start work without any education.
+ */
+export class School extends EducationBuilding {
+  type = BuildingType.school;
+  capacity = 20;
+  coverageRadius = 6;
+  teaches = 'basic';
+  energyConsumption = 2;
+
+  constructor(x = 0, y = 0) {
+    super(x, y);
+    this.power.required = this.energyConsumption;
+    this.name = 'School';
+  }
+
+  /**
+   * Get base cost of the school
+   * @returns {number}
+   */
+  getBaseCost() {
+    return 5000;
+  }
+
+  get studyYears() {
+    return config.education.schoolYears;
+  }
+
+  /**
+   * @param {Citizen} citizen
+   * @returns {boolean} True if the citizen is a child old enough for school
+   */
+  canEnroll(citizen) {
+    return citizen.state === 'school' &&
+      citizen.education === 'none' &&
+      citizen.age >= config.education.schoolStartAge;
+  }
+
+  toHTML() {
+    return super.toHTML('🏫 Okul');
+  }
+}
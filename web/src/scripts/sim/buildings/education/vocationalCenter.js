@@ -0,0 +1,51 @@
+import { EducationBuilding } from './educationBuilding.js';
+import { BuildingType } from '../buildingType.js';
+import { Citizen } from '../../citizen.js';
+import config from '../../../config.js';
+
+/**
+ * Vocational Training Center - Trains residents with a basic education
+ * into skilled workers
+ *
+ * Workers keep their job while they train. Skilled workers are needed by
+ * the Technology and Automotive factories to reach full efficiency.
+ */
+export class VocationalCenter extends EducationBuilding {
+  type = BuildingType.vocationalCenter;
+  capacity = 10;
+  coverageRadius = 8;
+  teaches = 'skilled';
+  energyConsumption = 4;
+
+  constructor(x = 0, y = 0) {
+    super(x, y);
+    this.power.required = this.energyConsumption;
+    this.name = 'Vocational Training Center';
+  }
+
+  /**
+   * Get base cost of the vocational training center
+   * @returns {number}
+   */
+  getBaseCost() {
+    return 10000;
+  }
+
+  get studyYears() {
+    return config.education.trainingYears;
+  }
+
+  /**
+   * @param {Citizen} citizen
+   * @returns {boolean} True if the citizen is of working age and has a
+   * basic education
+   */
+  canEnroll(citizen) {
+    return (citizen.state === 'unemployed' || citizen.state === 'employed') &&
+      citizen.education === 'basic';
+  }
+
+  toHTML() {
+    return super.toHTML('🛠️ Mesleki Eğitim Merkezi');
+  }
+}
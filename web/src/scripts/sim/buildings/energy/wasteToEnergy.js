@@ -89,21 +89,24 @@ export class WasteToEnergyPlant extends Building {
    * @returns {boolean} True if upgrade successful
    */
   upgrade() {
+    const gameState = this.simulation?.gameState;
+    const ui = this.simulation?.ui;
+
     if (this.level >= this.maxLevel) {
       return false;
     }
 
     const upgradeCost = this.getUpgradeCost();
-    if (window.gameState && window.gameState.spendMoney(upgradeCost)) {
+    if (gameState && gameState.spendMoney(upgradeCost)) {
       this.level++;
       this.refreshView();
       return true;
-    } else if (window.gameState) {
+    } else if (gameState) {
       // Not enough money - show notification
-      if (window.ui) {
-        window.ui.showNotification(
+      if (ui) {
+        ui.showNotification(
           '💰 Yetersiz Para',
-          `Yükseltme için ${upgradeCost.toLocaleString()} 💰 gerekiyor. Mevcut paranız: ${window.gameState.money.toLocaleString()} 💰`,
+          `Yükseltme için ${upgradeCost.toLocaleString()} 💰 gerekiyor. Mevcut paranız: ${gameState.money.toLocaleString()} 💰`,
           'error'
         );
       }
@@ -133,26 +136,26 @@ export class WasteToEnergyPlant extends Building {
    * Refresh view with appropriate model
    */
   refreshView() {
-    if (!window.assetManager) {
-      console.error('AssetManager not available');
-      return;
+    const assetManager = this.simulation?.assetManager;
+    if (!assetManager) {
+      return; // Nothing to render when running headless
     }
     
     let modelName = `${this.type}-${this.level}`;
     
     // Check if model exists
-    if (!window.assetManager.models || !window.assetManager.models[modelName]) {
+    if (!assetManager.models || !assetManager.models[modelName]) {
       // Fallback to level 1
       modelName = `${this.type}-1`;
     }
     
-    if (!window.assetManager.models || !window.assetManager.models[modelName]) {
+    if (!assetManager.models || !assetManager.models[modelName]) {
       console.error(`Model not found: ${modelName} for waste-to-energy plant`);
       return;
     }
     
     try {
-      let mesh = window.assetManager.getModel(modelName, this);
+      let mesh = assetManager.getModel(modelName, this);
       
       if (!mesh) {
         console.error(`Failed to load model: ${modelName}`);
@@ -170,16 +173,19 @@ export class WasteToEnergyPlant extends Building {
    * @param {City} city 
    */
   simulate(city) {
+    const gameState = this.simulation?.gameState;
+    const resourceManager = this.simulation?.resourceManager;
+    const visualEffects = this.simulation?.visualEffects;
+
     super.simulate(city);
     
     // Only operate if powered, has road access, and waste system is unlocked
-    if (!this.power.isFullyPowered || !this.roadAccess.value || !window.resourceManager) {
+    if (!this.power.isFullyPowered || !this.roadAccess.value || !resourceManager) {
       return;
     }
     
     // Check if waste system is unlocked (Level 3+)
-    const wasteSystemUnlocked = window.gameState && window.levelUnlocks &&
-        window.levelUnlocks.isUnlocked('local-waste', window.gameState.level);
+    const wasteSystemUnlocked = this.simulation?.isUnlocked('local-waste');
     
     if (!wasteSystemUnlocked) {
       return;
@@ -201,10 +207,10 @@ export class WasteToEnergyPlant extends Building {
         for (const wasteType of wasteTypes) {
           if (totalWasteConsumed >= wasteToConsume) break;
           
-          const available = window.resourceManager.getResource(wasteType);
+          const available = resourceManager.getResource(wasteType);
           if (available > 0) {
             const consume = Math.min(available, wasteToConsume - totalWasteConsumed);
-            window.resourceManager.removeResource(wasteType, consume);
+            resourceManager.removeResource(wasteType, consume);
             totalWasteConsumed += consume;
           }
         }
@@ -212,45 +218,68 @@ export class WasteToEnergyPlant extends Building {
         // If we consumed waste, produce energy
         if (totalWasteConsumed > 0) {
           const energyProduced = totalWasteConsumed * this.energyPerWaste;
-          if (window.gameState) {
-            window.gameState.addEnergy(energyProduced);
+          if (gameState) {
+            gameState.addEnergy(energyProduced);
           }
           
           // Add XP
-          if (window.gameState) {
-            window.gameState.addXP(Math.floor(totalWasteConsumed));
+          if (gameState) {
+            gameState.addXP(Math.floor(totalWasteConsumed));
           }
           
           // Add Circular Score (waste-to-energy is good for circular economy)
-          if (window.gameState) {
-            window.gameState.updateCircularScore(totalWasteConsumed * 2);
+          if (gameState) {
+            gameState.updateCircularScore(totalWasteConsumed * 2);
           }
           
           // Show energy effect
-          if (window.visualEffects) {
-            window.visualEffects.showEnergyEffect(this, energyProduced);
+          if (visualEffects) {
+            visualEffects.showEnergyEffect(this, energyProduced);
           }
         }
       }
     }
   }
 
+  /**
+   * @returns {object}
+   */
+  serialize() {
+    return {
+      ...super.serialize(),
+      level: this.level,
+      processingProgress: this.processingProgress
+    };
+  }
+
+  /**
+   * @param {object} data 
+   * @param {City} city 
+   */
+  deserialize(data, city) {
+    super.deserialize(data, city);
+    this.level = data.level ?? this.level;
+    this.processingProgress = data.processingProgress ?? 0;
+  }
+
   /**
    * Returns HTML representation
    * @returns {string}
    */
   toHTML() {
+    const resourceManager = this.simulation?.resourceManager;
+
     let html = super.toHTML();
     
     // Calculate current waste available
     let totalWasteAvailable = 0;
-    if (window.resourceManager) {
+    if (resourceManager) {
       totalWasteAvailable = 
-        window.resourceManager.getResource('organic-waste') +
-        window.resourceManager.getResource('textile-waste') +
-        window.resourceManager.getResource('plastic-waste') +
-        window.resourceManager.getResource('e-waste') +
-        window.resourceManager.getResource('scrap-metal');
+        resourceManager.getResource('organic-waste') +
+        resourceManager.getResource('textile-waste') +
+        resourceManager.getResource('plastic-waste') +
+        resourceManager.getResource('e-waste') +
+        resourceManager.getResource('scrap-metal');
     }
     
     html += `
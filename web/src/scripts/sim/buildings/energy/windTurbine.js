@@ -50,20 +50,23 @@ export class WindTurbine extends Building {
    * @returns {boolean} True if upgrade successful
    */
   upgrade() {
+    const gameState = this.simulation?.gameState;
+    const ui = this.simulation?.ui;
+
     if (this.level >= this.maxLevel) {
       return false;
     }
 
     const upgradeCost = this.getUpgradeCost();
-    if (window.gameState && window.gameState.spendMoney(upgradeCost)) {
+    if (gameState && gameState.spendMoney(upgradeCost)) {
       this.level++;
       return true;
-    } else if (window.gameState) {
+    } else if (gameState) {
       // Not enough money - show notification
-      if (window.ui) {
-        window.ui.showNotification(
+      if (ui) {
+        ui.showNotification(
           '💰 Yetersiz Para',
-          `Yükseltme için ${upgradeCost.toLocaleString()} 💰 gerekiyor. Mevcut paranız: ${window.gameState.money.toLocaleString()} 💰`,
+          `Yükseltme için ${upgradeCost.toLocaleString()} 💰 gerekiyor. Mevcut paranız: ${gameState.money.toLocaleString()} 💰`,
           'error'
         );
       }
@@ -93,26 +96,26 @@ export class WindTurbine extends Building {
    * Refresh view with appropriate model
    */
   refreshView() {
-    if (!window.assetManager) {
-      console.error('AssetManager not available');
-      return;
+    const assetManager = this.simulation?.assetManager;
+    if (!assetManager) {
+      return; // Nothing to render when running headless
     }
     
     let modelName = `${this.type}-${this.level}`;
     
     // Check if model exists
-    if (!window.assetManager.models || !window.assetManager.models[modelName]) {
+    if (!assetManager.models || !assetManager.models[modelName]) {
       // Fallback to level 1
       modelName = `${this.type}-1`;
     }
     
-    if (!window.assetManager.models || !window.assetManager.models[modelName]) {
+    if (!assetManager.models || !assetManager.models[modelName]) {
       console.error(`Model not found: ${modelName} for wind turbine`);
       return;
     }
     
     try {
-      let mesh = window.assetManager.getModel(modelName, this);
+      let mesh = assetManager.getModel(modelName, this);
       
       if (!mesh) {
         console.error(`Failed to load model: ${modelName}`);
@@ -130,20 +133,42 @@ export class WindTurbine extends Building {
    * @param {City} city 
    */
   simulate(city) {
+    const gameState = this.simulation?.gameState;
+    const visualEffects = this.simulation?.visualEffects;
+
     super.simulate(city);
     
     // Produce energy only if road access is available
-    if (window.gameState && this.roadAccess.value) {
+    if (gameState && this.roadAccess.value) {
       const energyProduced = this.energyProduction;
-      window.gameState.addEnergy(energyProduced);
+      gameState.addEnergy(energyProduced);
       
       // Show energy effect occasionally (every 5 ticks to avoid spam)
-      if (window.visualEffects && window.game && (window.game.currentTick % 5 === 0)) {
-        window.visualEffects.showEnergyEffect(this, energyProduced);
+      if (visualEffects && (this.simulation.currentTick % 5 === 0)) {
+        visualEffects.showEnergyEffect(this, energyProduced);
       }
     }
   }
 
+  /**
+   * @returns {object}
+   */
+  serialize() {
+    return {
+      ...super.serialize(),
+      level: this.level
+    };
+  }
+
+  /**
+   * @param {object} data 
+   * @param {City} city 
+   */
+  deserialize(data, city) {
+    super.deserialize(data, city);
+    this.level = data.level ?? this.level;
+  }
+
   /**
    * Returns HTML representation
    * @returns {string}
@@ -11,38 +11,8 @@ export class TextileFactory extends Factory {
     super(x, y);
     this.energyConsumption = 5;
     this.baseWasteProduction = 3; // Increased from 1
+    this.power.required = this.energyConsumption;
     this.requiredWorkers = 10; // Minimum 10 workers needed
-    
-    // Define recipes
-    this.recipes = [
-      {
-        id: 'textile-basic',
-        name: 'Basic Textile',
-        inputs: { 'raw-fabric': 2 },
-        outputs: { 'clothing': 1 },
-        waste: { 'textile-waste': 1 },
-        duration: 3, // ticks (reduced from 5)
-        requiredLevel: 1
-      },
-      {
-        id: 'textile-advanced',
-        name: 'Advanced Textile',
-        inputs: { 'raw-fabric': 3, 'raw-plastic': 1 },
-        outputs: { 'clothing': 2 },
-        waste: { 'textile-waste': 1 },
-        duration: 4, // reduced from 8
-        requiredLevel: 2
-      },
-      {
-        id: 'eco-textile',
-        name: 'Eco Textile',
-        inputs: { 'raw-fabric': 2, 'recycled-plastic': 1 },
-        outputs: { 'clothing': 1 },
-        waste: { 'textile-waste': 0.5 },
-        duration: 5, // reduced from 10
-        requiredLevel: 3
-      }
-    ];
   }
 
   getBaseCost() {
@@ -3,6 +3,9 @@ import { Building } from './building.js';
 import { DevelopmentState } from './modules/development.js';
 import { WasteModule } from './modules/waste.js';
 import { JobsModule } from './modules/jobs.js';
+import { StorageModule } from './modules/storage.js';
+import { RecipeRegistry } from '../recipeRegistry.js';
+import config from '../../config.js';
 
 /**
  * Base class for all factories
@@ -39,17 +42,11 @@ export class Factory extends Building {
    */
   baseWasteProduction = 4; // Increased from 3
   
-  /**
-   * Available recipes for this factory
-   * @type {Array}
-   */
-  recipes = [];
-  
   /**
    * Factory style (A, B, or C)
    * @type {string}
    */
-  style = ['A', 'B', 'C'][Math.floor(3 * Math.random())];
+  style = 'A';
   
   /**
    * Waste module for this factory
@@ -63,12 +60,26 @@ export class Factory extends Building {
    */
   jobs = null; // Will be initialized in constructor
 
+  /**
+   * Input materials delivered over the roads and finished goods waiting
+   * to be picked up
+   * @type {StorageModule}
+   */
+  storage = new StorageModule(this);
+
   /**
    * Minimum number of workers required for this factory to operate
    * @type {number}
    */
   requiredWorkers = 10; // Default, can be overridden in subclasses
 
+  /**
+   * Number of the required workers that must be skilled for this factory
+   * to run at full efficiency
+   * @type {number}
+   */
+  requiredSkilledWorkers = 0; // Default, can be overridden in subclasses
+
   constructor(x = 0, y = 0) {
     super(x, y);
     this.power.required = this.energyConsumption;
@@ -83,6 +94,14 @@ export class Factory extends Building {
     this.jobs = new JobsModule(this);
   }
 
+  /**
+   * @param {Random} random
+   */
+  randomize(random) {
+    super.randomize(random);
+    this.style = random.pick(['A', 'B', 'C']);
+  }
+
   /**
    * Get current waste production based on level
    * @returns {number}
@@ -97,33 +116,42 @@ export class Factory extends Building {
   }
 
   /**
-   * Get production efficiency based on energy, workers, level, and production mode
+   * Get production efficiency based on energy, workers, their commutes and skills, level, and production mode
    * @returns {number} 0-1
    */
   get productionEfficiency() {
+    const cityPolicies = this.simulation?.cityPolicies;
+
     if (!this.power.isFullyPowered) {
       return 0.5; // 50% efficiency if no power
     }
     
     // Check worker availability
     const currentWorkers = this.jobs ? this.jobs.workers.length : 0;
+    const effectiveWorkers = this.effectiveWorkers;
     let baseEfficiency = Math.min(1, 0.7 + (this.level - 1) * 0.1);
     
-    if (currentWorkers < this.requiredWorkers) {
+    if (effectiveWorkers < this.requiredWorkers) {
       // If no workers at all, factory stops completely
       if (currentWorkers === 0) {
         return 0; // 0% efficiency = factory stops
       }
       // If insufficient workers, production slows down proportionally
-      const workerRatio = currentWorkers / this.requiredWorkers;
+      const workerRatio = effectiveWorkers / this.requiredWorkers;
       // Production scales with worker ratio (e.g., 50% workers = 50% production)
       baseEfficiency = baseEfficiency * workerRatio;
     }
+
+    // Without enough skilled workers the factory runs below capacity
+    if (this.skilledWorkers < this.requiredSkilledWorkers) {
+      const { unskilledEfficiency } = config.education;
+      const skillRatio = this.skilledWorkers / this.requiredSkilledWorkers;
+      baseEfficiency = baseEfficiency * (unskilledEfficiency + (1 - unskilledEfficiency) * skillRatio);
+    }
     
     // Apply production mode effects (Level 6+)
-    if (window.cityPolicies && window.gameState && window.levelUnlocks &&
-        window.levelUnlocks.isUnlocked('hq-policy-panel', window.gameState.level)) {
-      const modeEffects = window.cityPolicies.getProductionModeEffects();
+    if (cityPolicies && this.simulation.isUnlocked('hq-policy-panel')) {
+      const modeEffects = cityPolicies.getProductionModeEffects();
       baseEfficiency = baseEfficiency * modeEffects.speed;
     }
     
@@ -135,9 +163,10 @@ export class Factory extends Building {
    * @returns {number}
    */
   get wasteProductionMultiplier() {
-    if (window.cityPolicies && window.gameState && window.levelUnlocks &&
-        window.levelUnlocks.isUnlocked('hq-policy-panel', window.gameState.level)) {
-      const modeEffects = window.cityPolicies.getProductionModeEffects();
+    const cityPolicies = this.simulation?.cityPolicies;
+
+    if (cityPolicies && this.simulation.isUnlocked('hq-policy-panel')) {
+      const modeEffects = cityPolicies.getProductionModeEffects();
       return modeEffects.waste;
     }
     return 1.0;
@@ -151,6 +180,28 @@ export class Factory extends Building {
     return this.jobs ? this.jobs.workers.length : 0;
   }
   
+  /**
+   * Number of workers counting each by their productivity, so workers
+   * with long commutes count for less than a full worker
+   * @returns {number}
+   */
+  get effectiveWorkers() {
+    return this.jobs ? this.jobs.workers.reduce((sum, worker) => sum + (worker.productivity ?? 1), 0) : 0;
+  }
+
+  /**
+   * Number of skilled workers, counted by their productivity like
+   * `effectiveWorkers`
+   * @returns {number}
+   */
+  get skilledWorkers() {
+    return this.jobs
+      ? this.jobs.workers
+        .filter((worker) => worker.education === 'skilled')
+        .reduce((sum, worker) => sum + (worker.productivity ?? 1), 0)
+      : 0;
+  }
+
   /**
    * Get maximum number of workers this factory can employ
    * @returns {number}
@@ -160,9 +211,17 @@ export class Factory extends Building {
     return this.requiredWorkers * 2; // Can employ up to 2x required workers
   }
 
+  /**
+   * Available recipes for this factory, from the recipe registry
+   * @type {Array}
+   */
+  get recipes() {
+    return RecipeRegistry.getRecipes(this.type);
+  }
+
   /**
    * Add a production job to the queue
-   * @param {Object} recipe Recipe object
+   * @param {Object | string} recipe Recipe object or id
    * @returns {boolean} True if added successfully
    */
   addProduction(recipe) {
@@ -170,8 +229,11 @@ export class Factory extends Building {
       return false;
     }
 
-    // Check if we have required resources
-    if (!window.resourceManager || !window.resourceManager.hasResources(recipe.inputs)) {
+    // Always produce the registered version of the recipe
+    recipe = RecipeRegistry.getRecipe(this.type, recipe.id ?? recipe);
+
+    // Check if we have required resources and room for the result
+    if (!this.storage.hasInputs(recipe.inputs) || this.storage.getSpace('output') <= 0) {
       return false;
     }
 
@@ -186,29 +248,50 @@ export class Factory extends Building {
     this.productionQueue.push(job);
     
     // Consume resources
-    window.resourceManager.consumeResources(recipe.inputs);
+    this.storage.consumeInputs(recipe.inputs);
     
     return true;
   }
 
+  /**
+   * Materials this factory wants delivered: enough for a few batches of
+   * every recipe it can currently produce
+   * @returns {Object<string, number>}
+   */
+  getInputNeeds() {
+    const needs = {};
+    for (const recipe of this.recipes) {
+      if (!this.canProduce(recipe)) continue;
+      Object.entries(recipe.inputs).forEach(([resource, amount]) => {
+        const wanted = amount * config.logistics.inputBatches - this.storage.getAmount('input', resource);
+        needs[resource] = Math.max(needs[resource] || 0, wanted);
+      });
+    }
+    return needs;
+  }
+
   /**
    * Check if factory can produce this recipe
-   * @param {Object} recipe 
+   * @param {Object | string} recipe Recipe object or id
    * @returns {boolean}
    */
   canProduce(recipe) {
+    // Check if recipe is registered for this factory type
+    const registered = RecipeRegistry.getRecipe(this.type, recipe?.id ?? recipe);
+    if (!registered) {
+      return false;
+    }
+
     // Check factory level requirement (building's own level)
     // Factory must be at least the required level
-    if (recipe.requiredLevel && this.level < recipe.requiredLevel) {
+    if (registered.requiredLevel && this.level < registered.requiredLevel) {
       return false;
     }
     
     // No player level restrictions - recipes unlock based on factory level only
     // Grade 2 recipes (requiredLevel: 2) are available when factory is level 2
     // Grade 3 recipes (requiredLevel: 3) are available when factory is level 3
-    
-    // Check if recipe is available for this factory
-    return this.recipes.some(r => r.id === recipe.id);
+    return true;
   }
 
   /**
@@ -239,32 +322,33 @@ export class Factory extends Building {
    * @param {Object} job 
    */
   completeProduction(job) {
+    const gameState = this.simulation?.gameState;
+    const visualEffects = this.simulation?.visualEffects;
+
     const recipe = job.recipe;
     
-    // Add outputs to inventory
-    if (window.resourceManager) {
-      Object.entries(recipe.outputs).forEach(([resource, amount]) => {
-        window.resourceManager.addResource(resource, amount);
+    // Add outputs to the output buffer for pickup
+    Object.entries(recipe.outputs).forEach(([resource, amount]) => {
+      this.storage.add('output', resource, amount);
+    });
+    
+    // Add waste
+    if (recipe.waste) {
+      Object.entries(recipe.waste).forEach(([wasteType, amount]) => {
+        this.storage.add('output', wasteType, amount * this.wasteProduction / this.baseWasteProduction);
       });
-      
-      // Add waste
-      if (recipe.waste) {
-        Object.entries(recipe.waste).forEach(([wasteType, amount]) => {
-          window.resourceManager.addResource(wasteType, amount * this.wasteProduction / this.baseWasteProduction);
-        });
-      }
     }
     
     // Add XP
-    if (window.gameState) {
-      window.gameState.addXP(5);
+    if (gameState) {
+      gameState.addXP(5);
     }
     
     // Show production effect
-    if (window.visualEffects) {
+    if (visualEffects) {
       // Get total output amount
       const totalOutput = Object.values(recipe.outputs).reduce((sum, amount) => sum + amount, 0);
-      window.visualEffects.showProductionEffect(this, totalOutput, recipe.name);
+      visualEffects.showProductionEffect(this, totalOutput, recipe.name);
     }
   }
 
@@ -293,8 +377,7 @@ export class Factory extends Building {
       });
       
       for (const recipe of sortedRecipes) {
-        if (this.canProduce(recipe) && window.resourceManager && window.resourceManager.hasResources(recipe.inputs)) {
-          this.addProduction(recipe);
+        if (this.canProduce(recipe) && this.addProduction(recipe)) {
           added = true;
           break;
         }
@@ -312,12 +395,15 @@ export class Factory extends Building {
    * @returns {boolean} True if upgrade successful
    */
   upgrade() {
+    const gameState = this.simulation?.gameState;
+    const ui = this.simulation?.ui;
+
     if (this.level >= this.maxLevel) {
       return false;
     }
 
     const upgradeCost = this.getUpgradeCost();
-    if (window.gameState && window.gameState.spendMoney(upgradeCost)) {
+    if (gameState && gameState.spendMoney(upgradeCost)) {
       this.level++;
       this.power.required = this.energyConsumption; // Recalculate
       // Refresh view after upgrade to update model and check resources
@@ -325,12 +411,12 @@ export class Factory extends Building {
       // Check missing resources immediately after upgrade
       this.#checkMissingResources();
       return true;
-    } else if (window.gameState) {
+    } else if (gameState) {
       // Not enough money - show notification
-      if (window.ui) {
-        window.ui.showNotification(
+      if (ui) {
+        ui.showNotification(
           '💰 Yetersiz Para',
-          `Yükseltme için ${upgradeCost.toLocaleString()} 💰 gerekiyor. Mevcut paranız: ${window.gameState.money.toLocaleString()} 💰`,
+          `Yükseltme için ${upgradeCost.toLocaleString()} 💰 gerekiyor. Mevcut paranız: ${gameState.money.toLocaleString()} 💰`,
           'error'
         );
       }
@@ -360,9 +446,9 @@ export class Factory extends Building {
    * Refresh view with appropriate model
    */
   refreshView() {
-    if (!window.assetManager) {
-      console.error('AssetManager not available');
-      return;
+    const assetManager = this.simulation?.assetManager;
+    if (!assetManager) {
+      return; // Nothing to render when running headless
     }
     
     let modelName;
@@ -372,25 +458,25 @@ export class Factory extends Building {
     modelName = `${this.type}-${this.style}${this.level}`;
     
     // Check if model exists in assetManager
-    if (!window.assetManager.models || !window.assetManager.models[modelName]) {
+    if (!assetManager.models || !assetManager.models[modelName]) {
       console.warn(`Model not found: ${modelName}, trying fallback...`);
       // Fallback to A1 style
       modelName = `${this.type}-A${this.level}`;
       
       // If still not found, try A1
-      if (!window.assetManager.models[modelName]) {
+      if (!assetManager.models[modelName]) {
         modelName = `${this.type}-A1`;
       }
     }
     
     // Final check
-    if (!window.assetManager.models || !window.assetManager.models[modelName]) {
+    if (!assetManager.models || !assetManager.models[modelName]) {
       console.error(`Model not found: ${modelName} for factory type: ${this.type}`);
       return;
     }
     
     try {
-      let mesh = window.assetManager.getModel(modelName, this);
+      let mesh = assetManager.getModel(modelName, this);
       
       if (!mesh) {
         console.error(`Failed to load model: ${modelName}`);
@@ -403,8 +489,7 @@ export class Factory extends Building {
       
       // Tint building based on status and waste level
       // Priority: no-power > waste level > normal
-      const wasteSystemUnlocked = window.gameState && window.levelUnlocks &&
-          window.levelUnlocks.isUnlocked('local-waste', window.gameState.level);
+      const wasteSystemUnlocked = this.simulation?.isUnlocked('local-waste');
       
       if (this.status === 'no-power' || (this.power && !this.power.isFullyPowered)) {
         mesh.traverse((obj) => {
@@ -466,8 +551,7 @@ export class Factory extends Building {
     }
     
     // Update waste module (only if waste system is unlocked - Level 3+)
-    const wasteSystemUnlocked = window.gameState && window.levelUnlocks &&
-        window.levelUnlocks.isUnlocked('local-waste', window.gameState.level);
+    const wasteSystemUnlocked = this.simulation?.isUnlocked('local-waste');
     
     if (this.waste && wasteSystemUnlocked) {
       this.waste.simulate(city, currentTick);
@@ -528,8 +612,8 @@ export class Factory extends Building {
    * Called every tick in simulate() for real-time updates
    */
   #checkMissingResources() {
-    if (!window.resourceManager || !this.power.isFullyPowered) {
-      // Clear missing resources status if no power or resource manager not available
+    if (!this.power.isFullyPowered) {
+      // Clear missing resources status if no power
       if (this.status === 'missing-resources') {
         this.setStatus('ok');
       }
@@ -542,7 +626,7 @@ export class Factory extends Building {
     for (const recipe of this.recipes) {
       if (this.canProduce(recipe)) {
         // Check if resources are available for this recipe
-        if (!window.resourceManager.hasResources(recipe.inputs)) {
+        if (!this.storage.hasInputs(recipe.inputs)) {
           hasMissingResources = true;
           break;
         }
@@ -554,7 +638,7 @@ export class Factory extends Building {
       // Check if we can actually produce the queued items
       for (const job of this.productionQueue) {
         const recipe = this.recipes.find(r => r.output === job.product);
-        if (recipe && !window.resourceManager.hasResources(recipe.inputs)) {
+        if (recipe && !this.storage.hasInputs(recipe.inputs)) {
           hasMissingResources = true;
           break;
         }
@@ -589,6 +673,58 @@ export class Factory extends Building {
     return 'textile-waste'; // Default
   }
 
+  /**
+   * @returns {object}
+   */
+  serialize() {
+    return {
+      ...super.serialize(),
+      level: this.level,
+      style: this.style,
+      storage: this.storage.serialize(),
+      productionQueue: this.productionQueue.map((job) => ({
+        recipeId: job.recipe.id,
+        progress: job.progress,
+        totalTime: job.totalTime,
+        startTime: job.startTime
+      }))
+    };
+  }
+
+  /**
+   * Restores the factory, including any in-progress production. Resources
+   * for queued jobs were already consumed when they were queued, so they
+   * are not consumed again.
+   * @param {object} data 
+   * @param {City} city 
+   */
+  deserialize(data, city) {
+    super.deserialize(data, city);
+    this.level = data.level ?? this.level;
+    this.power.required = this.energyConsumption;
+    if (data.style) {
+      this.style = data.style;
+    }
+    if (data.storage) {
+      this.storage.deserialize(data.storage, city);
+    }
+
+    this.productionQueue = [];
+    for (const jobData of data.productionQueue ?? []) {
+      const recipe = RecipeRegistry.getRecipe(this.type, jobData.recipeId);
+      if (!recipe) {
+        console.warn(`Unknown recipe ${jobData.recipeId} for ${this.type}, dropping queued job`);
+        continue;
+      }
+      this.productionQueue.push({
+        recipe: recipe,
+        progress: jobData.progress ?? 0,
+        totalTime: jobData.totalTime ?? recipe.duration,
+        startTime: jobData.startTime ?? Date.now()
+      });
+    }
+  }
+
   /**
    * Returns HTML representation
    * @returns {string}
@@ -609,7 +745,19 @@ export class Factory extends Building {
         ${this.currentWorkers}/${this.requiredWorkers} (min: ${this.requiredWorkers})
       </span>
       <br>
-      ${window.gameState && window.levelUnlocks && window.levelUnlocks.isUnlocked('local-waste', window.gameState.level) ? `
+      ${this.requiredSkilledWorkers > 0 ? `
+      <span class="info-label">Skilled Workers </span>
+      <span class="info-value" style="color: ${this.skilledWorkers >= this.requiredSkilledWorkers ? '#4CAF50' : '#FF9800'};">
+        ${this.skilledWorkers.toFixed(1)}/${this.requiredSkilledWorkers}
+      </span>
+      <br>
+      ` : ''}
+      ${this.currentWorkers > 0 ? `
+      <span class="info-label">Commute Productivity </span>
+      <span class="info-value">${(this.effectiveWorkers / this.currentWorkers * 100).toFixed(0)}%</span>
+      <br>
+      ` : ''}
+      ${this.simulation?.isUnlocked('local-waste') ? `
       <span class="info-label">Waste Production </span>
       <span class="info-value">${this.wasteProduction.toFixed(1)}/tick</span>
       <br>
@@ -642,7 +790,7 @@ export class Factory extends Building {
         if (this.canProduce(recipe)) {
           canProduceAny = true;
           // Check if we have resources for this recipe
-          if (window.resourceManager && window.resourceManager.hasResources(recipe.inputs)) {
+          if (this.storage.hasInputs(recipe.inputs)) {
             // We can produce this recipe, so production should start
             html += `<div style="padding: 8px; color: #888; font-size: 0.9em;">Otomatik üretim başlatılacak...</div>`;
             break;
@@ -650,7 +798,7 @@ export class Factory extends Building {
             // Missing resources for this recipe
             const missing = [];
             for (const [resource, amount] of Object.entries(recipe.inputs)) {
-              const current = window.resourceManager.getResource(resource) || 0;
+              const current = this.storage.getAmount('input', resource);
               if (current < amount) {
                 // Format resource name for display (capitalize and replace dashes)
                 const resourceName = resource
@@ -688,9 +836,10 @@ export class Factory extends Building {
       }
     }
     
+    html += this.storage.toHTML();
+    
     // Waste information (only if waste system is unlocked - Level 3+)
-    const wasteSystemUnlocked = window.gameState && window.levelUnlocks &&
-        window.levelUnlocks.isUnlocked('local-waste', window.gameState.level);
+    const wasteSystemUnlocked = this.simulation?.isUnlocked('local-waste');
     
     if (this.waste && wasteSystemUnlocked) {
       const wasteLevel = this.waste.getLevel();
@@ -0,0 +1,208 @@
+import { Building } from './building.js';
+import { BuildingType } from './buildingType.js';
+import { City } from '../city.js';
+import config from '../../config.js';
+
+/**
+ * Landfill - Takes the waste the city has no room for
+ *
+ * Waste that overflows a building's waste storage or the city's waste
+ * stock is buried here until the landfill is full. An open landfill leaks
+ * leachate into the soil and water, more the fuller it gets, until it is
+ * capped and closed for good. It cannot be bulldozed until then.
+ */
+export class Landfill extends Building {
+  type = BuildingType.landfill;
+
+  /**
+   * Buried waste, by waste type
+   * @type {Object<string, number>}
+   */
+  contents = {};
+
+  /**
+   * True once the landfill has been capped and closed
+   * @type {boolean}
+   */
+  capped = false;
+
+  constructor(x = 0, y = 0) {
+    super(x, y);
+    this.name = 'Landfill';
+  }
+
+  /**
+   * Get base cost of the landfill
+   * @returns {number}
+   */
+  getBaseCost() {
+    return 2000;
+  }
+
+  /**
+   * Waste that fits in the landfill
+   * @type {number}
+   */
+  get capacity() {
+    return config.landfill.capacity;
+  }
+
+  /**
+   * Buried waste
+   * @type {number}
+   */
+  get filled() {
+    return Object.values(this.contents).reduce((sum, amount) => sum + amount, 0);
+  }
+
+  /**
+   * Leachate leaking into the soil and water each tick
+   * @type {number}
+   */
+  get leachate() {
+    return this.capped ? 0 : this.filled * config.landfill.leachateRate;
+  }
+
+  /**
+   * Buries waste as far as there is room
+   * @param {string} wasteType
+   * @param {number} amount
+   * @returns {number} Amount buried
+   */
+  accept(wasteType, amount) {
+    if (this.capped || !this.roadAccess.value) {
+      return 0;
+    }
+    const accepted = Math.max(0, Math.min(amount, this.capacity - this.filled));
+    this.contents[wasteType] = (this.contents[wasteType] ?? 0) + accepted;
+    return accepted;
+  }
+
+  /**
+   * Caps and closes the landfill, which stops it leaking
+   * @returns {boolean} True if the landfill was capped
+   */
+  cap() {
+    const gameState = this.simulation?.gameState;
+    const ui = this.simulation?.ui;
+
+    if (this.capped || !gameState) {
+      return false;
+    }
+
+    const cost = config.landfill.capCost;
+    if (gameState.spendMoney(cost)) {
+      this.capped = true;
+      return true;
+    }
+
+    if (ui) {
+      ui.showNotification(
+        '💰 Yetersiz Para',
+        `Çöp sahasını kapatmak için ${cost.toLocaleString()} 💰 gerekiyor. Mevcut paranız: ${gameState.money.toLocaleString()} 💰`,
+        'error'
+      );
+    }
+    return false;
+  }
+
+  /**
+   * @param {City} city
+   */
+  simulate(city) {
+    super.simulate(city);
+
+    const simulation = this.simulation;
+    const leachate = this.leachate;
+    if (leachate > 0 && simulation?.globalPollution && simulation.isUnlocked('global-pollution')) {
+      simulation.globalPollution.addLeachate(leachate);
+    }
+  }
+
+  /**
+   * Refresh view with the landfill model
+   */
+  refreshView() {
+    const assetManager = this.simulation?.assetManager;
+    if (!assetManager) {
+      return; // Nothing to render when running headless
+    }
+    this.setMesh(assetManager.getModel(`${this.type}-1`, this));
+  }
+
+  /**
+   * @returns {object}
+   */
+  serialize() {
+    return {
+      ...super.serialize(),
+      contents: { ...this.contents },
+      capped: this.capped
+    };
+  }
+
+  /**
+   * @param {object} data
+   * @param {City} city
+   */
+  deserialize(data, city) {
+    super.deserialize(data, city);
+    this.contents = { ...data.contents };
+    this.capped = data.capped ?? false;
+  }
+
+  /**
+   * Returns HTML representation with the fill level and leachate
+   * @returns {string}
+   */
+  toHTML() {
+    const wasteNames = {
+      'textile-waste': '🧵 Tekstil Atığı',
+      'e-waste': '💻 E-Atık',
+      'scrap-metal': '🔩 Hurda Metal',
+      'plastic-waste': '🧴 Plastik Atık',
+      'organic-waste': '🌾 Organik Atık'
+    };
+    const fillLevel = Math.min(100, this.filled / this.capacity * 100);
+    const fillColor = fillLevel >= 95 ? '#f44336' : fillLevel >= 80 ? '#FF9800' : '#4CAF50';
+
+    let html = super.toHTML();
+    html += `
+      <div class="info-heading">🕳️ Çöp Sahası</div>
+      <span class="info-label">Durum </span>
+      <span class="info-value">${this.capped ? '🔒 Kapatıldı' : '🟢 Açık'}</span>
+      <br>
+      <div style="padding: 8px;">
+        <div style="display: flex; justify-content: space-between; margin-bottom: 4px;">
+          <span>Doluluk:</span>
+          <span style="color: ${fillColor}; font-weight: bold;">${this.filled.toFixed(1)} / ${this.capacity}</span>
+        </div>
+        <div style="background: #333; height: 8px; border-radius: 4px; overflow: hidden;">
+          <div style="background: ${fillColor}; height: 100%; width: ${fillLevel}%;"></div>
+        </div>
+      </div>
+      <span class="info-label">Sızıntı Suyu </span>
+      <span class="info-value">${this.leachate.toFixed(3)} kirlilik/tick</span>
+      <br>
+    `;
+
+    for (const [wasteType, amount] of Object.entries(this.contents).filter(([, amount]) => amount > 0)) {
+      html += `
+        <span class="info-label">${wasteNames[wasteType] ?? wasteType} </span>
+        <span class="info-value">${amount.toFixed(1)}</span>
+        <br>`;
+    }
+
+    if (!this.capped) {
+      html += `
+        <div style="padding: 4px 8px; color: #FF9800; font-size: 0.9em;">⚠️ Açık çöp sahası toprağa ve suya sızar. Atık depolamak Circular Score'u en çok düşüren yoldur.</div>
+        <div style="padding: 8px; margin-top: 4px;">
+          <button class="action-button" onclick="window.game?.capLandfill(${this.x}, ${this.y})" style="width: 100%;">
+            🔒 Kapat ve Ört (${config.landfill.capCost.toLocaleString()} 💰)
+          </button>
+        </div>
+      `;
+    }
+    return html;
+  }
+}
@@ -0,0 +1,328 @@
+import config from '../../../config.js';
+import { City } from '../../city.js';
+import { Zone as ResidentialZone } from '../../buildings/zones/zone.js';
+import { BuildingType } from '../buildingType.js';
+import { RepairCafe } from '../repairCafe.js';
+import { DevelopmentState } from './development.js';
+import { SimModule } from './simModule.js';
+
+/**
+ * @typedef {object} OwnedProducts
+ * @property {string} product
+ * @property {number} amount
+ * @property {number} remaining Ticks until the products are thrown away
+ */
+
+/**
+ * Consumption Module - Products a household buys, uses and throws away
+ *
+ * Residents need a steady supply of the products in
+ * `config.consumption.demand`. A home buys them refurbished from a repair
+ * café nearby, used or new from an eco shop nearby, or else from the city
+ * warehouse at the market price. Each product lasts its lifetime. Then it
+ * is sold to an eco shop's second-hand section if it is still good enough,
+ * taken to a repair café nearby, or discarded as post-consumer waste, which
+ * waits at the home for a garbage truck. Discarded products a home has no
+ * room for are dumped and pollute the city.
+ */
+export class ConsumptionModule extends SimModule {
+  /**
+   * @type {ResidentialZone}
+   */
+  #zone;
+
+  /**
+   * Products wanted but not bought yet, by product
+   * @type {Object<string, number>}
+   */
+  demand = {};
+
+  /**
+   * Products in use, in the order they were bought
+   * @type {OwnedProducts[]}
+   */
+  owned = [];
+
+  /**
+   * Post-consumer waste waiting to be collected, by waste type
+   * @type {Object<string, number>}
+   */
+  discarded = {};
+
+  /**
+   * Products bought since the game started, by product
+   * @type {Object<string, number>}
+   */
+  bought = {};
+
+  /**
+   * Used products sold to eco shops since the game started, by product
+   * @type {Object<string, number>}
+   */
+  soldUsed = {};
+
+  /**
+   * @param {ResidentialZone} zone
+   */
+  constructor(zone) {
+    super();
+    this.#zone = zone;
+  }
+
+  /**
+   * @param {City} city
+   */
+  simulate(city) {
+    if (!this.#zone.simulation?.isUnlocked('household-consumption')) {
+      return;
+    }
+
+    this.#discardWornOut(city);
+
+    if (this.#zone.development.state !== DevelopmentState.developed) {
+      return;
+    }
+
+    const residents = this.#zone.residents.count;
+    for (const [product, demand] of Object.entries(config.consumption.demand)) {
+      // A household puts off at most one purchase of each product
+      this.demand[product] = (this.demand[product] ?? 0) + residents * demand / config.citizen.ticksPerYear;
+      while (this.demand[product] >= 1 && this.#buy(city, product)) {
+        this.demand[product]--;
+      }
+      this.demand[product] = Math.min(this.demand[product], 1);
+    }
+  }
+
+  /**
+   * Number of products in use
+   * @param {string} product
+   * @returns {number}
+   */
+  getOwned(product) {
+    return this.owned
+      .filter((owned) => owned.product === product)
+      .reduce((sum, owned) => sum + owned.amount, 0);
+  }
+
+  /**
+   * Takes discarded products away (e.g. by a garbage truck)
+   * @param {string} wasteType
+   * @param {number} amount Most to take
+   * @returns {number} Amount taken
+   */
+  removeDiscarded(wasteType, amount) {
+    const removed = Math.min(amount, this.discarded[wasteType] ?? 0);
+    this.discarded[wasteType] = (this.discarded[wasteType] ?? 0) - removed;
+    return removed;
+  }
+
+  /**
+   * Buys one product, refurbished from the closest repair café that has it
+   * in stock, used from the closest eco shop that has it second-hand, new
+   * from the closest eco shop that has it, or else from the city warehouse
+   * @param {City} city
+   * @param {string} product
+   * @returns {boolean} True if the product was bought
+   */
+  #buy(city, product) {
+    const simulation = this.#zone.simulation;
+    let lifetime = config.products[product].lifetime * config.citizen.ticksPerYear;
+    const repairCafe = this.#findRepairCafe(city, (cafe) => cafe.refurbished[product] >= 1);
+    const usedShop = repairCafe ? null : this.#findSecondHandShop(city, (shop) => shop.secondHand.stock[product] >= 1);
+    const shop = repairCafe || usedShop ? null : this.#findShop(city, product);
+    if (repairCafe) {
+      repairCafe.sellRefurbished(product);
+      lifetime = Math.round(lifetime * config.repair.lifetimeFactor);
+    } else if (usedShop) {
+      usedShop.secondHand.sell(product);
+      lifetime = Math.round(lifetime * config.secondHand.lifetimeFactor);
+    } else if (shop) {
+      shop.sellProduct(product);
+    } else if (simulation.resourceManager?.removeResource(product, 1)) {
+      simulation.gameState?.addMoney(simulation.market?.getProductPrice(product) ?? 0);
+    } else {
+      return false;
+    }
+
+    this.owned.push({ product, amount: 1, remaining: lifetime });
+    this.bought[product] = (this.bought[product] ?? 0) + 1;
+    return true;
+  }
+
+  /**
+   * Sells the products that have reached the end of their lifetime second
+   * hand if they are still good enough, takes them to a repair café, or
+   * else throws them away
+   * @param {City} city
+   */
+  #discardWornOut(city) {
+    const simulation = this.#zone.simulation;
+    this.owned = this.owned.filter((owned) => {
+      if (--owned.remaining > 0) {
+        return true;
+      }
+
+      const usedShop = this.#findSecondHandShop(city, (shop) => shop.secondHand.canBuy(owned.product));
+      if (usedShop && simulation.random.chance(config.secondHand.usableShare) &&
+          usedShop.secondHand.buy(owned.product)) {
+        this.soldUsed[owned.product] = (this.soldUsed[owned.product] ?? 0) + 1;
+        return false;
+      }
+
+      const repairCafe = this.#findRepairCafe(city, (cafe) => cafe.canAccept(owned.product, owned.amount));
+      if (repairCafe) {
+        repairCafe.acceptBroken(owned.product, owned.amount);
+        return false;
+      }
+
+      const { waste, wasteAmount } = config.products[owned.product];
+      const amount = owned.amount * wasteAmount;
+      const held = this.discarded[waste] ?? 0;
+      const kept = Math.min(amount, config.consumption.maxDiscarded - held);
+      this.discarded[waste] = held + kept;
+
+      // No room left at the home, the rest is dumped
+      city.landfills.litter(city, waste, amount - kept);
+      return false;
+    });
+  }
+
+  /**
+   * @param {City} city
+   * @param {string} product
+   * @returns {Building | null} The closest eco shop within shopping distance
+   * that sells the product
+   */
+  #findShop(city, product) {
+    if (!this.#zone.simulation?.isUnlocked('eco-shop')) {
+      return null;
+    }
+
+    return this.#findNearest(city, config.happiness.shopDistance, (building) =>
+      building.type === BuildingType.commercial &&
+      building.development?.state === DevelopmentState.developed &&
+      building.power.isFullyPowered &&
+      building.inventory[product] >= 1);
+  }
+
+  /**
+   * @param {City} city
+   * @param {(shop: CommercialZone) => boolean} predicate
+   * @returns {CommercialZone | null} The closest eco shop within shopping
+   * distance with an open second-hand section that meets the predicate
+   */
+  #findSecondHandShop(city, predicate) {
+    return this.#findNearest(city, config.happiness.shopDistance, (building) =>
+      building.type === BuildingType.commercial &&
+      building.secondHand.isOpen &&
+      predicate(building));
+  }
+
+  /**
+   * @param {City} city
+   * @param {(cafe: RepairCafe) => boolean} predicate
+   * @returns {RepairCafe | null} The closest operating repair café within
+   * its coverage that meets the predicate
+   */
+  #findRepairCafe(city, predicate) {
+    return this.#findNearest(city, config.repair.coverageRadius, (building) =>
+      building.type === BuildingType.repairCafe &&
+      building.isOperating &&
+      predicate(building));
+  }
+
+  /**
+   * @param {City} city
+   * @param {number} distance Max Manhattan distance from the home
+   * @param {(building: Building) => boolean} predicate
+   * @returns {Building | null} The closest building that meets the predicate
+   */
+  #findNearest(city, distance, predicate) {
+    let nearest = null;
+    let nearestDistance = Infinity;
+    for (let dx = -distance; dx <= distance; dx++) {
+      for (let dy = -distance; dy <= distance; dy++) {
+        const d = Math.abs(dx) + Math.abs(dy);
+        if (d > distance || d >= nearestDistance) continue;
+        const building = city.getTile(this.#zone.x + dx, this.#zone.y + dy)?.building;
+        if (building && predicate(building)) {
+          nearest = building;
+          nearestDistance = d;
+        }
+      }
+    }
+    return nearest;
+  }
+
+  /**
+   * @returns {object}
+   */
+  serialize() {
+    return {
+      demand: { ...this.demand },
+      owned: this.owned.map((owned) => ({ ...owned })),
+      discarded: { ...this.discarded },
+      bought: { ...this.bought },
+      soldUsed: { ...this.soldUsed }
+    };
+  }
+
+  /**
+   * @param {object} data
+   * @param {City} city
+   */
+  deserialize(data, city) {
+    this.demand = { ...data.demand };
+    this.owned = (data.owned ?? []).map((owned) => ({
+      product: owned.product,
+      amount: owned.amount,
+      remaining: owned.remaining
+    }));
+    this.discarded = { ...data.discarded };
+    this.bought = { ...data.bought };
+    this.soldUsed = { ...data.soldUsed };
+  }
+
+  /**
+   * Returns an HTML representation of this object
+   * @returns {string}
+   */
+  toHTML() {
+    if (!this.#zone.simulation?.isUnlocked('household-consumption')) {
+      return '';
+    }
+
+    const productNames = {
+      'clothing': '👕 Kıyafet',
+      'sports-gear': '⚽ Spor Malzemesi',
+      'smartphone': '📱 Telefon',
+      'laptop': '💻 Laptop'
+    };
+    const wasteNames = {
+      'textile-waste': '👕 Tekstil Atığı',
+      'plastic-waste': '🧴 Plastik Atık',
+      'e-waste': '🔌 E-Atık'
+    };
+
+    let html = `<div class="info-heading">🛍️ Hane Tüketimi</div>`;
+    for (const product of Object.keys(config.consumption.demand)) {
+      html += `
+        <span class="info-label">${productNames[product] ?? product} </span>
+        <span class="info-value">${this.getOwned(product)} kullanımda</span>
+        <br>`;
+    }
+
+    const discarded = Object.entries(this.discarded).filter(([, amount]) => amount > 0);
+    if (discarded.length > 0) {
+      html += `<div style="padding: 4px 0; color: #888; font-size: 0.9em;">Toplanmayı bekleyen atık</div>`;
+      for (const [waste, amount] of discarded) {
+        html += `
+          <span class="info-label">${wasteNames[waste] ?? waste} </span>
+          <span class="info-value">${amount.toFixed(0)}/${config.consumption.maxDiscarded}</span>
+          <br>`;
+      }
+    }
+    return html;
+  }
+}
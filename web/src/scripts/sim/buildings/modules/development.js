@@ -79,12 +79,13 @@ export class DevelopmentModule extends SimModule {
    * @param {City} city 
    */
   simulate(city) {
+    const random = city.simulation.random;
     this.#checkAbandonmentCriteria();
 
     switch (this.state) {
       case DevelopmentState.undeveloped:
         if (this.#checkDevelopmentCriteria() &&
-          Math.random() < config.modules.development.redevelopChance) {
+          random.chance(config.modules.development.redevelopChance)) {
           this.state = DevelopmentState.underConstruction;
           this.#constructionCounter = 0;
         }
@@ -103,18 +104,18 @@ export class DevelopmentModule extends SimModule {
         }
         
         if (this.#abandonmentCounter > config.modules.development.abandonThreshold) {
-          if (Math.random() < config.modules.development.abandonChance) {
+          if (random.chance(config.modules.development.abandonChance)) {
             this.state = DevelopmentState.abandoned;
           }
         } else {
-          if (this.level < this.maxLevel && Math.random() < config.modules.development.levelUpChance) {
+          if (this.level < this.maxLevel && random.chance(config.modules.development.levelUpChance)) {
             this.level++;
           }
         }
         break;
       case DevelopmentState.abandoned:
         if (this.#abandonmentCounter == 0) {
-          if (Math.random() < config.modules.development.redevelopChance) {
+          if (random.chance(config.modules.development.redevelopChance)) {
             this.state = DevelopmentState.developed;
           }
         }
@@ -134,17 +135,46 @@ export class DevelopmentModule extends SimModule {
   }
 
   /**
+   * A building is abandoned when it loses road access or power, or when
+   * its residents are too unhappy to stay
    * @param {City} city 
    * @returns 
    */
   #checkAbandonmentCriteria() {
-    if (!this.#checkDevelopmentCriteria()) {
+    const happiness = this.#zone.residents?.happiness ?? null;
+    const isUnhappy = happiness !== null && happiness < config.happiness.abandonThreshold;
+    if (!this.#checkDevelopmentCriteria() || isUnhappy) {
       this.#abandonmentCounter++;
     } else {
       this.#abandonmentCounter = 0;
     }
   }
 
+  /**
+   * @returns {object}
+   */
+  serialize() {
+    return {
+      state: this.#state,
+      level: this.#level,
+      abandonmentCounter: this.#abandonmentCounter,
+      constructionCounter: this.#constructionCounter
+    };
+  }
+
+  /**
+   * Restores the development state without refreshing the zone's view.
+   * The caller refreshes the view once the building is fully restored.
+   * @param {object} data 
+   * @param {City} city 
+   */
+  deserialize(data, city) {
+    this.#state = data.state ?? DevelopmentState.undeveloped;
+    this.#level = data.level ?? 1;
+    this.#abandonmentCounter = data.abandonmentCounter ?? 0;
+    this.#constructionCounter = data.constructionCounter ?? 0;
+  }
+
   /**
    * Returns an HTML representation of this object
    * @returns {string}
@@ -28,7 +28,8 @@ export class PowerModule extends SimModule {
     }
     
     // Check if energy pool has enough energy
-    if (window.gameState && window.gameState.energy >= this.required) {
+    const gameState = this.building.simulation?.gameState;
+    if (gameState && gameState.energy >= this.required) {
       return true;
     }
     
@@ -40,10 +41,11 @@ export class PowerModule extends SimModule {
    * @param {City} city 
    */
   simulate(city) {
-    if (this.required > 0 && window.gameState) {
+    const gameState = this.building.simulation?.gameState;
+    if (this.required > 0 && gameState) {
       // Try to consume energy from pool
-      if (window.gameState.energy >= this.required) {
-        window.gameState.consumeEnergy(this.required);
+      if (gameState.energy >= this.required) {
+        gameState.consumeEnergy(this.required);
       }
     }
   }
@@ -4,9 +4,14 @@ import { City } from '../../city.js';
 import { Zone as ResidentialZone } from '../../buildings/zones/zone.js';
 import { DevelopmentState } from './development.js';
 import { SimModule } from './simModule.js';
+import { BuildingType } from '../buildingType.js';
 
 /**
- * Logic for residents moving into and out of a building
+ * Logic for residents moving into and out of a building. Residents are
+ * more likely to move into a home whose residents are happy and in an
+ * attractive city. Unhappy residents move away, and so do some residents
+ * of an unattractive city. Children are born into the home and residents
+ * die of old age.
  */
 export class ResidentsModule extends SimModule {
   /**
@@ -19,6 +24,13 @@ export class ResidentsModule extends SimModule {
    */
   #residents = [];
 
+  /**
+   * How well the home meets the needs of its residents, each from 0 to 1.
+   * Having a job differs between residents and is kept on each citizen.
+   * @type {{ housing: number, shopping: number, pollution: number, energy: number }}
+   */
+  needs = { housing: 1, shopping: 1, pollution: 1, energy: 1 };
+
   /**
    * @param {ResidentialZone} zone 
    */
@@ -35,6 +47,25 @@ export class ResidentsModule extends SimModule {
     return this.#residents.length;
   }
 
+  /**
+   * The residents of the building
+   * @type {Citizen[]}
+   */
+  get citizens() {
+    return this.#residents;
+  }
+
+  /**
+   * Average happiness of the residents
+   * @type {number | null} 0-100, or null if nobody lives here
+   */
+  get happiness() {
+    if (this.#residents.length === 0) {
+      return null;
+    }
+    return this.#residents.reduce((sum, resident) => sum + resident.happiness, 0) / this.#residents.length;
+  }
+
   /**
    * Maximuim number of residents that can live in this building
    * @returns {number}
@@ -48,26 +79,120 @@ export class ResidentsModule extends SimModule {
    */
   simulate(city) {
     // If building is abandoned, all residents are evicted and no more residents are allowed to move in.
+    const random = city.simulation.random;
+    const demographics = city.demographics;
+    const { ticksPerYear } = config.citizen;
+
     if (this.#zone.development.state === DevelopmentState.abandoned && this.#residents.length > 0) {
-      this.evictAll();
+      this.#residents.forEach(() => demographics.record('emigrants'));
+      this.#evictAll();
     } else if (this.#zone.development.state === DevelopmentState.developed) {
+      this.#updateNeeds(city);
+
+      // Unhappy residents move away, and so do some residents of an
+      // unattractive city
+      const emigrationChance = config.demographics.emigrationRate *
+        (1 - demographics.attractiveness / 100) / ticksPerYear;
+      this.#residents = this.#residents.filter((resident) => {
+        const isUnhappy = resident.happiness < config.happiness.moveOutThreshold;
+        if ((isUnhappy && random.chance(config.happiness.moveOutChance)) || random.chance(emigrationChance)) {
+          resident.dispose();
+          demographics.record('emigrants');
+          return false;
+        }
+        return true;
+      });
+
+      // Residents of parenting age have children while there is room
+      const { minParentAge, maxParentAge, birthRate } = config.demographics;
+      const parents = this.#residents.filter((resident) =>
+        resident.age >= minParentAge && resident.age <= maxParentAge).length;
+      if (this.#residents.length < this.maximum && random.chance(parents * birthRate / ticksPerYear)) {
+        this.#residents.push(new Citizen(this.#zone, random, 0));
+        demographics.record('births');
+      }
+
       // Move in new residents if there is room
       // Apply tax policy effects (Level 6+)
       let moveInChance = config.modules.residents.residentMoveInChance;
-      if (window.cityPolicies && window.gameState && window.levelUnlocks &&
-          window.levelUnlocks.isUnlocked('hq-policy-panel', window.gameState.level)) {
-        const taxEffects = window.cityPolicies.getTaxPolicyEffects();
+      const simulation = this.#zone.simulation;
+      if (simulation?.cityPolicies && simulation.isUnlocked('hq-policy-panel')) {
+        const taxEffects = simulation.cityPolicies.getTaxPolicyEffects();
         moveInChance = moveInChance * taxEffects.population;
       }
+
+      // Word gets around: happy homes in attractive cities fill up faster
+      moveInChance = moveInChance * (this.happiness ?? 100) / 100;
+      moveInChance = moveInChance * demographics.attractiveness / 100;
       
-      if (this.#residents.length < this.maximum && Math.random() < moveInChance) {
-        this.#residents.push(new Citizen(this.#zone));
+      if (this.#residents.length < this.maximum && random.chance(moveInChance)) {
+        this.#residents.push(new Citizen(this.#zone, random));
+        demographics.record('immigrants');
       }
     }
 
     for (const resident of this.#residents) {
       resident.simulate(city);
     }
+
+    // Residents who died this tick
+    this.#residents = this.#residents.filter((resident) => {
+      if (resident.deceased) {
+        resident.dispose();
+        demographics.record('deaths');
+        return false;
+      }
+      return true;
+    });
+  }
+
+  /**
+   * Updates how well the home meets its residents' needs
+   * @param {City} city
+   */
+  #updateNeeds(city) {
+    const zone = this.#zone;
+    const development = zone.development;
+
+    // Homes get better as they develop
+    this.needs.housing = (development.level + 1) / (development.maxLevel + 1);
+
+    this.needs.shopping = this.#countNearby(city, config.happiness.shopDistance, (building) =>
+      building.type === BuildingType.commercial &&
+      building.development?.state === DevelopmentState.developed) > 0 ? 1 : 0;
+
+    // City-wide pollution, nearby factories and the home's own waste
+    const factories = this.#countNearby(city, config.happiness.industryDistance, (building) =>
+      building.requiredWorkers !== undefined || building.type === BuildingType.industrial);
+    const globalPollution = zone.simulation?.globalPollution?.totalPollution ?? 0;
+    const waste = zone.waste?.amount ?? 0;
+    this.needs.pollution = Math.max(0, Math.min(1,
+      1 - globalPollution / 100 * 0.5 - factories * 0.25 - waste / 100 * 0.25));
+
+    // Reliability: how often the home has had power lately
+    const powered = zone.power.isFullyPowered ? 1 : 0;
+    this.needs.energy += (powered - this.needs.energy) * config.happiness.smoothing;
+  }
+
+  /**
+   * Counts the buildings within a Manhattan distance of the home
+   * @param {City} city
+   * @param {number} distance
+   * @param {(building: Building) => boolean} filter
+   * @returns {number}
+   */
+  #countNearby(city, distance, filter) {
+    let count = 0;
+    for (let dx = -distance; dx <= distance; dx++) {
+      for (let dy = -distance; dy <= distance; dy++) {
+        if (Math.abs(dx) + Math.abs(dy) > distance) continue;
+        const building = city.getTile(this.#zone.x + dx, this.#zone.y + dy)?.building;
+        if (building && building !== this.#zone && filter(building)) {
+          count++;
+        }
+      }
+    }
+    return count;
   }
 
   /**
@@ -87,6 +212,34 @@ export class ResidentsModule extends SimModule {
     this.#evictAll();
   }
 
+  /**
+   * @returns {object}
+   */
+  serialize() {
+    return {
+      residents: this.#residents.map((resident) => resident.serialize()),
+      needs: { ...this.needs }
+    };
+  }
+
+  /**
+   * Recreates the residents and restores how well the home meets their
+   * needs. Workplaces are resolved against `city`, so every building must
+   * already be placed before this is called.
+   * @param {object} data 
+   * @param {City} city 
+   */
+  deserialize(data, city) {
+    this.needs = { ...this.needs, ...data.needs };
+
+    this.#evictAll();
+    for (const residentData of data.residents) {
+      const resident = new Citizen(this.#zone, city.simulation.random);
+      resident.deserialize(residentData, city);
+      this.#residents.push(resident);
+    }
+  }
+
   /**
    * Returns an HTML representation of this object
    * @returns {string}
@@ -94,6 +247,32 @@ export class ResidentsModule extends SimModule {
   toHTML() {
     let html = `<div class="info-heading">Residents (${this.#residents.length}/${this.maximum})</div>`;
 
+    const happiness = this.happiness;
+    if (happiness !== null) {
+      const color = happiness >= 60 ? '#4CAF50' : happiness >= config.happiness.moveOutThreshold ? '#FF9800' : '#f44336';
+      html += `
+        <span class="info-label">Mutluluk </span>
+        <span class="info-value" style="color: ${color};">${happiness.toFixed(0)}%</span>
+        <br>`;
+    }
+    const needNames = {
+      housing: '🏠 Konut Kalitesi',
+      shopping: '🛒 Alışveriş',
+      pollution: '🌿 Temiz Hava',
+      energy: '⚡ Enerji'
+    };
+    for (const [need, name] of Object.entries(needNames)) {
+      html += `
+        <span class="info-label">${name} </span>
+        <span class="info-value">${(this.needs[need] * 100).toFixed(0)}%</span>
+        <br>`;
+    }
+
+    const cutOff = this.#residents.filter((resident) => resident.state === 'unemployed' && resident.cannotReachWork).length;
+    if (cutOff > 0) {
+      html += `<div style="padding: 4px 8px; color: #f44336; font-size: 0.9em;">🚫 ${cutOff} sakin işe ulaşamıyor: açık işlere yol bağlantısı yok</div>`;
+    }
+
     html += '<ul class="info-citizen-list">';
     for (const resident of this.#residents) {
       html += resident.toHTML();
@@ -2,6 +2,7 @@ import config from '../../../config.js';
 import { City } from '../../city.js';
 import { Building } from '../building.js';
 import { SimModule } from './simModule.js';
+import { Tile } from '../../tile.js';
 
 /**
  * Logic for determining whether or not a tile has road access
@@ -20,6 +21,11 @@ export class RoadAccessModule extends SimModule {
    * @type {boolean}
    */
   value;
+  /**
+   * The road tile the building is connected to, if any
+   * @type {Tile | null}
+   */
+  road = null;
 
   /**
    * @param {Building} building 
@@ -36,6 +42,7 @@ export class RoadAccessModule extends SimModule {
   simulate(city) {
     if (!this.enabled) {
       this.value = true;
+      this.road = null;
     } else {
       const road = city.findTile(
         this.building, 
@@ -43,6 +50,7 @@ export class RoadAccessModule extends SimModule {
         config.modules.roadAccess.searchDistance);
 
       this.value = (road !== null);
+      this.road = road;
     }
   }
 }
\ No newline at end of file
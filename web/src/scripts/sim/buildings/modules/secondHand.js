@@ -0,0 +1,199 @@
+import config from '../../../config.js';
+import { City } from '../../city.js';
+import { Building } from '../building.js';
+import { DevelopmentState } from './development.js';
+import { SimModule } from './simModule.js';
+
+/**
+ * Second-Hand Module - An eco shop's section for used products
+ *
+ * Households nearby sell the products they are done with here, if they are
+ * still good enough, instead of throwing them away. The section resells
+ * them to households nearby and to customers walking in. Prices come from
+ * the market's second-hand price table.
+ */
+export class SecondHandModule extends SimModule {
+  /**
+   * @type {Building}
+   */
+  #building;
+
+  /**
+   * Used products for sale, by product
+   * @type {Object<string, number>}
+   */
+  stock = {};
+
+  /**
+   * Accumulated sales progress (for fractional sales)
+   * @type {number}
+   */
+  salesProgress = 0;
+
+  /**
+   * Used products bought from households, each one diverted from waste
+   * @type {number}
+   */
+  totalBought = 0;
+
+  /**
+   * Used products resold
+   * @type {number}
+   */
+  totalSold = 0;
+
+  /**
+   * @param {Building} building
+   */
+  constructor(building) {
+    super();
+    this.#building = building;
+  }
+
+  /**
+   * True if the section is open: it is unlocked and the shop is open
+   * @type {boolean}
+   */
+  get isOpen() {
+    const building = this.#building;
+    return !!building.simulation?.isUnlocked('second-hand') &&
+      building.development?.state === DevelopmentState.developed &&
+      building.power.isFullyPowered &&
+      building.roadAccess.value;
+  }
+
+  /**
+   * Number of used products in stock
+   * @type {number}
+   */
+  get totalStock() {
+    return Object.values(this.stock).reduce((sum, amount) => sum + amount, 0);
+  }
+
+  /**
+   * @param {string} product
+   * @returns {boolean} True if the section deals in the product and has
+   * room for one more
+   */
+  canBuy(product) {
+    return this.isOpen &&
+      this.#getPrice(product, 'buy') > 0 &&
+      this.totalStock < config.secondHand.capacity;
+  }
+
+  /**
+   * Buys a used product from a household
+   * @param {string} product
+   * @returns {boolean} True if the product was bought, false if there is
+   * not enough money to pay for it
+   */
+  buy(product) {
+    const gameState = this.#building.simulation?.gameState;
+    if (gameState && !gameState.spendMoney(this.#getPrice(product, 'buy'))) {
+      return false;
+    }
+    this.stock[product] = (this.stock[product] ?? 0) + 1;
+    this.totalBought++;
+    return true;
+  }
+
+  /**
+   * Sells one used product, to a visiting customer or to a household nearby
+   * @param {string} product
+   */
+  sell(product) {
+    this.stock[product]--;
+    this.totalSold++;
+    this.#building.simulation?.gameState?.addMoney(this.#getPrice(product, 'sell'));
+  }
+
+  /**
+   * Sells used products to customers walking in, the most valuable first
+   * @param {City} city
+   */
+  simulate(city) {
+    const inStock = Object.keys(this.stock).filter((product) => this.stock[product] >= 1);
+    if (!this.isOpen || inStock.length === 0) {
+      this.salesProgress = 0;
+      return;
+    }
+
+    this.salesProgress += config.secondHand.salesRate;
+    if (this.salesProgress >= 1) {
+      this.salesProgress--;
+      inStock.sort((a, b) => this.#getPrice(b, 'sell') - this.#getPrice(a, 'sell'));
+      this.sell(inStock[0]);
+    }
+  }
+
+  /**
+   * @param {string} product
+   * @param {'buy' | 'sell'} side
+   * @returns {number}
+   */
+  #getPrice(product, side) {
+    return this.#building.simulation?.market?.getSecondHandPrice(product, side) ?? 0;
+  }
+
+  /**
+   * @returns {object}
+   */
+  serialize() {
+    return {
+      stock: { ...this.stock },
+      salesProgress: this.salesProgress,
+      totalBought: this.totalBought,
+      totalSold: this.totalSold
+    };
+  }
+
+  /**
+   * @param {object} data
+   * @param {City} city
+   */
+  deserialize(data, city) {
+    this.stock = { ...data.stock };
+    this.salesProgress = data.salesProgress ?? 0;
+    this.totalBought = data.totalBought ?? 0;
+    this.totalSold = data.totalSold ?? 0;
+  }
+
+  /**
+   * Returns an HTML representation of this object
+   * @returns {string}
+   */
+  toHTML() {
+    if (!this.#building.simulation?.isUnlocked('second-hand')) {
+      return '';
+    }
+
+    const productNames = {
+      'clothing': '👕 Kıyafet',
+      'sports-gear': '⚽ Spor Malzemesi',
+      'smartphone': '📱 Telefon',
+      'laptop': '💻 Laptop'
+    };
+
+    let html = `
+      <div class="info-heading" style="margin-top: 12px;">🔄 İkinci El</div>
+      <span class="info-label">Stok </span>
+      <span class="info-value">${this.totalStock}/${config.secondHand.capacity}</span>
+      <br>
+      <span class="info-label">Atıktan Kurtarılan </span>
+      <span class="info-value">${this.totalBought}</span>
+      <br>
+      <span class="info-label">Satılan </span>
+      <span class="info-value">${this.totalSold}</span>
+      <br>
+    `;
+    for (const [product, amount] of Object.entries(this.stock).filter(([, amount]) => amount > 0)) {
+      html += `
+        <div style="padding: 4px 8px; margin: 2px 0; background-color: #22294160; border-radius: 4px;">
+          <span class="info-label">${productNames[product] ?? product}</span>
+          <span class="info-value">${amount}x (${this.#getPrice(product, 'sell').toLocaleString()} 💰/adet)</span>
+        </div>
+      `;
+    }
+    return html;
+  }
+}
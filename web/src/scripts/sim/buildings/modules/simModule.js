@@ -16,6 +16,23 @@ export class SimModule {
     // Implement in subclass
   }
 
+  /**
+   * Returns the state of this module as a plain object for saving
+   * @returns {object | null}
+   */
+  serialize() {
+    return null;
+  }
+
+  /**
+   * Restores the state of this module from the output of `serialize()`
+   * @param {object} data 
+   * @param {City} city 
+   */
+  deserialize(data, city) {
+    // Implement in subclass
+  }
+
   /**
    * Returns an HTML representation of this object
    * @returns {string}
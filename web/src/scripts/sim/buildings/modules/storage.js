@@ -0,0 +1,215 @@
+import { SimModule } from './simModule.js';
+
+/**
+ * Storage Module - Local input and output buffers for a building
+ *
+ * Inputs are delivered by the city's logistics service and consumed by
+ * the building; outputs are produced by the building and picked up by the
+ * logistics service, which carries them over the road network to other
+ * buildings or to the city warehouse.
+ */
+export class StorageModule extends SimModule {
+  /**
+   * Goods waiting to be used by the building
+   * @type {Object<string, number>}
+   */
+  input = {};
+
+  /**
+   * Goods waiting to be picked up
+   * @type {Object<string, number>}
+   */
+  output = {};
+
+  /**
+   * Maximum total amount held in the input buffer
+   * @type {number}
+   */
+  inputCapacity = 40;
+
+  /**
+   * Maximum total amount held in the output buffer. The building stops
+   * producing when it is full.
+   * @type {number}
+   */
+  outputCapacity = 40;
+
+  /**
+   * Maximum amount that can be delivered to this building per tick
+   * @type {number}
+   */
+  inflowRate = Infinity;
+
+  /**
+   * Accumulated delivery allowance (for fractional inflow rates)
+   * @type {number}
+   */
+  inflowCredit = 0;
+
+  /**
+   * Reference to the building this storage belongs to
+   * @type {Building}
+   */
+  #building = null;
+
+  constructor(building) {
+    super();
+    this.#building = building;
+  }
+
+  /**
+   * Get the amount of a resource in a buffer
+   * @param {'input' | 'output'} buffer
+   * @param {string} resource
+   * @returns {number}
+   */
+  getAmount(buffer, resource) {
+    return this[buffer][resource] || 0;
+  }
+
+  /**
+   * Get the total amount of goods in a buffer
+   * @param {'input' | 'output'} buffer
+   * @returns {number}
+   */
+  getTotal(buffer) {
+    return Object.values(this[buffer]).reduce((sum, amount) => sum + amount, 0);
+  }
+
+  /**
+   * Get the free space in a buffer
+   * @param {'input' | 'output'} buffer
+   * @returns {number}
+   */
+  getSpace(buffer) {
+    const capacity = buffer === 'input' ? this.inputCapacity : this.outputCapacity;
+    return Math.max(0, capacity - this.getTotal(buffer));
+  }
+
+  /**
+   * Add goods to a buffer. Capacity is checked by the caller, so goods
+   * already on their way are never lost.
+   * @param {'input' | 'output'} buffer
+   * @param {string} resource
+   * @param {number} amount
+   */
+  add(buffer, resource, amount) {
+    this[buffer][resource] = this.getAmount(buffer, resource) + amount;
+  }
+
+  /**
+   * Remove goods from a buffer
+   * @param {'input' | 'output'} buffer
+   * @param {string} resource
+   * @param {number} amount
+   * @returns {number} Actual amount removed
+   */
+  remove(buffer, resource, amount) {
+    const removed = Math.min(amount, this.getAmount(buffer, resource));
+    if (removed > 0) {
+      this[buffer][resource] -= removed;
+      if (this[buffer][resource] <= 1e-9) {
+        delete this[buffer][resource];
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Check if the input buffer holds all the given amounts
+   * @param {Object<string, number>} amounts
+   * @returns {boolean}
+   */
+  hasInputs(amounts) {
+    return Object.entries(amounts).every(([resource, amount]) => this.getAmount('input', resource) >= amount);
+  }
+
+  /**
+   * Remove the given amounts from the input buffer
+   * @param {Object<string, number>} amounts
+   * @returns {boolean} True if all inputs were available and consumed
+   */
+  consumeInputs(amounts) {
+    if (!this.hasInputs(amounts)) {
+      return false;
+    }
+    Object.entries(amounts).forEach(([resource, amount]) => this.remove('input', resource, amount));
+    return true;
+  }
+
+  /**
+   * Adds this tick's delivery allowance and returns how much may be
+   * delivered. Unused allowance does not build up beyond one tick's worth.
+   * @returns {number}
+   */
+  takeInflowAllowance() {
+    if (this.inflowRate === Infinity) {
+      return Infinity;
+    }
+    this.inflowCredit = Math.min(this.inflowCredit + this.inflowRate, Math.max(1, this.inflowRate));
+    return Math.floor(this.inflowCredit);
+  }
+
+  /**
+   * Use up part of the delivery allowance
+   * @param {number} amount
+   */
+  spendInflowAllowance(amount) {
+    if (this.inflowRate !== Infinity) {
+      this.inflowCredit = Math.max(0, this.inflowCredit - amount);
+    }
+  }
+
+  /**
+   * @returns {object}
+   */
+  serialize() {
+    return {
+      input: { ...this.input },
+      output: { ...this.output },
+      inflowCredit: this.inflowCredit
+    };
+  }
+
+  /**
+   * @param {object} data
+   * @param {City} city
+   */
+  deserialize(data, city) {
+    this.input = { ...data.input };
+    this.output = { ...data.output };
+    this.inflowCredit = data.inflowCredit ?? 0;
+  }
+
+  /**
+   * Returns an HTML representation of this object
+   * @returns {string}
+   */
+  toHTML() {
+    const formatBuffer = (buffer) => {
+      const entries = Object.entries(this[buffer]).filter(([, amount]) => amount > 0);
+      if (entries.length === 0) {
+        return `<div style="padding: 4px 8px; color: #888; font-size: 0.9em;">Boş</div>`;
+      }
+      return entries.map(([resource, amount]) => `
+        <div style="padding: 4px 8px; margin: 2px 0; background-color: #22294160; border-radius: 4px;">
+          <span class="info-label">${resource.split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ')}</span>
+          <span class="info-value">${amount.toFixed(1)}</span>
+        </div>
+      `).join('');
+    };
+
+    let html = `
+      <div class="info-heading" style="margin-top: 12px;">📥 Giriş Deposu (${this.getTotal('input').toFixed(0)}/${this.inputCapacity})</div>
+      ${formatBuffer('input')}
+      <div class="info-heading">📤 Çıkış Deposu (${this.getTotal('output').toFixed(0)}/${this.outputCapacity})</div>
+      ${formatBuffer('output')}
+    `;
+
+    if (this.#building && !this.#building.roadAccess?.value) {
+      html += `<div style="padding: 8px; color: #FF9800; font-size: 0.9em;">⚠️ Yol bağlantısı yok - mal taşınamıyor</div>`;
+    }
+
+    return html;
+  }
+}
@@ -0,0 +1,165 @@
+import config from '../../../config.js';
+import { City } from '../../city.js';
+import { Building } from '../building.js';
+import { DevelopmentState } from './development.js';
+import { SimModule } from './simModule.js';
+
+/**
+ * Take-Back Module - An eco shop's program for bringing back sold products
+ * at the end of their lifetime
+ *
+ * While the program runs the shop pays its upkeep every tick and raises
+ * the share of end-of-life products the city recovers (see the product
+ * lifecycle service). Returned products wait at the shop for a garbage
+ * truck.
+ */
+export class TakeBackModule extends SimModule {
+  /**
+   * @type {Building}
+   */
+  #building;
+
+  /**
+   * True if the player started the program
+   * @type {boolean}
+   */
+  enabled = false;
+
+  /**
+   * Returned products waiting to be collected, by waste type
+   * @type {Object<string, number>}
+   */
+  returned = {};
+
+  /**
+   * Returned products accepted since the program started
+   * @type {number}
+   */
+  totalReturned = 0;
+
+  /**
+   * @param {Building} building
+   */
+  constructor(building) {
+    super();
+    this.#building = building;
+  }
+
+  /**
+   * True if the program is running: it is started and the shop is open
+   * @type {boolean}
+   */
+  get isActive() {
+    const building = this.#building;
+    return this.enabled &&
+      !!building.simulation?.isUnlocked('take-back') &&
+      building.development?.state === DevelopmentState.developed &&
+      building.power.isFullyPowered &&
+      building.roadAccess.value;
+  }
+
+  /**
+   * @param {City} city
+   */
+  simulate(city) {
+    if (this.isActive) {
+      const gameState = this.#building.simulation.gameState;
+      if (gameState && !gameState.spendMoney(config.productLifecycle.takeBackCost)) {
+        this.enabled = false;
+      }
+    }
+  }
+
+  /**
+   * Takes back end-of-life products as far as the shop has room
+   * @param {string} wasteType
+   * @param {number} amount
+   * @returns {number} Amount accepted
+   */
+  accept(wasteType, amount) {
+    const held = this.returned[wasteType] ?? 0;
+    const accepted = Math.max(0, Math.min(amount, config.productLifecycle.maxReturned - held));
+    this.returned[wasteType] = held + accepted;
+    this.totalReturned += accepted;
+    return accepted;
+  }
+
+  /**
+   * Takes returned products away (e.g. by a garbage truck)
+   * @param {string} wasteType
+   * @param {number} amount Most to take
+   * @returns {number} Amount taken
+   */
+  removeReturned(wasteType, amount) {
+    const removed = Math.min(amount, this.returned[wasteType] ?? 0);
+    this.returned[wasteType] = (this.returned[wasteType] ?? 0) - removed;
+    return removed;
+  }
+
+  /**
+   * @returns {object}
+   */
+  serialize() {
+    return {
+      enabled: this.enabled,
+      returned: { ...this.returned },
+      totalReturned: this.totalReturned
+    };
+  }
+
+  /**
+   * @param {object} data
+   * @param {City} city
+   */
+  deserialize(data, city) {
+    this.enabled = data.enabled ?? false;
+    this.returned = { ...data.returned };
+    this.totalReturned = data.totalReturned ?? 0;
+  }
+
+  /**
+   * Returns an HTML representation of this object
+   * @returns {string}
+   */
+  toHTML() {
+    const building = this.#building;
+    if (!building.simulation?.isUnlocked('take-back')) {
+      return '';
+    }
+
+    const wasteNames = {
+      'textile-waste': '👕 Tekstil Atığı',
+      'plastic-waste': '🧴 Plastik Atık',
+      'e-waste': '🔌 E-Atık',
+      'scrap-metal': '🔩 Hurda Metal'
+    };
+
+    let html = `<div class="info-heading" style="margin-top: 12px;">♻️ Geri Alım Programı</div>`;
+    if (this.enabled) {
+      html += `
+        <span class="info-label">Durum </span>
+        <span class="info-value">${this.isActive ? '✅ Aktif' : '⚠️ Beklemede'}</span>
+        <br>
+        <span class="info-label">Geri Alınan </span>
+        <span class="info-value">${this.totalReturned.toFixed(0)}</span>
+        <br>`;
+      for (const [waste, amount] of Object.entries(this.returned).filter(([, amount]) => amount > 0)) {
+        html += `
+          <span class="info-label">${wasteNames[waste] ?? waste} </span>
+          <span class="info-value">${amount.toFixed(1)}/${config.productLifecycle.maxReturned}</span>
+          <br>`;
+      }
+    } else {
+      html += `<div style="padding: 4px 0; color: #888; font-size: 0.9em;">Ömrünü tamamlayan ürünleri geri alarak geri kazanım oranını artırın</div>`;
+    }
+
+    html += `
+      <div style="padding: 8px; margin-top: 4px;">
+        <button class="action-button" onclick="window.game?.toggleTakeBack(${building.x}, ${building.y})" style="width: 100%;">
+          ${this.enabled ? '⏹️ Programı Durdur' : `▶️ Programı Başlat (${config.productLifecycle.takeBackCost} 💰/tick)`}
+        </button>
+      </div>
+    `;
+    return html;
+  }
+}
@@ -53,11 +53,17 @@ export class WasteModule extends SimModule {
   }
   
   /**
-   * Produce waste
+   * Produce waste. What does not fit goes to a landfill.
    * @param {number} amount - Amount to produce
    */
   produce(amount) {
+    const overflow = this.amount + amount - this.maxCapacity;
     this.amount = Math.min(this.amount + amount, this.maxCapacity);
+
+    const city = this.#building?.simulation?.city;
+    if (overflow > 0 && city) {
+      city.landfills.dump(city, this.wasteType, overflow, this.#building);
+    }
   }
   
   /**
@@ -116,12 +122,13 @@ export class WasteModule extends SimModule {
    * @param {number} currentTick 
    */
   simulate(city, currentTick) {
-    // Check if waste system is unlocked (Level 3+)
-    if (!window.gameState || !window.levelUnlocks) {
+    const simulation = this.#building?.simulation;
+    if (!simulation) {
       return;
     }
     
-    if (!window.levelUnlocks.isUnlocked('local-waste', window.gameState.level)) {
+    // Check if waste system is unlocked (Level 3+)
+    if (!simulation.isUnlocked('local-waste')) {
       // Waste system not unlocked yet - don't produce waste
       return;
     }
@@ -135,19 +142,37 @@ export class WasteModule extends SimModule {
       this.lastProductionTick = currentTick;
       
       // Add to global pollution (waste leaks to city) - only if unlocked (Level 6+)
-      if (window.globalPollution && 
-          window.levelUnlocks.isUnlocked('global-pollution', window.gameState.level)) {
-        window.globalPollution.addWaste(this.wasteType, wasteProduced * 0.1); // 10% leaks to city
+      if (simulation.globalPollution && simulation.isUnlocked('global-pollution')) {
+        simulation.globalPollution.addWaste(this.wasteType, wasteProduced * 0.1); // 10% leaks to city
       }
       
       // Show waste effect (only if building has significant waste AND building is not stopped)
       // Don't show waste effect if building is stopped (waste >= 100)
-      if (window.visualEffects && this.#building && wasteProduced >= 0.5 && this.amount < 100) {
-        window.visualEffects.showWasteEffect(this.#building, wasteProduced);
+      if (simulation.visualEffects && wasteProduced >= 0.5 && this.amount < 100) {
+        simulation.visualEffects.showWasteEffect(this.#building, wasteProduced);
       }
     }
   }
   
+  /**
+   * @returns {object}
+   */
+  serialize() {
+    return {
+      amount: this.amount,
+      lastProductionTick: this.lastProductionTick
+    };
+  }
+
+  /**
+   * @param {object} data 
+   * @param {City} city 
+   */
+  deserialize(data, city) {
+    this.amount = data.amount ?? 0;
+    this.lastProductionTick = data.lastProductionTick ?? 0;
+  }
+  
   /**
    * Reset waste module
    */
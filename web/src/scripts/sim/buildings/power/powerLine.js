@@ -20,10 +20,15 @@ export class PowerLine extends Building {
   }
 
   refreshView(city) {
+    const assetManager = this.simulation?.assetManager;
+    if (!assetManager) {
+      return; // Nothing to render when running headless
+    }
+
     let group = new THREE.Group();
     
     // Merge two powerline models, offset by 90 degrees
-    let tower = window.assetManager.getModel(this.type, this);
+    let tower = assetManager.getModel(this.type, this);
     tower.rotation.y = Math.PI / 4;
     
     // Check which adjacent tiles are powerlines
@@ -40,7 +40,12 @@ export class PowerPlant extends Building {
   }
 
   refreshView() {
-    let mesh = window.assetManager.getModel(this.type, this);
+    const assetManager = this.simulation?.assetManager;
+    if (!assetManager) {
+      return; // Nothing to render when running headless
+    }
+
+    let mesh = assetManager.getModel(this.type, this);
     this.setMesh(mesh);
   }
 
@@ -49,13 +54,15 @@ export class PowerPlant extends Building {
    * @param {City} city 
    */
   simulate(city) {
+    const gameState = this.simulation?.gameState;
+
     super.simulate(city);
     
     // Produce energy if road access is available
     // Power plant produces a small amount each tick (not full capacity)
-    if (this.roadAccess.value && window.gameState) {
+    if (this.roadAccess.value && gameState) {
       // Produce 10 energy per tick (much more reasonable)
-      window.gameState.addEnergy(10);
+      gameState.addEnergy(10);
     }
   }
 
@@ -1,6 +1,8 @@
 import * as THREE from 'three';
 import { Building } from './building.js';
 import { BuildingType } from './buildingType.js';
+import { StorageModule } from './modules/storage.js';
+import config from '../../config.js';
 
 /**
  * Recycling Center - Converts waste into recycled materials
@@ -82,6 +84,56 @@ export class RecyclingCenter extends Building {
     'plastic-waste': 'recycled-plastic'
   };
 
+  /**
+   * Waste delivered over the roads and recycled materials waiting to be
+   * picked up
+   * @type {StorageModule}
+   */
+  storage = new StorageModule(this);
+
+  /**
+   * Number of garbage trucks owned by this center
+   * @type {number}
+   */
+  garbageTrucks = 1;
+
+  /**
+   * Maximum number of garbage trucks by level
+   * @type {Object}
+   */
+  maxGarbageTrucksByLevel = {
+    1: 2,
+    2: 4,
+    3: 6
+  };
+
+  /**
+   * Waste a garbage truck carries by level
+   * @type {Object}
+   */
+  truckCapacityByLevel = {
+    1: 10,
+    2: 15,
+    3: 20
+  };
+
+  /**
+   * Maximum coverage radius by level
+   * @type {Object}
+   */
+  maxCoverageRadiusByLevel = {
+    1: 5,
+    2: 8,
+    3: 11
+  };
+
+  /**
+   * Manhattan distance from the center within which buildings are served
+   * by its garbage trucks
+   * @type {number}
+   */
+  coverageRadius = config.wasteCollection.defaultCoverageRadius;
+
   constructor(x = 0, y = 0) {
     super(x, y);
     // Recycling center consumes energy for auto-recycling
@@ -95,6 +147,8 @@ export class RecyclingCenter extends Building {
    * @param {number} currentTick 
    */
   simulate(city, currentTick = 0) {
+    const resourceManager = this.simulation?.resourceManager;
+
     super.simulate(city);
     
     // Decrease boost timer
@@ -103,7 +157,7 @@ export class RecyclingCenter extends Building {
     }
     
     // Auto-recycling if enabled and powered
-    if (this.autoRecycling && this.power.isFullyPowered && window.resourceManager) {
+    if (this.autoRecycling && this.power.isFullyPowered && resourceManager) {
       this.processAutoRecycling();
     }
   }
@@ -112,7 +166,10 @@ export class RecyclingCenter extends Building {
    * Process automatic recycling (called every tick)
    */
   processAutoRecycling() {
-    if (!window.resourceManager || !this.power.isFullyPowered) {
+    const gameState = this.simulation?.gameState;
+    const resourceManager = this.simulation?.resourceManager;
+
+    if (!resourceManager || !this.power.isFullyPowered) {
       return;
     }
 
@@ -120,67 +177,30 @@ export class RecyclingCenter extends Building {
     const rate = this.autoRecyclingRate;
     let totalRecycled = 0;
     
-    // Process global waste (from resourceManager)
+    // Process waste delivered to the input buffer (by garbage trucks and
+    // the city's logistics), while there is room for the result
     Object.entries(this.wasteRecipes).forEach(([wasteType, recycledType]) => {
-      const wasteAmount = window.resourceManager.getResource(wasteType);
+      const wasteAmount = this.storage.getAmount('input', wasteType);
+      // Process up to 'rate' amount per tick, as far as the result fits
+      const toRecycle = Math.min(wasteAmount, rate, this.storage.getSpace('output') / efficiency);
       
-      if (wasteAmount > 0) {
-        // Process up to 'rate' amount per tick
-        const toRecycle = Math.min(wasteAmount, rate);
+      if (toRecycle > 0) {
         const recycledAmount = toRecycle * efficiency;
         
         // Remove waste
-        window.resourceManager.removeResource(wasteType, toRecycle);
+        this.storage.remove('input', wasteType, toRecycle);
         
         // Add recycled material
-        window.resourceManager.addResource(recycledType, recycledAmount);
+        this.storage.add('output', recycledType, recycledAmount);
         
         totalRecycled += recycledAmount;
       }
     });
     
-    // Process local waste from buildings in the city
-    if (window.game && window.game.city) {
-      let processedLocalWaste = 0;
-      const maxLocalWastePerTick = rate;
-      
-      window.game.city.traverse((obj) => {
-        if (obj.building && obj.building.waste && processedLocalWaste < maxLocalWastePerTick) {
-          const waste = obj.building.waste;
-          
-          // Check if this building has waste that we can recycle
-          if (waste.amount > 0 && waste.wasteType && this.wasteRecipes[waste.wasteType]) {
-            const recycledType = this.wasteRecipes[waste.wasteType];
-            const toRecycle = Math.min(waste.amount, 1); // Max 1 per building per tick for auto
-            const recycledAmount = toRecycle * efficiency;
-            
-            // Remove from local waste
-            waste.remove(toRecycle);
-            
-            // Refresh building view if waste was removed
-            if (toRecycle > 0 && typeof obj.building.refreshView === 'function') {
-              obj.building.refreshView();
-            }
-            
-            // Add recycled material
-            window.resourceManager.addResource(recycledType, recycledAmount);
-            
-            // Reduce global pollution
-            if (window.globalPollution) {
-              window.globalPollution.removeWaste(waste.wasteType, toRecycle * 0.1);
-            }
-            
-            totalRecycled += recycledAmount;
-            processedLocalWaste += toRecycle;
-          }
-        }
-      });
-    }
-    
     // Add XP and update Circular Score based on total recycled amount
-    if (window.gameState && totalRecycled > 0) {
-      window.gameState.addXP(Math.floor(totalRecycled * 0.5)); // Less XP for auto (0.5x)
-      window.gameState.updateCircularScore(Math.floor(totalRecycled));
+    if (gameState && totalRecycled > 0) {
+      gameState.addXP(Math.floor(totalRecycled * 0.5)); // Less XP for auto (0.5x)
+      gameState.updateCircularScore(Math.floor(totalRecycled));
     }
   }
 
@@ -212,10 +232,13 @@ export class RecyclingCenter extends Building {
 
   /**
    * Process manual recycling (immediate, no boost)
-   * Processes both global waste (resourceManager) and local waste from buildings
+   * Processes the waste delivered to the input buffer
    */
   processRecycling() {
-    if (!window.resourceManager || !this.power.isFullyPowered) {
+    const gameState = this.simulation?.gameState;
+    const resourceManager = this.simulation?.resourceManager;
+
+    if (!resourceManager || !this.power.isFullyPowered) {
       return;
     }
 
@@ -223,84 +246,137 @@ export class RecyclingCenter extends Building {
     const efficiency = this.efficiencyByLevel[this.level] || 0.5;
     let totalRecycled = 0;
     
-    // First, process global waste (from resourceManager)
+    // Process waste delivered to the input buffer
     Object.entries(this.wasteRecipes).forEach(([wasteType, recycledType]) => {
-      const wasteAmount = window.resourceManager.getResource(wasteType);
+      const wasteAmount = this.storage.getAmount('input', wasteType);
+      // Max 20 per manual click (more than auto), as far as the result fits
+      const toRecycle = Math.min(wasteAmount, 20, this.storage.getSpace('output') / efficiency);
       
-      if (wasteAmount > 0) {
-        // Calculate how much to recycle (manual = more per click)
-        const toRecycle = Math.min(wasteAmount, 20); // Max 20 per manual click (more than auto)
+      if (toRecycle > 0) {
         const recycledAmount = toRecycle * efficiency;
         
         // Remove waste
-        window.resourceManager.removeResource(wasteType, toRecycle);
+        this.storage.remove('input', wasteType, toRecycle);
         
         // Add recycled material
-        window.resourceManager.addResource(recycledType, recycledAmount);
+        this.storage.add('output', recycledType, recycledAmount);
         
         totalRecycled += recycledAmount;
       }
     });
     
-    // Then, process local waste from buildings in the city
-    if (window.game && window.game.city) {
-      const maxLocalWastePerClick = 50; // Max local waste per manual click (more than auto)
-      let processedLocalWaste = 0;
-      
-      window.game.city.traverse((obj) => {
-        if (obj.building && obj.building.waste && processedLocalWaste < maxLocalWastePerClick) {
-          const waste = obj.building.waste;
-          
-          // Check if this building has waste that we can recycle
-          if (waste.amount > 0 && waste.wasteType && this.wasteRecipes[waste.wasteType]) {
-            const recycledType = this.wasteRecipes[waste.wasteType];
-            const toRecycle = Math.min(waste.amount, 20); // Max 20 per building per click (manual = more)
-            const recycledAmount = toRecycle * efficiency;
-            
-            // Remove from local waste
-            waste.remove(toRecycle);
-            
-            // Refresh building view to update color based on new waste level
-            if (obj.building && typeof obj.building.refreshView === 'function') {
-              obj.building.refreshView();
-            }
-            
-            // Add recycled material
-            window.resourceManager.addResource(recycledType, recycledAmount);
-            
-            // Reduce global pollution
-            if (window.globalPollution) {
-              window.globalPollution.removeWaste(waste.wasteType, toRecycle * 0.1); // Remove leaked pollution
-            }
-            
-            totalRecycled += recycledAmount;
-            processedLocalWaste += toRecycle;
-          }
-        }
-      });
-    }
-    
     // Add XP and Circular Score
-    if (window.gameState && totalRecycled > 0) {
-      window.gameState.addXP(Math.floor(totalRecycled));
+    if (gameState && totalRecycled > 0) {
+      gameState.addXP(Math.floor(totalRecycled));
       // Update Circular Score (recycling points)
-      window.gameState.updateCircularScore(Math.floor(totalRecycled * 2));
+      gameState.updateCircularScore(Math.floor(totalRecycled * 2));
     }
   }
   
   /**
-   * Get total local waste available for recycling
+   * Waste this center wants delivered: an equal share of the input buffer
+   * for every waste type it can recycle
+   * @returns {Object<string, number>}
+   */
+  getInputNeeds() {
+    const wasteTypes = Object.keys(this.wasteRecipes);
+    const share = this.storage.inputCapacity / wasteTypes.length;
+    const needs = {};
+    wasteTypes.forEach((wasteType) => {
+      needs[wasteType] = share - this.storage.getAmount('input', wasteType);
+    });
+    return needs;
+  }
+
+  /**
+   * Get waste a garbage truck carries
+   * @returns {number}
+   */
+  get truckCapacity() {
+    return this.truckCapacityByLevel[this.level] || 10;
+  }
+
+  /**
+   * Get maximum number of garbage trucks
+   * @returns {number}
+   */
+  get maxGarbageTrucks() {
+    return this.maxGarbageTrucksByLevel[this.level] || 2;
+  }
+
+  /**
+   * Get maximum coverage radius
+   * @returns {number}
+   */
+  get maxCoverageRadius() {
+    return this.maxCoverageRadiusByLevel[this.level] || 5;
+  }
+
+  /**
+   * Check if a tile is served by this center's garbage trucks
+   * @param {number} x
+   * @param {number} y
+   * @returns {boolean}
+   */
+  isInCoverage(x, y) {
+    return Math.abs(x - this.x) + Math.abs(y - this.y) <= this.coverageRadius;
+  }
+
+  /**
+   * Change the coverage radius, within the limits of the current level
+   * @param {number} radius
+   */
+  setCoverageRadius(radius) {
+    this.coverageRadius = Math.max(
+      config.wasteCollection.minCoverageRadius,
+      Math.min(radius, this.maxCoverageRadius));
+  }
+
+  /**
+   * Buy an additional garbage truck
+   * @returns {boolean} True if the truck was bought
+   */
+  buyGarbageTruck() {
+    const gameState = this.simulation?.gameState;
+    const ui = this.simulation?.ui;
+
+    if (this.garbageTrucks >= this.maxGarbageTrucks || !gameState) {
+      return false;
+    }
+
+    const cost = config.wasteCollection.truckCost;
+    if (gameState.spendMoney(cost)) {
+      this.garbageTrucks++;
+      return true;
+    }
+
+    if (ui) {
+      ui.showNotification(
+        '💰 Yetersiz Para',
+        `Çöp kamyonu için ${cost.toLocaleString()} 💰 gerekiyor. Mevcut paranız: ${gameState.money.toLocaleString()} 💰`,
+        'error'
+      );
+    }
+    return false;
+  }
+
+  /**
+   * Get waste waiting in buildings within the coverage radius, including
+   * the products households threw away
    * @returns {Object} Waste counts by type
    */
   getLocalWasteCounts() {
+    const city = this.simulation?.city;
+
     const counts = {};
     
-    if (!window.game || !window.game.city) {
+    if (!city) {
       return counts;
     }
     
-    window.game.city.traverse((obj) => {
-      if (obj.building && obj.building.waste && obj.building.waste.amount > 0) {
+    city.traverse((obj) => {
+      if (obj.building && obj.building.waste && obj.building.waste.amount > 0 &&
+          this.isInCoverage(obj.building.x, obj.building.y)) {
         const wasteType = obj.building.waste.wasteType;
         if (wasteType && this.wasteRecipes[wasteType]) {
           if (!counts[wasteType]) {
@@ -309,6 +385,16 @@ export class RecyclingCenter extends Building {
           counts[wasteType] += obj.building.waste.amount;
         }
       }
+
+      // Products thrown away by households or brought back to eco shops
+      const productWaste = obj.building?.consumption?.discarded ?? obj.building?.takeBack?.returned;
+      if (productWaste && this.isInCoverage(obj.building.x, obj.building.y)) {
+        Object.entries(productWaste).forEach(([wasteType, amount]) => {
+          if (amount > 0 && this.wasteRecipes[wasteType]) {
+            counts[wasteType] = (counts[wasteType] || 0) + amount;
+          }
+        });
+      }
     });
     
     return counts;
@@ -319,21 +405,24 @@ export class RecyclingCenter extends Building {
    * @returns {boolean} True if upgrade successful
    */
   upgrade() {
+    const gameState = this.simulation?.gameState;
+    const ui = this.simulation?.ui;
+
     if (this.level >= this.maxLevel) {
       return false;
     }
 
     const upgradeCost = this.getUpgradeCost();
-    if (window.gameState && window.gameState.spendMoney(upgradeCost)) {
+    if (gameState && gameState.spendMoney(upgradeCost)) {
       this.level++;
       this.power.required = this.energyConsumption; // Recalculate
       return true;
-    } else if (window.gameState) {
+    } else if (gameState) {
       // Not enough money - show notification
-      if (window.ui) {
-        window.ui.showNotification(
+      if (ui) {
+        ui.showNotification(
           '💰 Yetersiz Para',
-          `Yükseltme için ${upgradeCost.toLocaleString()} 💰 gerekiyor. Mevcut paranız: ${window.gameState.money.toLocaleString()} 💰`,
+          `Yükseltme için ${upgradeCost.toLocaleString()} 💰 gerekiyor. Mevcut paranız: ${gameState.money.toLocaleString()} 💰`,
           'error'
         );
       }
@@ -363,26 +452,26 @@ export class RecyclingCenter extends Building {
    * Refresh view with appropriate model
    */
   refreshView() {
-    if (!window.assetManager) {
-      console.error('AssetManager not available');
-      return;
+    const assetManager = this.simulation?.assetManager;
+    if (!assetManager) {
+      return; // Nothing to render when running headless
     }
     
     let modelName = `${this.type}-${this.level}`;
     
     // Check if model exists
-    if (!window.assetManager.models || !window.assetManager.models[modelName]) {
+    if (!assetManager.models || !assetManager.models[modelName]) {
       // Fallback to level 1
       modelName = `${this.type}-1`;
     }
     
-    if (!window.assetManager.models || !window.assetManager.models[modelName]) {
+    if (!assetManager.models || !assetManager.models[modelName]) {
       console.error(`Model not found: ${modelName} for recycling center`);
       return;
     }
     
     try {
-      let mesh = window.assetManager.getModel(modelName, this);
+      let mesh = assetManager.getModel(modelName, this);
       
       if (!mesh) {
         console.error(`Failed to load model: ${modelName}`);
@@ -410,6 +499,8 @@ export class RecyclingCenter extends Building {
    * @param {number} currentTick 
    */
   simulate(city, currentTick = 0) {
+    const resourceManager = this.simulation?.resourceManager;
+
     super.simulate(city);
     
     // Decrease boost timer
@@ -418,7 +509,7 @@ export class RecyclingCenter extends Building {
     }
     
     // Auto-recycling if enabled and powered
-    if (this.autoRecycling && this.power.isFullyPowered && window.resourceManager) {
+    if (this.autoRecycling && this.power.isFullyPowered && resourceManager) {
       this.processAutoRecycling();
     }
   }
@@ -428,17 +519,19 @@ export class RecyclingCenter extends Building {
    * @returns {boolean} True if recycling started successfully
    */
   startRecycling() {
+    const gameState = this.simulation?.gameState;
+
     if (!this.power.isFullyPowered) {
       console.warn("Geri dönüşüm için enerji gerekli!");
       return false;
     }
 
-    if (!window.gameState) {
+    if (!gameState) {
       return false;
     }
 
     // Consume energy
-    if (!window.gameState.consumeEnergy(this.energyConsumption)) {
+    if (!gameState.consumeEnergy(this.energyConsumption)) {
       console.warn("Yetersiz enerji!");
       return false;
     }
@@ -448,11 +541,45 @@ export class RecyclingCenter extends Building {
     return true;
   }
 
+  /**
+   * @returns {object}
+   */
+  serialize() {
+    return {
+      ...super.serialize(),
+      level: this.level,
+      boostRemaining: this.boostRemaining,
+      autoRecycling: this.autoRecycling,
+      garbageTrucks: this.garbageTrucks,
+      coverageRadius: this.coverageRadius,
+      storage: this.storage.serialize()
+    };
+  }
+
+  /**
+   * @param {object} data 
+   * @param {City} city 
+   */
+  deserialize(data, city) {
+    super.deserialize(data, city);
+    this.level = data.level ?? this.level;
+    this.power.required = this.energyConsumption;
+    this.boostRemaining = data.boostRemaining ?? 0;
+    this.autoRecycling = data.autoRecycling ?? this.autoRecycling;
+    this.garbageTrucks = data.garbageTrucks ?? this.garbageTrucks;
+    this.setCoverageRadius(data.coverageRadius ?? this.coverageRadius);
+    if (data.storage) {
+      this.storage.deserialize(data.storage, city);
+    }
+  }
+
   /**
    * Returns HTML representation
    * @returns {string}
    */
   toHTML() {
+    const resourceManager = this.simulation?.resourceManager;
+
     let html = super.toHTML();
     
     const baseEfficiency = this.efficiencyByLevel[this.level] || 0.5;
@@ -487,14 +614,14 @@ export class RecyclingCenter extends Building {
       <br>
     `;
     
-    // Show current waste processing (Global + Local)
-    if (window.resourceManager) {
-      html += `<div class="info-heading">🌍 Global Atık (Şehir Deposu)</div>`;
-      let hasGlobalWaste = false;
+    // Show current waste processing (Delivered + in coverage)
+    if (resourceManager) {
+      html += `<div class="info-heading">📥 Teslim Edilen Atık (${this.storage.getTotal('input').toFixed(0)}/${this.storage.inputCapacity})</div>`;
+      let hasDeliveredWaste = false;
       Object.entries(this.wasteRecipes).forEach(([wasteType, recycledType]) => {
-        const wasteAmount = window.resourceManager.getResource(wasteType);
+        const wasteAmount = this.storage.getAmount('input', wasteType);
         if (wasteAmount > 0) {
-          hasGlobalWaste = true;
+          hasDeliveredWaste = true;
           const resourceNames = {
             'textile-waste': '🧵 Tekstil Atığı',
             'e-waste': '💻 E-Atık',
@@ -510,12 +637,45 @@ export class RecyclingCenter extends Building {
           `;
         }
       });
-      if (!hasGlobalWaste) {
-        html += `<div style="padding: 8px; color: #888; font-size: 0.9em;">Global atık yok</div>`;
+      if (!hasDeliveredWaste) {
+        html += `<div style="padding: 8px; color: #888; font-size: 0.9em;">${this.roadAccess.value ? 'Teslim edilen atık yok' : '⚠️ Yol bağlantısı yok - atık teslim edilemiyor'}</div>`;
       }
+      html += `
+        <span class="info-label">📤 Sevkiyat Bekleyen </span>
+        <span class="info-value">${this.storage.getTotal('output').toFixed(1)}/${this.storage.outputCapacity}</span>
+        <br>
+      `;
       
-      // Show local waste from buildings
-      html += `<div class="info-heading" style="margin-top: 12px;">🏭 Binalardaki Atık (Local)</div>`;
+      // Show garbage trucks and the waste waiting in their coverage
+      const activeTrucks = this.simulation?.city?.wasteCollection.getActiveTrucks(this).length ?? 0;
+      const canBuyTruck = this.garbageTrucks < this.maxGarbageTrucks;
+      html += `
+        <div class="info-heading" style="margin-top: 12px;">🚛 Atık Toplama</div>
+        <span class="info-label">Çöp Kamyonu </span>
+        <span class="info-value">${activeTrucks} yolda / ${this.garbageTrucks} (max ${this.maxGarbageTrucks})</span>
+        <br>
+        <span class="info-label">Kamyon Kapasitesi </span>
+        <span class="info-value">${this.truckCapacity} atık</span>
+        <br>
+        <span class="info-label">Kapsama Yarıçapı </span>
+        <span class="info-value">
+          <button class="action-button" onclick="window.game?.changeCoverageRadius(${this.x}, ${this.y}, -1)"
+            ${this.coverageRadius <= config.wasteCollection.minCoverageRadius ? 'disabled' : ''}>−</button>
+          ${this.coverageRadius} kare
+          <button class="action-button" onclick="window.game?.changeCoverageRadius(${this.x}, ${this.y}, 1)"
+            ${this.coverageRadius >= this.maxCoverageRadius ? 'disabled' : ''}>+</button>
+        </span>
+        <br>
+        <div style="padding: 8px;">
+          <button class="action-button" onclick="window.game?.buyGarbageTruck(${this.x}, ${this.y})"
+            style="width: 100%; ${!canBuyTruck ? 'opacity: 0.5; cursor: not-allowed;' : ''}"
+            ${!canBuyTruck ? 'disabled' : ''}>
+            🚛 Kamyon Satın Al (${config.wasteCollection.truckCost.toLocaleString()} 💰)
+          </button>
+        </div>
+      `;
+
+      html += `<div class="info-heading" style="margin-top: 12px;">🏭 Kapsama Alanındaki Atık</div>`;
       const localWasteCounts = this.getLocalWasteCounts();
       let hasLocalWaste = false;
       Object.entries(localWasteCounts).forEach(([wasteType, amount]) => {
@@ -543,14 +703,10 @@ export class RecyclingCenter extends Building {
     }
     
     // Manual recycling button
-    // Check both global and local waste
-    const hasGlobalWaste = window.resourceManager && 
-      Object.keys(this.wasteRecipes).some(wasteType => 
-        window.resourceManager.getResource(wasteType) > 0
-      );
-    const localWasteCounts = this.getLocalWasteCounts();
-    const hasLocalWaste = Object.values(localWasteCounts).some(count => count > 0);
-    const canRecycle = this.power.isFullyPowered && (hasGlobalWaste || hasLocalWaste);
+    const hasDeliveredWaste = Object.keys(this.wasteRecipes).some(wasteType => 
+      this.storage.getAmount('input', wasteType) > 0
+    );
+    const canRecycle = this.power.isFullyPowered && hasDeliveredWaste;
     
     html += `
       <div style="padding: 8px; margin-top: 8px;">
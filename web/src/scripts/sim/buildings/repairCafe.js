@@ -0,0 +1,349 @@
+import { Building } from './building.js';
+import { BuildingType } from './buildingType.js';
+import { City } from '../city.js';
+import config from '../../config.js';
+
+/**
+ * Repair Café - Repairs broken products and sells them on as refurbished
+ * goods
+ *
+ * Households nearby bring their worn-out products here instead of throwing
+ * them away, and part of the market's end-of-life products come back to
+ * be repaired. A successful repair leaves only a little waste. Products
+ * that cannot be repaired are recycled as their waste. Refurbished goods
+ * are sold at a discount, to households nearby first and otherwise to
+ * customers walking in.
+ */
+export class RepairCafe extends Building {
+  type = BuildingType.repairCafe;
+
+  /**
+   * Energy consumption per tick
+   * @type {number}
+   */
+  energyConsumption = 3;
+
+  /**
+   * Most broken products waiting to be repaired
+   * @type {number}
+   */
+  maxBroken = 20;
+
+  /**
+   * Most refurbished products in stock
+   * @type {number}
+   */
+  maxRefurbished = 10;
+
+  /**
+   * Repairs per tick
+   * @type {number}
+   */
+  repairRate = 0.5;
+
+  /**
+   * Refurbished products sold to walk-in customers per tick
+   * @type {number}
+   */
+  salesRate = 0.2;
+
+  /**
+   * Broken products waiting to be repaired, by product
+   * @type {Object<string, number>}
+   */
+  broken = {};
+
+  /**
+   * Refurbished products for sale, by product
+   * @type {Object<string, number>}
+   */
+  refurbished = {};
+
+  /**
+   * Accumulated repair progress (for fractional repairs)
+   * @type {number}
+   */
+  repairProgress = 0;
+
+  /**
+   * Accumulated sales progress (for fractional sales)
+   * @type {number}
+   */
+  salesProgress = 0;
+
+  /**
+   * Products repaired since the café opened
+   * @type {number}
+   */
+  totalRepaired = 0;
+
+  /**
+   * Products that could not be repaired and were recycled
+   * @type {number}
+   */
+  totalRecycled = 0;
+
+  /**
+   * Refurbished products sold
+   * @type {number}
+   */
+  totalSold = 0;
+
+  constructor(x = 0, y = 0) {
+    super(x, y);
+    this.power.required = this.energyConsumption;
+    this.name = 'Repair Café';
+  }
+
+  /**
+   * Get base cost of the repair café
+   * @returns {number}
+   */
+  getBaseCost() {
+    return 6000;
+  }
+
+  /**
+   * True if the café has power and road access and can repair
+   * @type {boolean}
+   */
+  get isOperating() {
+    return this.power.isFullyPowered && this.roadAccess.value;
+  }
+
+  /**
+   * Manhattan distance from the café within which households use it
+   * @type {number}
+   */
+  get coverageRadius() {
+    return config.repair.coverageRadius;
+  }
+
+  /**
+   * @param {number} x
+   * @param {number} y
+   * @returns {boolean} True if the tile is within the café's coverage
+   */
+  isInCoverage(x, y) {
+    return Math.abs(x - this.x) + Math.abs(y - this.y) <= this.coverageRadius;
+  }
+
+  /**
+   * Number of broken products the café has room for
+   * @param {string} product
+   * @returns {number}
+   */
+  getRoomFor(product) {
+    if (!this.isOperating || !config.repair.products[product]) {
+      return 0;
+    }
+    const waiting = Object.values(this.broken).reduce((sum, value) => sum + value, 0);
+    return Math.max(0, this.maxBroken - waiting);
+  }
+
+  /**
+   * @param {string} product
+   * @param {number} amount
+   * @returns {boolean} True if the café can take in all of the broken
+   * products
+   */
+  canAccept(product, amount) {
+    return this.getRoomFor(product) >= amount;
+  }
+
+  /**
+   * Takes in broken products as far as there is room
+   * @param {string} product
+   * @param {number} amount
+   * @returns {number} Number of products taken in
+   */
+  acceptBroken(product, amount) {
+    const accepted = Math.min(Math.floor(amount), this.getRoomFor(product));
+    this.broken[product] = (this.broken[product] ?? 0) + accepted;
+    return accepted;
+  }
+
+  /**
+   * Price of a refurbished product
+   * @param {string} product
+   * @returns {number}
+   */
+  getRefurbishedPrice(product) {
+    return Math.round((this.simulation?.market?.getProductPrice(product) ?? 0) * config.repair.priceFactor);
+  }
+
+  /**
+   * Sells one refurbished product, to a visiting customer or to a household
+   * nearby
+   * @param {string} product
+   */
+  sellRefurbished(product) {
+    this.refurbished[product]--;
+    this.totalSold++;
+    this.simulation?.gameState?.addMoney(this.getRefurbishedPrice(product));
+  }
+
+  /**
+   * @param {City} city
+   */
+  simulate(city) {
+    super.simulate(city);
+    if (!this.isOperating) {
+      return;
+    }
+    this.#repair();
+    this.#sellToCustomers();
+  }
+
+  /**
+   * Repairs broken products while there is room for the refurbished goods
+   */
+  #repair() {
+    const simulation = this.simulation;
+    const stocked = Object.values(this.refurbished).reduce((sum, value) => sum + value, 0);
+    const waiting = Object.keys(this.broken).filter((product) => this.broken[product] >= 1);
+    if (waiting.length === 0 || stocked >= this.maxRefurbished) {
+      this.repairProgress = 0;
+      return;
+    }
+
+    this.repairProgress += this.repairRate;
+    let space = this.maxRefurbished - stocked;
+    while (this.repairProgress >= 1 && space > 0 && waiting.length > 0) {
+      this.repairProgress--;
+      const product = waiting[0];
+      this.broken[product]--;
+      if (this.broken[product] < 1) {
+        waiting.shift();
+      }
+
+      const { waste, wasteAmount } = config.products[product];
+      if (simulation?.random.chance(config.repair.products[product])) {
+        this.refurbished[product] = (this.refurbished[product] ?? 0) + 1;
+        this.totalRepaired++;
+        space--;
+        simulation.resourceManager?.addResource(waste, wasteAmount * config.repair.repairWaste);
+        simulation.gameState?.addXP(1);
+        simulation.gameState?.updateCircularScore(2);
+      } else {
+        this.totalRecycled++;
+        simulation?.resourceManager?.addResource(waste, wasteAmount);
+      }
+    }
+  }
+
+  /**
+   * Sells refurbished products to customers walking in, the most valuable
+   * first
+   */
+  #sellToCustomers() {
+    const inStock = Object.keys(this.refurbished).filter((product) => this.refurbished[product] >= 1);
+    if (inStock.length === 0) {
+      this.salesProgress = 0;
+      return;
+    }
+
+    this.salesProgress += this.salesRate;
+    if (this.salesProgress >= 1) {
+      this.salesProgress--;
+      inStock.sort((a, b) => this.getRefurbishedPrice(b) - this.getRefurbishedPrice(a));
+      this.sellRefurbished(inStock[0]);
+    }
+  }
+
+  /**
+   * Refresh view with the café model
+   */
+  refreshView() {
+    const assetManager = this.simulation?.assetManager;
+    if (!assetManager) {
+      return; // Nothing to render when running headless
+    }
+    this.setMesh(assetManager.getModel(`${this.type}-1`, this));
+  }
+
+  /**
+   * @returns {object}
+   */
+  serialize() {
+    return {
+      ...super.serialize(),
+      broken: { ...this.broken },
+      refurbished: { ...this.refurbished },
+      repairProgress: this.repairProgress,
+      salesProgress: this.salesProgress,
+      totalRepaired: this.totalRepaired,
+      totalRecycled: this.totalRecycled,
+      totalSold: this.totalSold
+    };
+  }
+
+  /**
+   * @param {object} data
+   * @param {City} city
+   */
+  deserialize(data, city) {
+    super.deserialize(data, city);
+    this.broken = { ...data.broken };
+    this.refurbished = { ...data.refurbished };
+    this.repairProgress = data.repairProgress ?? 0;
+    this.salesProgress = data.salesProgress ?? 0;
+    this.totalRepaired = data.totalRepaired ?? 0;
+    this.totalRecycled = data.totalRecycled ?? 0;
+    this.totalSold = data.totalSold ?? 0;
+  }
+
+  /**
+   * Returns HTML representation with the repair queue and stock
+   * @returns {string}
+   */
+  toHTML() {
+    const productNames = {
+      'clothing': '👕 Kıyafet',
+      'sports-gear': '⚽ Spor Malzemesi',
+      'smartphone': '📱 Telefon',
+      'laptop': '💻 Laptop',
+      'electric-bike': '🚲 Elektrikli Bisiklet'
+    };
+    const waiting = Object.values(this.broken).reduce((sum, value) => sum + value, 0);
+    const stocked = Object.values(this.refurbished).reduce((sum, value) => sum + value, 0);
+
+    let html = super.toHTML();
+    html += `
+      <div class="info-heading">🔧 Tamir Kafe</div>
+      <span class="info-label">Tamir Bekleyen </span>
+      <span class="info-value">${waiting}/${this.maxBroken}</span>
+      <br>
+      <span class="info-label">Yenilenmiş Stok </span>
+      <span class="info-value">${stocked}/${this.maxRefurbished}</span>
+      <br>
+      <span class="info-label">Kapsama Alanı </span>
+      <span class="info-value">${this.coverageRadius} kare</span>
+      <br>
+      <span class="info-label">Tamir Edilen / Geri Dönüştürülen </span>
+      <span class="info-value">${this.totalRepaired} / ${this.totalRecycled}</span>
+      <br>
+      <span class="info-label">Satılan </span>
+      <span class="info-value">${this.totalSold}</span>
+      <br>
+    `;
+
+    if (!this.isOperating) {
+      html += `<div style="padding: 4px 8px; color: #f44336; font-size: 0.9em;">⚠️ Elektrik ve yol bağlantısı olmadan tamir yapılamaz</div>`;
+    }
+
+    const stock = Object.entries(this.refurbished).filter(([, amount]) => amount > 0);
+    if (stock.length > 0) {
+      html += `<div class="info-heading" style="margin-top: 12px;">♻️ Yenilenmiş Ürünler</div>`;
+      for (const [product, amount] of stock) {
+        html += `
+          <div style="padding: 4px 8px; margin: 2px 0; background-color: #22294160; border-radius: 4px;">
+            <span class="info-label">${productNames[product] ?? product}</span>
+            <span class="info-value">${amount}x (${this.getRefurbishedPrice(product).toLocaleString()} 💰/adet)</span>
+          </div>
+        `;
+      }
+    }
+    return html;
+  }
+}
@@ -0,0 +1,186 @@
+import { Building } from '../building.js';
+import { BuildingType } from '../buildingType.js';
+import { City } from '../../city.js';
+import config from '../../../config.js';
+
+/**
+ * Bus Depot - Owns the city's buses and the routes they drive
+ *
+ * Routes are made of bus stops placed on roads. Buses drive each route as
+ * a loop and let citizens living near a stop commute to jobs near any
+ * other stop on the same route, instead of driving there.
+ */
+export class BusDepot extends Building {
+  type = BuildingType.busDepot;
+
+  /**
+   * Number of buses owned by the depot
+   * @type {number}
+   */
+  buses = config.transit.startingBuses;
+
+  constructor(x = 0, y = 0) {
+    super(x, y);
+    this.name = 'Bus Depot';
+  }
+
+  /**
+   * Get base cost of the bus depot
+   * @returns {number}
+   */
+  getBaseCost() {
+    return 8000;
+  }
+
+  /**
+   * Buses not assigned to any route
+   * @type {number}
+   */
+  get freeBuses() {
+    const routes = this.simulation?.city?.transit.getDepotRoutes(this) ?? [];
+    return this.buses - routes.reduce((sum, route) => sum + route.buses, 0);
+  }
+
+  /**
+   * Buy an additional bus
+   * @returns {boolean} True if the bus was bought
+   */
+  buyBus() {
+    const gameState = this.simulation?.gameState;
+    const ui = this.simulation?.ui;
+
+    if (this.buses >= config.transit.maxBusesPerDepot || !gameState) {
+      return false;
+    }
+
+    const cost = config.transit.busCost;
+    if (gameState.spendMoney(cost)) {
+      this.buses++;
+      return true;
+    }
+
+    if (ui) {
+      ui.showNotification(
+        '💰 Yetersiz Para',
+        `Otobüs için ${cost.toLocaleString()} 💰 gerekiyor. Mevcut paranız: ${gameState.money.toLocaleString()} 💰`,
+        'error'
+      );
+    }
+    return false;
+  }
+
+  /**
+   * Refresh view with the depot model
+   */
+  refreshView() {
+    const assetManager = this.simulation?.assetManager;
+    if (!assetManager) {
+      return; // Nothing to render when running headless
+    }
+    this.setMesh(assetManager.getModel(`${this.type}-1`, this));
+  }
+
+  /**
+   * @returns {object}
+   */
+  serialize() {
+    return {
+      ...super.serialize(),
+      buses: this.buses
+    };
+  }
+
+  /**
+   * @param {object} data
+   * @param {City} city
+   */
+  deserialize(data, city) {
+    super.deserialize(data, city);
+    this.buses = data.buses ?? this.buses;
+  }
+
+  /**
+   * Returns HTML representation with the route editor
+   * @returns {string}
+   */
+  toHTML() {
+    const transit = this.simulation?.city?.transit;
+    const routes = transit?.getDepotRoutes(this) ?? [];
+    const freeBuses = this.freeBuses;
+    const canBuyBus = this.buses < config.transit.maxBusesPerDepot;
+    const ui = this.simulation?.ui;
+    const editingRouteId = ui?.activeToolId === 'bus-route' ? ui.editingRouteId : null;
+
+    let html = super.toHTML();
+    html += `
+      <div class="info-heading">🚌 Otobüs Garajı</div>
+      <span class="info-label">Otobüs </span>
+      <span class="info-value">${this.buses - freeBuses} hatta / ${this.buses} (max ${config.transit.maxBusesPerDepot})</span>
+      <br>
+      <div style="padding: 8px;">
+        <button class="action-button" onclick="window.game?.buyBus(${this.x}, ${this.y})"
+          style="width: 100%; ${!canBuyBus ? 'opacity: 0.5; cursor: not-allowed;' : ''}"
+          ${!canBuyBus ? 'disabled' : ''}>
+          🚌 Otobüs Satın Al (${config.transit.busCost.toLocaleString()} 💰)
+        </button>
+      </div>
+      <div class="info-heading" style="margin-top: 12px;">🗺️ Hatlar</div>
+    `;
+
+    if (routes.length === 0) {
+      html += `<div style="padding: 8px; color: #888; font-size: 0.9em;">Henüz hat yok. Yollara durak yerleştirip yeni bir hat oluşturun.</div>`;
+    }
+
+    for (const route of routes) {
+      const stops = route.stops.map((stop) => `(${stop.x}, ${stop.y})`).join(' → ') || '-';
+      const isEditing = editingRouteId === route.id;
+      let status = '✅ Çalışıyor';
+      if (route.stops.length < 2) {
+        status = '⚠️ En az 2 durak gerekli';
+      } else if (!transit.isRouteConnected(this.simulation.city, route)) {
+        status = '⚠️ Duraklar arasında yol yok';
+      } else if (route.buses === 0) {
+        status = '⚠️ Otobüs atanmadı';
+      }
+
+      html += `
+        <div style="padding: 6px 8px; margin: 4px 0; background-color: #22294160; border-radius: 4px;">
+          <span class="info-label">Hat ${route.id} </span>
+          <span class="info-value">${status}</span>
+          <br>
+          <span class="info-label">Duraklar </span>
+          <span class="info-value">${stops}</span>
+          <br>
+          <span class="info-label">Otobüs </span>
+          <span class="info-value">
+            <button class="action-button" onclick="window.game?.changeRouteBuses(${route.id}, -1)"
+              ${route.buses <= 0 ? 'disabled' : ''}>−</button>
+            ${route.buses}
+            <button class="action-button" onclick="window.game?.changeRouteBuses(${route.id}, 1)"
+              ${freeBuses <= 0 ? 'disabled' : ''}>+</button>
+          </span>
+          <br>
+          <button class="action-button" onclick="window.game?.${isEditing ? 'finishBusRoute()' : `editBusRoute(${route.id})`}">
+            ${isEditing ? '✅ Düzenlemeyi Bitir' : '✏️ Durak Ekle'}
+          </button>
+          <button class="action-button" onclick="window.game?.removeLastBusStop(${route.id})"
+            ${route.stops.length === 0 ? 'disabled' : ''}>↩️ Son Durağı Çıkar</button>
+          <button class="action-button" onclick="window.game?.deleteBusRoute(${route.id})">🗑️ Hattı Sil</button>
+        </div>
+      `;
+    }
+
+    if (routes.some((route) => route.id === editingRouteId)) {
+      html += `<div style="padding: 8px; color: #FFC107; font-size: 0.9em;">Hatta eklemek için haritadaki duraklara sırayla tıklayın.</div>`;
+    }
+
+    html += `
+      <div style="padding: 8px;">
+        <button class="action-button" onclick="window.game?.createBusRoute(${this.x}, ${this.y})" style="width: 100%;">
+          ➕ Yeni Hat
+        </button>
+      </div>
+    `;
+    return html;
+  }
+}
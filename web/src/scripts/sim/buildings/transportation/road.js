@@ -2,8 +2,21 @@ import * as THREE from 'three';
 import { Building } from '../building.js';
 import { City } from '../../city.js';
 import { DEG2RAD } from 'three/src/math/MathUtils.js';
+import config from '../../../config.js';
 
 export class Road extends Building {
+  /**
+   * Road class. Avenues carry more traffic before they are congested.
+   * @type {'street' | 'avenue'}
+   */
+  roadType = 'street';
+
+  /**
+   * True if buses stop on this road tile
+   * @type {boolean}
+   */
+  busStop = false;
+
   constructor(x, y) {
     super(x, y);
     this.type = 'road';
@@ -13,6 +26,43 @@ export class Road extends Building {
     this.roadAccess.enabled = false;
   }
 
+  /**
+   * Vehicles this road tile carries before it is congested
+   * @type {number}
+   */
+  get capacity() {
+    return this.roadType === 'avenue' ? config.traffic.avenueCapacity : config.traffic.streetCapacity;
+  }
+
+  /**
+   * Upgrade this street to an avenue
+   * @returns {boolean} True if upgrade successful
+   */
+  upgrade() {
+    const gameState = this.simulation?.gameState;
+    const ui = this.simulation?.ui;
+
+    if (this.roadType === 'avenue' || !gameState) {
+      return false;
+    }
+
+    const cost = config.traffic.avenueUpgradeCost;
+    if (gameState.spendMoney(cost)) {
+      this.roadType = 'avenue';
+      this.name = 'Avenue';
+      return true;
+    }
+
+    if (ui) {
+      ui.showNotification(
+        '💰 Yetersiz Para',
+        `Caddeye yükseltmek için ${cost.toLocaleString()} 💰 gerekiyor. Mevcut paranız: ${gameState.money.toLocaleString()} 💰`,
+        'error'
+      );
+    }
+    return false;
+  }
+
   /**
    * Updates the road mesh based on which adjacent tiles are roads as well
    * @param {City} city 
@@ -77,22 +127,99 @@ export class Road extends Building {
       this.rotation.y  = 90 * DEG2RAD;
     }
 
-    const mesh = window.assetManager.getModel(`road-${this.style}`, this);
-    this.setMesh(mesh);
+    // The vehicle graph is updated even when running headless
+    const assetManager = this.simulation?.assetManager;
+    if (assetManager) {
+      const mesh = assetManager.getModel(`road-${this.style}`, this);
+      if (this.roadType === 'avenue') {
+        // There is no avenue model, so avenues are told apart by color
+        mesh.traverse((obj) => {
+          if (obj.material) {
+            obj.material.color = new THREE.Color(0xa0b4dc);
+          }
+        });
+      }
+      if (this.busStop) {
+        // Stand the stop on the side of the road
+        const stop = assetManager.getModel('bus-stop', this);
+        stop.position.set(0.35, 0, 0);
+        mesh.add(stop);
+      }
+      this.setMesh(mesh);
+    }
     city.vehicleGraph.updateTile(this.x, this.y, this);
   }
 
+  /**
+   * @returns {object}
+   */
+  serialize() {
+    return {
+      ...super.serialize(),
+      roadType: this.roadType,
+      busStop: this.busStop
+    };
+  }
+
+  /**
+   * @param {object} data
+   * @param {City} city
+   */
+  deserialize(data, city) {
+    super.deserialize(data, city);
+    this.roadType = data.roadType ?? this.roadType;
+    this.busStop = data.busStop ?? this.busStop;
+  }
+
   /**
    * Returns an HTML representation of this object
    * @returns {string}
    */
   toHTML() {
+    const traffic = this.simulation?.city?.traffic;
+    const congestion = traffic?.getCongestion(this.x, this.y) ?? 0;
+    const color = congestion >= 1 ? '#f44336' : congestion >= 0.75 ? '#FF9800' : congestion >= 0.4 ? '#FFC107' : '#4CAF50';
+
     let html = super.toHTML();
     html += `
     <span class="info-label">Style </span>
     <span class="info-value">${this.style}</span>
     <br>
+    <div class="info-heading">🚦 Trafik</div>
+    <span class="info-label">Yol Tipi </span>
+    <span class="info-value">${this.roadType === 'avenue' ? 'Cadde' : 'Sokak'}</span>
+    <br>
+    <span class="info-label">Araç Yükü </span>
+    <span class="info-value">${(traffic?.getLoad(this.x, this.y) ?? 0).toFixed(1)}/${this.capacity}</span>
+    <br>
+    <span class="info-label">Yoğunluk </span>
+    <span class="info-value" style="color: ${color};">${(congestion * 100).toFixed(0)}%</span>
+    <br>
+    <span class="info-label">Hız </span>
+    <span class="info-value">${((traffic?.getSpeedFactor(this) ?? 1) * 100).toFixed(0)}%</span>
+    <br>
     `;
+
+    if (this.busStop) {
+      html += `
+        <div class="info-heading">🚏 Otobüs Durağı</div>
+        <div style="padding: 8px;">
+          <button class="action-button" onclick="window.game?.removeBusStop(${this.x}, ${this.y})" style="width: 100%;">
+            🗑️ Durağı Kaldır
+          </button>
+        </div>
+      `;
+    }
+
+    if (this.roadType !== 'avenue') {
+      html += `
+        <div style="padding: 8px; margin-top: 4px;">
+          <button class="action-button" onclick="window.game?.upgradeFactory(${this.x}, ${this.y})" style="width: 100%;">
+            ⬆️ Caddeye Yükselt (${config.traffic.avenueUpgradeCost.toLocaleString()} 💰)
+          </button>
+        </div>
+      `;
+    }
     return html;
   }
 }
\ No newline at end of file
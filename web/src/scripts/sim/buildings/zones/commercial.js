@@ -3,6 +3,9 @@ import { Zone } from './zone.js';
 import { JobsModule } from '../modules/jobs.js';
 import { BuildingType } from '../buildingType.js';
 import { WasteModule } from '../modules/waste.js';
+import { StorageModule } from '../modules/storage.js';
+import { TakeBackModule } from '../modules/takeBack.js';
+import { SecondHandModule } from '../modules/secondHand.js';
 
 export class CommercialZone extends Zone {
   /**
@@ -28,18 +31,23 @@ export class CommercialZone extends Zone {
   maxLevel = 3;
   
   /**
-   * Inventory - products available for sale
-   * @type {Object}
+   * Products delivered over the roads. The input buffer is the shop's
+   * inventory.
+   * @type {StorageModule}
    */
-  inventory = {
-    'clothing': 0,
-    'smartphone': 0,
-    'laptop': 0,
-    'steel-beam': 0,
-    'steel-structure': 0,
-    'electric-car': 0,
-    'electric-bike': 0
-  };
+  storage = new StorageModule(this);
+
+  /**
+   * Take-back program for end-of-life products
+   * @type {TakeBackModule}
+   */
+  takeBack = new TakeBackModule(this);
+
+  /**
+   * Section buying and reselling used products
+   * @type {SecondHandModule}
+   */
+  secondHand = new SecondHandModule(this);
   
   /**
    * Maximum inventory capacity by level
@@ -76,7 +84,7 @@ export class CommercialZone extends Zone {
   };
   
   /**
-   * Auto-purchase rate per tick (how many products to buy from global inventory)
+   * Auto-purchase rate per tick (how many products can be delivered)
    * @type {Object}
    */
   purchaseRateByLevel = {
@@ -96,26 +104,29 @@ export class CommercialZone extends Zone {
    * @type {number}
    */
   salesProgress = 0;
-  
-  /**
-   * Accumulated purchase progress (for fractional purchases)
-   * @type {number}
-   */
-  purchaseProgress = 0;
 
   constructor(x, y) {
     super(x, y);
-    this.name = generateBusinessName();
     this.type = BuildingType.commercial;
     this.power.required = 3; // Low energy consumption
     
-    // Set style for commercial (A or B)
-    this.style = ['A', 'B'][Math.floor(2 * Math.random())];
-    
     // Initialize waste module for commercial (low packaging waste)
     this.waste.productionRate = this.baseWasteProduction;
     this.waste.wasteType = 'plastic-waste';
     this.waste.productionInterval = 10; // Produce every 10 ticks
+    
+    this.#updateStorageLimits();
+  }
+
+  /**
+   * @param {Random} random
+   */
+  randomize(random) {
+    super.randomize(random);
+    this.name = generateBusinessName(random);
+    
+    // Set style for commercial (A or B)
+    this.style = random.pick(['A', 'B']);
   }
 
   /**
@@ -142,6 +153,14 @@ export class CommercialZone extends Zone {
     return this.purchaseRateByLevel[this.level] || 0.1;
   }
   
+  /**
+   * Inventory - products available for sale
+   * @type {Object<string, number>}
+   */
+  get inventory() {
+    return this.storage.input;
+  }
+  
   /**
    * Get total products in inventory
    * @returns {number}
@@ -168,57 +187,72 @@ export class CommercialZone extends Zone {
       .map(([product]) => product);
   }
 
+  /**
+   * Products this shop wants delivered, most valuable first
+   * @returns {Object<string, number>}
+   */
+  getInputNeeds() {
+    const simulation = this.simulation;
+    if (!simulation?.isUnlocked('eco-shop') || !this.power.isFullyPowered) {
+      return {};
+    }
+    
+    const productPriority = ['electric-car', 'laptop', 'electric-bike', 'steel-structure', 'smartphone', 'steel-beam', 'clothing'];
+    
+    // Leave intermediate goods for the factories that consume them
+    const reserved = simulation.market?.getReservedIntermediates(simulation.resourceManager) ?? new Set();
+    
+    const space = this.maxInventory - this.totalInventory;
+    const needs = {};
+    for (const productType of productPriority) {
+      if (!reserved.has(productType)) {
+        needs[productType] = space;
+      }
+    }
+    return needs;
+  }
+
+  /**
+   * Keeps the storage limits in line with the shop level
+   */
+  #updateStorageLimits() {
+    this.storage.inputCapacity = this.maxInventory;
+    this.storage.inflowRate = this.purchaseRate;
+  }
+
   /**
    * Steps the state of the zone forward in time by one simulation step
    * @param {City} city 
    * @param {number} currentTick 
    */
   simulate(city, currentTick = 0) {
+    const simulation = this.simulation;
+    const gameState = simulation?.gameState;
+
     super.simulate(city);
     this.jobs.simulate();
     
     // Check if Eco Shop is unlocked (Level 5+)
-    if (!window.gameState || !window.levelUnlocks ||
-        !window.levelUnlocks.isUnlocked('eco-shop', window.gameState.level)) {
+    if (!simulation?.isUnlocked('eco-shop')) {
       return;
     }
     
     // Update waste module (only if waste system is unlocked - Level 3+)
-    if (this.waste && window.levelUnlocks.isUnlocked('local-waste', window.gameState.level)) {
+    if (this.waste && simulation.isUnlocked('local-waste')) {
       this.waste.simulate(city, currentTick);
     }
     
+    this.takeBack.simulate(city);
+    this.secondHand.simulate(city);
+
     // Only work if powered and has road access
-    if (!this.power.isFullyPowered || !this.roadAccess.value || !window.resourceManager) {
+    if (!this.power.isFullyPowered || !this.roadAccess.value || !gameState) {
       return;
     }
     
-    // 1. AUTO-PURCHASE: Buy products from global inventory
-    if (this.hasInventorySpace()) {
-      this.purchaseProgress += this.purchaseRate;
-      
-      if (this.purchaseProgress >= 1) {
-        const productsToBuy = Math.floor(this.purchaseProgress);
-        this.purchaseProgress -= productsToBuy;
-        
-        // Try to buy products (prioritize by price/value)
-        const productPriority = ['electric-car', 'laptop', 'electric-bike', 'steel-structure', 'smartphone', 'steel-beam', 'clothing'];
-        
-        for (let i = 0; i < productsToBuy && this.hasInventorySpace(); i++) {
-          for (const productType of productPriority) {
-            const globalAmount = window.resourceManager.getResource(productType);
-            if (globalAmount > 0 && this.totalInventory < this.maxInventory) {
-              // Buy 1 product
-              window.resourceManager.removeResource(productType, 1);
-              this.inventory[productType] = (this.inventory[productType] || 0) + 1;
-              break;
-            }
-          }
-        }
-      }
-    }
+    // Products are restocked by the city's logistics (see getInputNeeds)
     
-    // 2. SALES: Sell products from inventory
+    // SALES: Sell products from inventory
     const availableProducts = this.getAvailableProducts();
     if (availableProducts.length > 0) {
       this.salesProgress += this.salesRate;
@@ -235,23 +269,10 @@ export class CommercialZone extends Zone {
         for (let i = 0; i < productsToSell && sortedProducts.length > 0; i++) {
           const productType = sortedProducts[0];
           if (this.inventory[productType] > 0) {
-            // Sell 1 product
-            this.inventory[productType]--;
-            const price = this.productPrices[productType] || 0;
-            
-            // Earn money
-            window.gameState.addMoney(price);
-            
-            // Add XP (small amount per sale)
-            window.gameState.addXP(0.5);
-            
-            // Add Circular Score (eco shops contribute to circular economy)
-            window.gameState.updateCircularScore(0.2);
-            
-            // Show sale effect
-            if (window.visualEffects) {
-              window.visualEffects.addEffect(this.x, this.y, `+${price} 💰`, 'success');
-            }
+            this.sellProduct(productType);
+            // Products sold to walk-in customers come back as waste at
+            // the end of their life
+            city.productLifecycle.recordSale(productType, 1);
             
             // Update sorted products list
             sortedProducts.shift();
@@ -261,25 +282,59 @@ export class CommercialZone extends Zone {
     }
   }
 
+  /**
+   * Sells one product from the inventory, to a visiting customer or to a
+   * household nearby
+   * @param {string} productType
+   */
+  sellProduct(productType) {
+    const gameState = this.simulation?.gameState;
+    const visualEffects = this.simulation?.visualEffects;
+
+    this.storage.remove('input', productType, 1);
+    const price = this.productPrices[productType] || 0;
+    if (!gameState) {
+      return;
+    }
+    
+    // Earn money
+    gameState.addMoney(price);
+    
+    // Add XP (small amount per sale)
+    gameState.addXP(0.5);
+    
+    // Add Circular Score (eco shops contribute to circular economy)
+    gameState.updateCircularScore(0.2);
+    
+    // Show sale effect
+    if (visualEffects) {
+      visualEffects.addEffect(this.x, this.y, `+${price} 💰`, 'success');
+    }
+  }
+
   /**
    * Upgrade eco shop to next level
    * @returns {boolean} True if upgrade successful
    */
   upgrade() {
+    const gameState = this.simulation?.gameState;
+    const ui = this.simulation?.ui;
+
     if (this.level >= this.maxLevel) {
       return false;
     }
 
     const upgradeCost = this.getUpgradeCost();
-    if (window.gameState && window.gameState.spendMoney(upgradeCost)) {
+    if (gameState && gameState.spendMoney(upgradeCost)) {
       this.level++;
+      this.#updateStorageLimits();
       return true;
-    } else if (window.gameState) {
+    } else if (gameState) {
       // Not enough money - show notification
-      if (window.ui) {
-        window.ui.showNotification(
+      if (ui) {
+        ui.showNotification(
           '💰 Yetersiz Para',
-          `Yükseltme için ${upgradeCost.toLocaleString()} 💰 gerekiyor. Mevcut paranız: ${window.gameState.money.toLocaleString()} 💰`,
+          `Yükseltme için ${upgradeCost.toLocaleString()} 💰 gerekiyor. Mevcut paranız: ${gameState.money.toLocaleString()} 💰`,
           'error'
         );
       }
@@ -313,6 +368,40 @@ export class CommercialZone extends Zone {
     super.dispose();
   }
 
+  /**
+   * @returns {object}
+   */
+  serialize() {
+    return {
+      ...super.serialize(),
+      level: this.level,
+      storage: this.storage.serialize(),
+      salesProgress: this.salesProgress,
+      takeBack: this.takeBack.serialize(),
+      secondHand: this.secondHand.serialize()
+    };
+  }
+
+  /**
+   * @param {object} data 
+   * @param {City} city 
+   */
+  deserialize(data, city) {
+    super.deserialize(data, city);
+    this.level = data.level ?? this.level;
+    this.#updateStorageLimits();
+    if (data.storage) {
+      this.storage.deserialize(data.storage, city);
+    }
+    this.salesProgress = data.salesProgress ?? 0;
+    if (data.takeBack) {
+      this.takeBack.deserialize(data.takeBack, city);
+    }
+    if (data.secondHand) {
+      this.secondHand.deserialize(data.secondHand, city);
+    }
+  }
+
   /**
    * Returns an HTML representation of this object
    * @returns {string}
@@ -364,6 +453,8 @@ export class CommercialZone extends Zone {
       html += `<div style="padding: 8px; color: #888; font-size: 0.9em;">Envanter boş - Ürün bekleniyor</div>`;
     }
     
+    html += this.secondHand.toHTML();
+    html += this.takeBack.toHTML();
     html += this.jobs.toHTML();
     
     // Waste information
@@ -406,10 +497,10 @@ const suffixes = ['Commerce', 'Trade', 'Marketplace', 'Ventures', 'Enterprises',
 const businessSuffixes = ['LLC', 'Inc.', 'Co.', 'Corp.', 'Ltd.'];
 
 // Function to generate a random commercial business name
-function generateBusinessName() {
-  const prefix = prefixes[Math.floor(Math.random() * prefixes.length)];
-  const suffix = suffixes[Math.floor(Math.random() * suffixes.length)];
-  const businessSuffix = businessSuffixes[Math.floor(Math.random() * businessSuffixes.length)];
+function generateBusinessName(random) {
+  const prefix = random.pick(prefixes);
+  const suffix = random.pick(suffixes);
+  const businessSuffix = random.pick(businessSuffixes);
 
   return prefix + ' ' + suffix + ' ' + businessSuffix;
 }
\ No newline at end of file
@@ -40,7 +40,6 @@ export class FarmingArea extends Zone {
   
   constructor(x = 0, y = 0) {
     super(x, y);
-    this.name = generateFarmName();
     this.type = BuildingType.farming;
     this.power.required = 2; // Düşük enerji tüketimi
     
@@ -49,6 +48,14 @@ export class FarmingArea extends Zone {
     this.waste.wasteType = 'organic-waste';
     this.waste.productionInterval = 5; // Produce every 5 ticks
   }
+
+  /**
+   * @param {Random} random
+   */
+  randomize(random) {
+    super.randomize(random);
+    this.name = generateFarmName(random);
+  }
   
   /**
    * Steps the state of the zone forward in time by one simulation step
@@ -56,6 +63,11 @@ export class FarmingArea extends Zone {
    * @param {number} currentTick 
    */
   simulate(city, currentTick = 0) {
+    const gameState = this.simulation?.gameState;
+    const resourceManager = this.simulation?.resourceManager;
+    const visualEffects = this.simulation?.visualEffects;
+    const random = this.simulation?.random;
+
     super.simulate(city);
     
     // Update waste module
@@ -67,7 +79,7 @@ export class FarmingArea extends Zone {
     if (this.development.state === 'developed' && 
         this.power.isFullyPowered && 
         this.roadAccess.value &&
-        window.resourceManager) {
+        resourceManager && random) {
       
       // Increase production progress
       this.productionProgress += this.productionRate;
@@ -86,23 +98,23 @@ export class FarmingArea extends Zone {
           if (this.development.level === 1) {
             productType = 'fertilizer';
           } else if (this.development.level === 2) {
-            productType = Math.random() < 0.5 ? 'fertilizer' : 'compost';
+            productType = random.chance(0.5) ? 'fertilizer' : 'compost';
           } else {
             // Level 3: 30% fertilizer, 70% compost
-            productType = Math.random() < 0.3 ? 'fertilizer' : 'compost';
+            productType = random.chance(0.3) ? 'fertilizer' : 'compost';
           }
           
           // Add product to global inventory
-          window.resourceManager.addResource(productType, 1);
+          resourceManager.addResource(productType, 1);
           
           // Add XP
-          if (window.gameState) {
-            window.gameState.addXP(2);
+          if (gameState) {
+            gameState.addXP(2);
           }
           
           // Show production effect
-          if (window.visualEffects) {
-            window.visualEffects.showProductionEffect(this, 1, productType);
+          if (visualEffects) {
+            visualEffects.showProductionEffect(this, 1, productType);
           }
         }
       }
@@ -110,6 +122,11 @@ export class FarmingArea extends Zone {
   }
 
   refreshView() {
+    const assetManager = this.simulation?.assetManager;
+    if (!assetManager) {
+      return; // Nothing to render when running headless
+    }
+
     let modelName;
     switch (this.development.state) {
       case DevelopmentState.underConstruction:
@@ -121,7 +138,7 @@ export class FarmingArea extends Zone {
         break;
     }
 
-    let mesh = window.assetManager.getModel(modelName, this);
+    let mesh = assetManager.getModel(modelName, this);
     
     // Safety check
     if (!mesh) {
@@ -167,6 +184,25 @@ export class FarmingArea extends Zone {
     this.setMesh(mesh);
   }
   
+  /**
+   * @returns {object}
+   */
+  serialize() {
+    return {
+      ...super.serialize(),
+      productionProgress: this.productionProgress
+    };
+  }
+
+  /**
+   * @param {object} data 
+   * @param {City} city 
+   */
+  deserialize(data, city) {
+    super.deserialize(data, city);
+    this.productionProgress = data.productionProgress ?? 0;
+  }
+
   /**
    * Returns HTML representation
    * @returns {string}
@@ -231,9 +267,9 @@ const prefixes = ['Green', 'Golden', 'Sunny', 'Harvest', 'Meadow', 'Valley', 'Ri
 const suffixes = ['Farm', 'Fields', 'Acres', 'Estate', 'Ranch', 'Grove', 'Garden', 'Plot', 'Land', 'Farmstead'];
 
 // Function to generate a random farm name
-function generateFarmName() {
-  const prefix = prefixes[Math.floor(Math.random() * prefixes.length)];
-  const suffix = suffixes[Math.floor(Math.random() * suffixes.length)];
+function generateFarmName(random) {
+  const prefix = random.pick(prefixes);
+  const suffix = random.pick(suffixes);
   
   return prefix + ' ' + suffix;
 }
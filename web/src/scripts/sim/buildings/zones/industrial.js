@@ -11,10 +11,17 @@ export class IndustrialZone extends Zone {
 
   constructor(x, y) {
     super(x, y);
-    this.name = generateBusinessName();
     this.type = BuildingType.industrial;
   }
 
+  /**
+   * @param {Random} random
+   */
+  randomize(random) {
+    super.randomize(random);
+    this.name = generateBusinessName(random);
+  }
+
   /**
    * Steps the state of the zone forward in time by one simulation step
    * @param {City} city 
@@ -49,10 +56,10 @@ const suffixes = ['Dynamics', 'Ventures', 'Solutions', 'Technologies', 'Innovati
 const businessSuffixes = ['LLC', 'Inc.', 'Co.', 'Corp.', 'Ltd.'];
 
 // Function to generate a random industrial business name
-function generateBusinessName() {
-  const prefix = prefixes[Math.floor(Math.random() * prefixes.length)];
-  const suffix = suffixes[Math.floor(Math.random() * suffixes.length)];
-  const businessSuffix = businessSuffixes[Math.floor(Math.random() * businessSuffixes.length)];
+function generateBusinessName(random) {
+  const prefix = random.pick(prefixes);
+  const suffix = random.pick(suffixes);
+  const businessSuffix = random.pick(businessSuffixes);
 
   return prefix + ' ' + suffix + ' ' + businessSuffix;
 }
\ No newline at end of file
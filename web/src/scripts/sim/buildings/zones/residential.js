@@ -4,6 +4,7 @@ import { Zone } from './zone.js';
 import { ResidentsModule } from '../modules/residents.js';
 import { BuildingType } from '../buildingType.js';
 import { WasteModule } from '../modules/waste.js';
+import { ConsumptionModule } from '../modules/consumption.js';
 
 export class ResidentialZone extends Zone {
   /**
@@ -16,20 +17,33 @@ export class ResidentialZone extends Zone {
    */
   waste = new WasteModule(this);
 
+  /**
+   * Products the household uses and throws away
+   * @type {ConsumptionModule}
+   */
+  consumption = new ConsumptionModule(this);
+
   constructor(x, y) {
     super(x, y);
-    this.name = generateBuildingName();
     this.type = BuildingType.residential;
     
-    // Set style for residential (A, B, C, D, E, or F)
-    this.style = ['A', 'B', 'C', 'D', 'E', 'F'][Math.floor(6 * Math.random())];
-    
     // Initialize waste module for residential (low waste production)
     this.waste.productionRate = 0.3; // Increased from 0.1
     this.waste.wasteType = 'organic-waste';
     this.waste.productionInterval = 8; // Produce every 8 ticks (increased frequency)
   }
 
+  /**
+   * @param {Random} random
+   */
+  randomize(random) {
+    super.randomize(random);
+    this.name = generateBuildingName(random);
+    
+    // Set style for residential (A, B, C, D, E, or F)
+    this.style = random.pick(['A', 'B', 'C', 'D', 'E', 'F']);
+  }
+
   /**
    * Steps the state of the zone forward in time by one simulation step
    * @param {City} city 
@@ -38,6 +52,7 @@ export class ResidentialZone extends Zone {
   simulate(city, currentTick = 0) {
     super.simulate(city);
     this.residents.simulate(city);
+    this.consumption.simulate(city);
     
     // Update waste module
     if (this.waste) {
@@ -62,12 +77,17 @@ export class ResidentialZone extends Zone {
   refreshView() {
     // For player house, use development level to show different models
     if (this.isPlayerHouse) {
+      const assetManager = this.simulation?.assetManager;
+      if (!assetManager) {
+        return; // Nothing to render when running headless
+      }
+
       let modelName;
       const level = this.development?.level || 1;
       
       // Player house models based on level
       // Use A, B, C styles for player house (not D, E, F)
-      const playerHouseStyle = ['A', 'B', 'C'][Math.floor(3 * Math.random())];
+      const playerHouseStyle = ['A', 'B', 'C'][Math.max(0, 'ABCDEF'.indexOf(this.style)) % 3];
       switch (level) {
         case 1:
           modelName = `${this.type}-${playerHouseStyle}1`;
@@ -82,7 +102,7 @@ export class ResidentialZone extends Zone {
           modelName = `${this.type}-${playerHouseStyle}${level}`;
       }
 
-      let mesh = window.assetManager.getModel(modelName, this);
+      let mesh = assetManager.getModel(modelName, this);
       
       // Tint building if abandoned or no power
       if (this.development?.state === 'abandoned') {
@@ -113,6 +133,35 @@ export class ResidentialZone extends Zone {
     }
   }
 
+  /**
+   * @returns {object}
+   */
+  serialize() {
+    return {
+      ...super.serialize(),
+      isPlayerHouse: this.isPlayerHouse || false,
+      residents: this.residents.serialize(),
+      consumption: this.consumption.serialize()
+    };
+  }
+
+  /**
+   * @param {object} data 
+   * @param {City} city 
+   */
+  deserialize(data, city) {
+    super.deserialize(data, city);
+    if (data.isPlayerHouse) {
+      this.isPlayerHouse = true;
+    }
+    if (data.residents) {
+      this.residents.deserialize(data.residents, city);
+    }
+    if (data.consumption) {
+      this.consumption.deserialize(data.consumption, city);
+    }
+  }
+
   /**
    * Returns an HTML representation of this object
    * @returns {string}
@@ -122,8 +171,8 @@ export class ResidentialZone extends Zone {
     
     // Add special section for player house with management options
     if (this.isPlayerHouse) {
-      const level = window.gameState?.level || 1;
-      const levelUnlocks = window.levelUnlocks;
+      const level = this.simulation?.gameState?.level || 1;
+      const levelUnlocks = this.simulation?.levelUnlocks;
       
       html += `
         <div class="info-heading">Oyuncu Evi (HQ)</div>
@@ -179,6 +228,7 @@ export class ResidentialZone extends Zone {
     }
     
     html += this.residents.toHTML();
+    html += this.consumption.toHTML();
     return html;
   }
 }
@@ -188,9 +238,9 @@ const prefixes = ['Emerald', 'Ivory', 'Crimson', 'Opulent', 'Celestial', 'Enchan
 const suffixes = ['Tower', 'Residence', 'Manor', 'Court', 'Plaza', 'House', 'Mansion', 'Place', 'Villa', 'Gardens'];
 
 // Function to generate a random building name
-function generateBuildingName() {
-  const prefix = prefixes[Math.floor(Math.random() * prefixes.length)];
-  const suffix = suffixes[Math.floor(Math.random() * suffixes.length)];
+function generateBuildingName(random) {
+  const prefix = random.pick(prefixes);
+  const suffix = random.pick(suffixes);
   
   return prefix + ' ' + suffix;
 }
\ No newline at end of file
@@ -30,12 +30,23 @@ export class Zone extends Building {
     if (!this.style) {
       this.style = 'A';
     }
-    
+  }
+
+  /**
+   * @param {Random} random
+   */
+  randomize(random) {
+    super.randomize(random);
     // Randomize the building rotation
-    this.rotation.y = 90 * Math.floor(4 * Math.random()) * DEG2RAD;
+    this.rotation.y = 90 * random.int(4) * DEG2RAD;
   }
 
   refreshView() {
+    const assetManager = this.simulation?.assetManager;
+    if (!assetManager) {
+      return; // Nothing to render when running headless
+    }
+
     let modelName;
     switch (this.development.state) {
       case DevelopmentState.underConstruction:
@@ -47,7 +58,7 @@ export class Zone extends Building {
         break;
     }
 
-    let mesh = window.assetManager.getModel(modelName, this);
+    let mesh = assetManager.getModel(modelName, this);
 
     // Tint building a dark color if it is abandoned
     if (this.development.state === DevelopmentState.abandoned) {
@@ -66,6 +77,31 @@ export class Zone extends Building {
     this.development.simulate(city);
   }
 
+  /**
+   * @returns {object}
+   */
+  serialize() {
+    return {
+      ...super.serialize(),
+      style: this.style,
+      development: this.development.serialize()
+    };
+  }
+
+  /**
+   * @param {object} data 
+   * @param {City} city 
+   */
+  deserialize(data, city) {
+    super.deserialize(data, city);
+    if (data.style) {
+      this.style = data.style;
+    }
+    if (data.development) {
+      this.development.deserialize(data.development, city);
+    }
+  }
+
   /**
    * Returns an HTML representation of this object
    * @returns {string}
@@ -6,25 +6,40 @@ import config from '../config.js';
 export class Citizen {
   /**
    * @param {ResidentialZone} residence 
+   * @param {Random} random Generator used for the citizen's random attributes
+   * @param {number} [age] Age in years, random if not given
    */
-  constructor(residence) {
+  constructor(residence, random, age = 1 + random.int(100)) {
     /**
      * Unique identifier for the citizen
      * @type {string}
      */
-    this.id = crypto.randomUUID();
+    this.id = random.uuid();
 
     /**
      * Name of this citizen
      * @type {string}
      */
-    this.name = generateRandomName();
+    this.name = generateRandomName(random);
 
     /**
      * Age of the citizen in years
      * @type {number}
      */
-    this.age = 1 + Math.floor(100*Math.random());
+    this.age = age;
+
+    /**
+     * Ticks since the citizen's last birthday. Citizens are born at
+     * different times of the year so they do not all age at once.
+     * @type {number}
+     */
+    this.yearProgress = random.int(config.citizen.ticksPerYear);
+
+    /**
+     * True once the citizen has died. The residence removes them.
+     * @type {boolean}
+     */
+    this.deceased = false;
 
     /**
      * The current state of the citizen
@@ -49,7 +64,43 @@ export class Citizen {
      */
     this.workplace = null;
 
+    /**
+     * How the citizen gets to their workplace and how long it takes
+     * @type {{ time: number, byBus: boolean } | null}
+     */
+    this.commute = null;
+
+    /**
+     * True if there are open jobs but none the citizen can commute to
+     * (e.g. their home has no road to them)
+     * @type {boolean}
+     */
+    this.cannotReachWork = false;
+
+    /**
+     * How happy the citizen is with life in the city, from 0 to 100. Moves
+     * towards how well their needs are met a little every tick.
+     * @type {number}
+     */
+    this.happiness = 50;
+
+    /**
+     * Highest education the citizen has completed. Children start without
+     * any; adults moving into the city bring theirs with them.
+     * @type {'none' | 'basic' | 'skilled'}
+     */
+    this.education = 'none';
+
+    /**
+     * Years studied towards the next education level
+     * @type {number}
+     */
+    this.educationProgress = 0;
+
     this.#initializeState();
+    if (this.age >= config.citizen.minWorkingAge) {
+      this.education = pickEducation(random);
+    }
   }
 
   /**
@@ -70,6 +121,12 @@ export class Citizen {
    * @param {object} city 
    */
   simulate(city) {
+    this.#updateHappiness();
+    this.#growOlder(city);
+    if (this.deceased) {
+      return;
+    }
+
     switch (this.state) {
       case 'idle':
       case 'school':
@@ -163,11 +220,24 @@ export class Citizen {
               this.stateCounter = 0; // Reset counter for new state
               return; // Exit early
             }
+
+            // Roads and traffic change, so update the commute. A citizen
+            // who can no longer get to work at all quits.
+            this.commute = this.#getCommute(city, this.workplace, true);
+            if (!this.commute) {
+              const workerIndex = this.workplace.jobs.workers.indexOf(this);
+              if (workerIndex > -1) {
+                this.workplace.jobs.workers.splice(workerIndex, 1);
+              }
+              this.cannotReachWork = true;
+              stillEmployed = false;
+            }
           }
           
           // If citizen is no longer in workers list and couldn't be re-added, become unemployed
           if (!stillEmployed) {
             this.workplace = null;
+            this.commute = null;
             this.state = 'unemployed';
             this.stateCounter = 0;
             return; // Exit early
@@ -183,6 +253,66 @@ export class Citizen {
     }
   }
 
+  /**
+   * How well each of the citizen's needs is met, from 0 to 1
+   * @type {{ housing: number, jobs: number, shopping: number, pollution: number, energy: number }}
+   */
+  get needs() {
+    let jobs = 1; // Pupils and pensioners do not need a job
+    if (this.state === 'employed') {
+      jobs = this.productivity; // A long commute is tiring
+    } else if (this.state === 'unemployed') {
+      jobs = 0;
+    }
+    return { housing: 1, shopping: 1, pollution: 1, energy: 1, ...this.residence?.residents?.needs, jobs };
+  }
+
+  /**
+   * Moves the citizen's happiness towards how well their needs are met
+   */
+  #updateHappiness() {
+    const needs = this.needs;
+    const weights = Object.entries(config.happiness.weights);
+    const totalWeight = weights.reduce((sum, [, weight]) => sum + weight, 0);
+    const target = weights.reduce((sum, [need, weight]) => sum + weight * needs[need], 0) / totalWeight * 100;
+    this.happiness += (target - this.happiness) * config.happiness.smoothing;
+  }
+
+  /**
+   * Ages the citizen by a year once a year has passed. Pupils graduate
+   * and start looking for a job at the minimum working age, workers
+   * retire at the retirement age, and the elderly are more and more
+   * likely to die.
+   * @param {object} city
+   */
+  #growOlder(city) {
+    if (++this.yearProgress < config.citizen.ticksPerYear) {
+      return;
+    }
+    this.yearProgress = 0;
+    this.age++;
+
+    const { mortality, elderlyAge, mortalityPerYear } = config.citizen;
+    const deathChance = mortality + Math.max(0, this.age - elderlyAge) * mortalityPerYear;
+    if (city.simulation.random.chance(deathChance)) {
+      this.deceased = true;
+      return;
+    }
+
+    if (this.state === 'school' && this.age >= config.citizen.minWorkingAge) {
+      // Unfinished school does not count
+      this.educationProgress = 0;
+      this.state = 'unemployed';
+      this.stateCounter = 0;
+    } else if ((this.state === 'employed' || this.state === 'unemployed') &&
+               this.age >= config.citizen.retirementAge) {
+      this.dispose();
+      this.cannotReachWork = false;
+      this.state = 'retired';
+      this.stateCounter = 0;
+    }
+  }
+
   /**
    * Handles any clean up needed before a building is removed
    */
@@ -195,6 +325,7 @@ export class Citizen {
       }
     }
     this.workplace = null;
+    this.commute = null;
   }
 
   /**
@@ -257,80 +388,81 @@ export class Citizen {
 
     // Get workforce distribution policy (Level 4+)
     let workforceDistribution = null;
-    if (window.cityPolicies && window.gameState && window.levelUnlocks &&
-        window.levelUnlocks.isUnlocked('hq-policy-panel', window.gameState.level)) {
-      workforceDistribution = window.cityPolicies.workforceDistribution;
+    const simulation = city.simulation;
+    if (simulation?.cityPolicies && simulation.isUnlocked('hq-policy-panel')) {
+      workforceDistribution = simulation.cityPolicies.workforceDistribution;
     }
 
     // Collect all available jobs with their types
     const availableJobs = [];
     
-    // Search all tiles within range
-    for (let distance = 1; distance <= config.citizen.maxJobSearchDistance; distance++) {
-      for (let dx = -distance; dx <= distance; dx++) {
-        for (let dy = -distance; dy <= distance; dy++) {
-          if (Math.abs(dx) + Math.abs(dy) !== distance) continue; // Manhattan distance
-          
-          const x = residenceTile.x + dx;
-          const y = residenceTile.y + dy;
-          const tile = city.getTile(x, y);
-          
-          if (!tile || !tile.building) continue;
-          
-          const building = tile.building;
-          let jobType = null;
-          let hasAvailableJob = false;
-          
-          // Check if it's a factory
-          if (building.jobs && building.requiredWorkers !== undefined) {
-            const currentWorkers = building.jobs.workers ? building.jobs.workers.length : 0;
-            // Calculate max workers: use building.maxWorkers if available, otherwise requiredWorkers * 2
-            let maxWorkers;
-            if (building.maxWorkers !== undefined) {
-              maxWorkers = building.maxWorkers;
-            } else if (building.jobs.maxWorkers !== undefined) {
-              maxWorkers = building.jobs.maxWorkers;
-            } else {
-              maxWorkers = building.requiredWorkers * 2; // Default: 2x required workers
-            }
-            
-            // Check if factory has space for more workers
-            if (currentWorkers < maxWorkers && 
-                (!building.jobs.workers || !building.jobs.workers.includes(this))) {
-              jobType = 'factories';
-              hasAvailableJob = true;
-            }
-          }
-          // Check if it's a recycling center
-          else if (building.type === 'recycling-center' && building.jobs) {
-            const currentWorkers = building.jobs.workers ? building.jobs.workers.length : 0;
-            const maxWorkers = building.jobs.maxWorkers || 10;
-            if (currentWorkers < maxWorkers &&
-                (!building.jobs.workers || !building.jobs.workers.includes(this))) {
-              jobType = 'recycling';
-              hasAvailableJob = true;
-            }
-          }
-          // Check if it's commercial
-          else if (building.type === 'commercial' && building.jobs) {
-            if (building.jobs.availableJobs > 0 &&
-                (!building.jobs.workers || !building.jobs.workers.includes(this))) {
-              jobType = 'commercial';
-              hasAvailableJob = true;
-            }
-          }
-          
-          if (hasAvailableJob && jobType) {
-            availableJobs.push({ tile, building, jobType, distance });
-          }
+    let unreachableJobs = 0;
+
+    // Search every workplace in the city, keeping those within commuting time
+    for (const tile of city.tiles.flat()) {
+      if (!tile.building) continue;
+      
+      const building = tile.building;
+      let jobType = null;
+      let hasAvailableJob = false;
+      
+      // Check if it's a factory
+      if (building.jobs && building.requiredWorkers !== undefined) {
+        const currentWorkers = building.jobs.workers ? building.jobs.workers.length : 0;
+        // Calculate max workers: use building.maxWorkers if available, otherwise requiredWorkers * 2
+        let maxWorkers;
+        if (building.maxWorkers !== undefined) {
+          maxWorkers = building.maxWorkers;
+        } else if (building.jobs.maxWorkers !== undefined) {
+          maxWorkers = building.jobs.maxWorkers;
+        } else {
+          maxWorkers = building.requiredWorkers * 2; // Default: 2x required workers
+        }
+        
+        // Check if factory has space for more workers
+        if (currentWorkers < maxWorkers && 
+            (!building.jobs.workers || !building.jobs.workers.includes(this))) {
+          jobType = 'factories';
+          hasAvailableJob = true;
+        }
+      }
+      // Check if it's a recycling center
+      else if (building.type === 'recycling-center' && building.jobs) {
+        const currentWorkers = building.jobs.workers ? building.jobs.workers.length : 0;
+        const maxWorkers = building.jobs.maxWorkers || 10;
+        if (currentWorkers < maxWorkers &&
+            (!building.jobs.workers || !building.jobs.workers.includes(this))) {
+          jobType = 'recycling';
+          hasAvailableJob = true;
+        }
+      }
+      // Check if it's commercial
+      else if (building.type === 'commercial' && building.jobs) {
+        if (building.jobs.availableJobs > 0 &&
+            (!building.jobs.workers || !building.jobs.workers.includes(this))) {
+          jobType = 'commercial';
+          hasAvailableJob = true;
+        }
+      }
+      
+      if (hasAvailableJob && jobType) {
+        const commute = this.#getCommute(city, building);
+        if (commute) {
+          // Skilled workers go where their skills are missing
+          const needsSkill = this.education === 'skilled' &&
+            building.skilledWorkers < building.requiredSkilledWorkers;
+          availableJobs.push({ tile, building, jobType, distance: commute.time, commute, needsSkill });
+        } else {
+          unreachableJobs++;
         }
       }
     }
+    this.cannotReachWork = availableJobs.length === 0 && unreachableJobs > 0;
 
     // If no jobs available, return null
     if (availableJobs.length === 0) {
       // Debug: Log why no jobs found (only occasionally to avoid spam)
-      if (Math.random() < 0.01) { // 1% chance to log
+      if (Math.random() < 0.01) { // 1% chance to log (cosmetic, kept off the seeded generator)
         console.log(`[Job Search] Citizen ${this.id} found no jobs. Residence at (${residenceTile.x}, ${residenceTile.y})`);
       }
       return null;
@@ -388,17 +520,22 @@ export class Citizen {
         const current = currentPercentages[job.jobType] || 0;
         const deficit = desired - current; // Positive if we need more workers in this category
         job.priority = deficit * 1000 - job.distance; // Higher priority for jobs we need more, closer jobs preferred
+        if (job.needsSkill) {
+          job.priority += 2000; // Skills come before the distribution policy
+        }
       });
       
       // Sort by priority (highest first)
       availableJobs.sort((a, b) => b.priority - a.priority);
     } else {
-      // No policy: prefer factories, then recycling, then commercial, and closer is better
+      // No policy: prefer jobs that need the citizen's skills, then
+      // factories, then recycling, then commercial, and shorter commutes are better
       availableJobs.sort((a, b) => {
+        if (a.needsSkill !== b.needsSkill) return a.needsSkill ? -1 : 1;
         const typeOrder = { factories: 3, recycling: 2, commercial: 1 };
         const orderDiff = (typeOrder[b.jobType] || 0) - (typeOrder[a.jobType] || 0);
         if (orderDiff !== 0) return orderDiff;
-        return a.distance - b.distance; // Closer is better
+        return a.distance - b.distance; // Shorter commute is better
       });
     }
 
@@ -427,10 +564,60 @@ export class Citizen {
     
     // Set workplace for the citizen
     this.workplace = building;
+    this.commute = selectedJob.commute;
     
     return building;
   }
 
+  /**
+   * Works out how the citizen gets to a workplace and how long it takes.
+   * Citizens take the bus or drive over the roads, whichever is faster of
+   * the trips they accept.
+   * @param {object} city
+   * @param {Building} workplace
+   * @param {boolean} acceptLong True to accept commutes of any length, as
+   * citizens do not quit a job they already have over a long commute
+   * @returns {{ time: number, byBus: boolean } | null} Travel time in ticks,
+   * or null if the workplace cannot be reached within an accepted commute
+   */
+  #getCommute(city, workplace, acceptLong = false) {
+    const traffic = city.traffic;
+
+    const busTime = city.transit.getCommuteRoute(city, this.residence, workplace)?.time ?? null;
+    const byBus = busTime !== null && (acceptLong || busTime <= config.transit.maxCommuteTime);
+
+    // Until a building's road access is updated after loading a game, the
+    // roads next to it are used
+    const home = this.residence.roadAccess?.road ?? this.residence;
+    const work = workplace.roadAccess?.road ?? workplace;
+    const carTime = traffic.getTravelTime(city.pathfinding.findRoute(home, work));
+    const byCar = carTime !== null && (acceptLong || carTime <= config.citizen.maxCommuteTime);
+
+    if (byBus && (!byCar || busTime < carTime)) {
+      return { time: busTime, byBus: true };
+    }
+    if (byCar) {
+      return { time: carTime, byBus: false };
+    }
+    return null;
+  }
+
+  /**
+   * Share of a full day's work the citizen gets done, lowered by a long
+   * commute
+   * @type {number}
+   */
+  get productivity() {
+    const { comfortableCommuteTime, minCommuteProductivity } = config.citizen;
+    if (!this.commute || this.commute.time <= comfortableCommuteTime) {
+      return 1;
+    }
+    // Riders can rest on the bus, so they put up with longer trips
+    const maxCommuteTime = this.commute.byBus ? config.transit.maxCommuteTime : config.citizen.maxCommuteTime;
+    const excess = Math.min(1, (this.commute.time - comfortableCommuteTime) / (maxCommuteTime - comfortableCommuteTime));
+    return 1 - excess * (1 - minCommuteProductivity);
+  }
+
   /**
    * Sets the workplace for the citizen
    * @param {CommercialZone | IndustrialZone} workplace 
@@ -439,6 +626,62 @@ export class Citizen {
     this.workplace = workplace;
   }
 
+  /**
+   * Returns the state of this citizen as a plain object for saving
+   * @returns {object}
+   */
+  serialize() {
+    return {
+      id: this.id,
+      name: this.name,
+      age: this.age,
+      yearProgress: this.yearProgress,
+      state: this.state,
+      stateCounter: this.stateCounter,
+      commute: this.commute ? { ...this.commute } : null,
+      happiness: this.happiness,
+      education: this.education,
+      educationProgress: this.educationProgress,
+      workplace: this.workplace ? { x: this.workplace.x, y: this.workplace.y } : null
+    };
+  }
+
+  /**
+   * Restores the state of this citizen from the output of `serialize()`
+   * and re-registers it with its workplace
+   * @param {object} data 
+   * @param {City} city 
+   */
+  deserialize(data, city) {
+    this.id = data.id ?? this.id;
+    this.name = data.name ?? this.name;
+    this.age = data.age ?? this.age;
+    this.yearProgress = data.yearProgress ?? this.yearProgress;
+    this.state = data.state ?? this.state;
+    this.stateCounter = data.stateCounter ?? 0;
+    this.happiness = data.happiness ?? this.happiness;
+    this.education = data.education ?? this.education;
+    this.educationProgress = data.educationProgress ?? 0;
+    this.commute = data.commute ? { time: data.commute.time, byBus: data.commute.byBus } : null;
+
+    this.workplace = null;
+    if (data.workplace) {
+      const workplace = city.getTile(data.workplace.x, data.workplace.y)?.building;
+      if (workplace?.jobs) {
+        this.workplace = workplace;
+        if (!workplace.jobs.workers.includes(this)) {
+          workplace.jobs.workers.push(this);
+        }
+      }
+    }
+
+    // The workplace no longer exists
+    if (this.state === 'employed' && !this.workplace) {
+      this.state = 'unemployed';
+      this.stateCounter = 0;
+    }
+  }
+
   /**
    * Returns an HTML representation of this object
    * @returns {string}
@@ -466,10 +709,13 @@ export class Citizen {
       } else {
         workplaceName = 'Bilinmeyen İş Yeri';
       }
+      const commuteInfo = this.commute
+        ? ` (${this.commute.byBus ? '🚌' : '🚗'} ${this.commute.time.toFixed(1)} tick)`
+        : '';
       workplaceInfo = `
           <span>
             <img class="info-citizen-icon" src="/icons/job.png">
-            ${workplaceName}
+            ${workplaceName}${commuteInfo}
           </span>
         `;
     } else {
@@ -477,7 +723,7 @@ export class Citizen {
       workplaceInfo = `
           <span>
             <img class="info-citizen-icon" src="/icons/job.png">
-            ${this.state}
+            ${this.state}${this.state === 'unemployed' && this.cannotReachWork ? ' (işe yol yok)' : ''}
           </span>
         `;
     }
@@ -492,13 +738,43 @@ export class Citizen {
             ${this.age} yaş
           </span>
           ${workplaceInfo}
+          <span>
+            🎓 ${educationNames[this.education]}
+          </span>
+          <span>
+            ${this.happiness >= 60 ? '😊' : this.happiness >= config.happiness.moveOutThreshold ? '😐' : '😞'}
+            ${this.happiness.toFixed(0)}%
+          </span>
         </span>
       </li>
     `;
   }
 }
 
-function generateRandomName() {
+const educationNames = {
+  none: 'Eğitimsiz',
+  basic: 'Temel Eğitim',
+  skilled: 'Kalifiye'
+};
+
+/**
+ * Picks the education of an adult moving into the city
+ * @param {Random} random
+ * @returns {'none' | 'basic' | 'skilled'}
+ */
+function pickEducation(random) {
+  const chances = Object.entries(config.education.immigrantEducation);
+  let roll = random.next();
+  for (const [education, chance] of chances) {
+    roll -= chance;
+    if (roll < 0) {
+      return education;
+    }
+  }
+  return chances[chances.length - 1][0];
+}
+
+function generateRandomName(random) {
   const firstNames = [
     'Emma', 'Olivia', 'Ava', 'Sophia', 'Isabella',
     'Liam', 'Noah', 'William', 'James', 'Benjamin',
@@ -515,8 +791,8 @@ function generateRandomName() {
     'Lee', 'King', 'Wright', 'Adams', 'Green'
   ];
 
-  const randomFirstName = firstNames[Math.floor(Math.random() * firstNames.length)];
-  const randomLastName = lastNames[Math.floor(Math.random() * lastNames.length)];
+  const randomFirstName = random.pick(firstNames);
+  const randomLastName = random.pick(lastNames);
   
   return randomFirstName + ' ' + randomLastName;
 }
\ No newline at end of file
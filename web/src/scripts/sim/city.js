@@ -1,9 +1,20 @@
 import * as THREE from 'three';
+import config from '../config.js';
 import { BuildingType } from './buildings/buildingType.js';
 import { createBuilding } from './buildings/buildingFactory.js';
 import { Tile } from './tile.js';
 import { VehicleGraph } from './vehicles/vehicleGraph.js';
 import { SimService } from './services/simService.js';
+import { LogisticsService } from './services/logistics.js';
+import { PathfindingService } from './services/pathfinding.js';
+import { WasteCollectionService } from './services/wasteCollection.js';
+import { TrafficService } from './services/traffic.js';
+import { TransitService } from './services/transit.js';
+import { DemographicsService } from './services/demographics.js';
+import { EducationService } from './services/education.js';
+import { ProductLifecycleService } from './services/productLifecycle.js';
+import { LandfillService } from './services/landfill.js';
+import { TrafficOverlay } from './vehicles/trafficOverlay.js';
 
 export class City extends THREE.Group {
   /**
@@ -41,23 +52,85 @@ export class City extends THREE.Group {
    * @param {VehicleGraph} size 
    */
   vehicleGraph;
+  /**
+   * Moves goods between buildings over the road network
+   * @type {LogisticsService}
+   */
+  logistics;
+  /**
+   * Garbage trucks bringing building waste to recycling centers
+   * @type {WasteCollectionService}
+   */
+  wasteCollection;
+  /**
+   * Bus routes between the bus stops
+   * @type {TransitService}
+   */
+  transit;
+  /**
+   * Vehicle load and congestion on the roads
+   * @type {TrafficService}
+   */
+  traffic;
+  /**
+   * Attractiveness of the city and yearly population changes
+   * @type {DemographicsService}
+   */
+  demographics;
+  /**
+   * Enrolls residents at schools and vocational training centers
+   * @type {EducationService}
+   */
+  education;
+  /**
+   * Follows sold products until they come back as waste
+   * @type {ProductLifecycleService}
+   */
+  productLifecycle;
+  /**
+   * Sends overflow waste to the landfills
+   * @type {LandfillService}
+   */
+  landfills;
+  /**
+   * Shows the congestion of each road tile
+   * @type {TrafficOverlay}
+   */
+  trafficOverlay = new TrafficOverlay();
+  /**
+   * Finds routes over the road network
+   * @type {PathfindingService}
+   */
+  pathfinding;
+  /**
+   * The simulation context that owns this city
+   * @type {Simulation | null}
+   */
+  simulation = null;
 
-  constructor(size, name = 'My City') {
+  /**
+   * @param {number} size The size of the city in tiles
+   * @param {string} name The name of the city
+   * @param {Simulation | null} simulation The simulation context that owns this city
+   */
+  constructor(size, name = 'My City', simulation = null) {
     super();
 
     this.name = name;
     this.size = size;
+    this.simulation = simulation;
     
     this.add(this.debugMeshes);
     this.add(this.root);
+    this.add(this.trafficOverlay);
 
     this.tiles = [];
     for (let x = 0; x < this.size; x++) {
       const column = [];
       for (let y = 0; y < this.size; y++) {
         const tile = new Tile(x, y);
-        tile.refreshView(this);
         this.root.add(tile);
+        tile.refreshView(this);
         column.push(tile);
       }
       this.tiles.push(column);
@@ -65,9 +138,26 @@ export class City extends THREE.Group {
 
     this.services = [];
     // PowerService removed - using energy pool system now
+    this.logistics = new LogisticsService();
+    this.services.push(this.logistics);
+    this.wasteCollection = new WasteCollectionService();
+    this.services.push(this.wasteCollection);
+    this.transit = new TransitService();
+    this.services.push(this.transit);
+    this.traffic = new TrafficService();
+    this.services.push(this.traffic);
+    this.demographics = new DemographicsService();
+    this.services.push(this.demographics);
+    this.education = new EducationService();
+    this.services.push(this.education);
+    this.productLifecycle = new ProductLifecycleService();
+    this.services.push(this.productLifecycle);
+    this.landfills = new LandfillService();
+    this.services.push(this.landfills);
     
-    this.vehicleGraph = new VehicleGraph(this.size);
+    this.vehicleGraph = new VehicleGraph(this.size, simulation?.random.fork());
     this.debugMeshes.add(this.vehicleGraph);
+    this.pathfinding = new PathfindingService(this.vehicleGraph);
   }
 
   /**
@@ -85,6 +175,25 @@ export class City extends THREE.Group {
     return population;
   }
 
+  /**
+   * Average happiness of the city's residents
+   * @type {number | null} 0-100, or null if nobody lives in the city
+   */
+  get happiness() {
+    let total = 0;
+    let count = 0;
+    for (let x = 0; x < this.size; x++) {
+      for (let y = 0; y < this.size; y++) {
+        const residents = this.getTile(x, y).building?.residents;
+        if (residents?.count > 0) {
+          total += residents.happiness * residents.count;
+          count += residents.count;
+        }
+      }
+    }
+    return count > 0 ? total / count : null;
+  }
+
   /** Returns the title at the coordinates. If the coordinates
    * are out of bounds, then `null` is returned.
    * @param {number} x The x-coordinate of the tile
@@ -130,6 +239,10 @@ export class City extends THREE.Group {
       }
     }
     this.simTime++;
+
+    if (this.trafficOverlay.visible) {
+      this.trafficOverlay.refreshView(this);
+    }
   }
 
   /**
@@ -141,14 +254,15 @@ export class City extends THREE.Group {
    */
   placeBuilding(x, y, buildingType, skipTutorialCheck = false) {
     const tile = this.getTile(x, y);
+    const { gameState, levelUnlocks, tutorialState, ui } = this.simulation ?? {};
 
     // If the tile doesnt' already have a building, place one there
     if (tile && !tile.building) {
       // Check tutorial restrictions (skip for player house placement)
-      if (!skipTutorialCheck && window.tutorialState && window.tutorialState.isActive) {
-        if (!window.tutorialState.isActionAllowed(buildingType)) {
-          if (window.ui) {
-            window.ui.showNotification(
+      if (!skipTutorialCheck && tutorialState && tutorialState.isActive) {
+        if (!tutorialState.isActionAllowed(buildingType)) {
+          if (ui) {
+            ui.showNotification(
               '🔒 Kilitli',
               'Bu aksiyon tutorial sırasında kilitli.',
               'warning'
@@ -159,8 +273,8 @@ export class City extends THREE.Group {
       }
       
       // Check if building type is unlocked
-      if (window.gameState && window.levelUnlocks) {
-        const level = window.gameState.level;
+      if (gameState && levelUnlocks) {
+        const level = gameState.level;
         const buildingUnlocks = {
           'commercial': 'eco-shop', // Level 5
           'farming': 'farming-area', // Level 7
@@ -169,18 +283,23 @@ export class City extends THREE.Group {
           'steel-factory': 'steel-factory', // Level 8
           'automotive-factory': 'automotive-factory', // Level 9
           'recycling-center': 'recycling-center', // Level 3
+          'landfill': 'landfill', // Level 3
           'solar-panel': 'solar-panel', // Level 1 (always unlocked)
           'wind-turbine': 'wind-turbine', // Level 5
           'hydro-plant': 'hydro-plant', // Level 7
-          'waste-to-energy': 'waste-to-energy' // Level 5
+          'waste-to-energy': 'waste-to-energy', // Level 5
+          'bus-depot': 'public-transport', // Level 6
+          'school': 'education', // Level 5
+          'vocational-center': 'vocational-training', // Level 6
+          'repair-cafe': 'repair-cafe' // Level 6
         };
         
         const feature = buildingUnlocks[buildingType];
-        if (feature && !window.levelUnlocks.isUnlocked(feature, level)) {
-          if (window.ui) {
-            window.ui.showNotification(
+        if (feature && !levelUnlocks.isUnlocked(feature, level)) {
+          if (ui) {
+            ui.showNotification(
               '🔒 Kilitli',
-              `Bu bina Seviye ${window.levelUnlocks.getUnlockLevel(feature)}'te açılacak.`,
+              `Bu bina Seviye ${levelUnlocks.getUnlockLevel(feature)}'te açılacak.`,
               'error'
             );
           }
@@ -188,7 +307,7 @@ export class City extends THREE.Group {
         }
       }
       
-      const building = createBuilding(x, y, buildingType);
+      const building = createBuilding(x, y, buildingType, this.simulation?.random);
       
       // Check if building was created successfully
       if (!building) {
@@ -197,13 +316,13 @@ export class City extends THREE.Group {
       }
       
       // Check cost for factories and power plants
-      if (building.getBaseCost && window.gameState) {
+      if (building.getBaseCost && gameState) {
         const cost = building.getBaseCost();
-        if (!window.gameState.spendMoney(cost)) {
-          if (window.ui) {
-            window.ui.showNotification(
+        if (!gameState.spendMoney(cost)) {
+          if (ui) {
+            ui.showNotification(
               '💰 Yetersiz Para',
-              `Bu binayı inşa etmek için ${cost.toLocaleString()} 💰 gerekiyor. Mevcut paranız: ${window.gameState.money.toLocaleString()} 💰`,
+              `Bu binayı inşa etmek için ${cost.toLocaleString()} 💰 gerekiyor. Mevcut paranız: ${gameState.money.toLocaleString()} 💰`,
               'error'
             );
           }
@@ -215,7 +334,7 @@ export class City extends THREE.Group {
       tile.refreshView(this);
       
       // Give XP for building construction (except roads)
-      if (window.gameState && buildingType !== 'road') {
+      if (gameState && buildingType !== 'road') {
         // Different XP for different building types
         const xpRewards = {
           'residential': 2,
@@ -228,10 +347,15 @@ export class City extends THREE.Group {
           'solar-panel': 3,
           'wind-turbine': 4,
           'hydro-plant': 6,
+          'bus-depot': 6,
+          'school': 5,
+          'vocational-center': 6,
+          'repair-cafe': 5,
+          'landfill': 1,
           'farming': 4
         };
         const xp = xpRewards[buildingType] || 1;
-        window.gameState.addXP(xp);
+        gameState.addXP(xp);
       }
       
       // Update buildings on adjacent tile in case they need to
@@ -246,12 +370,69 @@ export class City extends THREE.Group {
       }
       
       // Update UI
-      if (window.ui && window.gameState) {
-        window.ui.updateGameState(window.gameState);
+      if (ui && gameState) {
+        ui.updateGameState(gameState);
       }
     }
   }
 
+  /**
+   * Places a bus stop on the road at the specified coordinates
+   * @param {number} x
+   * @param {number} y
+   */
+  placeBusStop(x, y) {
+    const road = this.getTile(x, y)?.building;
+    const { gameState, ui } = this.simulation ?? {};
+
+    if (road?.type !== BuildingType.road || road.busStop) {
+      return;
+    }
+
+    if (this.simulation && !this.simulation.isUnlocked('public-transport')) {
+      if (ui) {
+        ui.showNotification(
+          '🔒 Kilitli',
+          `Otobüs durakları Seviye ${this.simulation.levelUnlocks.getUnlockLevel('public-transport')}'da açılacak.`,
+          'error'
+        );
+      }
+      return;
+    }
+
+    const cost = config.transit.stopCost;
+    if (gameState && !gameState.spendMoney(cost)) {
+      if (ui) {
+        ui.showNotification(
+          '💰 Yetersiz Para',
+          `Durak için ${cost.toLocaleString()} 💰 gerekiyor. Mevcut paranız: ${gameState.money.toLocaleString()} 💰`,
+          'error'
+        );
+      }
+      return;
+    }
+
+    road.busStop = true;
+    road.refreshView(this);
+    if (ui && gameState) {
+      ui.updateGameState(gameState);
+    }
+  }
+
+  /**
+   * Removes the bus stop from the road at the specified coordinates. Routes
+   * drop the stop on the next tick.
+   * @param {number} x
+   * @param {number} y
+   */
+  removeBusStop(x, y) {
+    const road = this.getTile(x, y)?.building;
+    if (road?.busStop) {
+      road.busStop = false;
+      road.refreshView(this);
+    }
+  }
+
   /**
    * Bulldozes the building at the specified coordinates
    * @param {number} x 
@@ -267,6 +448,16 @@ export class City extends THREE.Group {
         return;
       }
 
+      // An open landfill keeps leaking until it is capped and closed
+      if (tile.building.type === BuildingType.landfill && !tile.building.capped) {
+        this.simulation?.ui?.showNotification(
+          '🕳️ Çöp Sahası Açık',
+          'Açık bir çöp sahası kaldırılamaz. Önce kapatıp örtün.',
+          'error'
+        );
+        return;
+      }
+
       if (tile.building.type === BuildingType.road) {
         this.vehicleGraph.updateTile(x, y, null);
       }
@@ -0,0 +1,114 @@
+/**
+ * Seedable pseudo-random number generator (mulberry32)
+ *
+ * Every random draw made by the simulation goes through an instance of this
+ * class so that the same seed and the same player actions replay identically.
+ * The generator state is a single 32-bit integer and is stored in the save.
+ */
+export class Random {
+  /**
+   * The seed this generator was created with
+   * @type {number}
+   */
+  seed;
+
+  /**
+   * Current internal state
+   * @type {number}
+   */
+  #state;
+
+  /**
+   * @param {number} seed The seed to start from. A new one is generated if omitted
+   */
+  constructor(seed = Random.generateSeed()) {
+    this.seed = seed >>> 0;
+    this.#state = this.seed;
+  }
+
+  /**
+   * Generates a new seed for a fresh game
+   * @returns {number}
+   */
+  static generateSeed() {
+    return (Date.now() ^ Math.floor(Math.random() * 0x100000000)) >>> 0;
+  }
+
+  /**
+   * The current internal state. Restoring a saved state continues the
+   * sequence exactly where it left off.
+   * @type {number}
+   */
+  get state() {
+    return this.#state;
+  }
+
+  set state(value) {
+    this.#state = value >>> 0;
+  }
+
+  /**
+   * Returns the next random number in the range [0, 1)
+   * @returns {number}
+   */
+  next() {
+    this.#state = (this.#state + 0x6D2B79F5) >>> 0;
+    let t = this.#state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+  }
+
+  /**
+   * Returns a random integer in the range [0, max)
+   * @param {number} max
+   * @returns {number}
+   */
+  int(max) {
+    return Math.floor(this.next() * max);
+  }
+
+  /**
+   * Returns true with the given probability
+   * @param {number} probability Value between 0 and 1
+   * @returns {boolean}
+   */
+  chance(probability) {
+    return this.next() < probability;
+  }
+
+  /**
+   * Returns a random element of the array
+   * @template T
+   * @param {T[]} array
+   * @returns {T}
+   */
+  pick(array) {
+    return array[this.int(array.length)];
+  }
+
+  /**
+   * Returns a random RFC 4122 version 4 identifier
+   * @returns {string}
+   */
+  uuid() {
+    const hex = [];
+    for (let i = 0; i < 32; i++) {
+      hex.push(this.int(16));
+    }
+    hex[12] = 4;
+    hex[16] = (hex[16] & 0x3) | 0x8;
+    const s = hex.map((h) => h.toString(16)).join('');
+    return `${s.slice(0, 8)}-${s.slice(8, 12)}-${s.slice(12, 16)}-${s.slice(16, 20)}-${s.slice(20)}`;
+  }
+
+  /**
+   * Creates an independent generator seeded from this one. Used for
+   * cosmetic randomness (e.g. vehicles) that runs at render frame rate
+   * and must not disturb the simulation sequence.
+   * @returns {Random}
+   */
+  fork() {
+    return new Random(Math.floor(this.next() * 0x100000000));
+  }
+}
@@ -0,0 +1,275 @@
+import { BuildingType } from './buildings/buildingType.js';
+
+/**
+ * Recipe Registry - Production recipes for every factory type
+ *
+ * Recipes are plain JSON data keyed by factory type, so they can be
+ * rebalanced or extended (e.g. by mods) by loading more data instead of
+ * editing factory classes. A recipe has the shape:
+ *
+ *   {
+ *     "id": "textile-basic",
+ *     "name": "Basic Textile",
+ *     "inputs": { "raw-fabric": 2 },
+ *     "outputs": { "clothing": 1 },
+ *     "waste": { "textile-waste": 1 },
+ *     "duration": 3,
+ *     "requiredLevel": 1
+ *   }
+ *
+ * `duration` is in ticks and `requiredLevel` is the factory level needed.
+ */
+export class RecipeRegistry {
+  /**
+   * Recipes for each factory type
+   * @type {Object<string, Object[]>}
+   */
+  static recipes = {};
+
+  /**
+   * Get all recipes a factory type can produce
+   * @param {string} factoryType
+   * @returns {Object[]}
+   */
+  static getRecipes(factoryType) {
+    return this.recipes[factoryType] || [];
+  }
+
+  /**
+   * Get a recipe by id
+   * @param {string} factoryType
+   * @param {string} recipeId
+   * @returns {Object | null}
+   */
+  static getRecipe(factoryType, recipeId) {
+    return this.getRecipes(factoryType).find(r => r.id === recipeId) || null;
+  }
+
+  /**
+   * Adds recipes to the registry. A recipe with the same id as an existing
+   * one for that factory type replaces it; invalid recipes are skipped.
+   * @param {Object<string, Object[]>} data Recipes keyed by factory type
+   * @returns {number} Number of recipes loaded
+   */
+  static load(data) {
+    let loaded = 0;
+    Object.entries(data).forEach(([factoryType, recipes]) => {
+      if (!Array.isArray(recipes)) {
+        console.warn(`Recipes for ${factoryType} must be an array`);
+        return;
+      }
+      const list = this.recipes[factoryType] || (this.recipes[factoryType] = []);
+      recipes.forEach(recipe => {
+        const error = this.#validate(recipe);
+        if (error) {
+          console.warn(`Skipping recipe ${recipe?.id ?? '?'} for ${factoryType}: ${error}`);
+          return;
+        }
+        const normalized = {
+          id: recipe.id,
+          name: recipe.name || recipe.id,
+          inputs: { ...recipe.inputs },
+          outputs: { ...recipe.outputs },
+          waste: { ...recipe.waste },
+          duration: recipe.duration,
+          requiredLevel: recipe.requiredLevel || 1
+        };
+        const index = list.findIndex(r => r.id === recipe.id);
+        if (index >= 0) {
+          list[index] = normalized;
+        } else {
+          list.push(normalized);
+        }
+        loaded++;
+      });
+    });
+    return loaded;
+  }
+
+  /**
+   * Adds recipes from a JSON string
+   * @param {string} json
+   * @returns {number} Number of recipes loaded
+   */
+  static loadJSON(json) {
+    return this.load(JSON.parse(json));
+  }
+
+  /**
+   * Adds recipes from a JSON file
+   * @param {string} url
+   * @returns {Promise<number>} Number of recipes loaded
+   */
+  static async loadFromURL(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Could not load recipes from ${url}: ${response.status}`);
+    }
+    return this.load(await response.json());
+  }
+
+  /**
+   * Returns the registry as JSON data that can be passed back to `load()`
+   * @returns {Object<string, Object[]>}
+   */
+  static toJSON() {
+    return structuredClone(this.recipes);
+  }
+
+  /**
+   * @param {any} recipe
+   * @returns {string | null} Why the recipe is invalid, or null if it is valid
+   */
+  static #validate(recipe) {
+    if (!recipe || typeof recipe !== 'object') return 'not an object';
+    if (typeof recipe.id !== 'string' || !recipe.id) return 'missing id';
+    for (const field of ['inputs', 'outputs']) {
+      const amounts = recipe[field];
+      if (!amounts || typeof amounts !== 'object' || Object.keys(amounts).length === 0) {
+        return `missing ${field}`;
+      }
+    }
+    for (const field of ['inputs', 'outputs', 'waste']) {
+      const amounts = recipe[field] ?? {};
+      if (Object.values(amounts).some(amount => typeof amount !== 'number' || !(amount >= 0))) {
+        return `${field} must be non-negative numbers`;
+      }
+    }
+    if (typeof recipe.duration !== 'number' || !(recipe.duration > 0)) return 'duration must be a positive number';
+    return null;
+  }
+}
+
+// Default recipes
+RecipeRegistry.load({
+  [BuildingType.textileFactory]: [
+    {
+      id: 'textile-basic',
+      name: 'Basic Textile',
+      inputs: { 'raw-fabric': 2 },
+      outputs: { 'clothing': 1 },
+      waste: { 'textile-waste': 1 },
+      duration: 3,
+      requiredLevel: 1
+    },
+    {
+      id: 'textile-advanced',
+      name: 'Advanced Textile',
+      inputs: { 'raw-fabric': 3, 'raw-plastic': 1 },
+      outputs: { 'clothing': 2 },
+      waste: { 'textile-waste': 1 },
+      duration: 4,
+      requiredLevel: 2
+    },
+    {
+      id: 'eco-textile',
+      name: 'Eco Textile',
+      inputs: { 'raw-fabric': 2, 'recycled-plastic': 1 },
+      outputs: { 'clothing': 1 },
+      waste: { 'textile-waste': 0.5 },
+      duration: 5,
+      requiredLevel: 3
+    }
+  ],
+  [BuildingType.technologyFactory]: [
+    {
+      id: 'electronic-components',
+      name: 'Electronic Components',
+      inputs: { 'recycled-electronics': 2 },
+      outputs: { 'electronic-components': 2 },
+      waste: { 'e-waste': 0.3 },
+      duration: 2,
+      requiredLevel: 1
+    },
+    {
+      id: 'electronics-basic',
+      name: 'Basic Electronics',
+      inputs: { 'raw-electronics': 2, 'raw-metal': 1 },
+      outputs: { 'smartphone': 1 },
+      waste: { 'e-waste': 1 },
+      duration: 3,
+      requiredLevel: 1
+    },
+    {
+      id: 'electronics-advanced',
+      name: 'Advanced Electronics',
+      inputs: { 'raw-electronics': 3, 'raw-metal': 2, 'raw-plastic': 1 },
+      outputs: { 'laptop': 1 },
+      waste: { 'e-waste': 1.5 },
+      duration: 5,
+      requiredLevel: 2
+    },
+    {
+      id: 'smart-device',
+      name: 'Smart Device',
+      inputs: { 'electronic-components': 3, 'raw-metal': 1, 'recycled-plastic': 1 },
+      outputs: { 'smartphone': 1 },
+      waste: { 'e-waste': 0.8 },
+      duration: 6,
+      requiredLevel: 3
+    }
+  ],
+  [BuildingType.steelFactory]: [
+    {
+      id: 'steel-basic',
+      name: 'Basic Steel',
+      inputs: { 'raw-metal': 3 },
+      outputs: { 'steel-beam': 1 },
+      waste: { 'scrap-metal': 2 },
+      duration: 3,
+      requiredLevel: 1
+    },
+    {
+      id: 'steel-advanced',
+      name: 'Advanced Steel',
+      inputs: { 'raw-metal': 4, 'recycled-metal': 1 },
+      outputs: { 'steel-structure': 1 },
+      waste: { 'scrap-metal': 1.5 },
+      duration: 5,
+      requiredLevel: 2
+    },
+    {
+      id: 'eco-steel',
+      name: 'Eco Steel',
+      inputs: { 'recycled-metal': 3 },
+      outputs: { 'steel-beam': 1 },
+      waste: { 'scrap-metal': 0.5 },
+      duration: 6,
+      requiredLevel: 3
+    }
+  ],
+  [BuildingType.automotiveFactory]: [
+    {
+      id: 'auto-parts',
+      name: 'Auto Parts',
+      inputs: { 'steel-beam': 2, 'raw-plastic': 2, 'raw-electronics': 1 },
+      outputs: { 'electric-bike': 1 },
+      waste: { 'scrap-metal': 1, 'plastic-waste': 1 },
+      duration: 4,
+      requiredLevel: 1
+    },
+    {
+      id: 'vehicle-basic',
+      name: 'Basic Vehicle',
+      inputs: { 'steel-structure': 2, 'raw-plastic': 3, 'raw-electronics': 2 },
+      outputs: { 'electric-car': 1 },
+      waste: { 'scrap-metal': 2, 'plastic-waste': 1 },
+      duration: 6,
+      requiredLevel: 2
+    },
+    {
+      id: 'eco-vehicle',
+      name: 'Eco Vehicle',
+      inputs: { 'steel-beam': 3, 'recycled-plastic': 2, 'electronic-components': 2 },
+      outputs: { 'electric-car': 1 },
+      waste: { 'scrap-metal': 0.5, 'plastic-waste': 0.5 },
+      duration: 7,
+      requiredLevel: 3
+    }
+  ]
+});
+
+// Global access for designers and mods (browser only)
+if (typeof window !== 'undefined') {
+  window.recipeRegistry = RecipeRegistry;
+}
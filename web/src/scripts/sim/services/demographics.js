@@ -0,0 +1,146 @@
+import config from '../../config.js';
+import { City } from '../city.js';
+import { SimService } from './simService.js';
+
+/**
+ * @typedef {object} PopulationChanges
+ * @property {number} births
+ * @property {number} deaths
+ * @property {number} immigrants Citizens who moved into the city
+ * @property {number} emigrants Citizens who moved away
+ */
+
+/**
+ * Demographics Service - How attractive the city is to live in and how
+ * its population changes over the years
+ *
+ * Citizens age, are born and die in their homes, and move in and out of
+ * the city depending on its attractiveness: how happy its residents are
+ * and whether there are jobs for those looking for one. The service counts
+ * these changes over each year for the statistics panel.
+ */
+export class DemographicsService extends SimService {
+  /**
+   * How attractive the city is to live in, from 0 to 100
+   * @type {number}
+   */
+  attractiveness = 50;
+
+  /**
+   * Changes in the current year so far
+   * @type {PopulationChanges}
+   */
+  thisYear = { births: 0, deaths: 0, immigrants: 0, emigrants: 0 };
+
+  /**
+   * Changes over the last full year
+   * @type {PopulationChanges}
+   */
+  lastYear = { births: 0, deaths: 0, immigrants: 0, emigrants: 0 };
+
+  /**
+   * Ticks into the current year
+   * @type {number}
+   */
+  yearProgress = 0;
+
+  /**
+   * @param {City} city
+   */
+  simulate(city) {
+    this.attractiveness = this.#getAttractiveness(city);
+
+    if (++this.yearProgress >= config.citizen.ticksPerYear) {
+      this.yearProgress = 0;
+      this.lastYear = this.thisYear;
+      this.thisYear = { births: 0, deaths: 0, immigrants: 0, emigrants: 0 };
+    }
+  }
+
+  /**
+   * Counts a change in the population for the current year
+   * @param {'births' | 'deaths' | 'immigrants' | 'emigrants'} change
+   */
+  record(change) {
+    this.thisYear[change]++;
+  }
+
+  /**
+   * Breaks the city's residents down by what they do, how old they are and,
+   * for those who have left school, their education
+   * @param {City} city
+   * @returns {{ total: number, school: number, employed: number, unemployed: number,
+   *   retired: number, averageAge: number | null,
+   *   education: { none: number, basic: number, skilled: number } }}
+   */
+  getBreakdown(city) {
+    const breakdown = {
+      total: 0, school: 0, employed: 0, unemployed: 0, retired: 0, averageAge: null,
+      education: { none: 0, basic: 0, skilled: 0 }
+    };
+    let totalAge = 0;
+    for (const tile of city.tiles.flat()) {
+      for (const citizen of tile.building?.residents?.citizens ?? []) {
+        breakdown.total++;
+        totalAge += citizen.age;
+        if (breakdown[citizen.state] !== undefined) {
+          breakdown[citizen.state]++;
+        }
+        if (citizen.state !== 'school') {
+          breakdown.education[citizen.education]++;
+        }
+      }
+    }
+    if (breakdown.total > 0) {
+      breakdown.averageAge = totalAge / breakdown.total;
+    }
+    return breakdown;
+  }
+
+  /**
+   * @returns {object}
+   */
+  serialize() {
+    return {
+      attractiveness: this.attractiveness,
+      thisYear: { ...this.thisYear },
+      lastYear: { ...this.lastYear },
+      yearProgress: this.yearProgress
+    };
+  }
+
+  /**
+   * Restores the yearly counts from the output of `serialize()`
+   * @param {object} data
+   */
+  deserialize(data) {
+    this.attractiveness = data.attractiveness ?? this.attractiveness;
+    this.thisYear = { ...this.thisYear, ...data.thisYear };
+    this.lastYear = { ...this.lastYear, ...data.lastYear };
+    this.yearProgress = data.yearProgress ?? 0;
+  }
+
+  /**
+   * Weighs the residents' happiness against the jobs open to newcomers.
+   * An empty city is as attractive as an average one.
+   * @param {City} city
+   * @returns {number}
+   */
+  #getAttractiveness(city) {
+    const { happinessWeight } = config.demographics;
+    const happiness = city.happiness ?? 50;
+
+    let openJobs = 0;
+    let jobSeekers = 0;
+    for (const tile of city.tiles.flat()) {
+      const building = tile.building;
+      openJobs += Math.max(0, building?.jobs?.availableJobs ?? 0);
+      for (const citizen of building?.residents?.citizens ?? []) {
+        if (citizen.state === 'unemployed') jobSeekers++;
+      }
+    }
+    const jobs = jobSeekers === 0 ? 100 : Math.min(1, openJobs / jobSeekers) * 100;
+
+    return happiness * happinessWeight + jobs * (1 - happinessWeight);
+  }
+}
@@ -0,0 +1,92 @@
+import config from '../../config.js';
+import { City } from '../city.js';
+import { SimService } from './simService.js';
+import { Citizen } from '../citizen.js';
+import { BuildingType } from '../buildings/buildingType.js';
+import { EducationBuilding } from '../buildings/education/educationBuilding.js';
+
+/**
+ * Education Service - Enrolls residents at the schools and vocational
+ * training centers near their homes and educates them
+ *
+ * Students keep their seat until they finish, move away or can no longer
+ * study there (e.g. a pupil reached working age). Free seats go to the
+ * closest residents who can enroll. Students make a year of progress every
+ * `ticksPerYear` ticks and move up to the level the building teaches once
+ * they have studied for its `studyYears`.
+ */
+export class EducationService extends SimService {
+  /**
+   * @param {City} city
+   */
+  simulate(city) {
+    const residents = this.#getResidents(city);
+    const living = new Set(residents);
+    const enrolled = new Set();
+
+    for (const building of this.#getEducationBuildings(city)) {
+      if (!building.isOperating) {
+        building.students = [];
+        continue;
+      }
+
+      building.students = building.students.filter((student) =>
+        living.has(student) &&
+        building.canEnroll(student) &&
+        building.isInCoverage(student.residence.x, student.residence.y));
+      building.students.forEach((student) => enrolled.add(student));
+
+      const candidates = residents
+        .filter((citizen) =>
+          !enrolled.has(citizen) &&
+          building.canEnroll(citizen) &&
+          building.isInCoverage(citizen.residence.x, citizen.residence.y))
+        .map((citizen) => ({
+          citizen,
+          distance: Math.abs(citizen.residence.x - building.x) + Math.abs(citizen.residence.y - building.y)
+        }))
+        .sort((a, b) => a.distance - b.distance);
+      for (const { citizen } of candidates.slice(0, building.capacity - building.students.length)) {
+        building.students.push(citizen);
+        enrolled.add(citizen);
+      }
+
+      this.#teach(building);
+    }
+  }
+
+  /**
+   * Moves the students of a building forward by a tick of study
+   * @param {EducationBuilding} building
+   */
+  #teach(building) {
+    building.students = building.students.filter((student) => {
+      student.educationProgress += 1 / config.citizen.ticksPerYear;
+      if (student.educationProgress < building.studyYears) {
+        return true;
+      }
+      student.education = building.teaches;
+      student.educationProgress = 0;
+      return false;
+    });
+  }
+
+  /**
+   * @param {City} city
+   * @returns {Citizen[]} Every resident of the city
+   */
+  #getResidents(city) {
+    return city.tiles.flat().flatMap((tile) => tile.building?.residents?.citizens ?? []);
+  }
+
+  /**
+   * @param {City} city
+   * @returns {EducationBuilding[]}
+   */
+  #getEducationBuildings(city) {
+    return city.tiles.flat()
+      .map((tile) => tile.building)
+      .filter((building) => building?.type === BuildingType.school ||
+        building?.type === BuildingType.vocationalCenter);
+  }
+}
@@ -0,0 +1,100 @@
+import { City } from '../city.js';
+import { SimService } from './simService.js';
+import { BuildingType } from '../buildings/buildingType.js';
+import { Landfill } from '../buildings/landfill.js';
+
+/**
+ * Landfill Service - Sends the waste that has nowhere else to go to the
+ * city's landfills
+ *
+ * Waste that overflows a building's waste storage or the city's waste
+ * stock goes to the closest landfill with room. Without one it is dumped
+ * and pollutes the city. The service counts the waste landfilled and
+ * dumped over the game, the worst ways to dispose of it.
+ */
+export class LandfillService extends SimService {
+  /**
+   * Waste sent to landfills since the game started
+   * @type {number}
+   */
+  totalLandfilled = 0;
+
+  /**
+   * Waste dumped since the game started
+   * @type {number}
+   */
+  totalDumped = 0;
+
+  /**
+   * Sends overflow waste to the landfills, the closest first. What they
+   * have no room for is dumped
+   * @param {City} city
+   * @param {string} wasteType
+   * @param {number} amount
+   * @param {{x: number, y: number} | null} from Where the waste comes from,
+   * or null for the city's waste stock
+   * @returns {number} Amount landfilled
+   */
+  dump(city, wasteType, amount, from = null) {
+    const landfills = this.getLandfills(city);
+    if (from) {
+      const distance = (landfill) => Math.abs(landfill.x - from.x) + Math.abs(landfill.y - from.y);
+      landfills.sort((a, b) => distance(a) - distance(b));
+    }
+
+    let landfilled = 0;
+    for (const landfill of landfills) {
+      if (landfilled >= amount) break;
+      landfilled += landfill.accept(wasteType, amount - landfilled);
+    }
+    this.totalLandfilled += landfilled;
+    this.litter(city, wasteType, amount - landfilled);
+    return landfilled;
+  }
+
+  /**
+   * Dumps waste nobody takes care of, part of it leaks into the city
+   * @param {City} city
+   * @param {string} wasteType
+   * @param {number} amount
+   */
+  litter(city, wasteType, amount) {
+    if (amount <= 0) {
+      return;
+    }
+
+    this.totalDumped += amount;
+    const simulation = city.simulation;
+    if (simulation?.globalPollution && simulation.isUnlocked('global-pollution')) {
+      simulation.globalPollution.addWaste(wasteType, amount * 0.1);
+    }
+  }
+
+  /**
+   * @param {City} city
+   * @returns {Landfill[]} Every landfill in the city
+   */
+  getLandfills(city) {
+    return city.tiles.flat()
+      .map((tile) => tile.building)
+      .filter((building) => building?.type === BuildingType.landfill);
+  }
+
+  /**
+   * @returns {object}
+   */
+  serialize() {
+    return {
+      totalLandfilled: this.totalLandfilled,
+      totalDumped: this.totalDumped
+    };
+  }
+
+  /**
+   * @param {object} data
+   */
+  deserialize(data) {
+    this.totalLandfilled = data.totalLandfilled ?? 0;
+    this.totalDumped = data.totalDumped ?? 0;
+  }
+}
@@ -0,0 +1,334 @@
+import config from '../../config.js';
+import { City } from '../city.js';
+import { SimService } from './simService.js';
+import { CargoTruck } from '../vehicles/cargoTruck.js';
+
+/**
+ * Logistics Service - Moves goods between building storage over the roads
+ *
+ * Each tick buildings with a `storage` module report what they need in
+ * their input buffers (`getInputNeeds()`). Needs are filled from the output
+ * buffers of other buildings on the same road network, nearest first, and
+ * then from the city warehouse (the global resource stockpile). Output that
+ * nobody needs is carried to the warehouse, where the market can sell it.
+ *
+ * Goods between buildings are carried by cargo trucks that drive along the
+ * vehicle graph and unload when they arrive. Trips to and from the
+ * warehouse take a fixed number of ticks. A building without road access
+ * can neither receive nor send goods.
+ */
+export class LogisticsService extends SimService {
+  /**
+   * Goods on their way to or from the warehouse. A null `from` or `to` is
+   * the warehouse.
+   * @type {{ resource: string, amount: number, from: {x: number, y: number} | null, to: {x: number, y: number} | null, remaining: number }[]}
+   */
+  shipments = [];
+
+  /**
+   * Trucks carrying goods between buildings
+   * @type {CargoTruck[]}
+   */
+  trucks = [];
+
+  /**
+   * Trucks loading this tick, keyed by origin and destination
+   * @type {Map<string, CargoTruck>}
+   */
+  #loading = new Map();
+
+  /**
+   * @param {City} city
+   */
+  simulate(city) {
+    const resourceManager = city.simulation?.resourceManager;
+    if (!resourceManager) {
+      return;
+    }
+
+    this.#advanceShipments(city, resourceManager);
+    this.#advanceTrucks(city);
+    this.#loading.clear();
+
+    const buildings = this.#getStorageBuildings(city);
+    const incoming = this.#getIncoming(city);
+
+    // Fill input buffers
+    for (const consumer of buildings) {
+      if (!consumer.roadAccess.value || typeof consumer.getInputNeeds !== 'function') {
+        continue;
+      }
+
+      const storage = consumer.storage;
+      const expected = incoming.get(consumer) ?? {};
+      const expectedTotal = Object.values(expected).reduce((sum, amount) => sum + amount, 0);
+      let space = Math.min(
+        storage.getSpace('input') - expectedTotal,
+        storage.takeInflowAllowance());
+
+      for (const [resource, needed] of Object.entries(consumer.getInputNeeds())) {
+        let amount = Math.min(needed - (expected[resource] || 0), space);
+        if (amount <= 0) continue;
+
+        // Other buildings first, nearest first
+        const suppliers = buildings.filter((supplier) =>
+          supplier !== consumer &&
+          supplier.roadAccess.value &&
+          supplier.storage.getAmount('output', resource) > 0);
+
+        if (suppliers.length > 0) {
+          const reachable = suppliers
+            .map((supplier) => ({
+              supplier,
+              distance: city.pathfinding.getDistance(supplier.roadAccess.road, consumer.roadAccess.road)
+            }))
+            .filter(({ distance }) => distance !== null)
+            .sort((a, b) => a.distance - b.distance);
+
+          for (const { supplier } of reachable) {
+            if (amount <= 0) break;
+            const truck = this.#getTruck(city, supplier, consumer);
+            if (!truck) continue;
+            const taken = supplier.storage.remove('output', resource, amount);
+            truck.load(resource, taken);
+            amount -= taken;
+            space -= taken;
+            storage.spendInflowAllowance(taken);
+          }
+        }
+
+        // Then the warehouse
+        if (amount > 0) {
+          const taken = Math.min(amount, resourceManager.getResource(resource));
+          if (taken > 0) {
+            resourceManager.removeResource(resource, taken);
+            this.#dispatch(resource, taken, null, consumer, config.logistics.warehouseTransitTime);
+            space -= taken;
+            storage.spendInflowAllowance(taken);
+          }
+        }
+      }
+    }
+
+    // Carry leftover output to the warehouse
+    for (const supplier of buildings) {
+      if (!supplier.roadAccess.value) continue;
+      for (const [resource, amount] of Object.entries(supplier.storage.output)) {
+        const taken = supplier.storage.remove('output', resource, amount);
+        this.#dispatch(resource, taken, supplier, null, config.logistics.warehouseTransitTime);
+      }
+    }
+  }
+
+  /**
+   * Get the total amount of a resource on the road
+   * @param {string} resource
+   * @returns {number}
+   */
+  getInTransit(resource) {
+    return this.shipments
+      .filter((shipment) => shipment.resource === resource)
+      .reduce((sum, shipment) => sum + shipment.amount, 0) +
+      this.trucks.reduce((sum, truck) => sum + (truck.manifest[resource] || 0), 0);
+  }
+
+  /**
+   * Returns the goods on the road as plain data for saving
+   * @returns {object}
+   */
+  serialize() {
+    return {
+      shipments: this.shipments.map((shipment) => ({ ...shipment })),
+      trucks: this.trucks.map((truck) => truck.serialize())
+    };
+  }
+
+  /**
+   * Restores goods on the road from the output of `serialize()`. Trucks
+   * drive the same route again, so the roads must already be in place.
+   * @param {object} data
+   * @param {City} city
+   */
+  deserialize(data, city) {
+    this.shipments = (data.shipments ?? []).map((shipment) => ({ ...shipment }));
+
+    this.trucks.forEach((truck) => truck.dispose());
+    this.trucks = [];
+    for (const truckData of data.trucks ?? []) {
+      const route = (truckData.routeStart && truckData.routeEnd)
+        ? city.pathfinding.findRoute(truckData.routeStart, truckData.routeEnd)
+        : null;
+      if (!route) {
+        this.#unloadToWarehouse(city, truckData.manifest);
+        continue;
+      }
+      const truck = new CargoTruck(truckData.origin, truckData.destination, route);
+      Object.entries(truckData.manifest ?? {}).forEach(([resource, amount]) => truck.load(resource, amount));
+      truck.setRoute(route, truckData.distance ?? 0);
+      this.#addTruck(city, truck);
+    }
+  }
+
+  /**
+   * Get the truck leaving this tick between two buildings, sending a new
+   * one if there is none yet
+   * @param {City} city
+   * @param {Building} from
+   * @param {Building} to
+   * @returns {CargoTruck | null} The truck, or null if there is no route
+   */
+  #getTruck(city, from, to) {
+    const key = `${from.x},${from.y}>${to.x},${to.y}`;
+    let truck = this.#loading.get(key);
+    if (!truck) {
+      const route = city.pathfinding.findRoute(from.roadAccess.road, to.roadAccess.road);
+      if (!route) {
+        return null;
+      }
+      truck = new CargoTruck(from, to, route);
+      this.#addTruck(city, truck);
+      this.#loading.set(key, truck);
+    }
+    return truck;
+  }
+
+  /**
+   * @param {City} city
+   * @param {CargoTruck} truck
+   */
+  #addTruck(city, truck) {
+    this.trucks.push(truck);
+    city.vehicleGraph.trucks.add(truck);
+    truck.refreshView();
+  }
+
+  /**
+   * Drives the trucks along and unloads the ones that arrived. A truck
+   * whose road was removed finds a new route from where it is; if there
+   * is none, or its destination no longer exists, its goods go to the
+   * warehouse.
+   * @param {City} city
+   */
+  #advanceTrucks(city) {
+    this.trucks = this.trucks.filter((truck) => {
+      if (truck.isRouteBroken) {
+        const route = city.pathfinding.findRoute(truck.currentTile, truck.routeEnd);
+        if (!route) {
+          this.#unloadToWarehouse(city, truck.manifest);
+          truck.dispose();
+          return false;
+        }
+        truck.setRoute(route);
+      }
+
+      truck.step(city.traffic.getSpeedFactor(truck.currentTile));
+      if (!truck.hasArrived) {
+        return true;
+      }
+
+      const building = city.getTile(truck.destination.x, truck.destination.y)?.building;
+      if (building?.storage) {
+        Object.entries(truck.manifest).forEach(([resource, amount]) => building.storage.add('input', resource, amount));
+      } else {
+        this.#unloadToWarehouse(city, truck.manifest);
+      }
+      truck.dispose();
+      return false;
+    });
+  }
+
+  /**
+   * @param {City} city
+   * @param {Object<string, number>} manifest
+   */
+  #unloadToWarehouse(city, manifest) {
+    const resourceManager = city.simulation?.resourceManager;
+    Object.entries(manifest ?? {}).forEach(([resource, amount]) => resourceManager?.addResource(resource, amount));
+  }
+
+  /**
+   * Puts goods on the road
+   * @param {string} resource
+   * @param {number} amount
+   * @param {Building | null} from Sending building, or null for the warehouse
+   * @param {Building | null} to Receiving building, or null for the warehouse
+   * @param {number} transitTime Ticks until the goods arrive
+   */
+  #dispatch(resource, amount, from, to, transitTime) {
+    if (amount <= 0) return;
+    this.shipments.push({
+      resource,
+      amount,
+      from: from ? { x: from.x, y: from.y } : null,
+      to: to ? { x: to.x, y: to.y } : null,
+      remaining: transitTime
+    });
+  }
+
+  /**
+   * Moves shipments along and unloads the ones that arrived. Goods for a
+   * building that no longer exists go to the warehouse.
+   * @param {City} city
+   * @param {ResourceManager} resourceManager
+   */
+  #advanceShipments(city, resourceManager) {
+    const arrived = [];
+    this.shipments = this.shipments.filter((shipment) => {
+      shipment.remaining--;
+      if (shipment.remaining > 0) return true;
+      arrived.push(shipment);
+      return false;
+    });
+
+    for (const shipment of arrived) {
+      const building = shipment.to ? city.getTile(shipment.to.x, shipment.to.y)?.building : null;
+      if (building?.storage) {
+        building.storage.add('input', shipment.resource, shipment.amount);
+      } else {
+        resourceManager.addResource(shipment.resource, shipment.amount);
+      }
+    }
+  }
+
+  /**
+   * @param {City} city
+   * @returns {Building[]} Buildings that have local storage
+   */
+  #getStorageBuildings(city) {
+    const buildings = [];
+    for (let x = 0; x < city.size; x++) {
+      for (let y = 0; y < city.size; y++) {
+        const building = city.getTile(x, y)?.building;
+        if (building?.storage) {
+          buildings.push(building);
+        }
+      }
+    }
+    return buildings;
+  }
+
+  /**
+   * @param {City} city
+   * @returns {Map<Building, Object<string, number>>} Amounts on their way to each building
+   */
+  #getIncoming(city) {
+    const incoming = new Map();
+    const expect = (to, resource, amount) => {
+      const building = city.getTile(to.x, to.y)?.building;
+      if (!building) return;
+      const amounts = incoming.get(building) ?? {};
+      amounts[resource] = (amounts[resource] || 0) + amount;
+      incoming.set(building, amounts);
+    };
+
+    for (const shipment of this.shipments) {
+      if (shipment.to) {
+        expect(shipment.to, shipment.resource, shipment.amount);
+      }
+    }
+    for (const truck of this.trucks) {
+      Object.entries(truck.manifest).forEach(([resource, amount]) => expect(truck.destination, resource, amount));
+    }
+    return incoming;
+  }
+}
@@ -0,0 +1,240 @@
+import * as THREE from 'three';
+import { VehicleGraph } from '../vehicles/vehicleGraph.js';
+import { VehicleGraphNode } from '../vehicles/vehicleGraphNode.js';
+
+/**
+ * Pathfinding Service - Shortest routes over the vehicle graph
+ *
+ * Routes are found with A* over the vehicle graph nodes, so they follow the
+ * lanes and turns vehicles can actually take. Start and end may be road
+ * tiles or tiles next to a road (e.g. a building's tile). Results are
+ * cached until the vehicle graph changes, which happens whenever a road is
+ * placed or bulldozed (`VehicleGraph.updateTile`).
+ */
+export class PathfindingService {
+  /**
+   * @type {VehicleGraph}
+   */
+  vehicleGraph;
+
+  /**
+   * Cached routes keyed by start and end tile
+   * @type {Map<string, { nodes: VehicleGraphNode[], length: number } | null>}
+   */
+  #cache = new Map();
+
+  /**
+   * World positions of the graph nodes
+   * @type {Map<VehicleGraphNode, THREE.Vector3>}
+   */
+  #positions = new Map();
+
+  /**
+   * Vehicle graph version the cache was built for
+   * @type {number}
+   */
+  #version = -1;
+
+  /**
+   * @param {VehicleGraph} vehicleGraph
+   */
+  constructor(vehicleGraph) {
+    this.vehicleGraph = vehicleGraph;
+  }
+
+  /**
+   * Finds the shortest route between two tiles
+   * @param {{x: number, y: number}} start Road tile or tile next to a road
+   * @param {{x: number, y: number}} end Road tile or tile next to a road
+   * @returns {VehicleGraphNode[] | null} The nodes along the route (shared with
+   * the cache, so do not modify), or null if the tiles are not connected
+   */
+  findRoute(start, end) {
+    return this.#getRoute(start, end)?.nodes ?? null;
+  }
+
+  /**
+   * Get the length of the shortest route between two tiles
+   * @param {{x: number, y: number}} start Road tile or tile next to a road
+   * @param {{x: number, y: number}} end Road tile or tile next to a road
+   * @returns {number | null} Length in tiles, or null if the tiles are not connected
+   */
+  getDistance(start, end) {
+    return this.#getRoute(start, end)?.length ?? null;
+  }
+
+  /**
+   * Clears all cached routes
+   */
+  invalidate() {
+    this.#cache.clear();
+    this.#positions.clear();
+    this.#version = this.vehicleGraph.version;
+  }
+
+  /**
+   * @param {{x: number, y: number}} start
+   * @param {{x: number, y: number}} end
+   * @returns {{ nodes: VehicleGraphNode[], length: number } | null}
+   */
+  #getRoute(start, end) {
+    if (!start || !end) {
+      return null;
+    }
+
+    if (this.#version !== this.vehicleGraph.version) {
+      this.invalidate();
+    }
+
+    const key = `${start.x},${start.y}>${end.x},${end.y}`;
+    if (!this.#cache.has(key)) {
+      this.#cache.set(key, this.#search(start, end));
+    }
+    return this.#cache.get(key);
+  }
+
+  /**
+   * Road tiles a vehicle can use to reach or leave a tile: the tile itself
+   * if it is a road, otherwise the roads next to it
+   * @param {{x: number, y: number}} tile
+   * @returns {THREE.Group[]}
+   */
+  #getRoadTiles(tile) {
+    const road = this.vehicleGraph.getTile(tile.x, tile.y);
+    if (road) {
+      return [road];
+    }
+    return [
+      this.vehicleGraph.getTile(tile.x - 1, tile.y),
+      this.vehicleGraph.getTile(tile.x + 1, tile.y),
+      this.vehicleGraph.getTile(tile.x, tile.y - 1),
+      this.vehicleGraph.getTile(tile.x, tile.y + 1)
+    ].filter((road) => road);
+  }
+
+  /**
+   * A* search from any node on the start roads to any node on the end roads
+   * @param {{x: number, y: number}} start
+   * @param {{x: number, y: number}} end
+   * @returns {{ nodes: VehicleGraphNode[], length: number } | null}
+   */
+  #search(start, end) {
+    const startTiles = this.#getRoadTiles(start);
+    const endTiles = new Set(this.#getRoadTiles(end));
+    if (startTiles.length === 0 || endTiles.size === 0) {
+      return null;
+    }
+
+    // Nodes lie within half a tile of their tile's center, so the straight
+    // line distance to the nearest end tile minus half a tile never
+    // overestimates the remaining distance
+    const endCenters = [...endTiles].map((tile) => tile.position);
+    const heuristic = (node) => Math.max(0, Math.min(
+      ...endCenters.map((center) => this.#getPosition(node).distanceTo(center))) - 0.5);
+
+    const cost = new Map();
+    const previous = new Map();
+    const open = new MinHeap();
+    for (const tile of startTiles) {
+      for (const node of tile.children) {
+        cost.set(node, 0);
+        previous.set(node, null);
+        open.push(node, heuristic(node));
+      }
+    }
+
+    const closed = new Set();
+    while (open.size > 0) {
+      const node = open.pop();
+      if (closed.has(node)) continue;
+      closed.add(node);
+
+      if (endTiles.has(node.parent)) {
+        const nodes = [];
+        for (let n = node; n; n = previous.get(n)) {
+          nodes.unshift(n);
+        }
+        return { nodes, length: cost.get(node) };
+      }
+
+      for (const next of node.next) {
+        if (closed.has(next) || !next.parent) continue;
+        const nextCost = cost.get(node) + this.#getPosition(node).distanceTo(this.#getPosition(next));
+        if (nextCost < (cost.get(next) ?? Infinity)) {
+          cost.set(next, nextCost);
+          previous.set(next, node);
+          open.push(next, nextCost + heuristic(next));
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * @param {VehicleGraphNode} node
+   * @returns {THREE.Vector3} World position of the node
+   */
+  #getPosition(node) {
+    let position = this.#positions.get(node);
+    if (!position) {
+      position = node.getWorldPosition(new THREE.Vector3());
+      this.#positions.set(node, position);
+    }
+    return position;
+  }
+}
+
+/**
+ * Binary heap of items ordered by priority, lowest first
+ */
+class MinHeap {
+  /**
+   * @type {{ item: any, priority: number }[]}
+   */
+  #items = [];
+
+  get size() {
+    return this.#items.length;
+  }
+
+  /**
+   * @param {any} item
+   * @param {number} priority
+   */
+  push(item, priority) {
+    const items = this.#items;
+    items.push({ item, priority });
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (items[parent].priority <= items[i].priority) break;
+      [items[parent], items[i]] = [items[i], items[parent]];
+      i = parent;
+    }
+  }
+
+  /**
+   * @returns {any} The item with the lowest priority
+   */
+  pop() {
+    const items = this.#items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      while (true) {
+        const left = i * 2 + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < items.length && items[left].priority < items[smallest].priority) smallest = left;
+        if (right < items.length && items[right].priority < items[smallest].priority) smallest = right;
+        if (smallest === i) break;
+        [items[smallest], items[i]] = [items[i], items[smallest]];
+        i = smallest;
+      }
+    }
+    return top.item;
+  }
+}
@@ -0,0 +1,242 @@
+import config from '../../config.js';
+import { City } from '../city.js';
+import { SimService } from './simService.js';
+import { BuildingType } from '../buildings/buildingType.js';
+import { CommercialZone } from '../buildings/zones/commercial.js';
+
+/**
+ * @typedef {object} ProductCohort
+ * @property {string} product
+ * @property {number} amount
+ * @property {number} remaining Ticks until the products reach the end of
+ * their lifetime
+ */
+
+/**
+ * @typedef {object} LifecycleTotals
+ * @property {number} sold Products sold on the market
+ * @property {number} repaired Products that reached the end of their
+ * lifetime and were taken to a repair café
+ * @property {number} endOfLife Waste from products that reached the end of
+ * their lifetime
+ * @property {number} recovered Of that waste, the amount that came back to
+ * the city
+ * @property {number} takenBack Of the recovered waste, the amount brought
+ * back by take-back programs
+ */
+
+/**
+ * Product Lifecycle Service - Follows the products sold on the market
+ * until they come back as waste
+ *
+ * Each tick's sales of a product form a cohort that is in use for the
+ * product's lifetime. At the end of it the products still worth repairing
+ * go to the repair cafés as far as they have room. Of the rest, a base
+ * share of the waste reaches the city's waste stock and the eco shops running a take-back
+ * program bring back more, which waits at the shops for a garbage truck.
+ * Whatever is not recovered or landfilled is dumped and pollutes the city.
+ */
+export class ProductLifecycleService extends SimService {
+  /**
+   * Products in use, oldest first
+   * @type {ProductCohort[]}
+   */
+  cohorts = [];
+
+  /**
+   * Totals since the game started
+   * @type {LifecycleTotals}
+   */
+  totals = { sold: 0, repaired: 0, endOfLife: 0, recovered: 0, takenBack: 0 };
+
+  /**
+   * City the service runs in, for checking unlocks when products are sold
+   * @type {City | null}
+   */
+  #city = null;
+
+  /**
+   * @param {City} city
+   */
+  simulate(city) {
+    this.#city = city;
+    if (!this.#isUnlocked(city)) {
+      return;
+    }
+
+    this.cohorts = this.cohorts.filter((cohort) => {
+      if (--cohort.remaining > 0) {
+        return true;
+      }
+      this.#endOfLife(city, cohort);
+      return false;
+    });
+  }
+
+  /**
+   * Starts following products sold on the market
+   * @param {string} product
+   * @param {number} amount
+   */
+  recordSale(product, amount) {
+    const info = config.products[product];
+    if (!info || amount <= 0 || (this.#city && !this.#isUnlocked(this.#city))) {
+      return;
+    }
+
+    this.totals.sold += amount;
+    const lifetime = info.lifetime * config.citizen.ticksPerYear;
+    const cohort = this.cohorts.find((cohort) => cohort.product === product && cohort.remaining === lifetime);
+    if (cohort) {
+      cohort.amount += amount;
+    } else {
+      this.cohorts.push({ product, amount, remaining: lifetime });
+    }
+  }
+
+  /**
+   * Share of the end-of-life waste brought back by take-back programs
+   * @type {number}
+   */
+  get takeBackRatio() {
+    return this.totals.endOfLife > 0 ? this.totals.takenBack / this.totals.endOfLife : 0;
+  }
+
+  /**
+   * Share of the end-of-life waste that came back to the city
+   * @type {number}
+   */
+  get recoveryRate() {
+    return this.totals.endOfLife > 0 ? this.totals.recovered / this.totals.endOfLife : 0;
+  }
+
+  /**
+   * Products in use
+   * @param {string} product
+   * @returns {number}
+   */
+  getInUse(product) {
+    return this.cohorts
+      .filter((cohort) => cohort.product === product)
+      .reduce((sum, cohort) => sum + cohort.amount, 0);
+  }
+
+  /**
+   * Recovers the waste of a cohort that reached the end of its lifetime
+   * @param {City} city
+   * @param {ProductCohort} cohort
+   */
+  #endOfLife(city, cohort) {
+    const simulation = city.simulation;
+    const { waste, wasteAmount } = config.products[cohort.product];
+    const repaired = this.#bringToRepair(city, cohort);
+    this.totals.repaired += repaired;
+
+    const amount = (cohort.amount - repaired) * wasteAmount;
+    if (amount <= 0) {
+      return;
+    }
+    this.totals.endOfLife += amount;
+
+    const shops = this.#getTakeBackShops(city);
+    const { baseRecovery, takeBackRecovery, maxRecovery } = config.productLifecycle;
+    const takeBackShare = Math.max(0, Math.min(maxRecovery, baseRecovery + takeBackRecovery * shops.length) - baseRecovery);
+
+    let takenBack = 0;
+    for (const shop of shops) {
+      takenBack += shop.takeBack.accept(waste, amount * takeBackShare / shops.length);
+    }
+
+    // Only what fits in the waste stock is collected, the overflow goes to
+    // a landfill
+    const resourceManager = simulation?.resourceManager;
+    let picked = 0;
+    let collected = 0;
+    if (resourceManager) {
+      const stock = resourceManager.getResource(waste);
+      picked = amount * baseRecovery;
+      resourceManager.addResource(waste, picked);
+      collected = resourceManager.getResource(waste) - stock;
+    }
+
+    this.totals.takenBack += takenBack;
+    this.totals.recovered += collected + takenBack;
+
+    city.landfills.litter(city, waste, amount - picked - takenBack);
+  }
+
+  /**
+   * Takes the products of a cohort still worth repairing to the repair
+   * cafés with room for them
+   * @param {City} city
+   * @param {ProductCohort} cohort
+   * @returns {number} Number of products taken to a repair café
+   */
+  #bringToRepair(city, cohort) {
+    if (!config.repair.products[cohort.product]) {
+      return 0;
+    }
+
+    const cafes = city.tiles.flat()
+      .map((tile) => tile.building)
+      .filter((building) => building?.type === BuildingType.repairCafe && building.getRoomFor(cohort.product) > 0);
+    if (cafes.length === 0) {
+      return 0;
+    }
+
+    let repairable = 0;
+    for (let i = 0; i < Math.floor(cohort.amount); i++) {
+      if (city.simulation?.random.chance(config.repair.repairableShare)) {
+        repairable++;
+      }
+    }
+
+    let repaired = 0;
+    for (const cafe of cafes) {
+      repaired += cafe.acceptBroken(cohort.product, repairable - repaired);
+    }
+    return repaired;
+  }
+
+  /**
+   * @param {City} city
+   * @returns {CommercialZone[]} Eco shops running a take-back program
+   */
+  #getTakeBackShops(city) {
+    return city.tiles.flat()
+      .map((tile) => tile.building)
+      .filter((building) => building?.type === BuildingType.commercial && building.takeBack.isActive);
+  }
+
+  /**
+   * @param {City} city
+   * @returns {boolean} True once the city has to deal with waste
+   */
+  #isUnlocked(city) {
+    return city.simulation?.isUnlocked('local-waste') ?? false;
+  }
+
+  /**
+   * @returns {object}
+   */
+  serialize() {
+    return {
+      cohorts: this.cohorts.map((cohort) => ({ ...cohort })),
+      totals: { ...this.totals }
+    };
+  }
+
+  /**
+   * @param {object} data
+   */
+  deserialize(data) {
+    this.cohorts = (data.cohorts ?? [])
+      .filter((cohort) => config.products[cohort.product])
+      .map((cohort) => ({
+        product: cohort.product,
+        amount: cohort.amount,
+        remaining: cohort.remaining
+      }));
+    this.totals = { sold: 0, repaired: 0, endOfLife: 0, recovered: 0, takenBack: 0, ...data.totals };
+  }
+}
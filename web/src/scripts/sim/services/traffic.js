@@ -0,0 +1,189 @@
+import * as THREE from 'three';
+import config from '../../config.js';
+import { City } from '../city.js';
+import { SimService } from './simService.js';
+import { VehicleGraphNode } from '../vehicles/vehicleGraphNode.js';
+
+/**
+ * Traffic Service - Vehicle load and congestion on each road tile
+ *
+ * Every tick the load on each road tile is counted from the trucks and
+ * buses on it and from the citizens driving over it to work. Citizens
+ * who can take the bus to work leave their car at home.
+ * A tile loaded beyond its road's capacity is congested, which slows down
+ * everything driving over it: trucks take longer to deliver, commutes take
+ * longer and the cars on screen crawl.
+ */
+export class TrafficService extends SimService {
+  /**
+   * Vehicle load on each road tile, keyed by "x,y"
+   * @type {Map<string, number>}
+   */
+  #load = new Map();
+
+  /**
+   * Load divided by capacity for each road tile, keyed by "x,y"
+   * @type {Map<string, number>}
+   */
+  #congestion = new Map();
+
+  /**
+   * @param {City} city
+   */
+  simulate(city) {
+    this.#load.clear();
+
+    this.#addCommuters(city);
+    for (const vehicle of [...city.logistics.trucks, ...city.wasteCollection.trucks, ...city.transit.buses]) {
+      const tile = vehicle.currentTile;
+      if (tile) {
+        this.#addLoad(tile.x, tile.y, 1);
+      }
+    }
+
+    this.#updateCongestion(city);
+  }
+
+  /**
+   * Works out the congestion of each road tile from its load and lets the
+   * cars on screen slow down with it
+   * @param {City} city
+   */
+  #updateCongestion(city) {
+    this.#congestion.clear();
+    for (const [key, load] of this.#load) {
+      const [x, y] = key.split(',').map(Number);
+      const road = city.getTile(x, y)?.building;
+      if (road?.type === 'road') {
+        this.#congestion.set(key, load / road.capacity);
+      }
+    }
+
+    // Let the cars on screen slow down too
+    for (let x = 0; x < city.size; x++) {
+      for (let y = 0; y < city.size; y++) {
+        const tile = city.vehicleGraph.getTile(x, y);
+        if (tile) {
+          tile.speedFactor = this.getSpeedFactor({ x, y });
+        }
+      }
+    }
+  }
+
+  /**
+   * Get the vehicle load on a road tile
+   * @param {number} x
+   * @param {number} y
+   * @returns {number}
+   */
+  getLoad(x, y) {
+    return this.#load.get(`${x},${y}`) ?? 0;
+  }
+
+  /**
+   * Get how congested a road tile is
+   * @param {number} x
+   * @param {number} y
+   * @returns {number} Load divided by capacity (above 1 is over capacity)
+   */
+  getCongestion(x, y) {
+    return this.#congestion.get(`${x},${y}`) ?? 0;
+  }
+
+  /**
+   * Get the share of the free-flow speed vehicles drive at on a road tile
+   * @param {{x: number, y: number} | null} tile
+   * @returns {number} 1 on an empty road, down to `config.traffic.minSpeedFactor`
+   */
+  getSpeedFactor(tile) {
+    if (!tile) {
+      return 1;
+    }
+    const congestion = this.getCongestion(tile.x, tile.y);
+    const slowdown = 1 + config.traffic.slowdown * Math.pow(congestion, config.traffic.slowdownPower);
+    return Math.max(config.traffic.minSpeedFactor, 1 / slowdown);
+  }
+
+  /**
+   * Get the time it takes to drive a route with the current traffic
+   * @param {VehicleGraphNode[] | null} route
+   * @returns {number | null} Travel time in ticks, or null if there is no route
+   */
+  getTravelTime(route) {
+    if (!route) {
+      return null;
+    }
+
+    let time = 0;
+    const previous = new THREE.Vector3();
+    const current = new THREE.Vector3();
+    route.forEach((node, i) => {
+      node.getWorldPosition(current);
+      if (i > 0) {
+        const tile = { x: Math.round(current.x), y: Math.round(current.z) };
+        time += previous.distanceTo(current) / (config.logistics.speed * this.getSpeedFactor(tile));
+      }
+      previous.copy(current);
+    });
+    return time;
+  }
+
+  /**
+   * Adds the load of every working citizen who drives along the route
+   * from their home to their workplace
+   * @param {City} city
+   */
+  #addCommuters(city) {
+    for (let x = 0; x < city.size; x++) {
+      for (let y = 0; y < city.size; y++) {
+        const workplace = city.getTile(x, y)?.building;
+        const workers = workplace?.jobs?.workers;
+        if (!workers?.length || !workplace.roadAccess.road) continue;
+
+        for (const worker of workers) {
+          if (worker.commute?.byBus) continue;
+
+          const home = worker.residence?.roadAccess?.road;
+          const route = home ? city.pathfinding.findRoute(home, workplace.roadAccess.road) : null;
+          if (!route) continue;
+
+          const tiles = new Set(route.map((node) => node.parent).filter((tile) => tile));
+          for (const tile of tiles) {
+            this.#addLoad(Math.round(tile.position.x), Math.round(tile.position.z), config.traffic.commuterLoad);
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * @param {number} x
+   * @param {number} y
+   * @param {number} amount
+   */
+  #addLoad(x, y, amount) {
+    const key = `${x},${y}`;
+    this.#load.set(key, (this.#load.get(key) ?? 0) + amount);
+  }
+
+  /**
+   * @returns {object}
+   */
+  serialize() {
+    return {
+      load: Object.fromEntries(this.#load)
+    };
+  }
+
+  /**
+   * Restores the load on each road tile so the first ticks after loading
+   * run with the same congestion as before saving. Call once the roads
+   * have been restored.
+   * @param {object} data
+   * @param {City} city
+   */
+  deserialize(data, city) {
+    this.#load = new Map(Object.entries(data.load ?? {}));
+    this.#updateCongestion(city);
+  }
+}
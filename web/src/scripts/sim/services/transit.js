@@ -0,0 +1,379 @@
+import config from '../../config.js';
+import { City } from '../city.js';
+import { SimService } from './simService.js';
+import { BuildingType } from '../buildings/buildingType.js';
+import { Bus } from '../vehicles/bus.js';
+import { VehicleGraphNode } from '../vehicles/vehicleGraphNode.js';
+
+/**
+ * @typedef {object} BusRoute
+ * @property {number} id
+ * @property {{x: number, y: number}} depot Bus depot running the route
+ * @property {{x: number, y: number}[]} stops Bus stops in the order they are served
+ * @property {number} buses Number of the depot's buses assigned to the route
+ */
+
+/**
+ * Transit Service - Bus routes between the bus stops on the roads
+ *
+ * A route is a sequence of bus stops run by a bus depot. Its buses drive
+ * from stop to stop over the vehicle graph and back to the first stop, as
+ * a loop. A route with at least two connected stops and one bus is in
+ * service: citizens living within walking distance of one of its stops can
+ * ride to jobs within walking distance of any other of its stops, and
+ * leave their car at home to do so.
+ */
+export class TransitService extends SimService {
+  /**
+   * @type {BusRoute[]}
+   */
+  routes = [];
+
+  /**
+   * Buses on the road
+   * @type {Bus[]}
+   */
+  buses = [];
+
+  /**
+   * Id given to the next route that is created
+   * @type {number}
+   */
+  nextRouteId = 1;
+
+  /**
+   * Routes in service as of the last tick
+   * @type {BusRoute[]}
+   */
+  #servedRoutes = [];
+
+  /**
+   * Loops driven by the buses of each route, keyed by route id. Rebuilt
+   * when the stops or the vehicle graph change.
+   * @type {Map<number, { key: string, version: number, nodes: VehicleGraphNode[] | null }>}
+   */
+  #loops = new Map();
+
+  /**
+   * @param {City} city
+   */
+  simulate(city) {
+    this.#pruneRoutes(city);
+
+    this.#servedRoutes = this.routes.filter((route) => this.#getLoop(city, route) && route.buses > 0);
+    for (const route of this.routes) {
+      this.#syncBuses(city, route);
+    }
+
+    for (const bus of this.buses) {
+      bus.step(city.traffic.getSpeedFactor(bus.currentTile));
+      if (bus.hasArrived) {
+        // Back at the first stop, start the next lap
+        bus.setRoute(bus.route, 0);
+      }
+    }
+  }
+
+  /**
+   * Creates an empty route run by a bus depot
+   * @param {{x: number, y: number}} depot
+   * @returns {BusRoute}
+   */
+  createRoute(depot) {
+    const route = { id: this.nextRouteId++, depot: { x: depot.x, y: depot.y }, stops: [], buses: 0 };
+    this.routes.push(route);
+    return route;
+  }
+
+  /**
+   * Deletes a route and takes its buses off the road
+   * @param {number} routeId
+   */
+  deleteRoute(routeId) {
+    this.routes = this.routes.filter((route) => route.id !== routeId);
+    this.#loops.delete(routeId);
+    this.#removeBuses((bus) => bus.routeId === routeId);
+  }
+
+  /**
+   * @param {number} routeId
+   * @returns {BusRoute | null}
+   */
+  getRoute(routeId) {
+    return this.routes.find((route) => route.id === routeId) ?? null;
+  }
+
+  /**
+   * Get the routes run by a bus depot
+   * @param {{x: number, y: number}} depot
+   * @returns {BusRoute[]}
+   */
+  getDepotRoutes(depot) {
+    return this.routes.filter((route) => route.depot.x === depot.x && route.depot.y === depot.y);
+  }
+
+  /**
+   * Appends a bus stop to a route
+   * @param {City} city
+   * @param {number} routeId
+   * @param {number} x
+   * @param {number} y
+   * @returns {boolean} True if the stop was added
+   */
+  addStop(city, routeId, x, y) {
+    const route = this.getRoute(routeId);
+    const last = route?.stops[route.stops.length - 1];
+    if (!route || !city.getTile(x, y)?.building?.busStop || (last?.x === x && last?.y === y)) {
+      return false;
+    }
+    route.stops.push({ x, y });
+    return true;
+  }
+
+  /**
+   * Removes the last bus stop of a route
+   * @param {number} routeId
+   */
+  removeLastStop(routeId) {
+    this.getRoute(routeId)?.stops.pop();
+  }
+
+  /**
+   * Assigns a number of the depot's buses to a route
+   * @param {City} city
+   * @param {number} routeId
+   * @param {number} count
+   * @returns {boolean} True if the depot has enough buses
+   */
+  setRouteBuses(city, routeId, count) {
+    const route = this.getRoute(routeId);
+    const depot = route ? this.#getDepot(city, route) : null;
+    if (!depot || count < 0 || count > route.buses + depot.freeBuses) {
+      return false;
+    }
+    route.buses = count;
+    return true;
+  }
+
+  /**
+   * @param {City} city
+   * @param {BusRoute} route
+   * @returns {boolean} True if the route's buses can drive between all of its stops
+   */
+  isRouteConnected(city, route) {
+    return Boolean(this.#getLoop(city, route));
+  }
+
+  /**
+   * Finds the fastest ride a citizen can take by bus between two tiles: on
+   * a route in service from the stop nearest to the first tile to the stop
+   * nearest to the second, both within walking distance
+   * @param {City} city
+   * @param {{x: number, y: number}} from
+   * @param {{x: number, y: number}} to
+   * @returns {{ nodes: VehicleGraphNode[], time: number } | null} The nodes
+   * the bus drives through and the time of the whole trip in ticks, with
+   * walking to and from the stops and waiting for the bus included, or
+   * null if no route serves both tiles
+   */
+  getCommuteRoute(city, from, to) {
+    let fastest = null;
+    for (const route of this.#servedRoutes) {
+      const start = this.#getNearestStop(route, from);
+      const end = this.#getNearestStop(route, to);
+      if (start === -1 || end === -1 || start === end) continue;
+
+      // Ride the stops in the order the buses serve them
+      const nodes = [];
+      let connected = true;
+      for (let i = start; i !== end; i = (i + 1) % route.stops.length) {
+        const leg = city.pathfinding.findRoute(route.stops[i], route.stops[(i + 1) % route.stops.length]);
+        if (!leg) {
+          connected = false;
+          break;
+        }
+        nodes.push(...leg);
+      }
+      if (!connected) continue;
+
+      const walk = this.#getWalkingDistance(route.stops[start], from) + this.#getWalkingDistance(route.stops[end], to);
+      const time = city.traffic.getTravelTime(nodes) + walk / config.transit.walkSpeed + this.#getWaitingTime(city, route);
+      if (!fastest || time < fastest.time) {
+        fastest = { nodes, time };
+      }
+    }
+    return fastest;
+  }
+
+  /**
+   * Returns the routes as plain data for saving. Buses are put back on
+   * their routes when the game is loaded.
+   * @returns {object}
+   */
+  serialize() {
+    return {
+      nextRouteId: this.nextRouteId,
+      routes: this.routes.map((route) => ({
+        ...route,
+        depot: { ...route.depot },
+        stops: route.stops.map((stop) => ({ ...stop }))
+      }))
+    };
+  }
+
+  /**
+   * Restores routes from the output of `serialize()`
+   * @param {object} data
+   * @param {City} city
+   */
+  deserialize(data, city) {
+    this.#removeBuses(() => true);
+    this.#loops.clear();
+    this.#servedRoutes = [];
+    this.routes = (data.routes ?? []).map((route) => ({
+      id: route.id,
+      depot: { ...route.depot },
+      stops: (route.stops ?? []).map((stop) => ({ x: stop.x, y: stop.y })),
+      buses: route.buses ?? 0
+    }));
+    this.nextRouteId = data.nextRouteId ?? Math.max(0, ...this.routes.map((route) => route.id)) + 1;
+  }
+
+  /**
+   * Drops the routes of bulldozed depots and the stops that were removed
+   * @param {City} city
+   */
+  #pruneRoutes(city) {
+    for (const route of this.routes) {
+      if (!this.#getDepot(city, route)) {
+        this.deleteRoute(route.id);
+        continue;
+      }
+      route.stops = route.stops.filter((stop) => city.getTile(stop.x, stop.y)?.building?.busStop);
+    }
+  }
+
+  /**
+   * Puts as many buses on the road as are assigned to a route, spread
+   * evenly along its loop. A route out of service has no buses.
+   * @param {City} city
+   * @param {BusRoute} route
+   */
+  #syncBuses(city, route) {
+    const loop = this.#servedRoutes.includes(route) ? this.#getLoop(city, route) : null;
+    const count = loop ? route.buses : 0;
+
+    const buses = this.buses.filter((bus) => bus.routeId === route.id);
+    const extra = new Set(buses.slice(count));
+    this.#removeBuses((bus) => extra.has(bus));
+
+    // Keep driving when the loop was rebuilt (e.g. a road was placed)
+    for (const bus of buses.slice(0, count)) {
+      if (bus.route !== loop) {
+        bus.setRoute(loop, bus.distance);
+      }
+    }
+
+    for (let i = buses.length; i < count; i++) {
+      const bus = new Bus(route.depot, route.id, loop);
+      bus.setRoute(loop, bus.routeLength * i / count);
+      this.buses.push(bus);
+      city.vehicleGraph.trucks.add(bus);
+      bus.refreshView();
+    }
+  }
+
+  /**
+   * Get the loop driven by a route's buses: from each stop to the next and
+   * from the last stop back to the first
+   * @param {City} city
+   * @param {BusRoute} route
+   * @returns {VehicleGraphNode[] | null} Null if the route has fewer than two
+   * stops or some of them are not connected
+   */
+  #getLoop(city, route) {
+    const key = route.stops.map((stop) => `${stop.x},${stop.y}`).join('>');
+    const version = city.vehicleGraph.version;
+    const cached = this.#loops.get(route.id);
+    if (cached?.key === key && cached.version === version) {
+      return cached.nodes;
+    }
+
+    let nodes = route.stops.length >= 2 ? [] : null;
+    for (let i = 0; nodes && i < route.stops.length; i++) {
+      const leg = city.pathfinding.findRoute(route.stops[i], route.stops[(i + 1) % route.stops.length]);
+      if (!leg) {
+        nodes = null;
+      } else {
+        nodes.push(...leg.filter((node, j) => j > 0 || node !== nodes[nodes.length - 1]));
+      }
+    }
+
+    this.#loops.set(route.id, { key, version, nodes });
+    return nodes;
+  }
+
+  /**
+   * Average time a rider waits at a stop: half the time between two buses,
+   * which the route's buses spread evenly over their loop
+   * @param {City} city
+   * @param {BusRoute} route
+   * @returns {number} Waiting time in ticks
+   */
+  #getWaitingTime(city, route) {
+    const loopTime = city.traffic.getTravelTime(this.#getLoop(city, route)) ?? 0;
+    return route.buses > 0 ? loopTime / (2 * route.buses) : Infinity;
+  }
+
+  /**
+   * @param {BusRoute} route
+   * @param {{x: number, y: number}} tile
+   * @returns {number} Index of the route's stop closest to the tile, or -1
+   * if none is within walking distance
+   */
+  #getNearestStop(route, tile) {
+    let nearest = -1;
+    let nearestDistance = config.transit.walkDistance;
+    route.stops.forEach((stop, i) => {
+      const distance = this.#getWalkingDistance(stop, tile);
+      if (distance <= nearestDistance) {
+        nearest = i;
+        nearestDistance = distance;
+      }
+    });
+    return nearest;
+  }
+
+  /**
+   * @param {{x: number, y: number}} stop
+   * @param {{x: number, y: number}} tile
+   * @returns {number} Manhattan distance walked between a bus stop and a tile
+   */
+  #getWalkingDistance(stop, tile) {
+    return Math.abs(stop.x - tile.x) + Math.abs(stop.y - tile.y);
+  }
+
+  /**
+   * @param {City} city
+   * @param {BusRoute} route
+   * @returns {Building | null} The bus depot running the route
+   */
+  #getDepot(city, route) {
+    const building = city.getTile(route.depot.x, route.depot.y)?.building;
+    return building?.type === BuildingType.busDepot ? building : null;
+  }
+
+  /**
+   * Takes buses off the road
+   * @param {(bus: Bus) => boolean} filter Buses to remove
+   */
+  #removeBuses(filter) {
+    this.buses = this.buses.filter((bus) => {
+      if (filter(bus)) {
+        bus.dispose();
+        return false;
+      }
+      return true;
+    });
+  }
+}
@@ -0,0 +1,331 @@
+import config from '../../config.js';
+import { City } from '../city.js';
+import { SimService } from './simService.js';
+import { BuildingType } from '../buildings/buildingType.js';
+import { GarbageTruck } from '../vehicles/garbageTruck.js';
+
+/**
+ * Waste Collection Service - Garbage trucks bring building waste to
+ * recycling centers
+ *
+ * Each recycling center owns a number of garbage trucks and serves the
+ * buildings within its coverage radius. An idle truck is sent to the
+ * nearest building whose waste, or the products its household threw away
+ * or its take-back program brought back, has reached the pickup threshold,
+ * collects
+ * as much as fits, visits further buildings while it has room and then
+ * drives back to unload into the center's input storage. Buildings outside
+ * every center's coverage, or without road access, are not collected.
+ */
+export class WasteCollectionService extends SimService {
+  /**
+   * Garbage trucks on the road
+   * @type {GarbageTruck[]}
+   */
+  trucks = [];
+
+  /**
+   * @param {City} city
+   */
+  simulate(city) {
+    this.#advanceTrucks(city);
+
+    if (!city.simulation?.isUnlocked('local-waste')) {
+      return;
+    }
+
+    for (const center of this.#getRecyclingCenters(city)) {
+      this.#dispatchTrucks(city, center);
+    }
+  }
+
+  /**
+   * Get the trucks of a recycling center that are on the road
+   * @param {Building} center
+   * @returns {GarbageTruck[]}
+   */
+  getActiveTrucks(center) {
+    return this.trucks.filter((truck) => truck.origin.x === center.x && truck.origin.y === center.y);
+  }
+
+  /**
+   * Returns the trucks on the road as plain data for saving
+   * @returns {object}
+   */
+  serialize() {
+    return {
+      trucks: this.trucks.map((truck) => truck.serialize())
+    };
+  }
+
+  /**
+   * Restores trucks from the output of `serialize()`. Trucks drive the
+   * same route again, so the roads must already be in place.
+   * @param {object} data
+   * @param {City} city
+   */
+  deserialize(data, city) {
+    this.trucks.forEach((truck) => truck.dispose());
+    this.trucks = [];
+    for (const truckData of data.trucks ?? []) {
+      const route = (truckData.routeStart && truckData.routeEnd)
+        ? city.pathfinding.findRoute(truckData.routeStart, truckData.routeEnd)
+        : null;
+      if (!route) {
+        this.#unloadToWarehouse(city, truckData.manifest);
+        continue;
+      }
+      const truck = new GarbageTruck(truckData.origin, truckData.destination, route, truckData.capacity);
+      Object.entries(truckData.manifest ?? {}).forEach(([resource, amount]) => truck.load(resource, amount));
+      truck.setRoute(route, truckData.distance ?? 0);
+      this.#addTruck(city, truck);
+    }
+  }
+
+  /**
+   * Sends the idle trucks of a recycling center to the nearest buildings
+   * that need a pickup
+   * @param {City} city
+   * @param {Building} center
+   */
+  #dispatchTrucks(city, center) {
+    if (!center.roadAccess.value) {
+      return;
+    }
+
+    const active = this.getActiveTrucks(center);
+    let idle = center.garbageTrucks - active.length;
+
+    // Keep room in the input storage for every truck that may come back full
+    let space = center.storage.getSpace('input') - active.length * center.truckCapacity;
+
+    while (idle > 0 && space >= center.truckCapacity) {
+      const stop = this.#findNearestPickup(city, center, center.roadAccess.road);
+      if (!stop) {
+        return;
+      }
+      this.#addTruck(city, new GarbageTruck(center, stop.building, stop.route, center.truckCapacity));
+      idle--;
+      space -= center.truckCapacity;
+    }
+  }
+
+  /**
+   * Finds the nearest building in a center's coverage that needs a pickup
+   * and is not already being visited by a truck
+   * @param {City} city
+   * @param {Building} center
+   * @param {{x: number, y: number}} from Road tile to measure the distance from
+   * @returns {{ building: Building, route: VehicleGraphNode[] } | null}
+   */
+  #findNearestPickup(city, center, from) {
+    const visited = new Set(this.trucks.map((truck) => `${truck.destination.x},${truck.destination.y}`));
+
+    let nearest = null;
+    let nearestDistance = Infinity;
+    for (const building of this.#getPickups(city, center)) {
+      if (visited.has(`${building.x},${building.y}`)) continue;
+      const distance = city.pathfinding.getDistance(from, building.roadAccess.road);
+      if (distance !== null && distance < nearestDistance) {
+        nearest = building;
+        nearestDistance = distance;
+      }
+    }
+
+    if (!nearest) {
+      return null;
+    }
+    return { building: nearest, route: city.pathfinding.findRoute(from, nearest.roadAccess.road) };
+  }
+
+  /**
+   * @param {City} city
+   * @param {Building} center
+   * @returns {Building[]} Buildings in the center's coverage with enough
+   * recyclable waste or discarded products for a pickup
+   */
+  #getPickups(city, center) {
+    const pickups = [];
+    const radius = center.coverageRadius;
+    for (let x = center.x - radius; x <= center.x + radius; x++) {
+      for (let y = center.y - radius; y <= center.y + radius; y++) {
+        if (!center.isInCoverage(x, y)) continue;
+        const building = city.getTile(x, y)?.building;
+        const waste = building?.waste;
+        const hasWaste = waste &&
+          center.wasteRecipes[waste.wasteType] &&
+          waste.amount >= config.wasteCollection.pickupThreshold;
+        const hasDiscarded = Object.entries(this.#getProductWaste(building)).some(([wasteType, amount]) =>
+          center.wasteRecipes[wasteType] && amount >= config.consumption.pickupThreshold);
+        if ((hasWaste || hasDiscarded) && building.roadAccess.value) {
+          pickups.push(building);
+        }
+      }
+    }
+    return pickups;
+  }
+
+  /**
+   * Drives the trucks along. A truck that reaches a building collects its
+   * waste and moves on to the next pickup or heads home; a truck that
+   * reaches home unloads. A truck whose road was removed finds a new route
+   * from where it is; if it cannot get home, or its center no longer
+   * exists, its load goes to the warehouse.
+   * @param {City} city
+   */
+  #advanceTrucks(city) {
+    this.trucks = this.trucks.filter((truck) => {
+      if (truck.isRouteBroken) {
+        const route = city.pathfinding.findRoute(truck.currentTile, truck.routeEnd);
+        if (route) {
+          truck.setRoute(route);
+        } else if (truck.isReturning || !this.#returnHome(city, truck, truck.currentTile)) {
+          return this.#removeTruck(city, truck, null);
+        }
+      }
+
+      truck.step(city.traffic.getSpeedFactor(truck.currentTile));
+      if (!truck.hasArrived) {
+        return true;
+      }
+
+      const center = this.#getCenter(city, truck);
+      if (truck.isReturning) {
+        return this.#removeTruck(city, truck, center);
+      }
+
+      this.#collect(city, truck);
+
+      const next = (center && truck.freeCapacity >= 1)
+        ? this.#findNearestPickup(city, center, truck.routeEnd)
+        : null;
+      if (next) {
+        truck.driveTo(next.building, next.route);
+        return true;
+      }
+      return this.#returnHome(city, truck, truck.routeEnd) || this.#removeTruck(city, truck, null);
+    });
+  }
+
+  /**
+   * Picks up waste, and the products thrown away or brought back there, at
+   * the building the truck has reached
+   * @param {City} city
+   * @param {GarbageTruck} truck
+   */
+  #collect(city, truck) {
+    const building = city.getTile(truck.destination.x, truck.destination.y)?.building;
+    const center = this.#getCenter(city, truck);
+    const waste = building?.waste;
+    if (waste?.wasteType && center?.wasteRecipes[waste.wasteType]) {
+      const collected = waste.remove(truck.freeCapacity);
+      if (collected > 0) {
+        truck.load(waste.wasteType, collected);
+        building.refreshView();
+
+        // Collected waste no longer leaks into the city
+        city.simulation?.globalPollution?.removeWaste(waste.wasteType, collected * 0.1);
+      }
+    }
+
+    for (const wasteType of Object.keys(this.#getProductWaste(building))) {
+      if (!center?.wasteRecipes[wasteType] || truck.freeCapacity <= 0) continue;
+      const collected = building.consumption
+        ? building.consumption.removeDiscarded(wasteType, truck.freeCapacity)
+        : building.takeBack.removeReturned(wasteType, truck.freeCapacity);
+      if (collected > 0) {
+        truck.load(wasteType, collected);
+      }
+    }
+  }
+
+  /**
+   * @param {Building | null | undefined} building
+   * @returns {Object<string, number>} Products thrown away by the building's
+   * household or brought back to its take-back program, by waste type
+   */
+  #getProductWaste(building) {
+    return building?.consumption?.discarded ?? building?.takeBack?.returned ?? {};
+  }
+
+  /**
+   * Sends a truck back to its recycling center
+   * @param {City} city
+   * @param {GarbageTruck} truck
+   * @param {{x: number, y: number} | null} from
+   * @returns {boolean} True if there is a route home
+   */
+  #returnHome(city, truck, from) {
+    const center = this.#getCenter(city, truck);
+    const route = center ? city.pathfinding.findRoute(from, center.roadAccess.road) : null;
+    if (!route) {
+      return false;
+    }
+    truck.driveTo(center, route);
+    return true;
+  }
+
+  /**
+   * Takes a truck off the road, unloading it into its center or, if there
+   * is none, the warehouse
+   * @param {City} city
+   * @param {GarbageTruck} truck
+   * @param {Building | null} center
+   * @returns {false}
+   */
+  #removeTruck(city, truck, center) {
+    if (center) {
+      Object.entries(truck.manifest).forEach(([resource, amount]) => center.storage.add('input', resource, amount));
+    } else {
+      this.#unloadToWarehouse(city, truck.manifest);
+    }
+    truck.dispose();
+    return false;
+  }
+
+  /**
+   * @param {City} city
+   * @param {GarbageTruck} truck
+   * @returns {Building | null} The recycling center the truck belongs to
+   */
+  #getCenter(city, truck) {
+    const building = city.getTile(truck.origin.x, truck.origin.y)?.building;
+    return building?.type === BuildingType.recyclingCenter ? building : null;
+  }
+
+  /**
+   * @param {City} city
+   * @param {GarbageTruck} truck
+   */
+  #addTruck(city, truck) {
+    this.trucks.push(truck);
+    city.vehicleGraph.trucks.add(truck);
+    truck.refreshView();
+  }
+
+  /**
+   * @param {City} city
+   * @param {Object<string, number>} manifest
+   */
+  #unloadToWarehouse(city, manifest) {
+    const resourceManager = city.simulation?.resourceManager;
+    Object.entries(manifest ?? {}).forEach(([resource, amount]) => resourceManager?.addResource(resource, amount));
+  }
+
+  /**
+   * @param {City} city
+   * @returns {Building[]}
+   */
+  #getRecyclingCenters(city) {
+    const centers = [];
+    for (let x = 0; x < city.size; x++) {
+      for (let y = 0; y < city.size; y++) {
+        const building = city.getTile(x, y)?.building;
+        if (building?.type === BuildingType.recyclingCenter) {
+          centers.push(building);
+        }
+      }
+    }
+    return centers;
+  }
+}
@@ -1,5 +1,5 @@
 import * as THREE from 'three';
-import { SimModule } from './buildings/modules/simModule';
+import { SimModule } from './buildings/modules/simModule.js';
 
 const SELECTED_COLOR = 0xaaaa55;
 const HIGHLIGHTED_COLOR = 0x555555;
@@ -36,6 +36,19 @@ export class SimObject extends THREE.Object3D {
     return Math.floor(this.#worldPos.z);
   }
 
+  /**
+   * The simulation this object belongs to, found by walking up the
+   * scene graph to the city. `null` until the object is part of a city.
+   * @type {Simulation | null}
+   */
+  get simulation() {
+    let obj = this.parent;
+    while (obj && !obj.simulation) {
+      obj = obj.parent;
+    }
+    return obj?.simulation ?? null;
+  }
+
   /**
    * @type {THREE.Mesh?}
    */
@@ -98,7 +111,8 @@ export class SimObject extends THREE.Object3D {
    * Handles any clean up needed before an object is removed
    */
   dispose() {
-    this.#mesh.traverse((obj) => {
+    // There is no mesh when running headless
+    this.#mesh?.traverse((obj) => {
       if (obj.material) {
         obj.material?.dispose();
       }
@@ -0,0 +1,198 @@
+import { City } from './city.js';
+import { GameState } from '../gameState.js';
+import { ResourceManager } from '../resources.js';
+import { CityPolicies } from '../cityPolicies.js';
+import { LevelUnlocks } from '../levelUnlocks.js';
+import { Market } from '../market.js';
+import { GlobalPollution } from '../globalPollution.js';
+import { Random } from './random.js';
+
+/**
+ * Simulation context - owns the services the city simulation depends on
+ * (game state, resources, policies, market, pollution) and steps the city.
+ *
+ * The browser game wraps the global instances in a Simulation, while
+ * `Simulation.headless()` creates a self-contained one that can be stepped
+ * in Node without rendering or a DOM. Presentation hooks (`ui`,
+ * `visualEffects`, `assetManager`, `tutorialState`) are optional and are
+ * left null when running headless.
+ */
+export class Simulation {
+  /**
+   * The city being simulated
+   * @type {City | null}
+   */
+  city = null;
+
+  /**
+   * Current simulation tick counter
+   * @type {number}
+   */
+  currentTick = 0;
+
+  /**
+   * Generator for every random draw made by the simulation
+   * @type {Random}
+   */
+  random;
+
+  /**
+   * @param {object} services
+   * @param {GameState} services.gameState
+   * @param {ResourceManager} services.resourceManager
+   * @param {CityPolicies} [services.cityPolicies]
+   * @param {typeof LevelUnlocks} [services.levelUnlocks]
+   * @param {Market} [services.market]
+   * @param {GlobalPollution} [services.globalPollution]
+   * @param {MissionSystem} [services.missionSystem]
+   * @param {object} [services.tutorialState]
+   * @param {object} [services.ui]
+   * @param {object} [services.visualEffects]
+   * @param {object} [services.assetManager]
+   * @param {number} [services.seed] Seed for the random generator. A new one is generated if omitted
+   */
+  constructor({
+    gameState,
+    resourceManager,
+    cityPolicies = null,
+    levelUnlocks = null,
+    market = null,
+    globalPollution = null,
+    missionSystem = null,
+    tutorialState = null,
+    ui = null,
+    visualEffects = null,
+    assetManager = null,
+    seed = Random.generateSeed()
+  } = {}) {
+    this.random = new Random(seed);
+    this.gameState = gameState;
+    this.resourceManager = resourceManager;
+    this.cityPolicies = cityPolicies;
+    this.levelUnlocks = levelUnlocks;
+    this.market = market;
+    this.globalPollution = globalPollution;
+    this.missionSystem = missionSystem;
+    this.tutorialState = tutorialState;
+    this.ui = ui;
+    this.visualEffects = visualEffects;
+    this.assetManager = assetManager;
+
+    // Give the services a way back to the rest of the simulation
+    for (const service of [gameState, resourceManager, market, globalPollution, missionSystem]) {
+      if (service) {
+        service.simulation = this;
+      }
+    }
+  }
+
+  /**
+   * Creates a self-contained simulation with fresh services and an empty city.
+   * Nothing is rendered and no browser globals are touched.
+   * @param {number} size The size of the city in tiles
+   * @param {string} name The name of the city
+   * @param {number} [seed] Seed for the random generator
+   * @returns {Simulation}
+   */
+  static headless(size = 16, name = 'My City', seed = Random.generateSeed()) {
+    const simulation = new Simulation({
+      gameState: new GameState(),
+      resourceManager: new ResourceManager(),
+      cityPolicies: new CityPolicies(),
+      levelUnlocks: LevelUnlocks,
+      market: new Market(),
+      globalPollution: new GlobalPollution(),
+      seed
+    });
+    simulation.market.initialize(simulation.gameState.level);
+    simulation.createCity(size, name);
+    return simulation;
+  }
+
+  /**
+   * Creates the city simulated by this context
+   * @param {number} size The size of the city in tiles
+   * @param {string} name The name of the city
+   * @returns {City}
+   */
+  createCity(size, name) {
+    this.city = new City(size, name, this);
+    return this.city;
+  }
+
+  /**
+   * Returns true if the feature is unlocked at the current player level
+   * @param {string} feature
+   * @returns {boolean}
+   */
+  isUnlocked(feature) {
+    if (!this.levelUnlocks || !this.gameState) {
+      return false;
+    }
+    return this.levelUnlocks.isUnlocked(feature, this.gameState.level);
+  }
+
+  /**
+   * Moves the simulation forward by one tick
+   */
+  step() {
+    this.currentTick++;
+
+    // Update market prices
+    if (this.market) {
+      this.market.updatePrices(this.currentTick);
+    }
+
+    // Update global pollution
+    if (this.globalPollution) {
+      this.globalPollution.decay();
+      this.globalPollution.applyPenalties(this.currentTick);
+    }
+
+    // Apply production mode effects to Circular Score (Level 6+)
+    if (this.cityPolicies && this.gameState && this.isUnlocked('hq-policy-panel')) {
+      const modeEffects = this.cityPolicies.getProductionModeEffects();
+      if (modeEffects.circularScore !== 0) {
+        // Apply Circular Score change (positive or negative)
+        const change = modeEffects.circularScore * 10; // Scale to meaningful values
+        this.gameState.updateCircularScore(change);
+      }
+    }
+
+    // Check tutorial step completion
+    if (this.tutorialState && this.tutorialState.isActive) {
+      this.tutorialState.checkStepCompletion();
+    }
+
+    // Update the city data model
+    this.city.simulate(1, this.currentTick);
+
+    // Auto-sell products and auto-buy materials (if unlocked)
+    if (this.market && this.resourceManager && this.gameState) {
+      // Auto-sell products (always enabled from Level 1)
+      if (this.market.autoSellEnabled) {
+        this.market.autoSellProducts(this.resourceManager, this.gameState);
+      }
+
+      // Auto-buy materials (Level 2+)
+      if (this.gameState.level >= 2 && this.isUnlocked('auto-buy')) {
+        this.market.autoBuyMaterials(this.resourceManager, this.gameState);
+      }
+    }
+
+    // Calculate circular score every tick (comprehensive calculation)
+    if (this.gameState && this.gameState.level >= 3) {
+      this.gameState.calculateCircularScore();
+    }
+  }
+
+  /**
+   * Moves the simulation forward by several ticks
+   * @param {number} ticks
+   */
+  run(ticks) {
+    for (let i = 0; i < ticks; i++) {
+      this.step();
+    }
+  }
+}
@@ -46,13 +46,18 @@ export class Tile extends SimObject {
 
   refreshView(city) {
     this.building?.refreshView(city);
+    const assetManager = this.simulation?.assetManager;
+    if (!assetManager) {
+      return; // Nothing to render when running headless
+    }
+
     if (this.building?.hideTerrain) {
       this.setMesh(null);
     } else {
       /**
        * @type {THREE.Mesh}
        */
-      const mesh = window.assetManager.getModel(this.terrain, this);
+      const mesh = assetManager.getModel(this.terrain, this);
       mesh.name = this.terrain;
       this.setMesh(mesh);
     }
@@ -0,0 +1,52 @@
+import { VehicleGraphNode } from './vehicleGraphNode.js';
+import { CargoTruck } from './cargoTruck.js';
+
+/**
+ * A bus driving a transit route.
+ *
+ * The bus drives the route's stops as one loop, built by the transit
+ * service, and starts over from the first stop when it reaches the end.
+ * It carries no goods; `origin` and `destination` are both its depot.
+ */
+export class Bus extends CargoTruck {
+  /**
+   * Id of the route the bus drives
+   * @type {number}
+   */
+  routeId;
+
+  /**
+   * @param {{x: number, y: number}} depot Bus depot the bus belongs to
+   * @param {number} routeId
+   * @param {VehicleGraphNode[]} loop Route through every stop and back to the first
+   * @param {number} distance Distance along the loop to start at
+   */
+  constructor(depot, routeId, loop, distance = 0) {
+    super(depot, depot, loop);
+    this.name = 'Bus';
+    this.routeId = routeId;
+    this.setRoute(loop, distance);
+  }
+
+  /**
+   * Creates the bus mesh
+   */
+  refreshView() {
+    const assetManager = this.simulation?.assetManager;
+    if (assetManager && !this.mesh) {
+      this.setMesh(assetManager.getModel('bus', this));
+    }
+  }
+
+  toHTML() {
+    return `
+      <div class="info-heading">🚌 Otobüs</div>
+      <span class="info-label">Hat </span>
+      <span class="info-value">${this.routeId}</span>
+      <br>
+      <span class="info-label">Garaj </span>
+      <span class="info-value">(${this.origin.x}, ${this.origin.y})</span>
+      <br>
+    `;
+  }
+}
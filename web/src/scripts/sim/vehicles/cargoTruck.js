@@ -0,0 +1,261 @@
+import * as THREE from 'three';
+import { VehicleGraphNode } from './vehicleGraphNode.js';
+import config from '../../config.js';
+import { SimObject } from '../simObject.js';
+
+const FORWARD = new THREE.Vector3(1, 0, 0);
+
+/**
+ * A truck carrying goods from one building to another along the roads.
+ *
+ * Trucks move with the simulation: `step()` advances them along their
+ * route once per tick, and the logistics service unloads the manifest when
+ * they arrive. `draw()` only animates the mesh between tick positions.
+ */
+export class CargoTruck extends SimObject {
+  /**
+   * Building the goods were picked up from
+   * @type {{x: number, y: number}}
+   */
+  origin;
+
+  /**
+   * Building the goods are delivered to
+   * @type {{x: number, y: number}}
+   */
+  destination;
+
+  /**
+   * Goods on board
+   * @type {Object<string, number>}
+   */
+  manifest = {};
+
+  /**
+   * Nodes the truck drives through
+   * @type {VehicleGraphNode[]}
+   */
+  route = [];
+
+  /**
+   * Distance driven along the route
+   * @type {number}
+   */
+  distance = 0;
+
+  /**
+   * World positions of the route nodes
+   * @type {THREE.Vector3[]}
+   */
+  #points = [];
+
+  /**
+   * Distance along the route at each node
+   * @type {number[]}
+   */
+  #pointDistances = [];
+
+  /**
+   * Distance along the route before the last step (for animation)
+   * @type {number}
+   */
+  #previousDistance = 0;
+
+  /**
+   * Time of the last step (for animation)
+   * @type {number}
+   */
+  #stepTime = Date.now();
+
+  /**
+   * @param {{x: number, y: number}} origin Sending building (or its coordinates)
+   * @param {{x: number, y: number}} destination Receiving building (or its coordinates)
+   * @param {VehicleGraphNode[]} route
+   */
+  constructor(origin, destination, route) {
+    super();
+    this.name = 'Cargo Truck';
+    this.origin = { x: origin.x, y: origin.y };
+    this.destination = { x: destination.x, y: destination.y };
+    this.setRoute(route);
+  }
+
+  /**
+   * Total length of the route
+   * @type {number}
+   */
+  get routeLength() {
+    return this.#pointDistances[this.#pointDistances.length - 1] ?? 0;
+  }
+
+  /**
+   * True once the truck has reached the end of its route
+   * @type {boolean}
+   */
+  get hasArrived() {
+    return this.distance >= this.routeLength;
+  }
+
+  /**
+   * True if a road along the rest of the route has been removed
+   * @type {boolean}
+   */
+  get isRouteBroken() {
+    return this.route.slice(this.#getSegmentIndex(this.distance)).some((node) => !node.parent);
+  }
+
+  /**
+   * The road tile of the node the truck passed most recently. Still known
+   * after the road has been removed.
+   * @type {{x: number, y: number} | null}
+   */
+  get currentTile() {
+    return this.#toTile(this.#points[this.#getSegmentIndex(this.distance)]);
+  }
+
+  /**
+   * The road tile the route ends on
+   * @type {{x: number, y: number} | null}
+   */
+  get routeEnd() {
+    return this.#toTile(this.#points[this.#points.length - 1]);
+  }
+
+  /**
+   * Replaces the route
+   * @param {VehicleGraphNode[]} route
+   * @param {number} distance Distance already driven along the route
+   */
+  setRoute(route, distance = 0) {
+    this.route = route;
+    this.#points = route.map((node) => node.getWorldPosition(new THREE.Vector3()));
+    this.#pointDistances = [];
+
+    let total = 0;
+    this.#points.forEach((point, i) => {
+      if (i > 0) {
+        total += point.distanceTo(this.#points[i - 1]);
+      }
+      this.#pointDistances.push(total);
+    });
+
+    this.distance = Math.min(distance, total);
+    this.#previousDistance = this.distance;
+    this.#placeAt(this.distance);
+  }
+
+  /**
+   * Add goods to the manifest
+   * @param {string} resource
+   * @param {number} amount
+   */
+  load(resource, amount) {
+    this.manifest[resource] = (this.manifest[resource] || 0) + amount;
+  }
+
+  /**
+   * Drives the truck along its route for one simulation tick
+   * @param {number} speedFactor Share of the free-flow speed allowed by traffic
+   */
+  step(speedFactor = 1) {
+    this.#previousDistance = this.distance;
+    this.#stepTime = Date.now();
+    this.distance = Math.min(this.routeLength, this.distance + config.logistics.speed * speedFactor);
+  }
+
+  /**
+   * Animates the truck towards its current position each render frame
+   */
+  draw() {
+    const t = Math.min(1, (Date.now() - this.#stepTime) / config.simulation.tickDuration);
+    this.#placeAt(THREE.MathUtils.lerp(this.#previousDistance, this.distance, t));
+  }
+
+  /**
+   * Creates the truck mesh
+   */
+  refreshView() {
+    const assetManager = this.simulation?.assetManager;
+    if (assetManager && !this.mesh) {
+      this.setMesh(assetManager.getModel('truck', this));
+    }
+  }
+
+  /**
+   * @param {THREE.Vector3 | undefined} point
+   * @returns {{x: number, y: number} | null} The tile the point lies on
+   */
+  #toTile(point) {
+    return point ? { x: Math.round(point.x), y: Math.round(point.z) } : null;
+  }
+
+  /**
+   * @param {number} distance Distance along the route
+   * @returns {number} Index of the node at the start of the route segment
+   */
+  #getSegmentIndex(distance) {
+    let index = 0;
+    while (index < this.#pointDistances.length - 2 && this.#pointDistances[index + 1] <= distance) {
+      index++;
+    }
+    return index;
+  }
+
+  /**
+   * Moves the truck to a point along the route
+   * @param {number} distance
+   */
+  #placeAt(distance) {
+    if (this.#points.length === 0) return;
+    if (this.#points.length === 1) {
+      this.position.copy(this.#points[0]);
+      return;
+    }
+
+    const i = this.#getSegmentIndex(distance);
+    const start = this.#points[i];
+    const end = this.#points[i + 1];
+    const length = this.#pointDistances[i + 1] - this.#pointDistances[i];
+    const t = length > 0 ? (distance - this.#pointDistances[i]) / length : 1;
+
+    this.position.lerpVectors(start, end, Math.max(0, Math.min(t, 1)));
+    if (length > 0) {
+      const direction = new THREE.Vector3().subVectors(end, start).normalize();
+      this.quaternion.setFromUnitVectors(FORWARD, direction);
+    }
+  }
+
+  /**
+   * @returns {object}
+   */
+  serialize() {
+    return {
+      origin: { ...this.origin },
+      destination: { ...this.destination },
+      manifest: { ...this.manifest },
+      distance: this.distance,
+      routeStart: this.#toTile(this.#points[0]),
+      routeEnd: this.routeEnd
+    };
+  }
+
+  dispose() {
+    super.dispose();
+    this.removeFromParent();
+  }
+
+  toHTML() {
+    const goods = Object.entries(this.manifest)
+      .map(([resource, amount]) => `${resource}: ${amount.toFixed(1)}`)
+      .join(', ');
+    return `
+      <div class="info-heading">🚚 Kargo Kamyonu</div>
+      <span class="info-label">Yük </span>
+      <span class="info-value">${goods || '-'}</span>
+      <br>
+      <span class="info-label">Rota </span>
+      <span class="info-value">(${this.origin.x}, ${this.origin.y}) → (${this.destination.x}, ${this.destination.y})</span>
+      <br>
+    `;
+  }
+}
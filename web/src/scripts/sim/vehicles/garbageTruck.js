@@ -0,0 +1,92 @@
+import { VehicleGraphNode } from './vehicleGraphNode.js';
+import { CargoTruck } from './cargoTruck.js';
+
+/**
+ * A truck collecting waste from buildings for a recycling center.
+ *
+ * The truck leaves its recycling center (`origin`), drives to a building
+ * whose waste is filling up, picks up as much as fits and either moves on
+ * to the next building or returns home, where its load is unloaded into
+ * the center's input storage. `destination` is the stop it is driving to.
+ */
+export class GarbageTruck extends CargoTruck {
+  /**
+   * Maximum amount of waste the truck carries
+   * @type {number}
+   */
+  capacity;
+
+  /**
+   * @param {{x: number, y: number}} home Recycling center the truck belongs to
+   * @param {{x: number, y: number}} destination Stop the truck is driving to
+   * @param {VehicleGraphNode[]} route
+   * @param {number} capacity
+   */
+  constructor(home, destination, route, capacity) {
+    super(home, destination, route);
+    this.name = 'Garbage Truck';
+    this.capacity = capacity;
+  }
+
+  /**
+   * Total amount of waste on board
+   * @type {number}
+   */
+  get totalLoad() {
+    return Object.values(this.manifest).reduce((sum, amount) => sum + amount, 0);
+  }
+
+  /**
+   * Free space for more waste
+   * @type {number}
+   */
+  get freeCapacity() {
+    return Math.max(0, this.capacity - this.totalLoad);
+  }
+
+  /**
+   * True if the truck is driving back to its recycling center
+   * @type {boolean}
+   */
+  get isReturning() {
+    return this.destination.x === this.origin.x && this.destination.y === this.origin.y;
+  }
+
+  /**
+   * Sends the truck to another stop
+   * @param {{x: number, y: number}} destination
+   * @param {VehicleGraphNode[]} route
+   */
+  driveTo(destination, route) {
+    this.destination = { x: destination.x, y: destination.y };
+    this.setRoute(route);
+  }
+
+  /**
+   * @returns {object}
+   */
+  serialize() {
+    return {
+      ...super.serialize(),
+      capacity: this.capacity
+    };
+  }
+
+  toHTML() {
+    const goods = Object.entries(this.manifest)
+      .map(([resource, amount]) => `${resource}: ${amount.toFixed(1)}`)
+      .join(', ');
+    return `
+      <div class="info-heading">🚛 Çöp Kamyonu</div>
+      <span class="info-label">Yük </span>
+      <span class="info-value">${this.totalLoad.toFixed(1)}/${this.capacity} ${goods ? `(${goods})` : ''}</span>
+      <br>
+      <span class="info-label">Merkez </span>
+      <span class="info-value">(${this.origin.x}, ${this.origin.y})</span>
+      <br>
+      <span class="info-label">Durum </span>
+      <span class="info-value">${this.isReturning ? 'Merkeze dönüyor' : `Toplamaya gidiyor (${this.destination.x}, ${this.destination.y})`}</span>
+      <br>
+    `;
+  }
+}
@@ -0,0 +1,53 @@
+import * as THREE from 'three';
+import { City } from '../city.js';
+
+const TILE_GEOMETRY = new THREE.PlaneGeometry(0.9, 0.9);
+
+const FREE_MATERIAL = new THREE.MeshBasicMaterial({ color: 0x4caf50, transparent: true, opacity: 0.5, depthWrite: false });
+const BUSY_MATERIAL = new THREE.MeshBasicMaterial({ color: 0xffc107, transparent: true, opacity: 0.5, depthWrite: false });
+const CONGESTED_MATERIAL = new THREE.MeshBasicMaterial({ color: 0xff9800, transparent: true, opacity: 0.6, depthWrite: false });
+const JAMMED_MATERIAL = new THREE.MeshBasicMaterial({ color: 0xf44336, transparent: true, opacity: 0.7, depthWrite: false });
+
+/**
+ * Colors each road tile by how congested it is
+ */
+export class TrafficOverlay extends THREE.Group {
+  constructor() {
+    super();
+    this.visible = false;
+  }
+
+  /**
+   * @param {City} city
+   */
+  refreshView(city) {
+    this.clear();
+
+    for (let x = 0; x < city.size; x++) {
+      for (let y = 0; y < city.size; y++) {
+        if (city.getTile(x, y)?.building?.type !== 'road') continue;
+
+        const congestion = city.traffic.getCongestion(x, y);
+        const mesh = new THREE.Mesh(TILE_GEOMETRY, this.#getMaterial(congestion));
+        mesh.rotation.x = -Math.PI / 2;
+        mesh.position.set(x, 0.03, y);
+        this.add(mesh);
+      }
+    }
+  }
+
+  /**
+   * @param {number} congestion Load divided by capacity
+   * @returns {THREE.Material}
+   */
+  #getMaterial(congestion) {
+    if (congestion >= 1) {
+      return JAMMED_MATERIAL;
+    } else if (congestion >= 0.75) {
+      return CONGESTED_MATERIAL;
+    } else if (congestion >= 0.4) {
+      return BUSY_MATERIAL;
+    }
+    return FREE_MATERIAL;
+  }
+}
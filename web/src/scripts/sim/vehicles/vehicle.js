@@ -7,9 +7,19 @@ import models from '../../assets/models.js';
 const FORWARD = new THREE.Vector3(1, 0, 0);
 
 export class Vehicle extends SimObject {
-  constructor(origin, destination) {
+  /**
+   * @param {VehicleGraphNode} origin
+   * @param {VehicleGraphNode} destination
+   * @param {Random} random Generator used for the vehicle's random choices
+   */
+  constructor(origin, destination, random) {
     super();
 
+    /**
+     * @type {Random}
+     */
+    this.random = random;
+
     this.createdTime = Date.now();
     this.cycleStartTime = this.createdTime;
 
@@ -28,24 +38,26 @@ export class Vehicle extends SimObject {
     this.originToDestination = new THREE.Vector3();
     this.orientation = new THREE.Vector3();
 
+    /**
+     * Time to drive from origin to destination in milliseconds
+     * @type {number}
+     */
+    this.cycleDuration = 0;
+
     this.updateWorldPositions();
 
     const types = Object.entries(models)
     .filter(x => x[1].type === 'vehicle')
     .map(x => x[0]);
 
-    const i = Math.floor(types.length * Math.random());
-
-    this.setMesh(window.assetManager.getModel(types[i], this, true));
+    this.setMesh(window.assetManager.getModel(random.pick(types), this, true));
   }
 
   /**
    * @returns {number} Returns cycle time between 0 and 1
    */
   get cycleTime() {
-    const distance = this.originToDestination.length();
-    const cycleDuration = distance / config.vehicle.speed;
-    const value = (Date.now() - this.cycleStartTime) / cycleDuration;
+    const value = (Date.now() - this.cycleStartTime) / this.cycleDuration;
 
     return Math.max(0, Math.min(value, 1));
   }
@@ -109,7 +121,7 @@ export class Vehicle extends SimObject {
 
   pickNewDestination() {
     this.origin = this.destination;
-    this.destination = this.origin?.getRandomNextNode();
+    this.destination = this.origin?.getRandomNextNode(this.random);
     this.updateWorldPositions();
     this.cycleStartTime = Date.now();
   }
@@ -128,6 +140,10 @@ export class Vehicle extends SimObject {
     this.originToDestination.copy(this.destinationWorldPosition);
     this.originToDestination.sub(this.originWorldPosition);
 
+    // Congested roads slow the car down
+    const speed = config.vehicle.speed * (this.destination.parent?.speedFactor ?? 1);
+    this.cycleDuration = this.originToDestination.length() / speed;
+
     this.orientation.copy(this.originToDestination);
     this.orientation.normalize();
 
@@ -4,20 +4,46 @@ import { VehicleGraphHelper } from './vehicleGraphHelper.js';
 import config from '../../config.js';
 import { Vehicle } from './vehicle.js';
 import { Road } from '../buildings/transportation/road.js';
+import { Random } from '../random.js';
 
 export class VehicleGraph extends THREE.Group {
-  constructor(size) {
+  /**
+   * @param {number} size
+   * @param {Random} random Generator for vehicle spawning. This should be
+   * separate from the simulation's generator since vehicles are updated
+   * every render frame.
+   */
+  constructor(size, random = new Random()) {
     super();
 
     this.size = size;
 
+    /**
+     * @type {Random}
+     */
+    this.random = random;
+
     /**
      * @type {VehicleGraphTile[][]}
      */
     this.tiles = [];
 
+    /**
+     * Incremented whenever a tile changes, so cached routes can tell when
+     * they are out of date
+     * @type {number}
+     */
+    this.version = 0;
+
     this.vehicles = new THREE.Group();
     this.add(this.vehicles);
+
+    /**
+     * Cargo trucks carrying goods between buildings
+     * @type {THREE.Group}
+     */
+    this.trucks = new THREE.Group();
+    this.add(this.trucks);
   
     /**
      * @type {VehicleGraphHelper}
@@ -36,13 +62,28 @@ export class VehicleGraph extends THREE.Group {
 
     this.helper.refreshView(this);
 
-    setInterval(this.spawnVehicle.bind(this), config.vehicle.spawnInterval);
+    /**
+     * Time the last vehicle was spawned. Vehicles are spawned from the
+     * render loop so the graph itself doesn't keep any timers running.
+     * @type {number}
+     */
+    this.lastSpawnTime = Date.now();
   }
 
   updateVehicles() {
+    const now = Date.now();
+    if (now - this.lastSpawnTime >= config.vehicle.spawnInterval) {
+      this.lastSpawnTime = now;
+      this.spawnVehicle();
+    }
+
     for (const vehicle of this.vehicles.children) {
       vehicle.simulate();
     }
+
+    for (const truck of this.trucks.children) {
+      truck.draw();
+    }
   }
 
   /**
@@ -92,6 +133,8 @@ export class VehicleGraph extends THREE.Group {
       this.tiles[x][y] = null;
     }
 
+    this.version++;
+
     // Update the vehicle graph visualization
     this.helper.refreshView(this);
   }
@@ -113,11 +156,11 @@ export class VehicleGraph extends THREE.Group {
     const startingTile = this.getStartingTile();
 
     if (startingTile != null) {
-      const origin = startingTile.getRandomNode();
-      const destination = origin?.getRandomNextNode();
+      const origin = startingTile.getRandomNode(this.random);
+      const destination = origin?.getRandomNextNode(this.random);
 
       if (origin && destination) {
-        const vehicle = new Vehicle(origin, destination);
+        const vehicle = new Vehicle(origin, destination, this.random);
         this.vehicles.add(vehicle);
       }
     }
@@ -139,8 +182,7 @@ export class VehicleGraph extends THREE.Group {
     if (tiles.length === 0) {
       return null;
     } else {
-      const i = Math.floor(tiles.length * Math.random());
-      return tiles[i];
+      return this.random.pick(tiles);
     }
   }
 }
\ No newline at end of file
@@ -25,14 +25,14 @@ export class VehicleGraphNode extends THREE.Object3D {
   }
 
   /**
+   * @param {Random} random
    * @returns {VehicleGraphNode | null}
    */
-  getRandomNextNode() {
+  getRandomNextNode(random) {
     if (this.next.length === 0) {
       return null;
     } else {
-      const i = Math.floor(this.next.length * Math.random());
-      return this.next[i];
+      return random.pick(this.next);
     }
   }
 }
\ No newline at end of file
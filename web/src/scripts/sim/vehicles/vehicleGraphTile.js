@@ -14,6 +14,13 @@ export class VehicleGraphTile extends THREE.Group {
 
     this.roadRotation = Math.round(rotation * RAD2DEG);
 
+    /**
+     * Share of the free-flow speed cars drive at on this tile, lowered by
+     * traffic congestion
+     * @type {number}
+     */
+    this.speedFactor = 1;
+
     /**
      * @type {{ in: VehicleGraphNode, out: VehicleGraphNode }}
      */
@@ -72,9 +79,10 @@ export class VehicleGraphTile extends THREE.Group {
 
   /**
    * Get a random starting node for a vehicle
+   * @param {Random} random
    * @returns {VehicleGraphNode}
    */
-  getRandomNode() {
+  getRandomNode(random) {
     const nodes = [];
 
     if (this.left.in) nodes.push(this.left.in);
@@ -83,8 +91,7 @@ export class VehicleGraphTile extends THREE.Group {
     if (this.bottom.in) nodes.push(this.bottom.in);
 
     if (nodes.length > 0) {
-      const i = Math.floor(nodes.length * Math.random());
-      return nodes[i];
+      return random.pick(nodes);
     } else {
       return null;
     }
@@ -13,6 +13,12 @@ export class GameUI {
    * @type {HTMLElement | null }
    */
   selectedControl = document.getElementById('button-select');
+  /**
+   * Bus route that clicked bus stops are added to while the 'bus-route'
+   * tool is active
+   * @type {number | null}
+   */
+  editingRouteId = null;
   /**
    * True if the game is currently paused
    * @type {boolean}
@@ -71,6 +77,20 @@ export class GameUI {
     }
   }
 
+  /**
+   * Activates a tool without clicking its toolbar button. Tools without
+   * a button (e.g. 'bus-route') leave no button selected.
+   * @param {string} toolId
+   */
+  setActiveTool(toolId) {
+    if (this.selectedControl) {
+      this.selectedControl.classList.remove('selected');
+    }
+    this.selectedControl = document.querySelector(`.ui-button[data-type="${toolId}"]`);
+    this.selectedControl?.classList.add('selected');
+    this.activeToolId = toolId;
+  }
+
   /**
    * Toggles the pause state of the game
    */
@@ -141,7 +161,7 @@ export class GameUI {
     const color = level === 'maximum' ? '#f44336' : level === 'danger' ? '#ff5722' : level === 'critical' ? '#ff9800' : level === 'warning' ? '#ffc107' : '#4CAF50';
     
     pollutionEl.innerHTML = `<span style="color: ${color};">🌍 ${pollution.toFixed(1)}%</span>`;
-    pollutionEl.title = `Şehir Kirliliği: ${pollution.toFixed(1)}%`;
+    pollutionEl.title = `Şehir Kirliliği: ${pollution.toFixed(1)}% (Toprak ve Su: ${window.globalPollution.soilWater.toFixed(1)}%)`;
   }
 
   /**
@@ -223,13 +243,16 @@ export class GameUI {
       'raw-electronics': '💻 Elektronik',
       'raw-glass': '🪟 Ham Cam',
       
+      // Intermediate goods
+      'steel-beam': '🔧 Çelik Kiriş',
+      'steel-structure': '🏗️ Çelik Yapı',
+      'electronic-components': '🔌 Elektronik Bileşen',
+      
       // Products
       'clothing': '👔 Giyim',
       'sports-gear': '👟 Spor Ekipmanı',
       'smartphone': '📱 Akıllı Telefon',
       'laptop': '💻 Dizüstü Bilgisayar',
-      'steel-beam': '🔧 Çelik Kiriş',
-      'steel-structure': '🏗️ Çelik Yapı',
       'electric-car': '🚗 Elektrikli Araba',
       'electric-bike': '🚲 Elektrikli Bisiklet',
       'fertilizer': '🌱 Gübre',
@@ -253,7 +276,7 @@ export class GameUI {
     const rawMaterialsList = document.getElementById('raw-materials-list');
     if (rawMaterialsList) {
       rawMaterialsList.innerHTML = '';
-      const rawMaterials = ['raw-fabric', 'raw-plastic', 'raw-metal', 'raw-electronics', 'raw-glass'];
+      const rawMaterials = resourceManager.getResourcesByCategory('raw');
       rawMaterials.forEach(type => {
         const amount = resourceManager.getResource(type);
         if (amount > 0 || type.startsWith('raw-')) {
@@ -268,11 +291,33 @@ export class GameUI {
       });
     }
 
+    // Update intermediate goods
+    const intermediatesList = document.getElementById('intermediates-list');
+    if (intermediatesList) {
+      intermediatesList.innerHTML = '';
+      const intermediates = resourceManager.getResourcesByCategory('intermediate');
+      intermediates.forEach(type => {
+        const amount = resourceManager.getResource(type);
+        if (amount > 0) {
+          const item = document.createElement('div');
+          item.className = 'resource-item';
+          item.innerHTML = `
+            <span class="resource-item-name">${resourceNames[type] || type}</span>
+            <span class="resource-item-amount">${amount}</span>
+          `;
+          intermediatesList.appendChild(item);
+        }
+      });
+      if (intermediatesList.children.length === 0) {
+        intermediatesList.innerHTML = '<div style="padding: 8px; color: #888; font-size: 0.9em;">Henüz ara ürün yok</div>';
+      }
+    }
+
     // Update products
     const productsList = document.getElementById('products-list');
     if (productsList) {
       productsList.innerHTML = '';
-      const products = ['clothing', 'sports-gear', 'smartphone', 'laptop', 'steel-beam', 'steel-structure', 'electric-car', 'electric-bike', 'fertilizer', 'compost'];
+      const products = resourceManager.getResourcesByCategory('product');
       products.forEach(type => {
         const amount = resourceManager.getResource(type);
         if (amount > 0) {
@@ -294,7 +339,7 @@ export class GameUI {
     const wasteList = document.getElementById('waste-list');
     if (wasteList) {
       wasteList.innerHTML = '';
-      const wastes = ['textile-waste', 'e-waste', 'scrap-metal', 'plastic-waste', 'organic-waste'];
+      const wastes = resourceManager.getResourcesByCategory('waste');
       wastes.forEach(type => {
         const amount = resourceManager.getResource(type);
         const limit = resourceManager.limits[type] || 0;
@@ -315,7 +360,7 @@ export class GameUI {
     const recycledList = document.getElementById('recycled-list');
     if (recycledList) {
       recycledList.innerHTML = '';
-      const recycled = ['recycled-fabric', 'recycled-metal', 'recycled-plastic', 'recycled-electronics'];
+      const recycled = resourceManager.getResourcesByCategory('recycled');
       recycled.forEach(type => {
         const amount = resourceManager.getResource(type);
         if (amount > 0) {
@@ -334,6 +379,27 @@ export class GameUI {
     }
   }
 
+  /**
+   * Toggle the road congestion overlay
+   */
+  toggleTrafficOverlay() {
+    const city = window.game?.city;
+    const button = document.getElementById('button-traffic');
+    if (!city) {
+      return;
+    }
+
+    const overlay = city.trafficOverlay;
+    overlay.visible = !overlay.visible;
+    if (overlay.visible) {
+      overlay.refreshView(city);
+    }
+
+    if (button) {
+      button.classList.toggle('selected', overlay.visible);
+    }
+  }
+
   /**
    * Toggle resource panel visibility
    */
@@ -724,7 +790,7 @@ export class GameUI {
     const sellList = document.getElementById('market-sell-list');
     if (sellList) {
       sellList.innerHTML = '';
-      const products = ['clothing', 'sports-gear', 'smartphone', 'laptop', 'steel-beam', 'steel-structure', 'electric-bike', 'electric-car', 'fertilizer', 'compost'];
+      const products = ['clothing', 'sports-gear', 'smartphone', 'laptop', 'steel-beam', 'steel-structure', 'electronic-components', 'electric-bike', 'electric-car', 'fertilizer', 'compost'];
       const productNames = {
         'clothing': '👕 Kıyafet',
         'sports-gear': '⚽ Spor Ekipmanı',
@@ -732,6 +798,7 @@ export class GameUI {
         'laptop': '💻 Laptop',
         'steel-beam': '🔩 Çelik Kiriş',
         'steel-structure': '🏗️ Çelik Yapı',
+        'electronic-components': '🔌 Elektronik Bileşen',
         'electric-bike': '🚲 Elektrikli Bisiklet',
         'electric-car': '🚗 Elektrikli Araba',
         'fertilizer': '🌾 Gübre',
@@ -989,9 +1056,15 @@ export class GameUI {
             <button class="action-button" onclick="ui.saveGame()" style="width: 100%; margin-bottom: 4px;">
               💾 Oyunu Kaydet
             </button>
-            <button class="action-button" onclick="ui.loadGame()" style="width: 100%;">
+            <button class="action-button" onclick="ui.loadGame()" style="width: 100%; margin-bottom: 4px;">
               📂 Oyunu Yükle
             </button>
+            <button class="action-button" onclick="ui.exportCity()" style="width: 100%; margin-bottom: 4px;">
+              📤 Şehri Dışa Aktar
+            </button>
+            <button class="action-button" onclick="ui.importCity()" style="width: 100%;">
+              📥 Şehri İçe Aktar
+            </button>
           </div>
         </div>
     `;
@@ -1455,6 +1528,11 @@ export class GameUI {
       'steel-factory': '⚙️ Çelik Fabrikası',
       'automotive-factory': '🚗 Otomotiv Fabrikası',
       'recycling-center': '♻️ Geri Dönüşüm Merkezi',
+      'repair-cafe': '🔧 Tamir Kafe',
+      'landfill': '🕳️ Çöp Sahası',
+      'bus-depot': '🚌 Otobüs Garajı',
+      'school': '🏫 Okul',
+      'vocational-center': '🛠️ Mesleki Eğitim Merkezi',
       'farming': '🌾 Tarım Alanı',
       'residential': '🏠 Konut',
       'commercial': '🏪 Ticari'
@@ -1492,6 +1570,26 @@ export class GameUI {
             <span>Yenilenebilir Enerji:</span>
             <span>${stats.renewableEnergyPercent.toFixed(1)}%</span>
           </div>
+          <div style="display: flex; justify-content: space-between; margin-bottom: 8px;">
+            <span>Tamir Edilen Ürünler:</span>
+            <span>${stats.repairedProducts}</span>
+          </div>
+          <div style="display: flex; justify-content: space-between; margin-bottom: 8px;">
+            <span>İkinci El (atıktan kurtarılan):</span>
+            <span>${stats.secondHandDiverted}</span>
+          </div>
+          <div style="display: flex; justify-content: space-between; margin-bottom: 8px;">
+            <span>Kullanımdaki Ürünler:</span>
+            <span>${stats.productsInUse}</span>
+          </div>
+          <div style="display: flex; justify-content: space-between; margin-bottom: 8px;">
+            <span>Ömür Sonu Geri Kazanım:</span>
+            <span>${(stats.productRecoveryRate * 100).toFixed(1)}%</span>
+          </div>
+          <div style="display: flex; justify-content: space-between; margin-bottom: 8px;">
+            <span>Geri Alım Oranı:</span>
+            <span>${(stats.takeBackRatio * 100).toFixed(1)}%</span>
+          </div>
         </div>
         
         <div class="resource-section-title" style="margin-top: 12px;">🗑️ Atık Yönetimi</div>
@@ -1520,6 +1618,14 @@ export class GameUI {
             <span>Hurda Metal:</span>
             <span>${stats.scrapMetal.toFixed(1)}</span>
           </div>
+          <div style="display: flex; justify-content: space-between; margin-bottom: 4px;">
+            <span>Çöp Sahasına Gömülen:</span>
+            <span style="color: ${stats.landfilledWaste > 0 ? '#f44336' : '#4CAF50'};">${stats.landfilledWaste.toFixed(1)}</span>
+          </div>
+          <div style="display: flex; justify-content: space-between; margin-bottom: 4px;">
+            <span>Doğaya Atılan:</span>
+            <span style="color: ${stats.dumpedWaste > 0 ? '#f44336' : '#4CAF50'};">${stats.dumpedWaste.toFixed(1)}</span>
+          </div>
         </div>
         
         <div class="resource-section-title" style="margin-top: 12px;">⚡ Enerji</div>
@@ -1540,6 +1646,66 @@ export class GameUI {
           </div>
         </div>
         
+        <div class="resource-section-title" style="margin-top: 12px;">👥 Vatandaşlar</div>
+        <div style="padding: 8px;">
+          <div style="display: flex; justify-content: space-between; margin-bottom: 4px;">
+            <span>Nüfus:</span>
+            <span>${stats.population}</span>
+          </div>
+          <div style="display: flex; justify-content: space-between; margin-bottom: 4px;">
+            <span>Ortalama Mutluluk:</span>
+            <span style="color: ${stats.happiness === null ? '#888' : stats.happiness >= 60 ? '#4CAF50' : stats.happiness >= 40 ? '#FF9800' : '#f44336'};">
+              ${stats.happiness === null ? '-' : `${stats.happiness.toFixed(0)}%`}
+            </span>
+          </div>
+          <div style="display: flex; justify-content: space-between; margin-bottom: 4px;">
+            <span>Şehrin Çekiciliği:</span>
+            <span>${stats.attractiveness.toFixed(0)}%</span>
+          </div>
+          <div style="display: flex; justify-content: space-between; margin-bottom: 4px;">
+            <span>Ortalama Yaş:</span>
+            <span>${stats.demographics.averageAge === null ? '-' : stats.demographics.averageAge.toFixed(0)}</span>
+          </div>
+          <div style="display: flex; justify-content: space-between; margin-bottom: 4px;">
+            <span>🎓 Öğrenci:</span>
+            <span>${stats.demographics.school}</span>
+          </div>
+          <div style="display: flex; justify-content: space-between; margin-bottom: 4px;">
+            <span>💼 Çalışan:</span>
+            <span>${stats.demographics.employed}</span>
+          </div>
+          <div style="display: flex; justify-content: space-between; margin-bottom: 4px;">
+            <span>🔍 İşsiz:</span>
+            <span>${stats.demographics.unemployed}</span>
+          </div>
+          <div style="display: flex; justify-content: space-between; margin-bottom: 4px;">
+            <span>👴 Emekli:</span>
+            <span>${stats.demographics.retired}</span>
+          </div>
+          <div style="font-size: 0.9em; color: #888; margin: 8px 0 4px;">Eğitim (okulu bitirenler)</div>
+          <div style="display: flex; justify-content: space-between; margin-bottom: 4px;">
+            <span>Eğitimsiz:</span>
+            <span>${stats.demographics.education.none}</span>
+          </div>
+          <div style="display: flex; justify-content: space-between; margin-bottom: 4px;">
+            <span>Temel Eğitim:</span>
+            <span>${stats.demographics.education.basic}</span>
+          </div>
+          <div style="display: flex; justify-content: space-between; margin-bottom: 4px;">
+            <span>Kalifiye:</span>
+            <span>${stats.demographics.education.skilled}</span>
+          </div>
+          <div style="font-size: 0.9em; color: #888; margin: 8px 0 4px;">Geçen yıl</div>
+          <div style="display: flex; justify-content: space-between; margin-bottom: 4px;">
+            <span>👶 Doğum / ⚰️ Ölüm:</span>
+            <span>${stats.populationChanges.births} / ${stats.populationChanges.deaths}</span>
+          </div>
+          <div style="display: flex; justify-content: space-between; margin-bottom: 4px;">
+            <span>🧳 Gelen / Giden Göç:</span>
+            <span>${stats.populationChanges.immigrants} / ${stats.populationChanges.emigrants}</span>
+          </div>
+        </div>
+
         <div class="resource-section-title" style="margin-top: 12px;">🏗️ Binalar</div>
         <div style="padding: 8px;">
           <div style="display: flex; justify-content: space-between; margin-bottom: 4px;">
@@ -1587,7 +1753,22 @@ export class GameUI {
         totalBuildings: 0,
         factories: 0,
         energyBuildings: 0,
-        recyclingCenters: 0
+        recyclingCenters: 0,
+        population: 0,
+        happiness: null,
+        attractiveness: 0,
+        demographics: {
+          total: 0, school: 0, employed: 0, unemployed: 0, retired: 0, averageAge: null,
+          education: { none: 0, basic: 0, skilled: 0 }
+        },
+        populationChanges: { births: 0, deaths: 0, immigrants: 0, emigrants: 0 },
+        productsInUse: 0,
+        repairedProducts: 0,
+        secondHandDiverted: 0,
+        productRecoveryRate: 0,
+        takeBackRatio: 0,
+        landfilledWaste: 0,
+        dumpedWaste: 0
       };
     }
     
@@ -1606,7 +1787,19 @@ export class GameUI {
       totalBuildings: 0,
       factories: 0,
       energyBuildings: 0,
-      recyclingCenters: 0
+      recyclingCenters: 0,
+      population: window.game.city.population,
+      happiness: window.game.city.happiness,
+      attractiveness: window.game.city.demographics.attractiveness,
+      demographics: window.game.city.demographics.getBreakdown(window.game.city),
+      populationChanges: window.game.city.demographics.lastYear,
+      productsInUse: window.game.city.productLifecycle.cohorts.reduce((sum, cohort) => sum + cohort.amount, 0),
+      repairedProducts: 0,
+      secondHandDiverted: 0,
+      productRecoveryRate: window.game.city.productLifecycle.recoveryRate,
+      takeBackRatio: window.game.city.productLifecycle.takeBackRatio,
+      landfilledWaste: window.game.city.landfills.totalLandfilled,
+      dumpedWaste: window.game.city.landfills.totalDumped
     };
     
     stats.energyBalance = stats.energyProduction - stats.energyConsumption;
@@ -1624,6 +1817,12 @@ export class GameUI {
         if (obj.building.type === 'recycling-center') {
           stats.recyclingCenters++;
         }
+        if (obj.building.type === 'repair-cafe') {
+          stats.repairedProducts += obj.building.totalRepaired;
+        }
+        if (obj.building.secondHand) {
+          stats.secondHandDiverted += obj.building.secondHand.totalBought;
+        }
       }
     });
     
@@ -1750,7 +1949,7 @@ export class GameUI {
    * Close all floating panels
    */
   closeAllPanels() {
-    const panels = ['trade-panel', 'market-panel', 'settings-panel', 'material-shop-panel', 'energy-panel', 'statistics-panel', 'research-panel'];
+    const panels = ['trade-panel', 'market-panel', 'settings-panel', 'material-shop-panel', 'energy-panel', 'statistics-panel', 'research-panel', 'save-slots-panel'];
     panels.forEach(id => this.closePanel(id));
   }
 
@@ -1815,6 +2014,7 @@ export class GameUI {
       'laptop': '💻 Dizüstü Bilgisayar',
       'steel-beam': '🔧 Çelik Kiriş',
       'steel-structure': '🏗️ Çelik Yapı',
+      'electronic-components': '🔌 Elektronik Bileşen',
       'electric-car': '🚗 Elektrikli Araba',
       'electric-bike': '🚲 Elektrikli Bisiklet',
       'fertilizer': '🌱 Gübre',
@@ -1894,12 +2094,7 @@ export class GameUI {
       return;
     }
 
-    const success = window.saveSystem.saveGame();
-    if (success) {
-      this.showNotification('✅ Oyun Kaydedildi', 'Oyununuz başarıyla kaydedildi', 'success');
-    } else {
-      this.showNotification('❌ Hata', 'Oyun kaydedilemedi', 'error');
-    }
+    this.openSaveSlotsPanel('save');
   }
 
   /**
@@ -1916,9 +2111,123 @@ export class GameUI {
       return;
     }
 
+    this.openSaveSlotsPanel('load');
+  }
+
+  /**
+   * Open the save slot list
+   * @param {'save' | 'load'} mode
+   */
+  openSaveSlotsPanel(mode) {
+    this.closeAllPanels();
+    const panel = this.getOrCreatePanel('save-slots-panel', mode === 'save' ? '💾 Oyunu Kaydet' : '📂 Oyunu Yükle');
+    panel.style.width = '420px';
+    panel.dataset.mode = mode;
+    const content = panel.querySelector('.panel-content') || document.createElement('div');
+    content.className = 'panel-content';
+
+    const slots = window.saveSystem.listSlots();
+    const activeSlot = window.saveSystem.getActiveSlot();
+    const escape = (text) => String(text).replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+
+    let autosavesHtml = '';
+    if (mode === 'load') {
+      window.saveSystem.listAutosaves().forEach(autosave => {
+        autosavesHtml += `
+          <div style="display: flex; align-items: center; gap: 8px; padding: 6px 8px; margin-bottom: 4px; background: #2a2a2a; border-radius: 4px;">
+            <div style="flex: 1; min-width: 0;">
+              <div style="color: white;">${escape(autosave.cityName)} · Seviye ${autosave.level}</div>
+              <div style="color: #888; font-size: 0.8em;">${new Date(autosave.timestamp).toLocaleString()}</div>
+            </div>
+            <button class="action-button" onclick="ui.restoreAutosave('${autosave.id}')">↩️ Geri Yükle</button>
+          </div>
+        `;
+      });
+    }
+
+    let slotsHtml = '';
+    slots.forEach(slot => {
+      const isActive = slot.id === activeSlot;
+      slotsHtml += `
+        <div style="display: flex; gap: 8px; padding: 8px; margin-bottom: 8px; background: #2a2a2a; border-radius: 4px; border: 1px solid ${isActive ? '#4CAF50' : '#555'};">
+          ${slot.thumbnail
+            ? `<img src="${slot.thumbnail}" width="96" height="54" style="border-radius: 3px; object-fit: cover;">`
+            : '<div style="width: 96px; height: 54px; background: #1a1a1a; border-radius: 3px; display: flex; align-items: center; justify-content: center; color: #666;">🏙️</div>'}
+          <div style="flex: 1; min-width: 0;">
+            <div style="color: white; font-weight: bold; overflow: hidden; text-overflow: ellipsis;">${escape(slot.name)}${isActive ? ' <span style="color: #4CAF50; font-size: 0.8em;">(aktif)</span>' : ''}</div>
+            <div style="color: #aaa; font-size: 0.85em;">${escape(slot.cityName)} · Seviye ${slot.level} · Circular Score ${Math.round(slot.circularScore)}</div>
+            <div style="color: #888; font-size: 0.8em;">${new Date(slot.timestamp).toLocaleString()}</div>
+            <div style="display: flex; gap: 4px; margin-top: 4px;">
+              ${mode === 'save'
+                ? `<button class="action-button" onclick="ui.saveToSlot('${slot.id}')">💾 Üzerine Yaz</button>`
+                : `<button class="action-button" onclick="ui.loadSlot('${slot.id}')">📂 Yükle</button>`}
+              <button class="action-button" onclick="ui.renameSlot('${slot.id}')" title="Yeniden Adlandır">✏️</button>
+              <button class="action-button" onclick="ui.exportCity('${slot.id}')" title="Dışa Aktar">📤</button>
+              <button class="action-button" onclick="ui.deleteSlot('${slot.id}')" title="Sil">🗑️</button>
+            </div>
+          </div>
+        </div>
+      `;
+    });
+
+    content.innerHTML = `
+      <div style="padding: 8px; max-height: 600px; overflow-y: auto;">
+        ${mode === 'save' ? `
+          <div class="resource-section-title">➕ Yeni Kayıt</div>
+          <div style="display: flex; gap: 4px; margin: 8px 0 12px;">
+            <input type="text" id="save-slot-name" maxlength="30" placeholder="Kayıt adı" value="${escape(window.game?.cityName || '')}" style="flex: 1;">
+            <button class="action-button" onclick="ui.saveToSlot(null)">💾 Kaydet</button>
+          </div>
+        ` : `
+          <button class="action-button" onclick="ui.importCity()" style="width: 100%; margin-bottom: 12px;">📥 Dosyadan İçe Aktar</button>
+        `}
+        <div class="resource-section-title">📁 Kayıtlar</div>
+        ${slotsHtml || '<div style="padding: 8px; color: #888;">Henüz kayıt yok</div>'}
+        ${autosavesHtml ? `
+          <div class="resource-section-title" style="margin-top: 12px;">🕒 Otomatik Kayıtlar</div>
+          ${autosavesHtml}
+        ` : ''}
+      </div>
+    `;
+    if (!panel.querySelector('.panel-content')) {
+      panel.appendChild(content);
+    } else {
+      panel.replaceChild(content, panel.querySelector('.panel-content'));
+    }
+    panel.style.display = 'block';
+  }
+
+  /**
+   * Save the game to a slot
+   * @param {string | null} slotId Slot to overwrite, or null for a new slot
+   */
+  saveToSlot(slotId) {
+    let name;
+    if (slotId) {
+      if (slotId !== window.saveSystem.getActiveSlot() && !confirm('Bu kaydın üzerine yazılsın mı?')) {
+        return;
+      }
+    } else {
+      name = document.getElementById('save-slot-name')?.value.trim() || undefined;
+    }
+
+    const success = window.saveSystem.saveGame(slotId, name);
+    if (success) {
+      this.showNotification('✅ Oyun Kaydedildi', 'Oyununuz başarıyla kaydedildi', 'success');
+      this.openSaveSlotsPanel('save');
+    } else {
+      this.showNotification('❌ Hata', 'Oyun kaydedilemedi', 'error');
+    }
+  }
+
+  /**
+   * Load the game from a slot
+   * @param {string} slotId
+   */
+  loadSlot(slotId) {
     // Confirm load
     if (confirm('Kayıtlı oyunu yüklemek istediğinize emin misiniz? Mevcut oyun kaybolacak.')) {
-      const saveData = window.saveSystem.loadGame();
+      const saveData = window.saveSystem.loadGame(slotId);
       if (saveData) {
         // Reload page to reconstruct city
         location.reload();
@@ -1927,6 +2236,98 @@ export class GameUI {
       }
     }
   }
+
+  /**
+   * Restore an autosave into its slot and load it
+   * @param {string} autosaveId
+   */
+  restoreAutosave(autosaveId) {
+    if (confirm('Otomatik kayıt geri yüklensin mi? Kaydın ait olduğu yuvanın üzerine yazılacak.')) {
+      const slotId = window.saveSystem.restoreAutosave(autosaveId);
+      if (slotId && window.saveSystem.loadGame(slotId)) {
+        // Reload page to reconstruct city
+        location.reload();
+      } else {
+        this.showNotification('❌ Hata', 'Otomatik kayıt geri yüklenemedi', 'error');
+      }
+    }
+  }
+
+  /**
+   * Rename a save slot
+   * @param {string} slotId
+   */
+  renameSlot(slotId) {
+    const slot = window.saveSystem.listSlots().find(s => s.id === slotId);
+    if (!slot) return;
+
+    const name = prompt('Yeni kayıt adı:', slot.name);
+    if (name && name.trim()) {
+      window.saveSystem.renameSlot(slotId, name.trim().slice(0, 30));
+      this.openSaveSlotsPanel(document.getElementById('save-slots-panel').dataset.mode);
+    }
+  }
+
+  /**
+   * Download a city as a `.circularworld.json` file
+   * @param {string} [slotId] Slot to export. Exports the running game if omitted
+   */
+  exportCity(slotId) {
+    const file = window.saveSystem?.exportSave(slotId);
+    if (!file) {
+      this.showNotification('❌ Hata', 'Şehir dışa aktarılamadı', 'error');
+      return;
+    }
+
+    const url = URL.createObjectURL(new Blob([file.json], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = file.fileName;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  /**
+   * Pick a `.circularworld.json` file and import it into a new save slot
+   */
+  importCity() {
+    if (!window.saveSystem) {
+      this.showNotification('Hata', 'Kayıt sistemi yüklenemedi', 'error');
+      return;
+    }
+
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.circularworld.json,.json,application/json';
+    input.onchange = async () => {
+      const file = input.files[0];
+      if (!file) return;
+
+      let slotId;
+      try {
+        slotId = window.saveSystem.importSave(await file.text());
+      } catch (error) {
+        this.showNotification('❌ İçe Aktarılamadı', error.message, 'error');
+        return;
+      }
+
+      this.showNotification('✅ Şehir İçe Aktarıldı', `${file.name} yeni bir kayda eklendi`, 'success');
+      this.openSaveSlotsPanel('load');
+      this.loadSlot(slotId);
+    };
+    input.click();
+  }
+
+  /**
+   * Delete a save slot
+   * @param {string} slotId
+   */
+  deleteSlot(slotId) {
+    if (confirm('Bu kayıt silinsin mi? Bu işlem geri alınamaz.')) {
+      window.saveSystem.deleteSave(slotId);
+      this.openSaveSlotsPanel(document.getElementById('save-slots-panel').dataset.mode);
+    }
+  }
   /**
    * Show a notification
    */
@@ -2089,9 +2490,15 @@ export class GameUI {
       'button-steel-factory': 'steel-factory', // Level 8
       'button-automotive-factory': 'automotive-factory', // Level 9
       'button-recycling-center': 'recycling-center', // Level 3
+      'button-landfill': 'landfill', // Level 3
       'button-wind-turbine': 'wind-turbine', // Level 5
       'button-hydro-plant': 'hydro-plant', // Level 7
-      'button-waste-to-energy': 'waste-to-energy' // Level 5
+      'button-waste-to-energy': 'waste-to-energy', // Level 5
+      'button-bus-depot': 'public-transport', // Level 6
+      'button-bus-stop': 'public-transport', // Level 6
+      'button-school': 'education', // Level 5
+      'button-vocational-center': 'vocational-training', // Level 6
+      'button-repair-cafe': 'repair-cafe' // Level 6
     };
 
     // Update each button